@@ -0,0 +1,3 @@
+-- AlterTable
+ALTER TABLE "vulnerabilities" ADD COLUMN     "enrichedAt" TIMESTAMP(3),
+ADD COLUMN     "enrichmentSource" TEXT;
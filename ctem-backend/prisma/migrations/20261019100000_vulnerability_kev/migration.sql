@@ -0,0 +1,6 @@
+-- AlterTable
+ALTER TABLE "vulnerabilities" ADD COLUMN     "knownExploited" BOOLEAN NOT NULL DEFAULT false,
+ADD COLUMN     "kevDateAdded" TIMESTAMP(3),
+ADD COLUMN     "kevDueDate" TIMESTAMP(3),
+ADD COLUMN     "kevRansomware" BOOLEAN NOT NULL DEFAULT false,
+ADD COLUMN     "kevRequiredAction" TEXT;
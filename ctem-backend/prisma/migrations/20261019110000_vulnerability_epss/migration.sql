@@ -0,0 +1,5 @@
+-- AlterTable
+ALTER TABLE "vulnerabilities" ADD COLUMN     "epssScore" DOUBLE PRECISION,
+ADD COLUMN     "epssPercentile" DOUBLE PRECISION,
+ADD COLUMN     "epssDate" TIMESTAMP(3);
+
@@ -0,0 +1,33 @@
+-- CreateEnum
+CREATE TYPE "JobStatus" AS ENUM ('QUEUED', 'RUNNING', 'COMPLETED', 'FAILED', 'CANCELLED');
+
+-- CreateTable
+CREATE TABLE "jobs" (
+    "id" TEXT NOT NULL,
+    "queue" TEXT NOT NULL,
+    "status" "JobStatus" NOT NULL DEFAULT 'QUEUED',
+    "payload" JSONB,
+    "resourceId" TEXT,
+    "progress" INTEGER NOT NULL DEFAULT 0,
+    "attempts" INTEGER NOT NULL DEFAULT 0,
+    "maxAttempts" INTEGER NOT NULL DEFAULT 3,
+    "timeoutSeconds" INTEGER NOT NULL DEFAULT 3600,
+    "runAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "lockedBy" TEXT,
+    "lockedUntil" TIMESTAMP(3),
+    "cancelRequested" BOOLEAN NOT NULL DEFAULT false,
+    "lastError" TEXT,
+    "startedAt" TIMESTAMP(3),
+    "completedAt" TIMESTAMP(3),
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "jobs_pkey" PRIMARY KEY ("id")
+);
+
+-- Scans and reports started before the queue existed ran in-process and are gone
+UPDATE "scan_results" SET "status" = 'FAILED', "completedAt" = CURRENT_TIMESTAMP, "error" = 'Interrupted by server restart'
+WHERE "status" IN ('PENDING', 'RUNNING');
+
+UPDATE "reports" SET "status" = 'FAILED', "error" = 'Interrupted by server restart'
+WHERE "status" IN ('PENDING', 'GENERATING');
@@ -0,0 +1,7 @@
+-- AlterTable
+ALTER TABLE "reports" ADD COLUMN     "deliveredAt" TIMESTAMP(3),
+ADD COLUMN     "deliveryError" TEXT,
+ADD COLUMN     "parentId" TEXT;
+
+-- AddForeignKey
+ALTER TABLE "reports" ADD CONSTRAINT "reports_parentId_fkey" FOREIGN KEY ("parentId") REFERENCES "reports"("id") ON DELETE SET NULL ON UPDATE CASCADE;
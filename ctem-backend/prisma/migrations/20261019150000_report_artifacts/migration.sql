@@ -0,0 +1,9 @@
+-- AlterEnum
+ALTER TYPE "ReportStatus" ADD VALUE 'EXPIRED';
+
+-- AlterTable
+ALTER TABLE "reports" ADD COLUMN     "checksum" TEXT,
+ADD COLUMN     "storageKey" TEXT;
+
+-- CreateIndex
+CREATE INDEX "reports_status_completedAt_idx" ON "reports"("status", "completedAt");
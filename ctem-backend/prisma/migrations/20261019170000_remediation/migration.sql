@@ -0,0 +1,91 @@
+-- CreateEnum
+CREATE TYPE "RemediationPlanStatus" AS ENUM ('OPEN', 'IN_PROGRESS', 'COMPLETED', 'CANCELLED');
+
+-- CreateEnum
+CREATE TYPE "RemediationTaskStatus" AS ENUM ('TODO', 'IN_PROGRESS', 'BLOCKED', 'DONE', 'VERIFIED');
+
+-- CreateTable
+CREATE TABLE "remediation_plans" (
+    "id" TEXT NOT NULL,
+    "title" TEXT NOT NULL,
+    "description" TEXT,
+    "status" "RemediationPlanStatus" NOT NULL DEFAULT 'OPEN',
+    "ownerId" TEXT,
+    "dueDate" TIMESTAMP(3),
+    "progress" INTEGER NOT NULL DEFAULT 0,
+    "riskId" TEXT,
+    "completedAt" TIMESTAMP(3),
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+    "createdById" TEXT NOT NULL,
+
+    CONSTRAINT "remediation_plans_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "remediation_tasks" (
+    "id" TEXT NOT NULL,
+    "planId" TEXT NOT NULL,
+    "title" TEXT NOT NULL,
+    "description" TEXT,
+    "status" "RemediationTaskStatus" NOT NULL DEFAULT 'TODO',
+    "ownerId" TEXT,
+    "dueDate" TIMESTAMP(3),
+    "progress" INTEGER NOT NULL DEFAULT 0,
+    "position" INTEGER NOT NULL DEFAULT 0,
+    "completedAt" TIMESTAMP(3),
+    "verifiedAt" TIMESTAMP(3),
+    "verifiedById" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+    "createdById" TEXT NOT NULL,
+
+    CONSTRAINT "remediation_tasks_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "_RemediationTaskFindings" (
+    "A" TEXT NOT NULL,
+    "B" TEXT NOT NULL,
+
+    CONSTRAINT "_RemediationTaskFindings_AB_pkey" PRIMARY KEY ("A","B")
+);
+
+-- CreateIndex
+CREATE INDEX "remediation_plans_status_idx" ON "remediation_plans"("status");
+
+-- CreateIndex
+CREATE INDEX "remediation_tasks_planId_status_idx" ON "remediation_tasks"("planId", "status");
+
+-- CreateIndex
+CREATE INDEX "remediation_tasks_status_position_idx" ON "remediation_tasks"("status", "position");
+
+-- CreateIndex
+CREATE INDEX "_RemediationTaskFindings_B_index" ON "_RemediationTaskFindings"("B");
+
+-- AddForeignKey
+ALTER TABLE "remediation_plans" ADD CONSTRAINT "remediation_plans_ownerId_fkey" FOREIGN KEY ("ownerId") REFERENCES "users"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "remediation_plans" ADD CONSTRAINT "remediation_plans_createdById_fkey" FOREIGN KEY ("createdById") REFERENCES "users"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "remediation_plans" ADD CONSTRAINT "remediation_plans_riskId_fkey" FOREIGN KEY ("riskId") REFERENCES "risks"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "remediation_tasks" ADD CONSTRAINT "remediation_tasks_planId_fkey" FOREIGN KEY ("planId") REFERENCES "remediation_plans"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "remediation_tasks" ADD CONSTRAINT "remediation_tasks_ownerId_fkey" FOREIGN KEY ("ownerId") REFERENCES "users"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "remediation_tasks" ADD CONSTRAINT "remediation_tasks_verifiedById_fkey" FOREIGN KEY ("verifiedById") REFERENCES "users"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "remediation_tasks" ADD CONSTRAINT "remediation_tasks_createdById_fkey" FOREIGN KEY ("createdById") REFERENCES "users"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "_RemediationTaskFindings" ADD CONSTRAINT "_RemediationTaskFindings_A_fkey" FOREIGN KEY ("A") REFERENCES "asset_vulnerabilities"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "_RemediationTaskFindings" ADD CONSTRAINT "_RemediationTaskFindings_B_fkey" FOREIGN KEY ("B") REFERENCES "remediation_tasks"("id") ON DELETE CASCADE ON UPDATE CASCADE;
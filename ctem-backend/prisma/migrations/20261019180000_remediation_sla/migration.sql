@@ -0,0 +1,6 @@
+-- AlterTable
+ALTER TABLE "asset_vulnerabilities" ADD COLUMN     "dueDate" TIMESTAMP(3),
+ADD COLUMN     "slaBreachedAt" TIMESTAMP(3);
+
+-- CreateIndex
+CREATE INDEX "asset_vulnerabilities_status_dueDate_idx" ON "asset_vulnerabilities"("status", "dueDate");
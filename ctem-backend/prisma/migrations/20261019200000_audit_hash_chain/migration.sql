@@ -0,0 +1,12 @@
+-- AlterTable
+ALTER TABLE "audit_logs" ADD COLUMN     "hash" TEXT,
+ADD COLUMN     "previousHash" TEXT,
+ADD COLUMN     "sequence" SERIAL NOT NULL;
+
+-- Number existing entries in the order they were written
+UPDATE "audit_logs" SET "sequence" = "ordered"."position"
+FROM (SELECT "id", ROW_NUMBER() OVER (ORDER BY "createdAt", "id") AS "position" FROM "audit_logs") AS "ordered"
+WHERE "audit_logs"."id" = "ordered"."id";
+
+-- CreateIndex
+CREATE UNIQUE INDEX "audit_logs_sequence_key" ON "audit_logs"("sequence");
@@ -0,0 +1,20 @@
+-- AlterTable
+ALTER TABLE "users" ADD COLUMN     "mfaLastUsedStep" INTEGER,
+ADD COLUMN     "mfaSecret" TEXT;
+
+-- CreateTable
+CREATE TABLE "mfa_recovery_codes" (
+    "id" TEXT NOT NULL,
+    "userId" TEXT NOT NULL,
+    "codeHash" TEXT NOT NULL,
+    "usedAt" TIMESTAMP(3),
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "mfa_recovery_codes_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "mfa_recovery_codes_userId_idx" ON "mfa_recovery_codes"("userId");
+
+-- AddForeignKey
+ALTER TABLE "mfa_recovery_codes" ADD CONSTRAINT "mfa_recovery_codes_userId_fkey" FOREIGN KEY ("userId") REFERENCES "users"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,6 @@
+-- AlterTable
+ALTER TABLE "users" ADD COLUMN     "authProvider" TEXT NOT NULL DEFAULT 'local',
+ADD COLUMN     "externalId" TEXT;
+
+-- CreateIndex
+CREATE UNIQUE INDEX "users_authProvider_externalId_key" ON "users"("authProvider", "externalId");
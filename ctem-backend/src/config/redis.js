@@ -96,6 +96,7 @@ module.exports = {
   get: (key) => safeRedisOperation((client) => client.get(key)),
   set: (key, value, options) => safeRedisOperation((client) => client.set(key, value, options)),
   del: (key) => safeRedisOperation((client) => client.del(key)),
+  exists: (key) => safeRedisOperation((client) => client.exists(key)),
   flushall: () => safeRedisOperation((client) => client.flushAll()),
   setex: (key, seconds, value) => safeRedisOperation((client) => client.setEx(key, seconds, value)),
   incr: (key) => safeRedisOperation((client) => client.incr(key)),
@@ -1,5 +1,6 @@
 const { PrismaClient } = require('@prisma/client');
 const bcrypt = require('bcryptjs');
+const { ensureDefaultTemplates } = require('../services/reports/reportTemplates');
 
 const prisma = new PrismaClient();
 
@@ -39,6 +40,7 @@ async function main() {
         'assets:read', 'assets:create', 'assets:update',
         'vulnerabilities:read', 'vulnerabilities:update',
         'risks:read', 'risks:create', 'risks:update',
+        'remediation:read', 'remediation:create', 'remediation:update', 'remediation:verify',
         'reports:read', 'reports:create',
         'scans:read', 'scans:create'
       ],
@@ -63,6 +65,7 @@ async function main() {
         'assets:read',
         'vulnerabilities:read',
         'risks:read',
+        'remediation:read',
         'reports:read'
       ],
       isActive: true,
@@ -180,7 +183,8 @@ async function main() {
     { key: 'general.timezone', value: '"Europe/Berlin"', category: 'general' },
     { key: 'security.sessionTimeout', value: '60', category: 'security' },
     { key: 'notifications.email.enabled', value: 'false', category: 'notifications' },
-    { key: 'scanning.automated.enabled', value: 'true', category: 'scanning' }
+    { key: 'scanning.automated.enabled', value: 'true', category: 'scanning' },
+    { key: 'reports.retentionDays', value: '90', category: 'reports' }
   ];
 
   for (const setting of systemSettings) {
@@ -195,6 +199,9 @@ async function main() {
     console.log('✅ System setting created:', setting.key);
   }
 
+  const templateCount = await ensureDefaultTemplates(adminUser.id);
+  console.log('✅ Default report templates created:', templateCount);
+
   console.log('\n🎉 Database seeding completed successfully!');
   console.log('\n📝 Test Users:');
   console.log('Admin: admin@ctem.local / admin123');
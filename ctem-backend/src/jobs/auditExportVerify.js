@@ -0,0 +1,34 @@
+/**
+ * Check a signed audit log export offline
+ *
+ * Usage: npm run audit:verify-export -- <export.json> [public-key.pem]
+ *
+ * Without a public key the key embedded in the export is used; compare the
+ * printed key ID with the one published by GET /api/audit/signing-key.
+ */
+const fs = require('fs');
+const { verifyExport } = require('../services/audit/exportSignature');
+
+function main() {
+  const [file, keyFile] = process.argv.slice(2);
+  if (!file) {
+    throw new Error('No export file given');
+  }
+
+  const exported = JSON.parse(fs.readFileSync(file, 'utf8'));
+  const publicKey = keyFile ? fs.readFileSync(keyFile, 'utf8') : undefined;
+  const result = verifyExport(exported, publicKey);
+
+  console.log(`Key ID:  ${result.keyId || 'unknown'}${keyFile ? '' : ' (embedded key)'}`);
+  console.log(`Entries: ${result.entryCount}`);
+  console.log(result.valid ? 'Export is intact' : `Export is NOT intact: ${result.problem}`);
+
+  return result;
+}
+
+try {
+  process.exit(main().valid ? 0 : 1);
+} catch (error) {
+  console.error(`Audit export verification failed: ${error.message}`);
+  process.exit(2);
+}
@@ -0,0 +1,33 @@
+/**
+ * Apply an EPSS scores CSV (plain or gzipped)
+ *
+ * Usage: npm run epss:import -- [file]   (defaults to EPSS_SCORES_FILE)
+ */
+require('dotenv').config();
+
+const fs = require('fs');
+const logger = require('../utils/logger');
+const { parseEpssCsv, applyEpssScores } = require('../services/enrichment/epss');
+
+async function main() {
+  const file = process.argv[2] || process.env.EPSS_SCORES_FILE;
+  if (!file) {
+    throw new Error('No EPSS scores file given (pass a path or set EPSS_SCORES_FILE)');
+  }
+
+  const results = await applyEpssScores(parseEpssCsv(fs.readFileSync(file)));
+
+  logger.info(`EPSS scores ${results.modelVersion || 'unknown model'} applied: ` +
+    `${results.updated} CVEs updated, ${results.notScored} not scored, ${results.errors.length} errors`);
+
+  return results;
+}
+
+main()
+  .then(results => {
+    process.exit(results.errors.length > 0 ? 1 : 0);
+  })
+  .catch(error => {
+    logger.error('EPSS import failed:', error);
+    process.exit(1);
+  });
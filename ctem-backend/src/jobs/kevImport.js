@@ -0,0 +1,34 @@
+/**
+ * Apply a CISA Known Exploited Vulnerabilities catalog file
+ *
+ * Usage: npm run kev:import -- [file]   (defaults to KEV_CATALOG_FILE)
+ */
+require('dotenv').config();
+
+const fs = require('fs');
+const logger = require('../utils/logger');
+const { parseKevCatalog, applyKevCatalog } = require('../services/enrichment/kev');
+
+async function main() {
+  const file = process.argv[2] || process.env.KEV_CATALOG_FILE;
+  if (!file) {
+    throw new Error('No KEV catalog file given (pass a path or set KEV_CATALOG_FILE)');
+  }
+
+  const results = await applyKevCatalog(parseKevCatalog(fs.readFileSync(file)));
+
+  logger.info(`KEV catalog ${results.catalogVersion || 'unknown version'} applied: ` +
+    `${results.matched} of ${results.catalogEntries} CVEs matched, ${results.newlyListed} newly listed, ` +
+    `${results.cleared} cleared, ${results.errors.length} errors`);
+
+  return results;
+}
+
+main()
+  .then(results => {
+    process.exit(results.errors.length > 0 ? 1 : 0);
+  })
+  .catch(error => {
+    logger.error('KEV import failed:', error);
+    process.exit(1);
+  });
@@ -0,0 +1,29 @@
+/**
+ * Ingest NVD CVE JSON 2.0 feed files from a local directory
+ *
+ * Usage: npm run nvd:ingest -- [directory]   (defaults to NVD_FEED_DIR)
+ */
+require('dotenv').config();
+
+const logger = require('../utils/logger');
+const { ingestNvdFeeds } = require('../services/enrichment/nvd');
+
+async function main() {
+  const directory = process.argv[2] || process.env.NVD_FEED_DIR;
+  const results = await ingestNvdFeeds(directory);
+
+  logger.info(`NVD ingestion finished: ${results.files} files, ${results.cves} CVEs, ` +
+    `${results.created} created, ${results.updated} updated, ${results.unchanged} unchanged, ` +
+    `${results.errors.length} errors`);
+
+  return results;
+}
+
+main()
+  .then(results => {
+    process.exit(results.errors.length > 0 ? 1 : 0);
+  })
+  .catch(error => {
+    logger.error('NVD ingestion failed:', error);
+    process.exit(1);
+  });
@@ -31,6 +31,14 @@ const authenticateToken = async (req, res, next) => {
 
     // Verify token
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+    // MFA challenge tokens are signed with the same secret but grant no access
+    if (decoded.type !== 'access') {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid token'
+      });
+    }
     
     // Get user from database
     const user = await prisma.user.findUnique({
@@ -42,6 +50,7 @@ const authenticateToken = async (req, res, next) => {
         role: true,
         permissions: true,
         isActive: true,
+        mfaEnabled: true,
         lastLogin: true
       }
     });
@@ -168,6 +177,9 @@ const optionalAuth = async (req, res, next) => {
 
     // Verify token
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    if (decoded.type !== 'access') {
+      return next(); // Continue without user
+    }
     
     // Get user from database
     const user = await prisma.user.findUnique({
@@ -4,10 +4,16 @@ const { PrismaClient } = require('@prisma/client');
 const { authenticateToken, requirePermission } = require('../middleware/auth');
 const { auditLog } = require('../middleware/auditLog');
 const logger = require('../utils/logger');
+const assetRisk = require('../services/risk/assetRisk');
+const slaPolicy = require('../services/sla/slaPolicy');
+const { recordAudit, requestContext } = require('../services/audit/auditTrail');
 
 const router = express.Router();
 const prisma = new PrismaClient();
 
+// Asset fields the risk scoring engine depends on
+const RISK_FIELDS = ['criticality', 'tags', 'ipAddress'];
+
 /**
  * @swagger
  * components:
@@ -51,6 +57,12 @@ const prisma = new PrismaClient();
  *         riskScore:
  *           type: number
  *           format: float
+ *           readOnly: true
+ *           description: Computed from open findings, criticality and exposure
+ *         vulnerabilityCount:
+ *           type: integer
+ *           readOnly: true
+ *           description: Number of open or investigating findings
  *         lastSeen:
  *           type: string
  *           format: date-time
@@ -184,13 +196,6 @@ router.get('/', [
         createdBy: {
           select: { id: true, name: true, email: true }
         },
-        vulnerabilities: {
-          include: {
-            vulnerability: {
-              select: { id: true, severity: true, status: true }
-            }
-          }
-        },
         _count: {
           select: {
             vulnerabilities: true,
@@ -200,11 +205,9 @@ router.get('/', [
       }
     });
 
-    // Calculate vulnerability count for each asset
+    // vulnerabilityCount is maintained by the risk scoring engine
     const assetsWithStats = assets.map(asset => ({
       ...asset,
-      vulnerabilityCount: asset.vulnerabilities.length,
-      vulnerabilities: undefined, // Remove detailed vulnerabilities from response
       _count: undefined
     }));
 
@@ -459,16 +462,13 @@ router.post('/', [
       }
     });
 
-    await auditLog(
-      req.user.id,
-      'ASSET_CREATED',
-      'Asset',
-      asset.id,
-      null,
-      assetData,
-      req.ip,
-      req.get('User-Agent')
-    );
+    await recordAudit({
+      ...requestContext(req),
+      action: 'CREATE',
+      entityType: 'ASSET',
+      entityId: asset.id,
+      after: asset
+    });
 
     res.status(201).json({
       success: true,
@@ -523,8 +523,7 @@ router.put('/:id', [
   body('department').optional().trim().isLength({ max: 255 }),
   body('description').optional().trim().isLength({ max: 1000 }),
   body('tags').optional().isArray(),
-  body('tags.*').optional().trim().isLength({ max: 50 }),
-  body('riskScore').optional().isFloat({ min: 0, max: 10 })
+  body('tags.*').optional().trim().isLength({ max: 50 })
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -578,8 +577,11 @@ router.put('/:id', [
     delete updateData.id;
     delete updateData.createdAt;
     delete updateData.createdById;
+    // Computed server-side
+    delete updateData.riskScore;
+    delete updateData.vulnerabilityCount;
 
-    const asset = await prisma.asset.update({
+    let asset = await prisma.asset.update({
       where: { id },
       data: updateData,
       include: {
@@ -589,16 +591,23 @@ router.put('/:id', [
       }
     });
 
-    await auditLog(
-      req.user.id,
-      'ASSET_UPDATED',
-      'Asset',
-      asset.id,
-      currentAsset,
-      updateData,
-      req.ip,
-      req.get('User-Agent')
-    );
+    if (RISK_FIELDS.some(field => updateData[field] !== undefined)) {
+      const risk = await assetRisk.recalculateAssetRisk(id);
+      asset = { ...asset, ...risk };
+    }
+
+    if (updateData.criticality !== undefined) {
+      await slaPolicy.refreshDueDates({ assetId: id });
+    }
+
+    await recordAudit({
+      ...requestContext(req),
+      action: 'UPDATE',
+      entityType: 'ASSET',
+      entityId: asset.id,
+      before: currentAsset,
+      after: updateData
+    });
 
     res.json({
       success: true,
@@ -694,16 +703,13 @@ router.delete('/:id', [
       where: { id }
     });
 
-    await auditLog(
-      req.user.id,
-      'ASSET_DELETED',
-      'Asset',
-      id,
-      asset,
-      null,
-      req.ip,
-      req.get('User-Agent')
-    );
+    await recordAudit({
+      ...requestContext(req),
+      action: 'DELETE',
+      entityType: 'ASSET',
+      entityId: id,
+      before: asset
+    });
 
     res.json({
       success: true,
@@ -719,6 +725,42 @@ router.delete('/:id', [
   }
 });
 
+/**
+ * @swagger
+ * /api/assets/recalculate-risk:
+ *   post:
+ *     summary: Recalculate the risk score of every asset
+ *     description: Normally scores update on their own when findings, statuses or criticality change.
+ *     tags: [Assets]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Number of assets rescored
+ */
+router.post('/recalculate-risk', [
+  authenticateToken,
+  requirePermission('assets:write'),
+  auditLog('RECALCULATE_RISK', 'ASSETS')
+], async (req, res) => {
+  try {
+    const rescored = await assetRisk.recalculateAllAssetRisk();
+
+    res.json({
+      success: true,
+      message: 'Asset risk scores recalculated',
+      data: { rescored }
+    });
+
+  } catch (error) {
+    logger.error('Recalculate asset risk error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
 /**
  * @swagger
  * /api/assets/stats:
@@ -0,0 +1,516 @@
+const express = require('express');
+const { query, param, validationResult } = require('express-validator');
+const { PrismaClient } = require('@prisma/client');
+const { authenticateToken, requirePermission, requireRole } = require('../middleware/auth');
+const { auditLog } = require('../middleware/auditLog');
+const logger = require('../utils/logger');
+const auditChain = require('../services/audit/auditChain');
+const auditExport = require('../services/audit/auditExport');
+
+const router = express.Router();
+const prisma = new PrismaClient();
+
+const USER_SELECT = {
+  select: {
+    id: true,
+    name: true,
+    email: true
+  }
+};
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     AuditLog:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *         sequence:
+ *           type: integer
+ *           description: Position in the hash chain
+ *         action:
+ *           type: string
+ *           description: e.g. CREATE, UPDATE, DELETE, LOGIN
+ *         entityType:
+ *           type: string
+ *           description: e.g. USER, ASSET, VULNERABILITY
+ *         entityId:
+ *           type: string
+ *         changes:
+ *           type: object
+ *           properties:
+ *             before:
+ *               type: object
+ *               description: Values of the changed fields before the change
+ *             after:
+ *               type: object
+ *               description: Values of the changed fields after the change
+ *             metadata:
+ *               type: object
+ *         ipAddress:
+ *           type: string
+ *         userAgent:
+ *           type: string
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *         previousHash:
+ *           type: string
+ *           description: Hash of the entry before this one
+ *         hash:
+ *           type: string
+ *           description: SHA-256 over this entry and previousHash; null before the chain was introduced
+ *         user:
+ *           type: object
+ *           properties:
+ *             id:
+ *               type: string
+ *             name:
+ *               type: string
+ *             email:
+ *               type: string
+ */
+
+/**
+ * @swagger
+ * /api/audit:
+ *   get:
+ *     summary: Query the audit trail
+ *     tags: [Audit]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 50
+ *       - in: query
+ *         name: userId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: entityType
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: entityId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: action
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: sortOrder
+ *         schema:
+ *           type: string
+ *           enum: [asc, desc]
+ *           default: desc
+ *     responses:
+ *       200:
+ *         description: Audit entries, newest first by default
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     entries:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/AuditLog'
+ *                     total:
+ *                       type: integer
+ *                     page:
+ *                       type: integer
+ *                     totalPages:
+ *                       type: integer
+ */
+router.get('/', [
+  authenticateToken,
+  requirePermission('audit:read'),
+  query('page').optional().isInt({ min: 1 }).toInt(),
+  query('limit').optional().isInt({ min: 1, max: 200 }).toInt(),
+  query('userId').optional().isUUID(),
+  query('entityType').optional().trim().isLength({ min: 1, max: 100 }),
+  query('entityId').optional().trim().isLength({ min: 1, max: 255 }),
+  query('action').optional().trim().isLength({ min: 1, max: 100 }),
+  query('from').optional().isISO8601().toDate(),
+  query('to').optional().isISO8601().toDate(),
+  query('sortOrder').optional().isIn(['asc', 'desc'])
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const {
+      page = 1,
+      limit = 50,
+      userId,
+      entityType,
+      entityId,
+      action,
+      from,
+      to,
+      sortOrder = 'desc'
+    } = req.query;
+
+    if (from && to && from > to) {
+      return res.status(400).json({
+        success: false,
+        message: '`from` must not be after `to`'
+      });
+    }
+
+    const whereClause = {};
+
+    if (userId) {
+      whereClause.userId = userId;
+    }
+
+    if (entityType) {
+      whereClause.entityType = entityType.toUpperCase();
+    }
+
+    if (entityId) {
+      whereClause.entityId = entityId;
+    }
+
+    if (action) {
+      whereClause.action = action.toUpperCase();
+    }
+
+    if (from || to) {
+      whereClause.createdAt = {
+        ...(from && { gte: from }),
+        ...(to && { lte: to })
+      };
+    }
+
+    const [entries, total] = await Promise.all([
+      prisma.auditLog.findMany({
+        where: whereClause,
+        include: {
+          user: USER_SELECT
+        },
+        orderBy: { sequence: sortOrder },
+        skip: (page - 1) * limit,
+        take: limit
+      }),
+      prisma.auditLog.count({ where: whereClause })
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        entries,
+        total,
+        page,
+        totalPages: Math.ceil(total / limit)
+      }
+    });
+
+  } catch (error) {
+    logger.error('Get audit logs error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/audit/verify:
+ *   get:
+ *     summary: Verify the audit log hash chain
+ *     description: Recomputes every chained entry's hash and link and reports the first broken link
+ *     tags: [Audit]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Verification result
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     valid:
+ *                       type: boolean
+ *                     checked:
+ *                       type: integer
+ *                     unchained:
+ *                       type: integer
+ *                       description: Entries written before the chain was introduced
+ *                     lastSequence:
+ *                       type: integer
+ *                     lastHash:
+ *                       type: string
+ *                     firstBrokenLink:
+ *                       type: object
+ *                       nullable: true
+ *                       properties:
+ *                         id:
+ *                           type: string
+ *                         sequence:
+ *                           type: integer
+ *                         createdAt:
+ *                           type: string
+ *                           format: date-time
+ *                         reason:
+ *                           type: string
+ *                           enum: [hash_mismatch, chain_broken, missing_hash]
+ */
+router.get('/verify', [
+  authenticateToken,
+  requireRole('ADMIN')
+], async (req, res) => {
+  try {
+    const result = await auditChain.verifyChain();
+
+    if (!result.valid) {
+      logger.security('Audit log chain broken', { firstBrokenLink: result.firstBrokenLink, userId: req.user.id });
+    }
+
+    res.json({
+      success: true,
+      data: result
+    });
+
+  } catch (error) {
+    logger.error('Verify audit chain error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/audit/signing-key:
+ *   get:
+ *     summary: Get the public key audit exports are signed with
+ *     tags: [Audit]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Ed25519 public key (PEM) and its SHA-256 fingerprint
+ *       503:
+ *         description: No signing key configured
+ */
+router.get('/signing-key', [
+  authenticateToken,
+  requireRole('ADMIN')
+], async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      data: auditExport.signingPublicKey()
+    });
+
+  } catch (error) {
+    if (error.code === 'NOT_CONFIGURED') {
+      return res.status(503).json({
+        success: false,
+        message: error.message
+      });
+    }
+    logger.error('Get audit signing key error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/audit/export:
+ *   get:
+ *     summary: Export the audit log of a time range, signed
+ *     description: >
+ *       Returns a JSON document with the chained entries of the range and an
+ *       Ed25519 signature. Check it offline with `npm run audit:verify-export`.
+ *     tags: [Audit]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: from
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: to
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *     responses:
+ *       200:
+ *         description: Signed export document
+ *       400:
+ *         description: Invalid or too large range
+ *       503:
+ *         description: No signing key configured
+ */
+router.get('/export', [
+  authenticateToken,
+  requireRole('ADMIN'),
+  auditLog('EXPORT', 'AUDIT_LOG'),
+  query('from').isISO8601().toDate(),
+  query('to').isISO8601().toDate()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { from, to } = req.query;
+
+    if (from > to) {
+      return res.status(400).json({
+        success: false,
+        message: '`from` must not be after `to`'
+      });
+    }
+
+    const exported = await auditExport.buildExport({ from, to });
+
+    res.locals.audit = {
+      entityId: null,
+      after: null,
+      metadata: { from, to, entryCount: exported.entryCount, keyId: exported.signature.keyId }
+    };
+
+    const filename = `audit-export-${from.toISOString().split('T')[0]}-${to.toISOString().split('T')[0]}.json`;
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+    res.json(exported);
+
+  } catch (error) {
+    if (error.code === 'NOT_CONFIGURED') {
+      return res.status(503).json({
+        success: false,
+        message: error.message
+      });
+    }
+    if (error.code === 'TOO_LARGE') {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+    logger.error('Export audit log error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/audit/{id}:
+ *   get:
+ *     summary: Get an audit entry
+ *     tags: [Audit]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Audit entry
+ *       404:
+ *         description: Audit entry not found
+ */
+router.get('/:id', [
+  authenticateToken,
+  requirePermission('audit:read'),
+  param('id').isUUID()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const entry = await prisma.auditLog.findUnique({
+      where: { id: req.params.id },
+      include: {
+        user: USER_SELECT
+      }
+    });
+
+    if (!entry) {
+      return res.status(404).json({
+        success: false,
+        message: 'Audit entry not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: entry
+    });
+
+  } catch (error) {
+    logger.error('Get audit log error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+module.exports = router;
@@ -5,12 +5,31 @@ const { body, validationResult } = require('express-validator');
 const { PrismaClient } = require('@prisma/client');
 const redis = require('../config/redis');
 const { authenticateToken } = require('../middleware/auth');
-const { auditLog } = require('../middleware/auditLog');
+const { recordAudit, requestContext } = require('../services/audit/auditTrail');
+const mfa = require('../services/auth/mfa');
+const oidc = require('../services/auth/oidc');
+const ldap = require('../services/auth/ldap');
 const logger = require('../utils/logger');
 
 const router = express.Router();
 const prisma = new PrismaClient();
 
+const LOGIN_USER_SELECT = {
+  id: true,
+  email: true,
+  name: true,
+  password: true,
+  role: true,
+  permissions: true,
+  isActive: true,
+  mfaEnabled: true,
+  authProvider: true,
+  lastLogin: true
+};
+
+const SSO_STATE_COOKIE = 'ctem_oidc';
+const SSO_STATE_TTL_SECONDS = 10 * 60;
+
 /**
  * Generate JWT tokens
  */
@@ -35,6 +54,12 @@ const generateTokens = (userId) => {
  * /api/auth/login:
  *   post:
  *     summary: User login
+ *     description: >
+ *       Checks the password of local accounts. While LDAP is configured
+ *       (sso.ldap.*), directory accounts and users without an account bind
+ *       to the directory instead, and local accounts whose password does not
+ *       match are linked to their directory entry when the directory accepts
+ *       it.
  *     tags: [Authentication]
  *     requestBody:
  *       required: true
@@ -56,7 +81,11 @@ const generateTokens = (userId) => {
  *                 type: boolean
  *     responses:
  *       200:
- *         description: Login successful
+ *         description: >
+ *           Login successful, or the password was right and a second step is
+ *           needed: with `mfaRequired` send a code to /api/auth/login/mfa, with
+ *           `mfaEnrollmentRequired` enroll through /api/auth/mfa/setup and
+ *           /api/auth/mfa/enable. Both pass `mfaToken` along.
  *         content:
  *           application/json:
  *             schema:
@@ -73,6 +102,19 @@ const generateTokens = (userId) => {
  *                       type: string
  *                     user:
  *                       $ref: '#/components/schemas/User'
+ *                     mfaRequired:
+ *                       type: boolean
+ *                     mfaEnrollmentRequired:
+ *                       type: boolean
+ *                     mfaToken:
+ *                       type: string
+ *                       description: Challenge for the second step, valid for 5 minutes
+ *       401:
+ *         description: Invalid credentials or deactivated account
+ *       403:
+ *         description: The directory accepted the password but grants no access
+ *       503:
+ *         description: The directory could not be reached
  */
 router.post('/login', [
   body('email').isEmail().normalizeEmail(),
@@ -91,84 +133,198 @@ router.post('/login', [
     const { email, password, rememberMe } = req.body;
 
     // Find user
-    const user = await prisma.user.findUnique({
+    let user = await prisma.user.findUnique({
       where: { email },
-      select: {
-        id: true,
-        email: true,
-        name: true,
-        password: true,
-        role: true,
-        permissions: true,
-        isActive: true,
-        lastLogin: true
-      }
+      select: LOGIN_USER_SELECT
     });
 
-    if (!user) {
-      await auditLog(null, 'LOGIN_FAILED', 'User', null, { email }, null, req.ip, req.get('User-Agent'));
+    const ldapSettings = await ldap.getLdapSettings();
+    const useDirectory = ldap.isConfigured(ldapSettings) && (!user || user.authProvider !== oidc.PROVIDER);
+
+    if (!user && !useDirectory) {
+      await recordAudit({ ...requestContext(req), action: 'LOGIN_FAILED', entityType: 'USER', metadata: { email, reason: 'unknown_user' } });
       return res.status(401).json({
         success: false,
         message: 'Invalid credentials'
       });
     }
 
-    if (!user.isActive) {
-      await auditLog(user.id, 'LOGIN_FAILED', 'User', user.id, null, null, req.ip, req.get('User-Agent'));
+    if (user && !user.isActive) {
+      await recordAudit({ ...requestContext(req), userId: user.id, action: 'LOGIN_FAILED', entityType: 'USER', entityId: user.id, metadata: { reason: 'inactive' } });
       return res.status(401).json({
         success: false,
         message: 'Account has been deactivated'
       });
     }
 
-    // Verify password
-    const isValidPassword = await bcrypt.compare(password, user.password);
+    // Verify password; directory accounts only against the directory
+    const isValidPassword = Boolean(user) && user.authProvider !== ldap.PROVIDER && await bcrypt.compare(password, user.password);
+
     if (!isValidPassword) {
-      await auditLog(user.id, 'LOGIN_FAILED', 'User', user.id, null, null, req.ip, req.get('User-Agent'));
-      return res.status(401).json({
-        success: false,
-        message: 'Invalid credentials'
+      const attempt = useDirectory
+        ? await directoryLogin(req, ldapSettings, user, email, password)
+        : { reason: 'invalid_password' };
+
+      if (!attempt.user) {
+        await recordAudit({
+          ...requestContext(req),
+          ...(user && { userId: user.id, entityId: user.id }),
+          action: 'LOGIN_FAILED',
+          entityType: 'USER',
+          metadata: { ...(!user && { email }), reason: attempt.reason, ...(useDirectory && { ldap: true }) }
+        });
+        return res.status(attempt.status || 401).json({
+          success: false,
+          message: attempt.message || 'Invalid credentials'
+        });
+      }
+
+      user = attempt.user;
+    }
+
+    // Second step: a code for users with MFA, enrollment when MFA is required
+    if (user.mfaEnabled) {
+      return res.json({
+        success: true,
+        message: 'Verification code required',
+        data: {
+          mfaRequired: true,
+          mfaToken: mfa.issueChallenge(user.id, mfa.CHALLENGE_TYPES.VERIFY, { rememberMe: !!rememberMe })
+        }
       });
     }
 
-    // Generate tokens
-    const { accessToken, refreshToken } = generateTokens(user.id);
+    if (await mfa.isMfaRequired()) {
+      return res.json({
+        success: true,
+        message: 'Multi-factor authentication enrollment required',
+        data: {
+          mfaEnrollmentRequired: true,
+          mfaToken: mfa.issueChallenge(user.id, mfa.CHALLENGE_TYPES.ENROLL, { rememberMe: !!rememberMe })
+        }
+      });
+    }
 
-    // Store refresh token in database
-    const refreshTokenExpiry = new Date();
-    refreshTokenExpiry.setDate(refreshTokenExpiry.getDate() + (rememberMe ? 30 : 7));
+    res.json({
+      success: true,
+      message: 'Login successful',
+      data: await completeLogin(req, user, { rememberMe })
+    });
 
-    await prisma.refreshToken.create({
-      data: {
-        token: refreshToken,
-        userId: user.id,
-        expiresAt: refreshTokenExpiry
-      }
+  } catch (error) {
+    logger.error('Login error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
     });
+  }
+});
 
-    // Update last login
-    await prisma.user.update({
-      where: { id: user.id },
-      data: { lastLogin: new Date() }
+/**
+ * @swagger
+ * /api/auth/login/mfa:
+ *   post:
+ *     summary: Complete a login with a verification code
+ *     description: Second login step for users with MFA; accepts a TOTP code or an unused recovery code
+ *     tags: [Authentication]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - mfaToken
+ *               - code
+ *             properties:
+ *               mfaToken:
+ *                 type: string
+ *               code:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Login successful; `recoveryCodesRemaining` is set when a recovery code was used
+ *       401:
+ *         description: Invalid code or invalid or expired challenge
+ *       429:
+ *         description: Too many invalid codes for this challenge, or the attempts cannot be counted
+ *       503:
+ *         description: The challenge could not be revoked
+ */
+router.post('/login/mfa', [
+  body('mfaToken').isString().notEmpty(),
+  body('code').isString().trim().isLength({ min: 6, max: 20 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { mfaToken, code } = req.body;
+
+    const challenge = mfa.verifyChallenge(mfaToken, mfa.CHALLENGE_TYPES.VERIFY);
+    if (!challenge) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid or expired verification challenge'
+      });
+    }
+
+    if (!(await mfa.hasAttemptsLeft(challenge))) {
+      return res.status(429).json({
+        success: false,
+        message: 'Too many invalid codes. Please log in again.'
+      });
+    }
+
+    const user = await prisma.user.findUnique({
+      where: { id: challenge.userId },
+      select: LOGIN_USER_SELECT
     });
 
-    // Remove password from response
-    const { password: _, ...userWithoutPassword } = user;
+    if (!user || !user.isActive) {
+      return res.status(401).json({
+        success: false,
+        message: 'Account has been deactivated'
+      });
+    }
+
+    const method = await mfa.verifyCode(user.id, code);
+    if (!method) {
+      await mfa.recordFailedAttempt(challenge);
+      await recordAudit({ ...requestContext(req), userId: user.id, action: 'LOGIN_FAILED', entityType: 'USER', entityId: user.id, metadata: { reason: 'invalid_mfa_code' } });
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid verification code'
+      });
+    }
+
+    // A challenge that cannot be revoked could be exchanged again
+    if (!(await mfa.consumeChallenge(challenge))) {
+      return res.status(503).json({
+        success: false,
+        message: 'Verification is temporarily unavailable. Please log in again.'
+      });
+    }
 
-    await auditLog(user.id, 'LOGIN_SUCCESS', 'User', user.id, null, null, req.ip, req.get('User-Agent'));
+    const data = await completeLogin(req, user, { rememberMe: challenge.rememberMe, metadata: { mfa: method } });
+    if (method === 'recovery_code') {
+      data.recoveryCodesRemaining = await mfa.remainingRecoveryCodes(user.id);
+    }
 
     res.json({
       success: true,
       message: 'Login successful',
-      data: {
-        token: accessToken,
-        refreshToken,
-        user: userWithoutPassword
-      }
+      data
     });
 
   } catch (error) {
-    logger.error('Login error:', error);
+    logger.error('MFA login error:', error);
     res.status(500).json({
       success: false,
       message: 'Internal server error'
@@ -232,6 +388,15 @@ router.post('/refresh', [
       });
     }
 
+    // Sessions from before MFA became required end at the next refresh;
+    // SSO users get their second factor from the identity provider
+    if (storedToken.user.authProvider !== oidc.PROVIDER && !storedToken.user.mfaEnabled && await mfa.isMfaRequired()) {
+      return res.status(401).json({
+        success: false,
+        message: 'Multi-factor authentication enrollment required'
+      });
+    }
+
     // Generate new access token
     const { accessToken } = generateTokens(storedToken.userId);
 
@@ -258,6 +423,222 @@ router.post('/refresh', [
   }
 });
 
+/**
+ * @swagger
+ * /api/auth/sso/config:
+ *   get:
+ *     summary: Whether single sign-on is available
+ *     tags: [Authentication]
+ *     responses:
+ *       200:
+ *         description: enabled and the label of the login button
+ */
+router.get('/sso/config', async (req, res) => {
+  try {
+    const settings = await oidc.getOidcSettings();
+
+    res.json({
+      success: true,
+      data: {
+        enabled: oidc.isConfigured(settings),
+        buttonLabel: settings.buttonLabel
+      }
+    });
+
+  } catch (error) {
+    logger.error('Get SSO config error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/auth/sso/login:
+ *   get:
+ *     summary: Start an SSO login
+ *     description: Redirects the browser to the identity provider (OpenID Connect, authorization code with PKCE)
+ *     tags: [Authentication]
+ *     parameters:
+ *       - in: query
+ *         name: redirect
+ *         schema:
+ *           type: string
+ *         description: Frontend path to return to after the login
+ *     responses:
+ *       302:
+ *         description: Redirect to the identity provider, or to the login page when SSO is not configured
+ */
+router.get('/sso/login', async (req, res) => {
+  try {
+    const settings = await oidc.getOidcSettings();
+    if (!oidc.isConfigured(settings)) {
+      return ssoFailure(res, 'not_configured');
+    }
+
+    const { url, state, nonce, codeVerifier } = await oidc.createAuthorizationRequest(settings);
+
+    // Kept in the browser until the callback, unreadable by scripts
+    const loginState = jwt.sign(
+      { type: 'oidc_state', state, nonce, codeVerifier, redirect: safeRedirectPath(req.query.redirect) },
+      process.env.JWT_SECRET,
+      { expiresIn: SSO_STATE_TTL_SECONDS }
+    );
+    res.cookie(SSO_STATE_COOKIE, loginState, {
+      httpOnly: true,
+      secure: process.env.NODE_ENV === 'production',
+      sameSite: 'lax',
+      path: '/api/auth/sso',
+      maxAge: SSO_STATE_TTL_SECONDS * 1000
+    });
+
+    res.redirect(url);
+
+  } catch (error) {
+    logger.error('SSO login error:', error);
+    ssoFailure(res, 'provider_unavailable');
+  }
+});
+
+/**
+ * @swagger
+ * /api/auth/sso/callback:
+ *   get:
+ *     summary: SSO redirect URI
+ *     description: >
+ *       Completes the login at the identity provider and redirects to the
+ *       frontend login page with a one-time `sso_ticket` (or `sso_error`) in
+ *       the URL fragment, to be exchanged at /api/auth/sso/exchange.
+ *     tags: [Authentication]
+ *     responses:
+ *       302:
+ *         description: Redirect to the frontend
+ */
+router.get('/sso/callback', async (req, res) => {
+  res.clearCookie(SSO_STATE_COOKIE, { path: '/api/auth/sso' });
+
+  try {
+    const { code, state, error: providerError } = req.query;
+
+    if (providerError) {
+      logger.warn(`SSO login refused by the identity provider: ${providerError}`);
+      return ssoFailure(res, 'provider_error');
+    }
+
+    let loginState = null;
+    try {
+      loginState = jwt.verify(readCookie(req, SSO_STATE_COOKIE) || '', process.env.JWT_SECRET);
+    } catch (error) {
+      loginState = null;
+    }
+
+    if (!loginState || loginState.type !== 'oidc_state' || !code || typeof state !== 'string' || state !== loginState.state) {
+      return ssoFailure(res, 'invalid_state');
+    }
+
+    const settings = await oidc.getOidcSettings();
+    const claims = await oidc.completeAuthorization(settings, {
+      code: String(code),
+      codeVerifier: loginState.codeVerifier,
+      nonce: loginState.nonce
+    });
+
+    let user;
+    try {
+      user = await oidc.provisionUser(claims, settings, requestContext(req));
+    } catch (error) {
+      if (!error.code) throw error;
+      await recordAudit({ ...requestContext(req), action: 'LOGIN_FAILED', entityType: 'USER', metadata: { sso: oidc.PROVIDER, subject: claims.sub, email: claims.email, reason: error.code.toLowerCase() } });
+      return ssoFailure(res, error.code.toLowerCase());
+    }
+
+    const ticket = oidc.issueLoginTicket(user.id);
+    const fragment = new URLSearchParams({ sso_ticket: ticket, redirect: loginState.redirect });
+    res.redirect(`${frontendUrl()}/login#${fragment.toString()}`);
+
+  } catch (error) {
+    if (error.code) {
+      logger.warn(`SSO callback failed: ${error.message}`);
+      return ssoFailure(res, error.code.toLowerCase());
+    }
+    logger.error('SSO callback error:', error);
+    ssoFailure(res, 'internal_error');
+  }
+});
+
+/**
+ * @swagger
+ * /api/auth/sso/exchange:
+ *   post:
+ *     summary: Exchange an SSO ticket for tokens
+ *     tags: [Authentication]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - ticket
+ *             properties:
+ *               ticket:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Login successful
+ *       401:
+ *         description: Invalid, expired or used ticket
+ */
+router.post('/sso/exchange', [
+  body('ticket').isString().notEmpty()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const userId = await oidc.redeemLoginTicket(req.body.ticket);
+    if (!userId) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid or expired sign-in ticket'
+      });
+    }
+
+    const user = await prisma.user.findUnique({
+      where: { id: userId },
+      select: LOGIN_USER_SELECT
+    });
+
+    if (!user || !user.isActive) {
+      return res.status(401).json({
+        success: false,
+        message: 'Account has been deactivated'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Login successful',
+      data: await completeLogin(req, user, { metadata: { sso: oidc.PROVIDER } })
+    });
+
+  } catch (error) {
+    logger.error('SSO exchange error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
 /**
  * @swagger
  * /api/auth/logout:
@@ -300,7 +681,7 @@ router.post('/logout', authenticateToken, async (req, res) => {
       });
     }
 
-    await auditLog(req.user.id, 'LOGOUT', 'User', req.user.id, null, null, req.ip, req.get('User-Agent'));
+    await recordAudit({ ...requestContext(req), action: 'LOGOUT', entityType: 'USER', entityId: req.user.id });
 
     res.json({
       success: true,
@@ -414,7 +795,7 @@ router.post('/register', [
       }
     });
 
-    await auditLog(req.user.id, 'USER_CREATED', 'User', user.id, null, { email, name, role }, req.ip, req.get('User-Agent'));
+    await recordAudit({ ...requestContext(req), action: 'CREATE', entityType: 'USER', entityId: user.id, after: user });
 
     res.status(201).json({
       success: true,
@@ -451,6 +832,7 @@ router.get('/me', authenticateToken, async (req, res) => {
         role: true,
         permissions: true,
         avatar: true,
+        mfaEnabled: true,
         lastLogin: true,
         isActive: true,
         createdAt: true,
@@ -502,6 +884,13 @@ router.get('/me', authenticateToken, async (req, res) => {
  *               newPassword:
  *                 type: string
  *                 minLength: 8
+ *     responses:
+ *       200:
+ *         description: Password changed
+ *       400:
+ *         description: >
+ *           Wrong current password, or the password is managed by the
+ *           directory or identity provider
  */
 router.put('/change-password', [
   authenticateToken,
@@ -523,9 +912,17 @@ router.put('/change-password', [
     // Get user with password
     const user = await prisma.user.findUnique({
       where: { id: req.user.id },
-      select: { id: true, password: true }
+      select: { id: true, password: true, authProvider: true }
     });
 
+    // Directory and SSO accounts keep their password outside
+    if (user.authProvider !== 'local') {
+      return res.status(400).json({
+        success: false,
+        message: 'Password is managed by your identity provider'
+      });
+    }
+
     // Verify current password
     const isValidPassword = await bcrypt.compare(currentPassword, user.password);
     if (!isValidPassword) {
@@ -549,7 +946,7 @@ router.put('/change-password', [
       where: { userId: req.user.id }
     });
 
-    await auditLog(req.user.id, 'PASSWORD_CHANGED', 'User', req.user.id, null, null, req.ip, req.get('User-Agent'));
+    await recordAudit({ ...requestContext(req), action: 'PASSWORD_CHANGE', entityType: 'USER', entityId: req.user.id });
 
     res.json({
       success: true,
@@ -565,4 +962,518 @@ router.put('/change-password', [
   }
 });
 
+/**
+ * @swagger
+ * /api/auth/mfa/setup:
+ *   post:
+ *     summary: Start MFA enrollment
+ *     description: >
+ *       Creates a new TOTP secret, pending until confirmed with
+ *       /api/auth/mfa/enable. Authenticate with the access token, or pass the
+ *       enrollment `mfaToken` from /api/auth/login when MFA is required.
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               mfaToken:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Secret (base32) and otpauth:// provisioning URI for the QR code
+ *       400:
+ *         description: MFA is already enabled
+ */
+router.post('/mfa/setup', authenticateEnrollment, async (req, res) => {
+  try {
+    if (req.user.mfaEnabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Multi-factor authentication is already enabled'
+      });
+    }
+
+    const enrollment = await mfa.beginEnrollment(req.user);
+
+    res.json({
+      success: true,
+      data: enrollment
+    });
+
+  } catch (error) {
+    logger.error('MFA setup error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/auth/mfa/enable:
+ *   post:
+ *     summary: Confirm MFA enrollment with a code from the authenticator app
+ *     description: >
+ *       Enables MFA and returns the recovery codes, which are not shown again.
+ *       When enrolling with an `mfaToken` during login, the response also
+ *       holds the login tokens.
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - code
+ *             properties:
+ *               code:
+ *                 type: string
+ *               mfaToken:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: MFA enabled
+ *       400:
+ *         description: Invalid code, no pending enrollment or MFA already enabled
+ */
+router.post('/mfa/enable', [
+  authenticateEnrollment,
+  body('code').isString().trim().matches(/^\d{6}$/)
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    if (req.user.mfaEnabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Multi-factor authentication is already enabled'
+      });
+    }
+
+    const recoveryCodes = await mfa.completeEnrollment(req.user.id, req.body.code);
+    if (!recoveryCodes) {
+      if (req.mfaChallenge) {
+        await mfa.recordFailedAttempt(req.mfaChallenge);
+      }
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid verification code'
+      });
+    }
+
+    await recordAudit({ ...requestContext(req), action: 'MFA_ENABLE', entityType: 'USER', entityId: req.user.id, before: { mfaEnabled: false }, after: { mfaEnabled: true } });
+
+    let data = { recoveryCodes };
+    if (req.mfaChallenge) {
+      await mfa.consumeChallenge(req.mfaChallenge);
+      const user = { ...req.user, mfaEnabled: true };
+      data = {
+        ...data,
+        ...await completeLogin(req, user, { rememberMe: req.mfaChallenge.rememberMe, metadata: { mfa: 'totp' } })
+      };
+    }
+
+    res.json({
+      success: true,
+      message: 'Multi-factor authentication enabled',
+      data
+    });
+
+  } catch (error) {
+    logger.error('MFA enable error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/auth/mfa/disable:
+ *   post:
+ *     summary: Disable MFA
+ *     description: Not allowed while the security.requireMFA setting is on
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - password
+ *               - code
+ *             properties:
+ *               password:
+ *                 type: string
+ *               code:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: MFA disabled
+ *       400:
+ *         description: >
+ *           Wrong password or code, MFA not enabled, or the account signs in
+ *           through an identity provider
+ *       403:
+ *         description: MFA is required by the security policy
+ *       503:
+ *         description: Directory service unavailable
+ */
+router.post('/mfa/disable', [
+  authenticateToken,
+  body('password').notEmpty(),
+  body('code').isString().trim().isLength({ min: 6, max: 20 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    if (await mfa.isMfaRequired()) {
+      return res.status(403).json({
+        success: false,
+        message: 'Multi-factor authentication is required by the security policy'
+      });
+    }
+
+    const { password, code } = req.body;
+
+    const user = await prisma.user.findUnique({
+      where: { id: req.user.id },
+      select: { id: true, email: true, password: true, mfaEnabled: true, authProvider: true, externalId: true }
+    });
+
+    if (!user.mfaEnabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Multi-factor authentication is not enabled'
+      });
+    }
+
+    if (user.authProvider !== 'local' && user.authProvider !== ldap.PROVIDER) {
+      return res.status(400).json({
+        success: false,
+        message: 'Password is managed by your identity provider'
+      });
+    }
+
+    let isValidPassword;
+    try {
+      isValidPassword = await checkPassword(user, password);
+    } catch (error) {
+      if (!error.code) throw error;
+      logger.error('LDAP password check error:', error);
+      return res.status(503).json({
+        success: false,
+        message: 'Directory service unavailable'
+      });
+    }
+    if (!isValidPassword) {
+      return res.status(400).json({
+        success: false,
+        message: 'Password is incorrect'
+      });
+    }
+
+    if (!(await mfa.verifyCode(user.id, code))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid verification code'
+      });
+    }
+
+    await mfa.disable(user.id);
+
+    await recordAudit({ ...requestContext(req), action: 'MFA_DISABLE', entityType: 'USER', entityId: user.id, before: { mfaEnabled: true }, after: { mfaEnabled: false } });
+
+    res.json({
+      success: true,
+      message: 'Multi-factor authentication disabled'
+    });
+
+  } catch (error) {
+    logger.error('MFA disable error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/auth/mfa/recovery-codes:
+ *   post:
+ *     summary: Replace the recovery codes
+ *     description: Invalidates the previous recovery codes; the new ones are not shown again
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - code
+ *             properties:
+ *               code:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: New recovery codes
+ *       400:
+ *         description: Invalid code or MFA not enabled
+ */
+router.post('/mfa/recovery-codes', [
+  authenticateToken,
+  body('code').isString().trim().isLength({ min: 6, max: 20 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    if (!req.user.mfaEnabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Multi-factor authentication is not enabled'
+      });
+    }
+
+    if (!(await mfa.verifyCode(req.user.id, req.body.code))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid verification code'
+      });
+    }
+
+    const recoveryCodes = await mfa.regenerateRecoveryCodes(req.user.id);
+
+    await recordAudit({ ...requestContext(req), action: 'MFA_RECOVERY_CODES_REGENERATE', entityType: 'USER', entityId: req.user.id });
+
+    res.json({
+      success: true,
+      message: 'Recovery codes regenerated',
+      data: { recoveryCodes }
+    });
+
+  } catch (error) {
+    logger.error('Regenerate recovery codes error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+/**
+ * Issue tokens for a user who passed every login step
+ *
+ * @param {Object} req
+ * @param {Object} user - LOGIN_USER_SELECT fields
+ * @param {Object} options - rememberMe, and metadata for the LOGIN audit entry
+ * @returns {Promise<Object>} token, refreshToken and user for the response
+ */
+async function completeLogin(req, user, { rememberMe, metadata } = {}) {
+  // Generate tokens
+  const { accessToken, refreshToken } = generateTokens(user.id);
+
+  // Store refresh token in database
+  const refreshTokenExpiry = new Date();
+  refreshTokenExpiry.setDate(refreshTokenExpiry.getDate() + (rememberMe ? 30 : 7));
+
+  await prisma.refreshToken.create({
+    data: {
+      token: refreshToken,
+      userId: user.id,
+      expiresAt: refreshTokenExpiry
+    }
+  });
+
+  // Update last login
+  await prisma.user.update({
+    where: { id: user.id },
+    data: { lastLogin: new Date() }
+  });
+
+  // Remove password from response
+  const { password: _, ...userWithoutPassword } = user;
+
+  await recordAudit({
+    ...requestContext(req),
+    userId: user.id,
+    action: 'LOGIN',
+    entityType: 'USER',
+    entityId: user.id,
+    ...(metadata && { metadata })
+  });
+
+  return {
+    token: accessToken,
+    refreshToken,
+    user: userWithoutPassword
+  };
+}
+
+/**
+ * Check a password where the user's account keeps it: the local hash, or
+ * the directory for LDAP accounts
+ *
+ * @returns {Promise<boolean>} Whether the password is right; directory
+ *   failures other than wrong credentials are thrown
+ */
+async function checkPassword(user, password) {
+  if (user.authProvider !== ldap.PROVIDER) {
+    return bcrypt.compare(password, user.password);
+  }
+
+  try {
+    const profile = await ldap.authenticate(await ldap.getLdapSettings(), user.email, password);
+    return profile.externalId === user.externalId;
+  } catch (error) {
+    if (error.code === 'INVALID_CREDENTIALS') return false;
+    throw error;
+  }
+}
+
+/**
+ * Check a password against the directory and provision or update the
+ * user's account
+ *
+ * @returns {Promise<Object>} The user, or the reason, status and message of
+ *   the failure
+ */
+async function directoryLogin(req, settings, user, email, password) {
+  let profile;
+  try {
+    profile = await ldap.authenticate(settings, email, password);
+  } catch (error) {
+    if (error.code === 'INVALID_CREDENTIALS') {
+      return { reason: user ? 'invalid_password' : 'unknown_user' };
+    }
+    if (!error.code) throw error;
+    logger.error('LDAP login error:', error);
+    return { reason: 'directory_unavailable', status: 503, message: 'Directory service unavailable' };
+  }
+
+  try {
+    const { id } = await ldap.provisionUser(profile, settings, requestContext(req));
+    return {
+      user: await prisma.user.findUnique({
+        where: { id },
+        select: LOGIN_USER_SELECT
+      })
+    };
+  } catch (error) {
+    if (!error.code) throw error;
+    return {
+      reason: error.code.toLowerCase(),
+      status: error.code === 'INACTIVE' ? 401 : 403,
+      message: error.message
+    };
+  }
+}
+
+/**
+ * Authenticate with the access token, or with the enrollment challenge in
+ * `mfaToken` for users made to enroll during login
+ */
+async function authenticateEnrollment(req, res, next) {
+  if (!req.body || !req.body.mfaToken) {
+    return authenticateToken(req, res, next);
+  }
+
+  try {
+    const challenge = mfa.verifyChallenge(req.body.mfaToken, mfa.CHALLENGE_TYPES.ENROLL);
+    if (!challenge || !(await mfa.hasAttemptsLeft(challenge))) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid or expired verification challenge'
+      });
+    }
+
+    const user = await prisma.user.findUnique({
+      where: { id: challenge.userId },
+      select: LOGIN_USER_SELECT
+    });
+
+    if (!user || !user.isActive) {
+      return res.status(401).json({
+        success: false,
+        message: 'Account has been deactivated'
+      });
+    }
+
+    const { password: _, ...userWithoutPassword } = user;
+    req.user = userWithoutPassword;
+    req.mfaChallenge = challenge;
+    next();
+
+  } catch (error) {
+    logger.error('MFA enrollment authentication error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Authentication failed'
+    });
+  }
+}
+
+function frontendUrl() {
+  return (process.env.FRONTEND_URL || 'http://localhost:5173').replace(/\/+$/, '');
+}
+
+/**
+ * Back to the login page with an error code in the fragment
+ */
+function ssoFailure(res, code) {
+  res.redirect(`${frontendUrl()}/login#${new URLSearchParams({ sso_error: code }).toString()}`);
+}
+
+/**
+ * Only paths within the frontend, never another origin
+ */
+function safeRedirectPath(path) {
+  return typeof path === 'string' && /^\/(?![\/\\])/.test(path) ? path : '/';
+}
+
+function readCookie(req, name) {
+  const cookies = (req.headers.cookie || '').split(';');
+  for (const cookie of cookies) {
+    const [key, ...value] = cookie.trim().split('=');
+    if (key === name) return decodeURIComponent(value.join('='));
+  }
+  return null;
+}
+
 module.exports = router;
\ No newline at end of file
@@ -4,6 +4,7 @@ const { PrismaClient } = require('@prisma/client');
 const { authenticateToken, requirePermission } = require('../middleware/auth');
 const { auditLog } = require('../middleware/auditLog');
 const logger = require('../utils/logger');
+const slaPolicy = require('../services/sla/slaPolicy');
 
 const router = express.Router();
 const prisma = new PrismaClient();
@@ -31,6 +32,28 @@ const prisma = new PrismaClient();
  *           type: integer
  *         patchingEfficiency:
  *           type: number
+ *         kevOpenOnCriticalAssets:
+ *           type: integer
+ *           description: Open CISA KEV findings on critical assets
+ *         kevOverdueOnCriticalAssets:
+ *           type: integer
+ *           description: Open CISA KEV findings on critical assets past their KEV due date
+ *         slaOnTimePercent:
+ *           type: number
+ *           description: Share of measured findings remediated by their SLA due date
+ *         slaBreachedPercent:
+ *           type: number
+ *           description: Share of measured findings remediated late or open past their SLA due date
+ *         slaOpenBreached:
+ *           type: integer
+ *           description: Open findings past their SLA due date
+ *         slaDueSoon:
+ *           type: integer
+ *           description: Open findings due within the next 7 days
+ *         mttrDays:
+ *           type: number
+ *           nullable: true
+ *           description: Mean days from detection to remediation of mitigated findings
  */
 
 /**
@@ -66,7 +89,9 @@ router.get('/stats', [
       riskStats,
       complianceStats,
       recentAlerts,
-      patchingStats
+      patchingStats,
+      kevStats,
+      slaStats
     ] = await Promise.all([
       // Asset statistics
       Promise.all([
@@ -121,7 +146,31 @@ router.get('/stats', [
             vulnerability: { patchAvailable: true }
           }
         })
-      ])
+      ]),
+
+      // Known-exploited (CISA KEV) findings still open on critical assets
+      Promise.all([
+        prisma.assetVulnerability.count({
+          where: {
+            status: 'OPEN',
+            asset: { criticality: 'CRITICAL' },
+            vulnerability: { knownExploited: true }
+          }
+        }),
+        prisma.assetVulnerability.count({
+          where: {
+            status: 'OPEN',
+            asset: { criticality: 'CRITICAL' },
+            vulnerability: {
+              knownExploited: true,
+              kevDueDate: { lt: new Date() }
+            }
+          }
+        })
+      ]),
+
+      // Remediation SLA performance and MTTR
+      slaPolicy.slaStats()
     ]);
 
     // Process stats
@@ -130,6 +179,7 @@ router.get('/stats', [
     const [totalRisks, mitigatedRisks, avgRiskScoreRisks] = riskStats;
     const [avgComplianceScore, activeFrameworks] = complianceStats;
     const [patchableVulns, patchedVulns] = patchingStats;
+    const [kevOpenOnCriticalAssets, kevOverdueOnCriticalAssets] = kevStats;
 
     const patchingEfficiency = patchableVulns > 0 ? (patchedVulns / patchableVulns) * 100 : 0;
 
@@ -141,7 +191,10 @@ router.get('/stats', [
       averageRiskScore: Number((avgRiskScore._avg.riskScore || 0).toFixed(1)),
       complianceScore: Number((avgComplianceScore._avg.complianceScore || 0).toFixed(1)),
       recentAlerts,
-      patchingEfficiency: Number(patchingEfficiency.toFixed(1))
+      patchingEfficiency: Number(patchingEfficiency.toFixed(1)),
+      kevOpenOnCriticalAssets,
+      kevOverdueOnCriticalAssets,
+      ...slaStats
     };
 
     res.json({
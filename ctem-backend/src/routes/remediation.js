@@ -0,0 +1,1295 @@
+const express = require('express');
+const { body, query, param, validationResult } = require('express-validator');
+const { PrismaClient } = require('@prisma/client');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const { auditLog } = require('../middleware/auditLog');
+const logger = require('../utils/logger');
+const remediation = require('../services/remediation/remediation');
+const assetRisk = require('../services/risk/assetRisk');
+
+const router = express.Router();
+const prisma = new PrismaClient();
+
+const PLAN_STATUSES = remediation.PLAN_STATUSES.map(status => status.toLowerCase());
+const TASK_STATUSES = remediation.TASK_STATUSES.map(status => status.toLowerCase());
+const EDITABLE_TASK_STATUSES = remediation.EDITABLE_TASK_STATUSES.map(status => status.toLowerCase());
+
+const USER_SELECT = {
+  select: {
+    id: true,
+    name: true
+  }
+};
+
+const FINDING_INCLUDE = {
+  select: {
+    id: true,
+    status: true,
+    detectedAt: true,
+    resolvedAt: true,
+    asset: {
+      select: { id: true, name: true }
+    },
+    vulnerability: {
+      select: { id: true, title: true, cveId: true, severity: true }
+    }
+  }
+};
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     RemediationPlan:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *         title:
+ *           type: string
+ *         description:
+ *           type: string
+ *         status:
+ *           type: string
+ *           enum: [open, in_progress, completed, cancelled]
+ *           description: Follows the tasks; completed once every task is verified
+ *         owner:
+ *           type: object
+ *           properties:
+ *             id:
+ *               type: string
+ *             name:
+ *               type: string
+ *         dueDate:
+ *           type: string
+ *           format: date
+ *         progress:
+ *           type: integer
+ *           description: Average task progress in percent
+ *         risk:
+ *           type: object
+ *           properties:
+ *             id:
+ *               type: string
+ *             title:
+ *               type: string
+ *             riskScore:
+ *               type: number
+ *         taskCount:
+ *           type: integer
+ *         isOverdue:
+ *           type: boolean
+ *         completedAt:
+ *           type: string
+ *           format: date-time
+ *     RemediationTask:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *         planId:
+ *           type: string
+ *         title:
+ *           type: string
+ *         description:
+ *           type: string
+ *         status:
+ *           type: string
+ *           enum: [todo, in_progress, blocked, done, verified]
+ *         owner:
+ *           type: object
+ *         dueDate:
+ *           type: string
+ *           format: date
+ *         progress:
+ *           type: integer
+ *         position:
+ *           type: integer
+ *           description: Order within the board column
+ *         findings:
+ *           type: array
+ *           description: Findings (asset vulnerabilities) the task remediates
+ *           items:
+ *             type: object
+ *         verifiedAt:
+ *           type: string
+ *           format: date-time
+ *         verifiedBy:
+ *           type: object
+ */
+
+/**
+ * @swagger
+ * /api/remediation/plans:
+ *   get:
+ *     summary: List remediation plans
+ *     tags: [Remediation]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           maximum: 100
+ *           default: 20
+ *       - in: query
+ *         name: search
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [open, in_progress, completed, cancelled]
+ *       - in: query
+ *         name: ownerId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: riskId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: sortBy
+ *         schema:
+ *           type: string
+ *           enum: [createdAt, updatedAt, dueDate, title, progress]
+ *           default: createdAt
+ *       - in: query
+ *         name: sortOrder
+ *         schema:
+ *           type: string
+ *           enum: [asc, desc]
+ *           default: desc
+ *     responses:
+ *       200:
+ *         description: List of remediation plans
+ */
+router.get('/plans', [
+  authenticateToken,
+  requirePermission('remediation:read'),
+  query('page').optional().isInt({ min: 1 }).toInt(),
+  query('limit').optional().isInt({ min: 1, max: 100 }).toInt(),
+  query('search').optional().trim(),
+  query('status').optional().isIn(PLAN_STATUSES),
+  query('ownerId').optional().isUUID(),
+  query('riskId').optional().isUUID(),
+  query('sortBy').optional().isIn(['createdAt', 'updatedAt', 'dueDate', 'title', 'progress']),
+  query('sortOrder').optional().isIn(['asc', 'desc'])
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const {
+      page = 1,
+      limit = 20,
+      search,
+      status,
+      ownerId,
+      riskId,
+      sortBy = 'createdAt',
+      sortOrder = 'desc'
+    } = req.query;
+
+    const whereClause = {};
+
+    if (search) {
+      whereClause.OR = [
+        { title: { contains: search, mode: 'insensitive' } },
+        { description: { contains: search, mode: 'insensitive' } }
+      ];
+    }
+
+    if (status) {
+      whereClause.status = status.toUpperCase();
+    }
+
+    if (ownerId) {
+      whereClause.ownerId = ownerId;
+    }
+
+    if (riskId) {
+      whereClause.riskId = riskId;
+    }
+
+    const [plans, total] = await Promise.all([
+      prisma.remediationPlan.findMany({
+        where: whereClause,
+        include: {
+          owner: USER_SELECT,
+          risk: {
+            select: { id: true, title: true, riskScore: true }
+          },
+          _count: {
+            select: { tasks: true }
+          }
+        },
+        orderBy: { [sortBy]: sortOrder },
+        skip: (page - 1) * limit,
+        take: limit
+      }),
+      prisma.remediationPlan.count({ where: whereClause })
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        plans: plans.map(formatPlan),
+        total,
+        page,
+        totalPages: Math.ceil(total / limit)
+      }
+    });
+
+  } catch (error) {
+    logger.error('Get remediation plans error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/remediation/plans/{id}:
+ *   get:
+ *     summary: Get a remediation plan with its tasks and their findings
+ *     tags: [Remediation]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Remediation plan
+ *       404:
+ *         description: Remediation plan not found
+ */
+router.get('/plans/:id', [
+  authenticateToken,
+  requirePermission('remediation:read'),
+  param('id').isUUID()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const plan = await prisma.remediationPlan.findUnique({
+      where: { id: req.params.id },
+      include: {
+        owner: USER_SELECT,
+        createdBy: USER_SELECT,
+        risk: {
+          select: { id: true, title: true, riskScore: true, status: true }
+        },
+        tasks: {
+          include: {
+            owner: USER_SELECT,
+            verifiedBy: USER_SELECT,
+            findings: FINDING_INCLUDE
+          },
+          orderBy: [{ position: 'asc' }, { createdAt: 'asc' }]
+        }
+      }
+    });
+
+    if (!plan) {
+      return res.status(404).json({
+        success: false,
+        message: 'Remediation plan not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        ...formatPlan(plan),
+        createdBy: plan.createdBy,
+        tasks: plan.tasks.map(formatTask)
+      }
+    });
+
+  } catch (error) {
+    logger.error('Get remediation plan error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/remediation/plans:
+ *   post:
+ *     summary: Create a remediation plan
+ *     tags: [Remediation]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - title
+ *             properties:
+ *               title:
+ *                 type: string
+ *               description:
+ *                 type: string
+ *               ownerId:
+ *                 type: string
+ *               dueDate:
+ *                 type: string
+ *                 format: date
+ *               riskId:
+ *                 type: string
+ *                 description: Risk the plan mitigates
+ *     responses:
+ *       201:
+ *         description: Remediation plan created
+ *       400:
+ *         description: Validation error
+ */
+router.post('/plans', [
+  authenticateToken,
+  requirePermission('remediation:create'),
+  auditLog('CREATE', 'REMEDIATION_PLAN'),
+  body('title').trim().isLength({ min: 1, max: 200 }).withMessage('Title must be between 1 and 200 characters'),
+  body('description').optional({ values: 'null' }).trim().isLength({ max: 2000 }),
+  body('ownerId').optional({ values: 'null' }).isUUID(),
+  body('dueDate').optional({ values: 'null' }).isISO8601().toDate(),
+  body('riskId').optional({ values: 'null' }).isUUID()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { title, description, ownerId, dueDate, riskId } = req.body;
+
+    const problem = await referenceProblem({ ownerId, riskId });
+    if (problem) {
+      return res.status(400).json({
+        success: false,
+        message: problem
+      });
+    }
+
+    const plan = await prisma.remediationPlan.create({
+      data: {
+        title,
+        description: description || null,
+        ownerId: ownerId || null,
+        dueDate: dueDate || null,
+        riskId: riskId || null,
+        createdById: req.user.id
+      },
+      include: {
+        owner: USER_SELECT,
+        risk: {
+          select: { id: true, title: true, riskScore: true }
+        },
+        _count: {
+          select: { tasks: true }
+        }
+      }
+    });
+
+    res.status(201).json({
+      success: true,
+      data: formatPlan(plan),
+      message: 'Remediation plan created successfully'
+    });
+
+  } catch (error) {
+    logger.error('Create remediation plan error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/remediation/plans/{id}:
+ *   put:
+ *     summary: Update a remediation plan
+ *     description: >
+ *       Status follows the tasks; it can only be set to cancelled, or to
+ *       open to reopen a cancelled plan.
+ *     tags: [Remediation]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               title:
+ *                 type: string
+ *               description:
+ *                 type: string
+ *               status:
+ *                 type: string
+ *                 enum: [open, cancelled]
+ *               ownerId:
+ *                 type: string
+ *               dueDate:
+ *                 type: string
+ *                 format: date
+ *               riskId:
+ *                 type: string
+ */
+router.put('/plans/:id', [
+  authenticateToken,
+  requirePermission('remediation:update'),
+  auditLog('UPDATE', 'REMEDIATION_PLAN'),
+  param('id').isUUID(),
+  body('title').optional().trim().isLength({ min: 1, max: 200 }),
+  body('description').optional({ values: 'null' }).trim().isLength({ max: 2000 }),
+  body('status').optional().isIn(['open', 'cancelled']),
+  body('ownerId').optional({ values: 'null' }).isUUID(),
+  body('dueDate').optional({ values: 'null' }).isISO8601().toDate(),
+  body('riskId').optional({ values: 'null' }).isUUID()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { id } = req.params;
+    const { title, description, status, ownerId, dueDate, riskId } = req.body;
+
+    const existing = await prisma.remediationPlan.findUnique({ where: { id } });
+    if (!existing) {
+      return res.status(404).json({
+        success: false,
+        message: 'Remediation plan not found'
+      });
+    }
+
+    const problem = await referenceProblem({ ownerId, riskId });
+    if (problem) {
+      return res.status(400).json({
+        success: false,
+        message: problem
+      });
+    }
+
+    const updateData = {};
+    if (title !== undefined) updateData.title = title;
+    if (description !== undefined) updateData.description = description || null;
+    if (ownerId !== undefined) updateData.ownerId = ownerId || null;
+    if (dueDate !== undefined) updateData.dueDate = dueDate || null;
+    if (riskId !== undefined) updateData.riskId = riskId || null;
+    // Reopened plans take their status from the tasks again
+    if (status !== undefined) updateData.status = status.toUpperCase();
+
+    await prisma.remediationPlan.update({
+      where: { id },
+      data: updateData
+    });
+    await remediation.refreshPlan(id);
+
+    res.locals.audit = { entityId: id, before: existing, after: updateData };
+
+    const plan = await prisma.remediationPlan.findUnique({
+      where: { id },
+      include: {
+        owner: USER_SELECT,
+        risk: {
+          select: { id: true, title: true, riskScore: true }
+        },
+        _count: {
+          select: { tasks: true }
+        }
+      }
+    });
+
+    res.json({
+      success: true,
+      data: formatPlan(plan),
+      message: 'Remediation plan updated successfully'
+    });
+
+  } catch (error) {
+    if (error.code === 'P2025') {
+      return res.status(404).json({
+        success: false,
+        message: 'Remediation plan not found'
+      });
+    }
+    logger.error('Update remediation plan error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/remediation/plans/{id}:
+ *   delete:
+ *     summary: Delete a remediation plan and its tasks
+ *     tags: [Remediation]
+ *     security:
+ *       - bearerAuth: []
+ */
+router.delete('/plans/:id', [
+  authenticateToken,
+  requirePermission('remediation:delete'),
+  auditLog('DELETE', 'REMEDIATION_PLAN'),
+  param('id').isUUID()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const plan = await prisma.remediationPlan.delete({
+      where: { id: req.params.id }
+    });
+
+    res.locals.audit = { entityId: plan.id, before: plan };
+
+    res.json({
+      success: true,
+      message: 'Remediation plan deleted successfully'
+    });
+
+  } catch (error) {
+    if (error.code === 'P2025') {
+      return res.status(404).json({
+        success: false,
+        message: 'Remediation plan not found'
+      });
+    }
+    logger.error('Delete remediation plan error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/remediation/tasks:
+ *   get:
+ *     summary: List remediation tasks for the board
+ *     description: >
+ *       Without planId only tasks of open and in-progress plans are
+ *       listed, ordered by their position within each status column.
+ *     tags: [Remediation]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: planId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [todo, in_progress, blocked, done, verified]
+ *       - in: query
+ *         name: ownerId
+ *         schema:
+ *           type: string
+ */
+router.get('/tasks', [
+  authenticateToken,
+  requirePermission('remediation:read'),
+  query('planId').optional().isUUID(),
+  query('status').optional().isIn(TASK_STATUSES),
+  query('ownerId').optional().isUUID()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { planId, status, ownerId } = req.query;
+
+    const whereClause = planId
+      ? { planId }
+      : { plan: { status: { in: ['OPEN', 'IN_PROGRESS'] } } };
+
+    if (status) {
+      whereClause.status = status.toUpperCase();
+    }
+
+    if (ownerId) {
+      whereClause.ownerId = ownerId;
+    }
+
+    const tasks = await prisma.remediationTask.findMany({
+      where: whereClause,
+      include: {
+        plan: {
+          select: { id: true, title: true }
+        },
+        owner: USER_SELECT,
+        verifiedBy: USER_SELECT,
+        findings: FINDING_INCLUDE
+      },
+      orderBy: [{ position: 'asc' }, { createdAt: 'asc' }]
+    });
+
+    res.json({
+      success: true,
+      data: tasks.map(formatTask)
+    });
+
+  } catch (error) {
+    logger.error('Get remediation tasks error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/remediation/plans/{id}/tasks:
+ *   post:
+ *     summary: Add a task to a remediation plan
+ *     tags: [Remediation]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - title
+ *             properties:
+ *               title:
+ *                 type: string
+ *               description:
+ *                 type: string
+ *               ownerId:
+ *                 type: string
+ *               dueDate:
+ *                 type: string
+ *                 format: date
+ *               findingIds:
+ *                 type: array
+ *                 description: Asset vulnerability IDs closed when the task is verified
+ *                 items:
+ *                   type: string
+ */
+router.post('/plans/:id/tasks', [
+  authenticateToken,
+  requirePermission('remediation:create'),
+  auditLog('CREATE', 'REMEDIATION_TASK'),
+  param('id').isUUID(),
+  body('title').trim().isLength({ min: 1, max: 200 }).withMessage('Title must be between 1 and 200 characters'),
+  body('description').optional({ values: 'null' }).trim().isLength({ max: 2000 }),
+  body('ownerId').optional({ values: 'null' }).isUUID(),
+  body('dueDate').optional({ values: 'null' }).isISO8601().toDate(),
+  body('findingIds').optional().isArray({ max: 500 }),
+  body('findingIds.*').isUUID()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { id } = req.params;
+    const { title, description, ownerId, dueDate, findingIds = [] } = req.body;
+
+    const plan = await prisma.remediationPlan.findUnique({ where: { id } });
+    if (!plan) {
+      return res.status(404).json({
+        success: false,
+        message: 'Remediation plan not found'
+      });
+    }
+
+    const problem = await referenceProblem({ ownerId, findingIds });
+    if (problem) {
+      return res.status(400).json({
+        success: false,
+        message: problem
+      });
+    }
+
+    // New tasks go to the end of the to-do column
+    const last = await prisma.remediationTask.aggregate({
+      where: { status: 'TODO' },
+      _max: { position: true }
+    });
+
+    const task = await prisma.remediationTask.create({
+      data: {
+        planId: id,
+        title,
+        description: description || null,
+        ownerId: ownerId || null,
+        dueDate: dueDate || null,
+        position: (last._max.position ?? -1) + 1,
+        createdById: req.user.id,
+        findings: {
+          connect: [...new Set(findingIds)].map(findingId => ({ id: findingId }))
+        }
+      },
+      include: {
+        plan: {
+          select: { id: true, title: true }
+        },
+        owner: USER_SELECT,
+        verifiedBy: USER_SELECT,
+        findings: FINDING_INCLUDE
+      }
+    });
+    await remediation.refreshPlan(id);
+
+    res.status(201).json({
+      success: true,
+      data: formatTask(task),
+      message: 'Remediation task created successfully'
+    });
+
+  } catch (error) {
+    logger.error('Create remediation task error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/remediation/tasks/{id}:
+ *   put:
+ *     summary: Update a remediation task
+ *     description: >
+ *       Moving a task on the board sends its new status and position.
+ *       Tasks are verified through /verify; moving a verified task back
+ *       reopens it but leaves the findings it closed as they are.
+ *     tags: [Remediation]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               title:
+ *                 type: string
+ *               description:
+ *                 type: string
+ *               status:
+ *                 type: string
+ *                 enum: [todo, in_progress, blocked, done]
+ *               progress:
+ *                 type: integer
+ *                 minimum: 0
+ *                 maximum: 100
+ *               position:
+ *                 type: integer
+ *               ownerId:
+ *                 type: string
+ *               dueDate:
+ *                 type: string
+ *                 format: date
+ *               findingIds:
+ *                 type: array
+ *                 description: Replaces the linked findings
+ *                 items:
+ *                   type: string
+ */
+router.put('/tasks/:id', [
+  authenticateToken,
+  requirePermission('remediation:update'),
+  auditLog('UPDATE', 'REMEDIATION_TASK'),
+  param('id').isUUID(),
+  body('title').optional().trim().isLength({ min: 1, max: 200 }),
+  body('description').optional({ values: 'null' }).trim().isLength({ max: 2000 }),
+  body('status').optional().isIn(EDITABLE_TASK_STATUSES),
+  body('progress').optional().isInt({ min: 0, max: 100 }).toInt(),
+  body('position').optional().isInt({ min: 0 }).toInt(),
+  body('ownerId').optional({ values: 'null' }).isUUID(),
+  body('dueDate').optional({ values: 'null' }).isISO8601().toDate(),
+  body('findingIds').optional().isArray({ max: 500 }),
+  body('findingIds.*').isUUID()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { id } = req.params;
+    const { title, description, status, progress, position, ownerId, dueDate, findingIds } = req.body;
+
+    const existing = await prisma.remediationTask.findUnique({ where: { id } });
+    if (!existing) {
+      return res.status(404).json({
+        success: false,
+        message: 'Remediation task not found'
+      });
+    }
+
+    const problem = await referenceProblem({ ownerId, findingIds });
+    if (problem) {
+      return res.status(400).json({
+        success: false,
+        message: problem
+      });
+    }
+
+    const changes = {};
+    if (title !== undefined) changes.title = title;
+    if (description !== undefined) changes.description = description || null;
+    if (status !== undefined) changes.status = status.toUpperCase();
+    if (progress !== undefined) changes.progress = progress;
+    if (position !== undefined) changes.position = position;
+    if (ownerId !== undefined) changes.ownerId = ownerId || null;
+    if (dueDate !== undefined) changes.dueDate = dueDate || null;
+
+    const updateData = remediation.taskUpdate(existing, changes);
+    if (findingIds !== undefined) {
+      updateData.findings = {
+        set: [...new Set(findingIds)].map(findingId => ({ id: findingId }))
+      };
+    }
+
+    const task = await prisma.remediationTask.update({
+      where: { id },
+      data: updateData,
+      include: {
+        plan: {
+          select: { id: true, title: true }
+        },
+        owner: USER_SELECT,
+        verifiedBy: USER_SELECT,
+        findings: FINDING_INCLUDE
+      }
+    });
+    await remediation.refreshPlan(task.planId);
+
+    res.locals.audit = { entityId: id, before: existing, after: { ...updateData, findings: findingIds } };
+
+    res.json({
+      success: true,
+      data: formatTask(task),
+      message: 'Remediation task updated successfully'
+    });
+
+  } catch (error) {
+    if (error.code === 'P2025') {
+      return res.status(404).json({
+        success: false,
+        message: 'Remediation task not found'
+      });
+    }
+    logger.error('Update remediation task error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/remediation/tasks/{id}/verify:
+ *   post:
+ *     summary: Verify a done remediation task
+ *     description: >
+ *       Marks the task verified and closes its linked findings that are
+ *       still open or under investigation as mitigated.
+ *     tags: [Remediation]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Task verified
+ *       404:
+ *         description: Remediation task not found
+ *       409:
+ *         description: Task is not done
+ */
+router.post('/tasks/:id/verify', [
+  authenticateToken,
+  requirePermission('remediation:verify'),
+  auditLog('VERIFY', 'REMEDIATION_TASK'),
+  param('id').isUUID()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    let result;
+    try {
+      result = await remediation.verifyTask(req.params.id, req.user.id);
+    } catch (error) {
+      if (error.code === 'NOT_FOUND') {
+        return res.status(404).json({
+          success: false,
+          message: 'Remediation task not found'
+        });
+      }
+      if (error.code === 'INVALID_STATE') {
+        return res.status(409).json({
+          success: false,
+          message: 'Only done tasks can be verified'
+        });
+      }
+      throw error;
+    }
+
+    if (result.assetIds.length > 0) {
+      await assetRisk.recalculateAssetsRisk(result.assetIds);
+    }
+
+    const task = await prisma.remediationTask.findUnique({
+      where: { id: req.params.id },
+      include: {
+        plan: {
+          select: { id: true, title: true }
+        },
+        owner: USER_SELECT,
+        verifiedBy: USER_SELECT,
+        findings: FINDING_INCLUDE
+      }
+    });
+
+    res.json({
+      success: true,
+      data: {
+        task: formatTask(task),
+        closedFindings: result.closedFindings
+      },
+      message: `Task verified, ${result.closedFindings} findings closed`
+    });
+
+  } catch (error) {
+    logger.error('Verify remediation task error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/remediation/tasks/{id}:
+ *   delete:
+ *     summary: Delete a remediation task
+ *     tags: [Remediation]
+ *     security:
+ *       - bearerAuth: []
+ */
+router.delete('/tasks/:id', [
+  authenticateToken,
+  requirePermission('remediation:delete'),
+  auditLog('DELETE', 'REMEDIATION_TASK'),
+  param('id').isUUID()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const task = await prisma.remediationTask.delete({
+      where: { id: req.params.id }
+    });
+    await remediation.refreshPlan(task.planId);
+
+    res.locals.audit = { entityId: task.id, before: task };
+
+    res.json({
+      success: true,
+      message: 'Remediation task deleted successfully'
+    });
+
+  } catch (error) {
+    if (error.code === 'P2025') {
+      return res.status(404).json({
+        success: false,
+        message: 'Remediation task not found'
+      });
+    }
+    logger.error('Delete remediation task error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/remediation/owners:
+ *   get:
+ *     summary: Active users that can own plans and tasks
+ *     tags: [Remediation]
+ *     security:
+ *       - bearerAuth: []
+ */
+router.get('/owners', [
+  authenticateToken,
+  requirePermission('remediation:read')
+], async (req, res) => {
+  try {
+    const owners = await prisma.user.findMany({
+      where: { isActive: true },
+      select: { id: true, name: true, department: true },
+      orderBy: { name: 'asc' }
+    });
+
+    res.json({
+      success: true,
+      data: owners
+    });
+
+  } catch (error) {
+    logger.error('Get remediation owners error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/remediation/findings:
+ *   get:
+ *     summary: Search open findings to link to remediation tasks
+ *     tags: [Remediation]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: search
+ *         schema:
+ *           type: string
+ *         description: Matches vulnerability title, CVE ID or asset name
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           maximum: 100
+ *           default: 50
+ */
+router.get('/findings', [
+  authenticateToken,
+  requirePermission('remediation:read'),
+  query('search').optional().trim(),
+  query('limit').optional().isInt({ min: 1, max: 100 }).toInt()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { search, limit = 50 } = req.query;
+
+    const whereClause = { status: { in: assetRisk.OPEN_STATUSES } };
+
+    if (search) {
+      whereClause.OR = [
+        { vulnerability: { title: { contains: search, mode: 'insensitive' } } },
+        { vulnerability: { cveId: { contains: search, mode: 'insensitive' } } },
+        { asset: { name: { contains: search, mode: 'insensitive' } } }
+      ];
+    }
+
+    const findings = await prisma.assetVulnerability.findMany({
+      where: whereClause,
+      ...FINDING_INCLUDE,
+      orderBy: { vulnerability: { cvssScore: 'desc' } },
+      take: limit
+    });
+
+    res.json({
+      success: true,
+      data: findings.map(formatFinding)
+    });
+
+  } catch (error) {
+    logger.error('Get remediation findings error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Helper functions
+
+function formatDate(date) {
+  return date ? date.toISOString().split('T')[0] : null;
+}
+
+function isOverdue(item, finished) {
+  return Boolean(item.dueDate) && !finished && new Date(item.dueDate) < new Date();
+}
+
+function formatPlan(plan) {
+  const finished = ['COMPLETED', 'CANCELLED'].includes(plan.status);
+  return {
+    id: plan.id,
+    title: plan.title,
+    description: plan.description,
+    status: plan.status.toLowerCase(),
+    owner: plan.owner || null,
+    dueDate: formatDate(plan.dueDate),
+    progress: plan.progress,
+    risk: plan.risk || null,
+    taskCount: plan._count ? plan._count.tasks : (plan.tasks || []).length,
+    isOverdue: isOverdue(plan, finished),
+    completedAt: plan.completedAt,
+    createdAt: plan.createdAt,
+    updatedAt: plan.updatedAt
+  };
+}
+
+function formatFinding(finding) {
+  return {
+    id: finding.id,
+    status: finding.status.toLowerCase(),
+    detectedAt: finding.detectedAt,
+    resolvedAt: finding.resolvedAt,
+    asset: finding.asset,
+    vulnerability: {
+      ...finding.vulnerability,
+      severity: finding.vulnerability.severity.toLowerCase()
+    }
+  };
+}
+
+function formatTask(task) {
+  return {
+    id: task.id,
+    planId: task.planId,
+    plan: task.plan,
+    title: task.title,
+    description: task.description,
+    status: task.status.toLowerCase(),
+    owner: task.owner || null,
+    dueDate: formatDate(task.dueDate),
+    progress: task.progress,
+    position: task.position,
+    findings: (task.findings || []).map(formatFinding),
+    isOverdue: isOverdue(task, ['DONE', 'VERIFIED'].includes(task.status)),
+    completedAt: task.completedAt,
+    verifiedAt: task.verifiedAt,
+    verifiedBy: task.verifiedBy || null,
+    createdAt: task.createdAt,
+    updatedAt: task.updatedAt
+  };
+}
+
+/**
+ * Check that referenced users, risks and findings exist
+ *
+ * @returns {Promise<string|null>} Error message, null when all exist
+ */
+async function referenceProblem({ ownerId, riskId, findingIds }) {
+  if (ownerId) {
+    const owner = await prisma.user.findUnique({ where: { id: ownerId }, select: { isActive: true } });
+    if (!owner || !owner.isActive) return 'Owner must be an active user';
+  }
+
+  if (riskId) {
+    const risk = await prisma.risk.findUnique({ where: { id: riskId }, select: { id: true } });
+    if (!risk) return 'Risk not found';
+  }
+
+  if (findingIds && findingIds.length > 0) {
+    const ids = [...new Set(findingIds)];
+    const found = await prisma.assetVulnerability.count({ where: { id: { in: ids } } });
+    if (found !== ids.length) return 'Some findings were not found';
+  }
+
+  return null;
+}
+
+module.exports = router;
@@ -0,0 +1,444 @@
+const express = require('express');
+const { body, query, param, validationResult } = require('express-validator');
+const { PrismaClient } = require('@prisma/client');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const { auditLog } = require('../middleware/auditLog');
+const logger = require('../utils/logger');
+const {
+  REPORT_TYPES,
+  validateFilters,
+  validateSections,
+  describeCatalog
+} = require('../services/reports/reportDefinitions');
+const { builtInTemplate } = require('../services/reports/reportTemplates');
+
+const router = express.Router();
+const prisma = new PrismaClient();
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     ReportTemplate:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *         name:
+ *           type: string
+ *         description:
+ *           type: string
+ *         type:
+ *           type: string
+ *           enum: [assets, vulnerabilities, risks, compliance, executive]
+ *         sections:
+ *           type: array
+ *           description: Rendered in order by every report format
+ *           items:
+ *             type: object
+ *             properties:
+ *               type:
+ *                 type: string
+ *                 enum: [summary, chart, table]
+ *               title:
+ *                 type: string
+ *               chart:
+ *                 type: string
+ *                 description: Chart key for chart sections
+ *               entity:
+ *                 type: string
+ *                 description: Entity key for table sections
+ *               columns:
+ *                 type: array
+ *                 description: Column keys for table sections; all columns when omitted
+ *                 items:
+ *                   type: string
+ *         filters:
+ *           type: object
+ *           description: Default report filters; report parameters override them
+ *         isDefault:
+ *           type: boolean
+ *           description: Used for reports of this type that do not name a template
+ */
+
+/**
+ * @swagger
+ * /api/report-templates:
+ *   get:
+ *     summary: List report templates
+ *     tags: [Reports]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: type
+ *         schema:
+ *           type: string
+ *           enum: [assets, vulnerabilities, risks, compliance, executive]
+ */
+router.get('/', [
+  authenticateToken,
+  requirePermission('reports:read'),
+  query('type').optional().isIn(REPORT_TYPES)
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { type } = req.query;
+
+    const templates = await prisma.reportTemplate.findMany({
+      where: type ? { type: type.toUpperCase() } : {},
+      include: {
+        createdBy: {
+          select: { id: true, name: true, email: true }
+        }
+      },
+      orderBy: [{ type: 'asc' }, { isDefault: 'desc' }, { name: 'asc' }]
+    });
+
+    res.json({
+      success: true,
+      data: templates.map(formatTemplate)
+    });
+
+  } catch (error) {
+    logger.error('Get report templates error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/report-templates/catalog:
+ *   get:
+ *     summary: Sections, columns and filters available to templates per report type
+ *     tags: [Reports]
+ *     security:
+ *       - bearerAuth: []
+ */
+router.get('/catalog', [
+  authenticateToken,
+  requirePermission('reports:read')
+], async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      data: describeCatalog()
+    });
+  } catch (error) {
+    logger.error('Get report template catalog error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/report-templates/{id}:
+ *   get:
+ *     summary: Get a report template
+ *     tags: [Reports]
+ *     security:
+ *       - bearerAuth: []
+ */
+router.get('/:id', [
+  authenticateToken,
+  requirePermission('reports:read'),
+  param('id').isUUID()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const template = await prisma.reportTemplate.findUnique({
+      where: { id: req.params.id },
+      include: {
+        createdBy: {
+          select: { id: true, name: true, email: true }
+        }
+      }
+    });
+
+    if (!template) {
+      return res.status(404).json({
+        success: false,
+        message: 'Report template not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: formatTemplate(template)
+    });
+
+  } catch (error) {
+    logger.error('Get report template error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/report-templates:
+ *   post:
+ *     summary: Create a report template
+ *     description: Sections default to the built-in template of the type.
+ *     tags: [Reports]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/ReportTemplate'
+ */
+router.post('/', [
+  authenticateToken,
+  requirePermission('reports:create'),
+  auditLog('CREATE', 'REPORT_TEMPLATE'),
+  body('name').trim().isLength({ min: 1, max: 200 }),
+  body('description').optional().trim().isLength({ max: 1000 }),
+  body('type').isIn(REPORT_TYPES),
+  body('sections').optional().isArray(),
+  body('filters').optional().isObject(),
+  body('isDefault').optional().isBoolean()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { name, description, type, filters = {}, isDefault = false } = req.body;
+    const sections = req.body.sections || builtInTemplate(type).sections;
+
+    const problems = templateProblems(type, sections, filters);
+    if (problems.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: problems
+      });
+    }
+
+    const template = await prisma.$transaction(async (tx) => {
+      if (isDefault) {
+        await tx.reportTemplate.updateMany({
+          where: { type: type.toUpperCase(), isDefault: true },
+          data: { isDefault: false }
+        });
+      }
+
+      return tx.reportTemplate.create({
+        data: {
+          name,
+          description,
+          type: type.toUpperCase(),
+          sections,
+          filters,
+          isDefault,
+          createdById: req.user.id
+        }
+      });
+    });
+
+    res.status(201).json({
+      success: true,
+      data: formatTemplate(template),
+      message: 'Report template created successfully'
+    });
+
+  } catch (error) {
+    logger.error('Create report template error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/report-templates/{id}:
+ *   put:
+ *     summary: Update a report template
+ *     description: Reports using the template render with the new sections the next time they are generated.
+ *     tags: [Reports]
+ *     security:
+ *       - bearerAuth: []
+ */
+router.put('/:id', [
+  authenticateToken,
+  requirePermission('reports:update'),
+  auditLog('UPDATE', 'REPORT_TEMPLATE'),
+  param('id').isUUID(),
+  body('name').optional().trim().isLength({ min: 1, max: 200 }),
+  body('description').optional().trim().isLength({ max: 1000 }),
+  body('sections').optional().isArray(),
+  body('filters').optional().isObject(),
+  body('isDefault').optional().isBoolean()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { id } = req.params;
+    const { name, description, sections, filters, isDefault } = req.body;
+
+    const existing = await prisma.reportTemplate.findUnique({ where: { id } });
+    if (!existing) {
+      return res.status(404).json({
+        success: false,
+        message: 'Report template not found'
+      });
+    }
+
+    const problems = templateProblems(existing.type, sections || existing.sections, filters || existing.filters);
+    if (problems.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: problems
+      });
+    }
+
+    const template = await prisma.$transaction(async (tx) => {
+      if (isDefault) {
+        await tx.reportTemplate.updateMany({
+          where: { type: existing.type, isDefault: true, id: { not: id } },
+          data: { isDefault: false }
+        });
+      }
+
+      return tx.reportTemplate.update({
+        where: { id },
+        data: {
+          ...(name !== undefined && { name }),
+          ...(description !== undefined && { description }),
+          ...(sections !== undefined && { sections }),
+          ...(filters !== undefined && { filters }),
+          ...(isDefault !== undefined && { isDefault })
+        }
+      });
+    });
+
+    res.locals.audit = { entityId: id, before: existing, after: template };
+
+    res.json({
+      success: true,
+      data: formatTemplate(template),
+      message: 'Report template updated successfully'
+    });
+
+  } catch (error) {
+    logger.error('Update report template error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/report-templates/{id}:
+ *   delete:
+ *     summary: Delete a report template
+ *     description: Reports that used it fall back to the default template of their type.
+ *     tags: [Reports]
+ *     security:
+ *       - bearerAuth: []
+ */
+router.delete('/:id', [
+  authenticateToken,
+  requirePermission('reports:delete'),
+  auditLog('DELETE', 'REPORT_TEMPLATE'),
+  param('id').isUUID()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { id } = req.params;
+
+    const template = await prisma.reportTemplate.findUnique({ where: { id } });
+    if (!template) {
+      return res.status(404).json({
+        success: false,
+        message: 'Report template not found'
+      });
+    }
+
+    await prisma.reportTemplate.delete({ where: { id } });
+
+    res.locals.audit = { entityId: id, before: template };
+
+    res.json({
+      success: true,
+      message: 'Report template deleted successfully'
+    });
+
+  } catch (error) {
+    logger.error('Delete report template error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Helper functions
+function formatTemplate(template) {
+  return {
+    ...template,
+    type: template.type.toLowerCase(),
+    filters: template.filters || {}
+  };
+}
+
+function templateProblems(type, sections, filters) {
+  return [
+    ...validateSections(type, sections).map(msg => ({ type: 'field', path: 'sections', location: 'body', msg })),
+    ...validateFilters(type, filters).map(msg => ({ type: 'field', path: 'filters', location: 'body', msg }))
+  ];
+}
+
+module.exports = router;
@@ -4,14 +4,31 @@ const { PrismaClient } = require('@prisma/client');
 const { authenticateToken, requirePermission } = require('../middleware/auth');
 const { auditLog } = require('../middleware/auditLog');
 const logger = require('../utils/logger');
-const cron = require('cron');
 const { v4: uuidv4 } = require('uuid');
+const jobQueue = require('../services/queue/jobQueue');
+const { REPORT_QUEUE, queueReport } = require('../services/reports/reportQueue');
+const reportScheduler = require('../services/scheduler/reportScheduler');
+const mailer = require('../services/email/mailer');
+const { generateReportContent } = require('../services/reports/reportGenerator');
+const { escapeHtml } = require('../services/reports/htmlReport');
+const {
+  reportContentType,
+  reportFilename,
+  storeReportArtifact,
+  readReportArtifact,
+  removeReportArtifact
+} = require('../services/reports/reportArtifacts');
+const { validateFilters } = require('../services/reports/reportDefinitions');
 
 const router = express.Router();
 const prisma = new PrismaClient();
 
-// Store for tracking report generation progress
-const reportProgress = new Map();
+// Reports are generated on the persistent job queue so they survive restarts
+// and are shared between backend replicas
+jobQueue.registerHandler(REPORT_QUEUE, runReportJob, {
+  concurrency: parseInt(process.env.REPORT_WORKER_CONCURRENCY, 10) || 2,
+  onFailed: markReportFailed
+});
 
 /**
  * @swagger
@@ -28,10 +45,10 @@ const reportProgress = new Map();
  *           type: string
  *         type:
  *           type: string
- *           enum: [assets, vulnerabilities, risks, compliance]
+ *           enum: [assets, vulnerabilities, risks, compliance, executive]
  *         status:
  *           type: string
- *           enum: [pending, generating, completed, failed, scheduled]
+ *           enum: [pending, generating, completed, failed, scheduled, expired]
  *         format:
  *           type: string
  *           enum: [pdf, excel, csv, html]
@@ -51,12 +68,25 @@ const reportProgress = new Map();
  *           type: integer
  *         parameters:
  *           type: object
+ *           description: Report filters, e.g. dateFrom, dateTo, severity, assetTags or frameworkIds depending on the type; see /api/report-templates/catalog
+ *         templateId:
+ *           type: string
+ *           description: Report template; the default template of the type when empty
  *         schedule:
  *           type: object
  *           properties:
  *             frequency:
  *               type: string
- *               enum: [once, daily, weekly, monthly]
+ *               enum: [daily, weekly, monthly]
+ *             time:
+ *               type: string
+ *               example: '09:00'
+ *             dayOfWeek:
+ *               type: integer
+ *             dayOfMonth:
+ *               type: integer
+ *             paused:
+ *               type: boolean
  *             nextRun:
  *               type: string
  *               format: date-time
@@ -69,6 +99,15 @@ const reportProgress = new Map();
  *             type: string
  *         error:
  *           type: string
+ *         parentId:
+ *           type: string
+ *           description: Scheduled report this run was generated for
+ *         deliveredAt:
+ *           type: string
+ *           format: date-time
+ *           description: When the report was emailed to its recipients
+ *         deliveryError:
+ *           type: string
  */
 
 /**
@@ -97,7 +136,7 @@ const reportProgress = new Map();
  *         name: type
  *         schema:
  *           type: string
- *           enum: [assets, vulnerabilities, risks, compliance]
+ *           enum: [assets, vulnerabilities, risks, compliance, executive]
  *       - in: query
  *         name: status
  *         schema:
@@ -133,8 +172,8 @@ router.get('/', [
   requirePermission('reports:read'),
   query('page').optional().isInt({ min: 1 }).toInt(),
   query('limit').optional().isInt({ min: 1, max: 100 }).toInt(),
-  query('type').optional().isIn(['assets', 'vulnerabilities', 'risks', 'compliance']),
-  query('status').optional().isIn(['pending', 'generating', 'completed', 'failed', 'scheduled']),
+  query('type').optional().isIn(['assets', 'vulnerabilities', 'risks', 'compliance', 'executive']),
+  query('status').optional().isIn(['pending', 'generating', 'completed', 'failed', 'scheduled', 'expired']),
   query('format').optional().isIn(['pdf', 'excel', 'csv', 'html']),
   query('createdBy').optional().isUUID(),
   query('sortBy').optional().isIn(['createdAt', 'completedAt', 'name', 'type']),
@@ -211,14 +250,9 @@ router.get('/', [
       prisma.report.count({ where: whereClause })
     ]);
 
-    // Add progress information for generating reports
-    const enrichedReports = reports.map(report => ({
-      ...report,
-      progress: reportProgress.get(report.id) || 0,
-      type: report.type.toLowerCase(),
-      status: report.status.toLowerCase(),
-      format: report.format.toLowerCase()
-    }));
+    // Add progress information from the report jobs
+    const jobs = await jobQueue.getJobsForResources(REPORT_QUEUE, reports.map(report => report.id));
+    const enrichedReports = reports.map(report => formatReport(report, jobs.get(report.id)));
 
     const totalPages = Math.ceil(total / limit);
 
@@ -294,14 +328,9 @@ router.get('/:id', [
       });
     }
 
-    // Add progress information
-    const enrichedReport = {
-      ...report,
-      progress: reportProgress.get(report.id) || 0,
-      type: report.type.toLowerCase(),
-      status: report.status.toLowerCase(),
-      format: report.format.toLowerCase()
-    };
+    // Add progress information from the report job
+    const jobs = await jobQueue.getJobsForResources(REPORT_QUEUE, [report.id]);
+    const enrichedReport = formatReport(report, jobs.get(report.id));
 
     res.json({
       success: true,
@@ -330,12 +359,14 @@ router.post('/generate', [
   authenticateToken,
   requirePermission('reports:create'),
   auditLog('CREATE', 'REPORT'),
-  body('type').isIn(['assets', 'vulnerabilities', 'risks', 'compliance']),
+  body('type').isIn(['assets', 'vulnerabilities', 'risks', 'compliance', 'executive']),
   body('format').optional().isIn(['pdf', 'excel', 'csv', 'html']),
   body('name').optional().trim().isLength({ min: 1, max: 200 }),
   body('description').optional().trim().isLength({ max: 1000 }),
+  body('templateId').optional({ values: 'null' }).isUUID(),
   body('parameters').optional().isObject(),
-  body('recipients').optional().isArray()
+  body('recipients').optional().isArray(),
+  body('recipients.*').isEmail()
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -352,30 +383,35 @@ router.post('/generate', [
       format = 'pdf',
       name,
       description,
+      templateId = null,
       parameters = {},
       recipients = []
     } = req.body;
 
+    const problems = await checkTemplateAndFilters(type, templateId, parameters);
+    if (problems.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: problems
+      });
+    }
+
     // Generate report name if not provided
     const reportName = name || `${type.charAt(0).toUpperCase() + type.slice(1)} Report - ${new Date().toISOString().split('T')[0]}`;
 
-    // Create report record
-    const report = await prisma.report.create({
-      data: {
-        name: reportName,
-        description,
-        type: type.toUpperCase(),
-        format: format.toUpperCase(),
-        status: 'PENDING',
-        parameters,
-        recipients,
-        createdById: req.user.id
-      }
+    // Create the report record and queue it for the report workers
+    const report = await queueReport({
+      name: reportName,
+      description,
+      type,
+      format,
+      templateId,
+      parameters,
+      recipients,
+      createdById: req.user.id
     });
 
-    // Start report generation asynchronously
-    generateReportAsync(report.id, type, format, parameters, req.user.id);
-
     res.status(201).json({
       success: true,
       data: {
@@ -399,6 +435,7 @@ router.post('/generate', [
  * /api/reports/{id}/download:
  *   get:
  *     summary: Download a completed report
+ *     description: Serves the file stored when the report was generated. The X-Checksum-SHA256 header carries its checksum; reports past the reports.retentionDays setting answer 410.
  *     tags: [Reports]
  *     security:
  *       - bearerAuth: []
@@ -438,6 +475,13 @@ router.get('/:id/download', [
       });
     }
 
+    if (report.status === 'EXPIRED') {
+      return res.status(410).json({
+        success: false,
+        message: 'Report file has expired'
+      });
+    }
+
     if (report.status !== 'COMPLETED') {
       return res.status(400).json({
         success: false,
@@ -445,22 +489,39 @@ router.get('/:id/download', [
       });
     }
 
-    if (!report.downloadUrl) {
-      return res.status(400).json({
+    // Reports completed before files were stored have nothing to serve
+    if (!report.storageKey) {
+      return res.status(410).json({
         success: false,
-        message: 'Download URL not available'
+        message: 'Report file is not available, generate the report again'
       });
     }
 
-    // In a real implementation, you would serve the file from storage
-    // For now, we'll generate a sample report content
-    const reportContent = await generateReportContent(report.type, report.format, report.parameters);
-
-    const contentType = getContentType(report.format);
-    const filename = `${report.name.replace(/[^a-zA-Z0-9]/g, '_')}.${report.format.toLowerCase()}`;
+    let reportContent;
+    try {
+      reportContent = await readReportArtifact(report);
+    } catch (error) {
+      if (error.code === 'NOT_FOUND') {
+        logger.error(`Stored file of report ${id} is missing: ${report.storageKey}`);
+        return res.status(404).json({
+          success: false,
+          message: 'Report file not found'
+        });
+      }
+      if (error.code === 'CHECKSUM_MISMATCH') {
+        logger.error(`Stored file of report ${id} failed its checksum: ${report.storageKey}`);
+        return res.status(500).json({
+          success: false,
+          message: 'Report file failed its integrity check'
+        });
+      }
+      throw error;
+    }
 
-    res.setHeader('Content-Type', contentType);
-    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+    res.setHeader('Content-Type', reportContentType(report.format));
+    res.setHeader('Content-Disposition', `attachment; filename="${reportFilename(report)}"`);
+    res.setHeader('Content-Length', reportContent.length);
+    res.setHeader('X-Checksum-SHA256', report.checksum);
     res.send(reportContent);
 
   } catch (error) {
@@ -532,8 +593,8 @@ router.post('/:id/cancel', [
       }
     });
 
-    // Remove from progress tracking
-    reportProgress.delete(id);
+    // Drop the queued job or stop the running one on whichever replica holds it
+    await jobQueue.cancelResourceJobs(REPORT_QUEUE, id);
 
     res.json({
       success: true,
@@ -594,14 +655,22 @@ router.delete('/:id', [
       });
     }
 
+    await jobQueue.cancelResourceJobs(REPORT_QUEUE, id);
+
     await prisma.report.delete({
       where: { id }
     });
 
-    // Remove from progress tracking
-    reportProgress.delete(id);
+    // Runs of a deleted schedule are kept as standalone reports
+    if (report.status === 'SCHEDULED') {
+      await reportScheduler.refresh();
+    }
 
-    // TODO: Delete actual report file from storage
+    try {
+      await removeReportArtifact(report);
+    } catch (error) {
+      logger.warn(`Failed to delete stored file of report ${id}: ${error.message}`);
+    }
 
     res.json({
       success: true,
@@ -622,6 +691,7 @@ router.delete('/:id', [
  * /api/reports/schedule:
  *   post:
  *     summary: Schedule a recurring report
+ *     description: Every run creates a new report that is emailed to the recipients as an attachment. Schedules run in the general.timezone timezone.
  *     tags: [Reports]
  *     security:
  *       - bearerAuth: []
@@ -630,15 +700,16 @@ router.post('/schedule', [
   authenticateToken,
   requirePermission('reports:create'),
   auditLog('SCHEDULE', 'REPORT'),
-  body('type').isIn(['assets', 'vulnerabilities', 'risks', 'compliance']),
+  body('type').isIn(['assets', 'vulnerabilities', 'risks', 'compliance', 'executive']),
   body('name').trim().isLength({ min: 1, max: 200 }),
+  body('description').optional().trim().isLength({ max: 1000 }),
   body('format').optional().isIn(['pdf', 'excel', 'csv', 'html']),
-  body('schedule.frequency').isIn(['daily', 'weekly', 'monthly']),
-  body('schedule.time').optional().matches(/^([01]?[0-9]|2[0-3]):[0-5][0-9]$/),
-  body('schedule.dayOfWeek').optional().isInt({ min: 0, max: 6 }),
-  body('schedule.dayOfMonth').optional().isInt({ min: 1, max: 31 }),
+  body('schedule.frequency').isIn(reportScheduler.FREQUENCIES),
+  ...scheduleValidators(),
+  body('templateId').optional({ values: 'null' }).isUUID(),
   body('parameters').optional().isObject(),
-  body('recipients').optional().isArray()
+  body('recipients').optional().isArray(),
+  body('recipients.*').isEmail()
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -653,22 +724,32 @@ router.post('/schedule', [
     const {
       type,
       name,
+      description,
       format = 'pdf',
       schedule,
+      templateId = null,
       parameters = {},
       recipients = []
     } = req.body;
 
-    // Calculate next run time
-    const nextRun = calculateNextRun(schedule);
+    const problems = await checkTemplateAndFilters(type, templateId, parameters);
+    if (problems.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: problems
+      });
+    }
 
     // Create scheduled report
     const report = await prisma.report.create({
       data: {
         name,
+        description,
         type: type.toUpperCase(),
         format: format.toUpperCase(),
         status: 'SCHEDULED',
+        templateId,
         parameters,
         recipients,
         schedule: {
@@ -676,18 +757,18 @@ router.post('/schedule', [
           time: schedule.time || '09:00',
           dayOfWeek: schedule.dayOfWeek,
           dayOfMonth: schedule.dayOfMonth,
-          nextRun: nextRun.toISOString()
+          paused: false
         },
         createdById: req.user.id
       }
     });
 
-    // Set up cron job for scheduled report
-    setupScheduledReport(report);
+    // Start the cron job and fill in nextRun
+    await reportScheduler.refresh();
 
     res.status(201).json({
       success: true,
-      data: report,
+      data: formatReport(await prisma.report.findUnique({ where: { id: report.id } })),
       message: 'Report scheduled successfully'
     });
 
@@ -700,6 +781,188 @@ router.post('/schedule', [
   }
 });
 
+/**
+ * @swagger
+ * /api/reports/schedule/{id}:
+ *   put:
+ *     summary: Update or pause a scheduled report
+ *     description: Set schedule.paused to stop runs without deleting the schedule. Changes take effect immediately.
+ *     tags: [Reports]
+ *     security:
+ *       - bearerAuth: []
+ */
+router.put('/schedule/:id', [
+  authenticateToken,
+  requirePermission('reports:update'),
+  auditLog('UPDATE', 'REPORT'),
+  param('id').isUUID(),
+  body('name').optional().trim().isLength({ min: 1, max: 200 }),
+  body('description').optional().trim().isLength({ max: 1000 }),
+  body('format').optional().isIn(['pdf', 'excel', 'csv', 'html']),
+  body('schedule.frequency').optional().isIn(reportScheduler.FREQUENCIES),
+  body('schedule.paused').optional().isBoolean(),
+  ...scheduleValidators(),
+  body('templateId').optional({ values: 'null' }).isUUID(),
+  body('parameters').optional().isObject(),
+  body('recipients').optional().isArray(),
+  body('recipients.*').isEmail()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { id } = req.params;
+    const { name, description, format, schedule = {}, templateId, parameters, recipients } = req.body;
+
+    const report = await findOwnReport(id, req.user);
+
+    if (!report || report.status !== 'SCHEDULED') {
+      return res.status(404).json({
+        success: false,
+        message: 'Scheduled report not found'
+      });
+    }
+
+    const problems = await checkTemplateAndFilters(report.type, templateId, parameters);
+    if (problems.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: problems
+      });
+    }
+
+    const scheduleFields = ['frequency', 'time', 'dayOfWeek', 'dayOfMonth', 'paused'];
+    const updatedSchedule = { ...report.schedule };
+    scheduleFields.forEach(field => {
+      if (schedule[field] !== undefined) {
+        updatedSchedule[field] = schedule[field];
+      }
+    });
+
+    await prisma.report.update({
+      where: { id },
+      data: {
+        ...(name !== undefined && { name }),
+        ...(description !== undefined && { description }),
+        ...(format !== undefined && { format: format.toUpperCase() }),
+        ...(templateId !== undefined && { templateId }),
+        ...(parameters !== undefined && { parameters }),
+        ...(recipients !== undefined && { recipients }),
+        schedule: updatedSchedule
+      }
+    });
+
+    // Reschedule, or stop the cron job when paused
+    await reportScheduler.refresh();
+
+    res.json({
+      success: true,
+      data: formatReport(await prisma.report.findUnique({ where: { id } })),
+      message: updatedSchedule.paused ? 'Scheduled report paused' : 'Scheduled report updated successfully'
+    });
+
+  } catch (error) {
+    logger.error('Update scheduled report error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/reports/schedule/{id}/runs:
+ *   get:
+ *     summary: Run history of a scheduled report
+ *     tags: [Reports]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Reports generated by the schedule, newest first, with delivery status
+ */
+router.get('/schedule/:id/runs', [
+  authenticateToken,
+  requirePermission('reports:read'),
+  param('id').isUUID(),
+  query('page').optional().isInt({ min: 1 }).toInt(),
+  query('limit').optional().isInt({ min: 1, max: 100 }).toInt()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { id } = req.params;
+    const { page = 1, limit = 20 } = req.query;
+
+    const report = await findOwnReport(id, req.user);
+
+    if (!report) {
+      return res.status(404).json({
+        success: false,
+        message: 'Scheduled report not found'
+      });
+    }
+
+    const [runs, total] = await Promise.all([
+      prisma.report.findMany({
+        where: { parentId: id },
+        orderBy: { createdAt: 'desc' },
+        skip: (page - 1) * limit,
+        take: limit
+      }),
+      prisma.report.count({ where: { parentId: id } })
+    ]);
+
+    const jobs = await jobQueue.getJobsForResources(REPORT_QUEUE, runs.map(run => run.id));
+
+    res.json({
+      success: true,
+      data: {
+        runs: runs.map(run => formatReport(run, jobs.get(run.id))),
+        total,
+        page,
+        totalPages: Math.ceil(total / limit)
+      }
+    });
+
+  } catch (error) {
+    logger.error('Get scheduled report runs error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
 /**
  * @swagger
  * /api/reports/stats:
@@ -786,224 +1049,173 @@ router.get('/stats', [
 
 // Helper functions
 
-async function generateReportAsync(reportId, type, format, parameters, userId) {
-  try {
-    // Update status to generating
-    await prisma.report.update({
-      where: { id: reportId },
-      data: { status: 'GENERATING' }
-    });
-
-    // Initialize progress
-    reportProgress.set(reportId, 0);
-
-    // Simulate report generation with progress updates
-    for (let i = 0; i <= 100; i += 10) {
-      reportProgress.set(reportId, i);
-      await new Promise(resolve => setTimeout(resolve, 100));
-    }
-
-    // Generate report content
-    const content = await generateReportContent(type, format, parameters);
-    const size = Buffer.byteLength(content);
-
-    // In a real implementation, you would save the file to storage
-    // and get the actual download URL
-    const downloadUrl = `/api/reports/${reportId}/download`;
-
-    // Update report as completed
-    await prisma.report.update({
-      where: { id: reportId },
-      data: {
-        status: 'COMPLETED',
-        completedAt: new Date(),
-        size,
-        downloadUrl
-      }
-    });
-
-    // Clean up progress tracking
-    reportProgress.delete(reportId);
+/**
+ * Job queue handler for a queued report
+ */
+async function runReportJob(job, context) {
+  const { reportId } = job.payload;
 
-    logger.info(`Report ${reportId} generated successfully`);
+  // Cancelled or deleted while queued
+  const report = await prisma.report.findUnique({ where: { id: reportId } });
+  if (!report || !['PENDING', 'GENERATING'].includes(report.status)) {
+    return;
+  }
 
-  } catch (error) {
-    logger.error(`Report generation failed for ${reportId}:`, error);
+  // Update status to generating
+  await prisma.report.update({
+    where: { id: reportId },
+    data: { status: 'GENERATING' }
+  });
+  await context.setProgress(10);
 
-    await prisma.report.update({
-      where: { id: reportId },
-      data: {
-        status: 'FAILED',
-        error: error.message
-      }
-    });
+  // Generate report content
+  const content = await generateReportContent(report);
 
-    reportProgress.delete(reportId);
+  if (context.isCancelled()) {
+    return;
   }
-}
+  await context.setProgress(80);
+
+  // Downloads and deliveries serve this file from now on
+  const { storageKey, size, checksum } = await storeReportArtifact(report, content);
+
+  // Update report as completed
+  await prisma.report.update({
+    where: { id: reportId },
+    data: {
+      status: 'COMPLETED',
+      completedAt: new Date(),
+      size,
+      checksum,
+      storageKey,
+      downloadUrl: `/api/reports/${reportId}/download`
+    }
+  });
 
-async function generateReportContent(type, format, parameters) {
-  // This is a simplified report generation
-  // In a real implementation, you would use proper reporting libraries
-  
-  const data = await getReportData(type, parameters);
-  
-  switch (format.toLowerCase()) {
-    case 'csv':
-      return generateCSV(data);
-    case 'html':
-      return generateHTML(data, type);
-    case 'pdf':
-      return generatePDF(data, type);
-    case 'excel':
-      return generateExcel(data, type);
-    default:
-      throw new Error(`Unsupported format: ${format}`);
-  }
-}
+  logger.info(`Report ${reportId} generated successfully`);
 
-async function getReportData(type, parameters) {
-  // Fetch data based on report type and parameters
-  switch (type.toLowerCase()) {
-    case 'assets':
-      return await prisma.asset.findMany({
-        include: {
-          vulnerabilities: true
-        }
-      });
-    case 'vulnerabilities':
-      return await prisma.vulnerability.findMany({
-        include: {
-          affectedAssets: true
-        }
-      });
-    case 'risks':
-      return await prisma.risk.findMany({
-        include: {
-          relatedAssets: true,
-          relatedVulnerabilities: true
-        }
-      });
-    case 'compliance':
-      return await prisma.complianceFramework.findMany({
-        include: {
-          controls: true
-        }
-      });
-    default:
-      throw new Error(`Unsupported report type: ${type}`);
+  if (report.recipients.length > 0) {
+    await deliverReport(report, content);
   }
 }
 
-function generateCSV(data) {
-  if (!data || data.length === 0) {
-    return 'No data available';
-  }
-
-  const headers = Object.keys(data[0]);
-  const csvRows = [headers.join(',')];
+/**
+ * Email a generated report to its recipients
+ *
+ * Delivery problems are recorded on the report instead of failing the job,
+ * so a broken mail server does not regenerate the report.
+ */
+async function deliverReport(report, content) {
+  try {
+    await mailer.sendMail({
+      to: report.recipients.join(', '),
+      subject: `CTEM Report: ${report.name}`,
+      html: `
+        <h2>${escapeHtml(report.name)}</h2>
+        ${report.description ? `<p>${escapeHtml(report.description)}</p>` : ''}
+        <p>The attached report was generated on ${new Date().toISOString()}.</p>
+        <hr>
+        <p><small>This is an automated message from CTEM System. Please do not reply to this email.</small></p>
+      `,
+      attachments: [{
+        filename: reportFilename(report),
+        content,
+        contentType: reportContentType(report.format)
+      }]
+    });
 
-  for (const row of data) {
-    const values = headers.map(header => {
-      const value = row[header];
-      return typeof value === 'string' ? `"${value.replace(/"/g, '""')}"` : value;
+    await prisma.report.update({
+      where: { id: report.id },
+      data: { deliveredAt: new Date(), deliveryError: null }
+    });
+    logger.info(`Report ${report.id} emailed to ${report.recipients.length} recipients`);
+  } catch (error) {
+    logger.error(`Report delivery failed for ${report.id}:`, error);
+    await prisma.report.update({
+      where: { id: report.id },
+      data: { deliveryError: error.message }
     });
-    csvRows.push(values.join(','));
   }
-
-  return csvRows.join('\n');
 }
 
-function generateHTML(data, type) {
-  return `
-    <!DOCTYPE html>
-    <html>
-    <head>
-      <title>${type.charAt(0).toUpperCase() + type.slice(1)} Report</title>
-      <style>
-        body { font-family: Arial, sans-serif; margin: 20px; }
-        table { width: 100%; border-collapse: collapse; }
-        th, td { border: 1px solid #ddd; padding: 8px; text-align: left; }
-        th { background-color: #f2f2f2; }
-        .header { text-align: center; margin-bottom: 20px; }
-      </style>
-    </head>
-    <body>
-      <div class="header">
-        <h1>${type.charAt(0).toUpperCase() + type.slice(1)} Report</h1>
-        <p>Generated on: ${new Date().toLocaleString()}</p>
-      </div>
-      <table>
-        <thead>
-          <tr>
-            ${data.length > 0 ? Object.keys(data[0]).map(key => `<th>${key}</th>`).join('') : '<th>No data</th>'}
-          </tr>
-        </thead>
-        <tbody>
-          ${data.map(row => `<tr>${Object.values(row).map(value => `<td>${value}</td>`).join('')}</tr>`).join('')}
-        </tbody>
-      </table>
-    </body>
-    </html>
-  `;
+/**
+ * Mark a report failed once its job has used up every attempt
+ */
+async function markReportFailed(job, error) {
+  logger.error(`Report generation failed for ${job.resourceId}:`, error);
+
+  await prisma.report.updateMany({
+    where: { id: job.resourceId, status: { in: ['PENDING', 'GENERATING'] } },
+    data: {
+      status: 'FAILED',
+      error: error.message
+    }
+  });
 }
 
-function generatePDF(data, type) {
-  // In a real implementation, you would use a PDF library like puppeteer or pdfkit
-  // For now, return a simple text representation
-  return `${type.charAt(0).toUpperCase() + type.slice(1)} Report\n\nGenerated on: ${new Date().toLocaleString()}\n\nData:\n${JSON.stringify(data, null, 2)}`;
+function jobProgress(job) {
+  return job ? job.progress : 0;
 }
 
-function generateExcel(data, type) {
-  // In a real implementation, you would use a library like exceljs
-  // For now, return CSV format
-  return generateCSV(data);
+/**
+ * Report as returned by the API: enums in lower case, progress from its job
+ * and the storage location left out
+ */
+function formatReport({ storageKey, ...report }, job) {
+  return {
+    ...report,
+    progress: jobProgress(job),
+    type: report.type.toLowerCase(),
+    status: report.status.toLowerCase(),
+    format: report.format.toLowerCase()
+  };
 }
 
-function getContentType(format) {
-  const contentTypes = {
-    'pdf': 'application/pdf',
-    'excel': 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
-    'csv': 'text/csv',
-    'html': 'text/html'
-  };
-  return contentTypes[format.toLowerCase()] || 'application/octet-stream';
+/**
+ * Problems with a report's template and filters, in express-validator's error shape
+ */
+async function checkTemplateAndFilters(type, templateId, parameters) {
+  const problems = validateFilters(type, parameters).map(msg => ({
+    type: 'field',
+    path: 'parameters',
+    location: 'body',
+    msg
+  }));
+
+  if (templateId) {
+    const template = await prisma.reportTemplate.findUnique({ where: { id: templateId } });
+    if (!template || template.type !== type.toUpperCase()) {
+      problems.push({
+        type: 'field',
+        path: 'templateId',
+        location: 'body',
+        value: templateId,
+        msg: `No ${type.toLowerCase()} report template with this id`
+      });
+    }
+  }
+
+  return problems;
 }
 
-function calculateNextRun(schedule) {
-  const now = new Date();
-  const nextRun = new Date(now);
-  
-  const [hours, minutes] = (schedule.time || '09:00').split(':').map(Number);
-  nextRun.setHours(hours, minutes, 0, 0);
-  
-  switch (schedule.frequency) {
-    case 'daily':
-      if (nextRun <= now) {
-        nextRun.setDate(nextRun.getDate() + 1);
-      }
-      break;
-    case 'weekly':
-      const dayOfWeek = schedule.dayOfWeek || 1; // Default to Monday
-      const daysUntilNext = (dayOfWeek - nextRun.getDay() + 7) % 7;
-      nextRun.setDate(nextRun.getDate() + (daysUntilNext || 7));
-      break;
-    case 'monthly':
-      const dayOfMonth = schedule.dayOfMonth || 1;
-      nextRun.setDate(dayOfMonth);
-      if (nextRun <= now) {
-        nextRun.setMonth(nextRun.getMonth() + 1);
-      }
-      break;
+/**
+ * Report the user may manage: any report for admins, their own otherwise
+ */
+function findOwnReport(id, user) {
+  const whereClause = { id };
+  if (user.role !== 'ADMIN') {
+    whereClause.createdById = user.id;
   }
-  
-  return nextRun;
+  return prisma.report.findFirst({ where: whereClause });
 }
 
-function setupScheduledReport(report) {
-  // In a real implementation, you would set up proper cron jobs
-  // For now, we'll just log the scheduled report
-  logger.info(`Scheduled report setup: ${report.name} (${report.id})`);
+function scheduleValidators() {
+  return [
+    body('schedule.time').optional().matches(/^([01]?[0-9]|2[0-3]):[0-5][0-9]$/),
+    body('schedule.dayOfWeek').optional().isInt({ min: 0, max: 6 }).toInt(),
+    // Capped at 28 so monthly reports run in every month
+    body('schedule.dayOfMonth').optional().isInt({ min: 1, max: 28 }).toInt()
+  ];
 }
 
 module.exports = router;
\ No newline at end of file
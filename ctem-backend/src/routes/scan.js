@@ -4,15 +4,29 @@ const { PrismaClient } = require('@prisma/client');
 const { authenticateToken, requirePermission } = require('../middleware/auth');
 const { auditLog } = require('../middleware/auditLog');
 const logger = require('../utils/logger');
-const cron = require('cron');
 const { v4: uuidv4 } = require('uuid');
+const multer = require('multer');
+const scannerRegistry = require('../services/scanner');
+const nmapImporter = require('../services/importers/nmap');
+const jobQueue = require('../services/queue/jobQueue');
+const { SCAN_QUEUE, queueScan } = require('../services/scanner/scanQueue');
+const scanScheduler = require('../services/scheduler/scanScheduler');
 
 const router = express.Router();
 const prisma = new PrismaClient();
 
-// Store for tracking scan progress
-const scanProgress = new Map();
-const activeScanJobs = new Map();
+// Scanner output uploads are parsed in memory
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 50 * 1024 * 1024 }
+});
+
+// Scans run on the persistent job queue so they survive restarts and are
+// shared between backend replicas
+jobQueue.registerHandler(SCAN_QUEUE, runScanJob, {
+  concurrency: parseInt(process.env.SCAN_WORKER_CONCURRENCY, 10) || 2,
+  onFailed: markScanFailed
+});
 
 /**
  * @swagger
@@ -98,6 +112,12 @@ const activeScanJobs = new Map();
  *           type: integer
  *         maxConcurrent:
  *           type: integer
+ *         adapter:
+ *           type: string
+ *           description: Scanner adapter to run instead of the defaults for scanType
+ *         adapterConfig:
+ *           type: object
+ *           description: Adapter-specific options, validated against the adapter's config schema
  *         schedule:
  *           type: object
  *           properties:
@@ -152,8 +172,14 @@ router.post('/start', [
   body('targets').optional().isArray(),
   body('assetIds').optional().isArray(),
   body('deepScan').optional().isBoolean(),
+  body('includePorts').optional().isArray({ max: 65535 }),
+  body('includePorts.*').optional().isInt({ min: 1, max: 65535 }).toInt(),
+  body('skipPorts').optional().isArray({ max: 65535 }),
+  body('skipPorts.*').optional().isInt({ min: 1, max: 65535 }).toInt(),
   body('timeout').optional().isInt({ min: 30, max: 3600 }),
-  body('maxConcurrent').optional().isInt({ min: 1, max: 10 })
+  body('maxConcurrent').optional().isInt({ min: 1, max: 10 }),
+  body('adapter').optional().isString().trim(),
+  body('adapterConfig').optional().isObject()
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -170,8 +196,12 @@ router.post('/start', [
       targets = [],
       assetIds = [],
       deepScan = false,
+      includePorts = [],
+      skipPorts = [],
       timeout = 300,
-      maxConcurrent = 3
+      maxConcurrent = 3,
+      adapter,
+      adapterConfig = {}
     } = req.body;
 
     // Validate that we have targets or assets
@@ -182,6 +212,30 @@ router.post('/start', [
       });
     }
 
+    const scanConfig = {
+      targets,
+      assetIds,
+      deepScan,
+      includePorts,
+      skipPorts,
+      timeout,
+      maxConcurrent,
+      ...(adapter && { adapter }),
+      adapterConfig
+    };
+
+    // Reject unknown adapters and invalid adapter options before queueing
+    try {
+      scannerRegistry.resolveAdapters(scanType, adapter).forEach(selected => {
+        scannerRegistry.validateAdapterConfig(selected, { ...scanConfig, ...adapterConfig });
+      });
+    } catch (adapterError) {
+      return res.status(400).json({
+        success: false,
+        message: adapterError.message
+      });
+    }
+
     // Check concurrent scan limit
     const runningScanCount = await prisma.scanResult.count({
       where: {
@@ -197,30 +251,8 @@ router.post('/start', [
       });
     }
 
-    // Create scan record
-    const scanResult = await prisma.scanResult.create({
-      data: {
-        scanType: scanType.toUpperCase(),
-        status: 'PENDING',
-        configuration: {
-          targets,
-          assetIds,
-          deepScan,
-          timeout,
-          maxConcurrent
-        },
-        createdById: req.user.id
-      }
-    });
-
-    // Start scan asynchronously
-    startScanAsync(scanResult.id, scanType, {
-      targets,
-      assetIds,
-      deepScan,
-      timeout,
-      maxConcurrent
-    });
+    // Create the scan record and queue it for the scan workers
+    const scanResult = await queueScan(scanType, scanConfig, req.user.id);
 
     res.status(201).json({
       success: true,
@@ -239,6 +271,37 @@ router.post('/start', [
   }
 });
 
+/**
+ * @swagger
+ * /api/scan/adapters:
+ *   get:
+ *     summary: List registered scanner adapters
+ *     tags: [Scanning]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Adapters with their supported scan types and config schema
+ */
+router.get('/adapters', [
+  authenticateToken,
+  requirePermission('scans:read')
+], async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      data: scannerRegistry.listAdapters()
+    });
+
+  } catch (error) {
+    logger.error('List scanner adapters error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
 /**
  * @swagger
  * /api/scan/{id}/status:
@@ -290,10 +353,11 @@ router.get('/:id/status', [
       });
     }
 
-    // Add real-time progress information
+    // Add progress information from the scan job
+    const jobs = await jobQueue.getJobsForResources(SCAN_QUEUE, [id]);
     const enrichedScan = {
       ...scan,
-      progress: scanProgress.get(id) || 0,
+      progress: jobProgress(jobs.get(id)),
       status: scan.status.toLowerCase(),
       scanType: scan.scanType.toLowerCase()
     };
@@ -405,10 +469,11 @@ router.get('/history', [
       prisma.scanResult.count({ where: whereClause })
     ]);
 
-    // Add progress information for running scans
+    // Add progress information from the scan jobs
+    const jobs = await jobQueue.getJobsForResources(SCAN_QUEUE, scans.map(scan => scan.id));
     const enrichedScans = scans.map(scan => ({
       ...scan,
-      progress: scanProgress.get(scan.id) || 0,
+      progress: jobProgress(jobs.get(scan.id)),
       status: scan.status.toLowerCase(),
       scanType: scan.scanType.toLowerCase()
     }));
@@ -479,13 +544,6 @@ router.post('/:id/cancel', [
       });
     }
 
-    // Cancel the scan job if it exists
-    const scanJob = activeScanJobs.get(id);
-    if (scanJob) {
-      scanJob.cancelled = true;
-      activeScanJobs.delete(id);
-    }
-
     // Update scan status
     await prisma.scanResult.update({
       where: { id },
@@ -496,8 +554,8 @@ router.post('/:id/cancel', [
       }
     });
 
-    // Clean up progress tracking
-    scanProgress.delete(id);
+    // Drop the queued job or stop the running one on whichever replica holds it
+    await jobQueue.cancelResourceJobs(SCAN_QUEUE, id);
 
     res.json({
       success: true,
@@ -722,6 +780,7 @@ router.get('/stats', [
  * /api/scan/schedule:
  *   post:
  *     summary: Schedule recurring scans
+ *     description: Frequency and time default to the scanning.automated settings and run in the general.timezone timezone. Schedules only fire while scanning.automated.enabled is on.
  *     tags: [Scanning]
  *     security:
  *       - bearerAuth: []
@@ -732,9 +791,7 @@ router.post('/schedule', [
   auditLog('SCHEDULE', 'SCAN'),
   body('name').trim().isLength({ min: 1, max: 200 }),
   body('scanType').isIn(['network', 'vulnerability', 'compliance', 'full']),
-  body('schedule.enabled').isBoolean(),
-  body('schedule.frequency').isIn(['daily', 'weekly', 'monthly']),
-  body('schedule.time').optional().matches(/^([01]?[0-9]|2[0-3]):[0-5][0-9]$/),
+  ...scheduleValidators(),
   body('targets').optional().isArray(),
   body('assetIds').optional().isArray()
 ], async (req, res) => {
@@ -751,21 +808,30 @@ router.post('/schedule', [
     const {
       name,
       scanType,
-      schedule,
+      schedule = {},
       targets = [],
       assetIds = [],
       deepScan = false,
       timeout = 300
     } = req.body;
 
+    if (targets.length === 0 && assetIds.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Either targets or assetIds must be provided'
+      });
+    }
+
+    const defaults = await scanScheduler.getSchedulerSettings();
+
     // Create scheduled scan configuration
     const scheduledScan = await prisma.scheduledScan.create({
       data: {
         name,
         scanType: scanType.toUpperCase(),
         enabled: schedule.enabled,
-        frequency: schedule.frequency,
-        time: schedule.time || '02:00',
+        frequency: schedule.frequency || defaults.frequency,
+        time: schedule.time || defaults.time,
         dayOfWeek: schedule.dayOfWeek,
         dayOfMonth: schedule.dayOfMonth,
         configuration: {
@@ -778,14 +844,12 @@ router.post('/schedule', [
       }
     });
 
-    // Set up cron job if enabled
-    if (schedule.enabled) {
-      setupScheduledScan(scheduledScan);
-    }
+    // Start the cron job and fill in nextRun
+    await scanScheduler.refresh();
 
     res.status(201).json({
       success: true,
-      data: scheduledScan,
+      data: await prisma.scheduledScan.findUnique({ where: { id: scheduledScan.id } }),
       message: 'Scan scheduled successfully'
     });
 
@@ -838,85 +902,402 @@ router.get('/scheduled', [
   }
 });
 
-// Helper functions
-
-async function startScanAsync(scanId, scanType, config) {
+/**
+ * @swagger
+ * /api/scan/schedule/{id}:
+ *   put:
+ *     summary: Update a scheduled scan
+ *     description: Changes take effect immediately; disabling a schedule stops its future runs.
+ *     tags: [Scanning]
+ *     security:
+ *       - bearerAuth: []
+ */
+router.put('/schedule/:id', [
+  authenticateToken,
+  requirePermission('scans:update'),
+  auditLog('UPDATE', 'SCAN'),
+  param('id').isUUID(),
+  body('name').optional().trim().isLength({ min: 1, max: 200 }),
+  body('scanType').optional().isIn(['network', 'vulnerability', 'compliance', 'full']),
+  ...scheduleValidators({ optional: true }),
+  body('targets').optional().isArray(),
+  body('assetIds').optional().isArray(),
+  body('deepScan').optional().isBoolean(),
+  body('timeout').optional().isInt({ min: 30, max: 3600 })
+], async (req, res) => {
   try {
-    // Create scan job object
-    const scanJob = {
-      id: scanId,
-      cancelled: false,
-      startTime: new Date()
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { id } = req.params;
+    const { name, scanType, schedule = {}, targets, assetIds, deepScan, timeout } = req.body;
+
+    const existing = await prisma.scheduledScan.findUnique({
+      where: { id }
+    });
+
+    if (!existing) {
+      return res.status(404).json({
+        success: false,
+        message: 'Scheduled scan not found'
+      });
+    }
+
+    const configuration = {
+      ...existing.configuration,
+      ...(targets !== undefined && { targets }),
+      ...(assetIds !== undefined && { assetIds }),
+      ...(deepScan !== undefined && { deepScan }),
+      ...(timeout !== undefined && { timeout })
     };
 
-    activeScanJobs.set(scanId, scanJob);
+    if ((configuration.targets || []).length === 0 && (configuration.assetIds || []).length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Either targets or assetIds must be provided'
+      });
+    }
 
-    // Update scan status to running
-    await prisma.scanResult.update({
-      where: { id: scanId },
+    await prisma.scheduledScan.update({
+      where: { id },
       data: {
-        status: 'RUNNING',
-        startedAt: new Date()
+        ...(name !== undefined && { name }),
+        ...(scanType !== undefined && { scanType: scanType.toUpperCase() }),
+        ...(schedule.enabled !== undefined && { enabled: schedule.enabled }),
+        ...(schedule.frequency !== undefined && { frequency: schedule.frequency }),
+        ...(schedule.time !== undefined && { time: schedule.time }),
+        ...(schedule.dayOfWeek !== undefined && { dayOfWeek: schedule.dayOfWeek }),
+        ...(schedule.dayOfMonth !== undefined && { dayOfMonth: schedule.dayOfMonth }),
+        configuration
       }
     });
 
-    // Initialize progress
-    scanProgress.set(scanId, 0);
+    // Reschedule, or stop the cron job when disabled
+    await scanScheduler.refresh();
+
+    res.json({
+      success: true,
+      data: await prisma.scheduledScan.findUnique({ where: { id } }),
+      message: 'Scheduled scan updated successfully'
+    });
 
-    // Simulate scan execution
-    const results = await executeScan(scanId, scanType, config, scanJob);
+  } catch (error) {
+    logger.error('Update scheduled scan error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
 
-    // Check if scan was cancelled
-    if (scanJob.cancelled) {
-      return;
+/**
+ * @swagger
+ * /api/scan/schedule/{id}:
+ *   delete:
+ *     summary: Delete a scheduled scan
+ *     tags: [Scanning]
+ *     security:
+ *       - bearerAuth: []
+ */
+router.delete('/schedule/:id', [
+  authenticateToken,
+  requirePermission('scans:delete'),
+  auditLog('DELETE', 'SCAN'),
+  param('id').isUUID()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
     }
 
-    // Calculate duration
-    const duration = Math.floor((new Date() - scanJob.startTime) / 1000);
+    const { id } = req.params;
 
-    // Update scan as completed
-    await prisma.scanResult.update({
-      where: { id: scanId },
-      data: {
-        status: 'COMPLETED',
-        completedAt: new Date(),
-        duration,
-        findingsCount: results.findings.length,
-        assetsScanned: results.assetsScanned,
-        vulnerabilitiesFound: results.vulnerabilitiesFound,
-        criticalFindings: results.criticalFindings,
-        highFindings: results.highFindings,
-        mediumFindings: results.mediumFindings,
-        lowFindings: results.lowFindings,
-        findings: results.findings
-      }
+    const existing = await prisma.scheduledScan.findUnique({
+      where: { id }
+    });
+
+    if (!existing) {
+      return res.status(404).json({
+        success: false,
+        message: 'Scheduled scan not found'
+      });
+    }
+
+    await prisma.scheduledScan.delete({
+      where: { id }
     });
 
-    // Clean up
-    activeScanJobs.delete(scanId);
-    scanProgress.delete(scanId);
+    await scanScheduler.refresh();
 
-    logger.info(`Scan ${scanId} completed successfully`);
+    res.json({
+      success: true,
+      message: 'Scheduled scan deleted successfully'
+    });
 
   } catch (error) {
-    logger.error(`Scan ${scanId} failed:`, error);
+    logger.error('Delete scheduled scan error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
 
-    await prisma.scanResult.update({
-      where: { id: scanId },
-      data: {
-        status: 'FAILED',
-        completedAt: new Date(),
-        error: error.message
+/**
+ * @swagger
+ * /api/scan/import/nmap:
+ *   post:
+ *     summary: Import nmap XML output (-oX) into assets and scan results
+ *     tags: [Scanning]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - file
+ *             properties:
+ *               file:
+ *                 type: string
+ *                 format: binary
+ *               assetType:
+ *                 type: string
+ *                 enum: [SERVER, WORKSTATION, NETWORK_DEVICE, APPLICATION, DATABASE, CLOUD_RESOURCE]
+ *                 description: Type for assets created by the import
+ *     responses:
+ *       201:
+ *         description: Import completed, one completed scan result per host
+ */
+router.post('/import/nmap', [
+  authenticateToken,
+  requirePermission('scans:create'),
+  upload.single('file'),
+  auditLog('IMPORT', 'SCAN'),
+  body('assetType').optional().isIn(['SERVER', 'WORKSTATION', 'NETWORK_DEVICE', 'APPLICATION', 'DATABASE', 'CLOUD_RESOURCE'])
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        message: 'An nmap XML file is required'
+      });
+    }
+
+    let nmapRun;
+    try {
+      nmapRun = nmapImporter.parseNmapXml(req.file.buffer);
+    } catch (parseError) {
+      return res.status(400).json({
+        success: false,
+        message: parseError.message
+      });
+    }
+
+    const { assetType = 'SERVER' } = req.body;
+
+    const importResults = {
+      hostsTotal: nmapRun.hosts.length,
+      hostsImported: 0,
+      hostsSkipped: 0,
+      assetsCreated: 0,
+      assetsUpdated: 0,
+      scanIds: []
+    };
+
+    for (const host of nmapRun.hosts) {
+      // Hosts that are down or lack an address cannot be matched to an asset
+      if (host.status !== 'up' || (!host.ipAddress && !host.hostname)) {
+        importResults.hostsSkipped++;
+        continue;
       }
+
+      const seenAt = host.completedAt || nmapRun.completedAt || new Date();
+
+      const existingAsset = await prisma.asset.findFirst({
+        where: {
+          OR: [
+            host.ipAddress ? { ipAddress: host.ipAddress } : null,
+            host.hostname ? { hostname: host.hostname } : null
+          ].filter(Boolean)
+        }
+      });
+
+      let asset;
+      if (existingAsset) {
+        asset = await prisma.asset.update({
+          where: { id: existingAsset.id },
+          data: {
+            lastSeen: seenAt,
+            ...(host.operatingSystem && { operatingSystem: host.operatingSystem }),
+            ...(!existingAsset.ipAddress && host.ipAddress && { ipAddress: host.ipAddress }),
+            ...(!existingAsset.hostname && host.hostname && { hostname: host.hostname })
+          }
+        });
+        importResults.assetsUpdated++;
+      } else {
+        asset = await prisma.asset.create({
+          data: {
+            name: host.hostname || host.ipAddress,
+            type: assetType,
+            ipAddress: host.ipAddress,
+            hostname: host.hostname,
+            operatingSystem: host.operatingSystem,
+            lastSeen: seenAt,
+            createdById: req.user.id
+          }
+        });
+        importResults.assetsCreated++;
+      }
+
+      const findings = nmapImporter.toFindings(host).map(finding => ({
+        ...finding,
+        assetId: asset.id
+      }));
+
+      const startedAt = host.startedAt || nmapRun.startedAt || seenAt;
+
+      const scanResult = await prisma.scanResult.create({
+        data: {
+          scanType: 'NETWORK',
+          status: 'COMPLETED',
+          startedAt,
+          completedAt: seenAt,
+          duration: Math.max(0, Math.floor((seenAt - startedAt) / 1000)),
+          findingsCount: findings.length,
+          assetsScanned: 1,
+          ...scannerRegistry.summarizeFindings(findings),
+          configuration: {
+            source: 'nmap',
+            fileName: req.file.originalname,
+            args: nmapRun.args,
+            nmapVersion: nmapRun.version,
+            targets: [host.ipAddress || host.hostname],
+            assetIds: [asset.id],
+            macAddress: host.macAddress,
+            osMatches: host.osMatches
+          },
+          findings,
+          assetId: asset.id,
+          createdById: req.user.id
+        }
+      });
+
+      importResults.hostsImported++;
+      importResults.scanIds.push(scanResult.id);
+    }
+
+    res.status(201).json({
+      success: true,
+      data: importResults,
+      message: 'Nmap import completed'
+    });
+
+  } catch (error) {
+    logger.error('Import nmap scan error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
     });
+  }
+});
 
-    // Clean up
-    activeScanJobs.delete(scanId);
-    scanProgress.delete(scanId);
+// Helper functions
+
+/**
+ * Job queue handler for a queued scan
+ */
+async function runScanJob(job, context) {
+  const { scanId, scanType, config } = job.payload;
+
+  const scan = await prisma.scanResult.findUnique({ where: { id: scanId } });
+  if (!scan || scan.status === 'CANCELLED') {
+    return;
   }
+
+  const startedAt = new Date();
+  await prisma.scanResult.update({
+    where: { id: scanId },
+    data: {
+      status: 'RUNNING',
+      startedAt
+    }
+  });
+
+  const results = await executeScan(scanId, scanType, config, context);
+
+  // Check if scan was cancelled
+  if (context.isCancelled()) {
+    return;
+  }
+
+  // Calculate duration
+  const duration = Math.floor((new Date() - startedAt) / 1000);
+
+  // Update scan as completed
+  await prisma.scanResult.update({
+    where: { id: scanId },
+    data: {
+      status: 'COMPLETED',
+      completedAt: new Date(),
+      duration,
+      findingsCount: results.findings.length,
+      assetsScanned: results.assetsScanned,
+      vulnerabilitiesFound: results.vulnerabilitiesFound,
+      criticalFindings: results.criticalFindings,
+      highFindings: results.highFindings,
+      mediumFindings: results.mediumFindings,
+      lowFindings: results.lowFindings,
+      findings: results.findings
+    }
+  });
+
+  logger.info(`Scan ${scanId} completed successfully`);
+}
+
+/**
+ * Mark a scan failed once its job has used up every attempt
+ */
+async function markScanFailed(job, error) {
+  logger.error(`Scan ${job.resourceId} failed:`, error);
+
+  await prisma.scanResult.updateMany({
+    where: { id: job.resourceId, status: { in: ['PENDING', 'RUNNING'] } },
+    data: {
+      status: 'FAILED',
+      completedAt: new Date(),
+      error: error.message
+    }
+  });
 }
 
-async function executeScan(scanId, scanType, config, scanJob) {
+function jobProgress(job) {
+  return job ? job.progress : 0;
+}
+
+async function executeScan(scanId, scanType, config, context) {
   const results = {
     findings: [],
     assetsScanned: 0,
@@ -933,19 +1314,15 @@ async function executeScan(scanId, scanType, config, scanJob) {
 
   for (let i = 0; i < totalTargets; i++) {
     // Check if scan was cancelled
-    if (scanJob.cancelled) {
+    if (context.isCancelled()) {
       throw new Error('Scan was cancelled');
     }
 
     const target = targets[i];
-    const progress = Math.floor((i / totalTargets) * 100);
-    scanProgress.set(scanId, progress);
-
-    // Simulate scanning delay
-    await new Promise(resolve => setTimeout(resolve, 100));
+    await context.setProgress(Math.floor((i / totalTargets) * 100));
 
     // Execute scan based on type
-    const targetResults = await scanTarget(target, scanType, config);
+    const targetResults = await scanTarget(scanId, target, scanType, config, context);
     
     // Aggregate results
     results.findings.push(...targetResults.findings);
@@ -958,7 +1335,7 @@ async function executeScan(scanId, scanType, config, scanJob) {
   }
 
   // Final progress
-  scanProgress.set(scanId, 100);
+  await context.setProgress(100);
 
   return results;
 }
@@ -995,150 +1372,16 @@ async function getTargets(config) {
   return targets;
 }
 
-async function scanTarget(target, scanType, config) {
-  // This is a simulation of actual scanning
-  // In a real implementation, you would integrate with actual scanning tools
-  
-  const results = {
-    findings: [],
-    vulnerabilitiesFound: 0,
-    criticalFindings: 0,
-    highFindings: 0,
-    mediumFindings: 0,
-    lowFindings: 0
-  };
-
-  // Simulate different scan types
-  switch (scanType) {
-    case 'network':
-      return await performNetworkScan(target, config);
-    case 'vulnerability':
-      return await performVulnerabilityScan(target, config);
-    case 'compliance':
-      return await performComplianceScan(target, config);
-    case 'full':
-      const networkResults = await performNetworkScan(target, config);
-      const vulnResults = await performVulnerabilityScan(target, config);
-      const complianceResults = await performComplianceScan(target, config);
-      
-      // Combine all results
-      results.findings.push(...networkResults.findings, ...vulnResults.findings, ...complianceResults.findings);
-      results.vulnerabilitiesFound = networkResults.vulnerabilitiesFound + vulnResults.vulnerabilitiesFound + complianceResults.vulnerabilitiesFound;
-      results.criticalFindings = networkResults.criticalFindings + vulnResults.criticalFindings + complianceResults.criticalFindings;
-      results.highFindings = networkResults.highFindings + vulnResults.highFindings + complianceResults.highFindings;
-      results.mediumFindings = networkResults.mediumFindings + vulnResults.mediumFindings + complianceResults.mediumFindings;
-      results.lowFindings = networkResults.lowFindings + vulnResults.lowFindings + complianceResults.lowFindings;
-      
-      return results;
-    default:
-      throw new Error(`Unsupported scan type: ${scanType}`);
-  }
-}
-
-async function performNetworkScan(target, config) {
-  // Simulate network scanning
-  const findings = [];
-  const openPorts = [22, 80, 443, 3389]; // Simulated open ports
-  
-  openPorts.forEach(port => {
-    findings.push({
-      type: 'network',
-      severity: 'info',
-      title: `Open Port ${port}`,
-      description: `Port ${port} is open on ${target.value}`,
-      target: target.value,
-      port: port,
-      protocol: 'tcp'
-    });
+async function scanTarget(scanId, target, scanType, config, context) {
+  const findings = await scannerRegistry.runAdapters(target, scanType, config, {
+    scanId,
+    isCancelled: context.isCancelled,
+    signal: context.signal
   });
 
   return {
     findings,
-    vulnerabilitiesFound: 0,
-    criticalFindings: 0,
-    highFindings: 0,
-    mediumFindings: 0,
-    lowFindings: findings.length
-  };
-}
-
-async function performVulnerabilityScan(target, config) {
-  // Simulate vulnerability scanning
-  const findings = [];
-  
-  // Simulate some vulnerabilities
-  const vulnerabilities = [
-    { severity: 'critical', title: 'Remote Code Execution', cve: 'CVE-2024-1234' },
-    { severity: 'high', title: 'SQL Injection', cve: 'CVE-2024-5678' },
-    { severity: 'medium', title: 'Cross-Site Scripting', cve: 'CVE-2024-9012' }
-  ];
-
-  // Randomly select some vulnerabilities
-  const selectedVulns = vulnerabilities.filter(() => Math.random() > 0.7);
-  
-  selectedVulns.forEach(vuln => {
-    findings.push({
-      type: 'vulnerability',
-      severity: vuln.severity,
-      title: vuln.title,
-      description: `${vuln.title} vulnerability found on ${target.value}`,
-      target: target.value,
-      cve: vuln.cve,
-      cvssScore: vuln.severity === 'critical' ? 9.0 : vuln.severity === 'high' ? 7.5 : 5.0
-    });
-  });
-
-  const criticalFindings = findings.filter(f => f.severity === 'critical').length;
-  const highFindings = findings.filter(f => f.severity === 'high').length;
-  const mediumFindings = findings.filter(f => f.severity === 'medium').length;
-
-  return {
-    findings,
-    vulnerabilitiesFound: findings.length,
-    criticalFindings,
-    highFindings,
-    mediumFindings,
-    lowFindings: 0
-  };
-}
-
-async function performComplianceScan(target, config) {
-  // Simulate compliance scanning
-  const findings = [];
-  
-  // Simulate compliance checks
-  const complianceChecks = [
-    { severity: 'high', title: 'Password Policy Violation', framework: 'ISO 27001' },
-    { severity: 'medium', title: 'Encryption Not Enabled', framework: 'NIST' },
-    { severity: 'low', title: 'Audit Logging Disabled', framework: 'SOC 2' }
-  ];
-
-  // Randomly select some compliance issues
-  const selectedChecks = complianceChecks.filter(() => Math.random() > 0.6);
-  
-  selectedChecks.forEach(check => {
-    findings.push({
-      type: 'compliance',
-      severity: check.severity,
-      title: check.title,
-      description: `${check.title} detected on ${target.value}`,
-      target: target.value,
-      framework: check.framework
-    });
-  });
-
-  const criticalFindings = findings.filter(f => f.severity === 'critical').length;
-  const highFindings = findings.filter(f => f.severity === 'high').length;
-  const mediumFindings = findings.filter(f => f.severity === 'medium').length;
-  const lowFindings = findings.filter(f => f.severity === 'low').length;
-
-  return {
-    findings,
-    vulnerabilitiesFound: findings.length,
-    criticalFindings,
-    highFindings,
-    mediumFindings,
-    lowFindings
+    ...scannerRegistry.summarizeFindings(findings)
   };
 }
 
@@ -1154,31 +1397,14 @@ async function getSystemSetting(key, defaultValue) {
   }
 }
 
-function setupScheduledScan(scheduledScan) {
-  // In a real implementation, you would set up proper cron jobs
-  // For now, we'll just log the scheduled scan
-  logger.info(`Scheduled scan setup: ${scheduledScan.name} (${scheduledScan.id})`);
-  
-  // Example cron pattern generation
-  const { frequency, time, dayOfWeek, dayOfMonth } = scheduledScan;
-  const [hours, minutes] = time.split(':').map(Number);
-  
-  let cronPattern;
-  switch (frequency) {
-    case 'daily':
-      cronPattern = `${minutes} ${hours} * * *`;
-      break;
-    case 'weekly':
-      cronPattern = `${minutes} ${hours} * * ${dayOfWeek || 1}`;
-      break;
-    case 'monthly':
-      cronPattern = `${minutes} ${hours} ${dayOfMonth || 1} * *`;
-      break;
-    default:
-      cronPattern = `${minutes} ${hours} * * *`;
-  }
-  
-  logger.info(`Cron pattern for ${scheduledScan.name}: ${cronPattern}`);
+function scheduleValidators({ optional = false } = {}) {
+  const enabled = body('schedule.enabled').isBoolean();
+  return [
+    optional ? enabled.optional() : enabled,
+    body('schedule.frequency').optional().isIn(scanScheduler.FREQUENCIES),
+    body('schedule.time').optional().matches(/^([01]?[0-9]|2[0-3]):[0-5][0-9]$/),
+    body('schedule.dayOfWeek').optional().isInt({ min: 0, max: 6 }).toInt(),
+    // Capped at 28 so monthly scans run in every month
+    body('schedule.dayOfMonth').optional().isInt({ min: 1, max: 28 }).toInt()
+  ];
 }
-
-module.exports = router;
\ No newline at end of file
@@ -4,6 +4,15 @@ const { PrismaClient } = require('@prisma/client');
 const { authenticateToken, requirePermission } = require('../middleware/auth');
 const { auditLog } = require('../middleware/auditLog');
 const logger = require('../utils/logger');
+const assetRisk = require('../services/risk/assetRisk');
+const slaPolicy = require('../services/sla/slaPolicy');
+const oidc = require('../services/auth/oidc');
+const ldap = require('../services/auth/ldap');
+const { FilterParser } = require('ldapts');
+const scanScheduler = require('../services/scheduler/scanScheduler');
+const reportScheduler = require('../services/scheduler/reportScheduler');
+const reportRetention = require('../services/scheduler/reportRetention');
+const { DEFAULT_RETENTION_DAYS } = require('../services/reports/reportArtifacts');
 const bcrypt = require('bcryptjs');
 const nodemailer = require('nodemailer');
 
@@ -113,6 +122,173 @@ const prisma = new PrismaClient();
  *               type: boolean
  *             autoRemediation:
  *               type: boolean
+ *         reports:
+ *           type: object
+ *           properties:
+ *             retentionDays:
+ *               type: integer
+ *               description: Days generated report files are kept; 0 keeps them forever
+ *         riskScoring:
+ *           type: object
+ *           description: Weights of the asset risk scoring engine; changing them rescores every asset
+ *           properties:
+ *             exploitAvailable:
+ *               type: number
+ *               description: CVSS multiplier for findings with a public exploit
+ *             knownExploited:
+ *               type: number
+ *               description: CVSS multiplier for findings in the CISA KEV catalog
+ *             breadth:
+ *               type: number
+ *               description: Share of the other findings' scores added to the worst one
+ *             criticality:
+ *               type: object
+ *               properties:
+ *                 CRITICAL:
+ *                   type: number
+ *                 HIGH:
+ *                   type: number
+ *                 MEDIUM:
+ *                   type: number
+ *                 LOW:
+ *                   type: number
+ *             exposure:
+ *               type: object
+ *               properties:
+ *                 internetFacing:
+ *                   type: number
+ *                 internal:
+ *                   type: number
+ *                 tags:
+ *                   type: array
+ *                   items:
+ *                     type: string
+ *         sla:
+ *           type: object
+ *           description: Remediation SLA policy; changing it recomputes the due dates of open findings
+ *           properties:
+ *             severity:
+ *               type: object
+ *               description: Days to remediate by severity (CRITICAL, HIGH, MEDIUM, LOW, INFO); null sets no SLA
+ *               additionalProperties:
+ *                 type: integer
+ *                 nullable: true
+ *             criticality:
+ *               type: object
+ *               description: Days by asset criticality, then severity, overriding the severity days
+ *               additionalProperties:
+ *                 type: object
+ *                 additionalProperties:
+ *                   type: integer
+ *                   nullable: true
+ *         sso:
+ *           type: object
+ *           properties:
+ *             oidc:
+ *               type: object
+ *               description: OpenID Connect single sign-on; the client secret is read from OIDC_CLIENT_SECRET
+ *               properties:
+ *                 enabled:
+ *                   type: boolean
+ *                 issuer:
+ *                   type: string
+ *                 clientId:
+ *                   type: string
+ *                 redirectUri:
+ *                   type: string
+ *                   description: The backend's /api/auth/sso/callback URL as registered at the provider
+ *                 scopes:
+ *                   type: string
+ *                 groupsClaim:
+ *                   type: string
+ *                   description: Claim with the user's groups; dotted paths reach nested claims
+ *                 roleMappings:
+ *                   type: array
+ *                   description: The highest role and all permissions of the user's mapped groups apply
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       group:
+ *                         type: string
+ *                       role:
+ *                         type: string
+ *                         enum: [ADMIN, ANALYST, VIEWER]
+ *                       permissions:
+ *                         type: array
+ *                         items:
+ *                           type: string
+ *                 defaultRole:
+ *                   type: string
+ *                   nullable: true
+ *                   description: Role of users in no mapped group; empty refuses them
+ *                 autoProvision:
+ *                   type: boolean
+ *                   description: Create accounts for new users at their first login
+ *                 buttonLabel:
+ *                   type: string
+ *             ldap:
+ *               type: object
+ *               description: LDAP / Active Directory login and group sync; the bind password is read from LDAP_BIND_PASSWORD
+ *               properties:
+ *                 enabled:
+ *                   type: boolean
+ *                 url:
+ *                   type: string
+ *                   example: ldaps://dc1.example.com
+ *                 startTls:
+ *                   type: boolean
+ *                   description: Upgrade an ldap:// connection to TLS
+ *                 verifyCertificate:
+ *                   type: boolean
+ *                 bindDn:
+ *                   type: string
+ *                   description: Service account that searches the directory; empty searches anonymously
+ *                 baseDn:
+ *                   type: string
+ *                 userFilter:
+ *                   type: string
+ *                   description: >
+ *                     Filter finding a user, with {username} for the login email. It also
+ *                     selects the users the sync reads, so conditions such as excluding
+ *                     locked accounts belong here. Active Directory's disabled flag in
+ *                     userAccountControl is honored either way.
+ *                 emailAttribute:
+ *                   type: string
+ *                 nameAttribute:
+ *                   type: string
+ *                 departmentAttribute:
+ *                   type: string
+ *                   description: Empty leaves the department to the administrators
+ *                 groupsAttribute:
+ *                   type: string
+ *                 roleMappings:
+ *                   type: array
+ *                   description: Groups by DN or CN; the highest role and all permissions of the user's mapped groups apply
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       group:
+ *                         type: string
+ *                       role:
+ *                         type: string
+ *                         enum: [ADMIN, ANALYST, VIEWER]
+ *                       permissions:
+ *                         type: array
+ *                         items:
+ *                           type: string
+ *                 defaultRole:
+ *                   type: string
+ *                   nullable: true
+ *                   description: Role of users in no mapped group; empty refuses them
+ *                 autoProvision:
+ *                   type: boolean
+ *                   description: Create accounts for new users at their first login
+ *                 syncEnabled:
+ *                   type: boolean
+ *                   description: Sync directory users hourly; /api/users/ldap-sync/preview shows what a sync would change
+ *                 timeout:
+ *                   type: integer
+ *                   description: Milliseconds for connecting and for each directory operation
  *     SystemInfo:
  *       type: object
  *       properties:
@@ -223,6 +399,15 @@ router.get('/', [
         concurrentScans: 3,
         deepScan: false,
         autoRemediation: false
+      },
+      reports: {
+        retentionDays: DEFAULT_RETENTION_DAYS
+      },
+      riskScoring: JSON.parse(JSON.stringify(assetRisk.DEFAULT_WEIGHTS)),
+      sla: JSON.parse(JSON.stringify(slaPolicy.DEFAULT_SLA_POLICY)),
+      sso: {
+        oidc: JSON.parse(JSON.stringify(oidc.DEFAULT_OIDC_SETTINGS)),
+        ldap: JSON.parse(JSON.stringify(ldap.DEFAULT_LDAP_SETTINGS))
       }
     };
 
@@ -290,7 +475,42 @@ router.put('/', [
   body('general').optional().isObject(),
   body('security').optional().isObject(),
   body('notifications').optional().isObject(),
-  body('scanning').optional().isObject()
+  body('scanning').optional().isObject(),
+  body('scanning.automated.enabled').optional().isBoolean(),
+  body('scanning.automated.frequency').optional().isIn(scanScheduler.FREQUENCIES),
+  body('scanning.automated.time').optional().matches(/^([01]?[0-9]|2[0-3]):[0-5][0-9]$/),
+  body('reports').optional().isObject(),
+  body('reports.retentionDays').optional().isInt({ min: 0, max: 3650 }).toInt(),
+  body('riskScoring').optional().isObject(),
+  body(['riskScoring.exploitAvailable', 'riskScoring.knownExploited']).optional().isFloat({ min: 1, max: 5 }),
+  body('riskScoring.breadth').optional().isFloat({ min: 0, max: 1 }),
+  body('riskScoring.criticality.*').optional().isFloat({ min: 0, max: 5 }),
+  body(['riskScoring.exposure.internetFacing', 'riskScoring.exposure.internal']).optional().isFloat({ min: 0, max: 5 }),
+  body('riskScoring.exposure.tags').optional().isArray(),
+  body('sla').optional().isObject(),
+  body(['sla.severity.*', 'sla.criticality.*.*']).optional({ values: 'null' }).isInt({ min: 1, max: 3650 }),
+  body('sso').optional().isObject(),
+  body(['sso.oidc.enabled', 'sso.oidc.autoProvision']).optional().isBoolean(),
+  body(['sso.oidc.issuer', 'sso.oidc.redirectUri']).optional({ values: 'falsy' }).isURL({ require_tld: false, require_protocol: true }),
+  body('sso.oidc.roleMappings').optional().isArray(),
+  body('sso.oidc.roleMappings.*.group').optional().isString().notEmpty(),
+  body('sso.oidc.roleMappings.*.role').optional().isIn(['ADMIN', 'ANALYST', 'VIEWER']),
+  body('sso.oidc.roleMappings.*.permissions').optional().isArray(),
+  body('sso.oidc.defaultRole').optional({ values: 'falsy' }).isIn(['ADMIN', 'ANALYST', 'VIEWER']),
+  body('sso.oidc.clientSecret').not().exists().withMessage('Set the client secret in OIDC_CLIENT_SECRET'),
+  body(['sso.ldap.enabled', 'sso.ldap.startTls', 'sso.ldap.verifyCertificate', 'sso.ldap.autoProvision', 'sso.ldap.syncEnabled']).optional().isBoolean(),
+  body('sso.ldap.url').optional({ values: 'falsy' }).matches(/^ldaps?:\/\/[^\s/]+\/?$/i).withMessage('Must be an ldap:// or ldaps:// URL'),
+  body(['sso.ldap.bindDn', 'sso.ldap.baseDn']).optional().isString(),
+  body('sso.ldap.userFilter').optional().custom(isLdapUserFilter).withMessage('Must be an LDAP filter containing {username}'),
+  body(['sso.ldap.emailAttribute', 'sso.ldap.groupsAttribute']).optional().matches(/^[A-Za-z][A-Za-z0-9-]*$/),
+  body(['sso.ldap.nameAttribute', 'sso.ldap.departmentAttribute']).optional({ values: 'falsy' }).matches(/^[A-Za-z][A-Za-z0-9-]*$/),
+  body('sso.ldap.roleMappings').optional().isArray(),
+  body('sso.ldap.roleMappings.*.group').optional().isString().notEmpty(),
+  body('sso.ldap.roleMappings.*.role').optional().isIn(['ADMIN', 'ANALYST', 'VIEWER']),
+  body('sso.ldap.roleMappings.*.permissions').optional().isArray(),
+  body('sso.ldap.defaultRole').optional({ values: 'falsy' }).isIn(['ADMIN', 'ANALYST', 'VIEWER']),
+  body('sso.ldap.timeout').optional().isInt({ min: 1000, max: 60000 }).toInt(),
+  body('sso.ldap.bindPassword').not().exists().withMessage('Set the bind password in LDAP_BIND_PASSWORD')
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -343,6 +563,33 @@ router.put('/', [
       });
     }
 
+    // New weights apply to every asset; rescoring runs in the background
+    if (settingsData.riskScoring) {
+      assetRisk.recalculateAllAssetRisk().catch(error => {
+        logger.error('Asset risk recalculation error:', error);
+      });
+    }
+
+    // Scheduled scans follow scanning.automated.* and general.timezone
+    if (settingsData.scanning || settingsData.general) {
+      scanScheduler.refresh();
+    }
+    if (settingsData.general) {
+      reportScheduler.refresh();
+    }
+
+    // A shorter retention period applies to existing report files too
+    if (settingsData.reports) {
+      reportRetention.purge();
+    }
+
+    // Open findings are measured against the new policy
+    if (settingsData.sla) {
+      slaPolicy.refreshDueDates().catch(error => {
+        logger.error('SLA due date recalculation error:', error);
+      });
+    }
+
     res.json({
       success: true,
       message: 'Settings updated successfully'
@@ -405,7 +652,8 @@ router.post('/reset', [
       { key: 'scanning.timeout', value: '60', category: 'scanning' },
       { key: 'scanning.concurrentScans', value: '3', category: 'scanning' },
       { key: 'scanning.deepScan', value: 'false', category: 'scanning' },
-      { key: 'scanning.autoRemediation', value: 'false', category: 'scanning' }
+      { key: 'scanning.autoRemediation', value: 'false', category: 'scanning' },
+      { key: 'reports.retentionDays', value: String(DEFAULT_RETENTION_DAYS), category: 'reports' }
     ];
 
     await prisma.systemSetting.createMany({
@@ -415,6 +663,19 @@ router.post('/reset', [
       }))
     });
 
+    // Risk scoring falls back to its default weights
+    assetRisk.recalculateAllAssetRisk().catch(error => {
+      logger.error('Asset risk recalculation error:', error);
+    });
+
+    // So do SLA policies
+    slaPolicy.refreshDueDates().catch(error => {
+      logger.error('SLA due date recalculation error:', error);
+    });
+
+    scanScheduler.refresh();
+    reportScheduler.refresh();
+
     res.json({
       success: true,
       message: 'Settings reset to defaults successfully'
@@ -772,4 +1033,15 @@ function formatUptime(seconds) {
   }
 }
 
+// An LDAP filter that still parses once {username} is filled in
+function isLdapUserFilter(value) {
+  if (typeof value !== 'string' || !value.includes('{username}')) return false;
+  try {
+    FilterParser.parseString(value.split('{username}').join('user'));
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
 module.exports = router;
\ No newline at end of file
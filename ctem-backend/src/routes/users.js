@@ -3,6 +3,9 @@ const { body, query, param, validationResult } = require('express-validator');
 const { PrismaClient } = require('@prisma/client');
 const { authenticateToken, requireRole, requirePermission } = require('../middleware/auth');
 const { auditLog } = require('../middleware/auditLog');
+const { requestContext } = require('../services/audit/auditTrail');
+const mfa = require('../services/auth/mfa');
+const ldap = require('../services/auth/ldap');
 const logger = require('../utils/logger');
 const bcrypt = require('bcryptjs');
 const crypto = require('crypto');
@@ -11,6 +14,9 @@ const nodemailer = require('nodemailer');
 const router = express.Router();
 const prisma = new PrismaClient();
 
+// LDAP sync failures the settings are to blame for, rather than the directory
+const LDAP_SETTINGS_ERRORS = ['NOT_CONFIGURED', 'CONFIG_ERROR', 'INVALID_FILTER'];
+
 /**
  * @swagger
  * components:
@@ -50,6 +56,9 @@ const prisma = new PrismaClient();
  *           type: string
  *         mfaEnabled:
  *           type: boolean
+ *         authProvider:
+ *           type: string
+ *           description: Where the user signs in, e.g. local, oidc or ldap
  *         passwordLastChanged:
  *           type: string
  *           format: date-time
@@ -257,6 +266,7 @@ router.get('/', [
           department: true,
           phoneNumber: true,
           mfaEnabled: true,
+          authProvider: true,
           passwordLastChanged: true
         },
         orderBy,
@@ -340,6 +350,7 @@ router.get('/:id', [
         department: true,
         phoneNumber: true,
         mfaEnabled: true,
+        authProvider: true,
         passwordLastChanged: true,
         _count: {
           select: {
@@ -468,19 +479,8 @@ router.post('/', [
       }
     });
 
-    // Log audit trail using logger.audit
-    if (req.user) {
-      logger.audit(
-        req.user.id,
-        'CREATE',
-        'USER',
-        user.id,
-        null,
-        { name, email, role, department },
-        req.ip,
-        req.get('User-Agent')
-      );
-    }
+    // Recorded by the auditLog middleware
+    res.locals.audit = { entityId: user.id, after: user };
 
     // Send welcome email if requested
     if (sendWelcomeEmail) {
@@ -579,6 +579,11 @@ router.put('/:id', [
       });
     }
 
+    // An administrator's decision is not undone by the directory sync
+    if (updateData.isActive !== undefined) {
+      updateData.deactivationReason = null;
+    }
+
     const user = await prisma.user.update({
       where: { id },
       data: updateData,
@@ -595,19 +600,8 @@ router.put('/:id', [
       }
     });
 
-    // Log audit trail using logger.audit
-    if (req.user) {
-      logger.audit(
-        req.user.id,
-        'UPDATE',
-        'USER',
-        user.id,
-        existingUser,
-        updateData,
-        req.ip,
-        req.get('User-Agent')
-      );
-    }
+    // Recorded by the auditLog middleware
+    res.locals.audit = { entityId: user.id, before: existingUser, after: user };
 
     res.json({
       success: true,
@@ -676,6 +670,7 @@ router.delete('/:id', [
       where: { id },
       data: { 
         isActive: false,
+        deactivationReason: null,
         email: `deleted_${Date.now()}_${user.email}` // Prevent email conflicts
       }
     });
@@ -685,19 +680,8 @@ router.delete('/:id', [
       where: { userId: id }
     });
 
-    // Log audit trail using logger.audit
-    if (req.user) {
-      logger.audit(
-        req.user.id,
-        'DELETE',
-        'USER',
-        user.id,
-        user,
-        { isActive: false },
-        req.ip,
-        req.get('User-Agent')
-      );
-    }
+    // Recorded by the auditLog middleware
+    res.locals.audit = { entityId: user.id, before: user };
 
     res.json({
       success: true,
@@ -784,19 +768,8 @@ router.post('/:id/reset-password', [
       where: { userId: id }
     });
 
-    // Log audit trail using logger.audit
-    if (req.user) {
-      logger.audit(
-        req.user.id,
-        'RESET_PASSWORD',
-        'USER',
-        user.id,
-        null,
-        { passwordReset: true },
-        req.ip,
-        req.get('User-Agent')
-      );
-    }
+    // Recorded by the auditLog middleware
+    res.locals.audit = { entityId: user.id, after: null, metadata: { sendEmail } };
 
     // Send password reset email if requested
     if (sendEmail) {
@@ -874,7 +847,7 @@ router.patch('/:id/toggle-status', [
 
     const updatedUser = await prisma.user.update({
       where: { id },
-      data: { isActive: !user.isActive },
+      data: { isActive: !user.isActive, deactivationReason: null },
       select: {
         id: true,
         name: true,
@@ -890,19 +863,12 @@ router.patch('/:id/toggle-status', [
       });
     }
 
-    // Log audit trail using logger.audit
-    if (req.user) {
-      logger.audit(
-        req.user.id,
-        'TOGGLE_STATUS',
-        'USER',
-        user.id,
-        { isActive: user.isActive },
-        { isActive: updatedUser.isActive },
-        req.ip,
-        req.get('User-Agent')
-      );
-    }
+    // Recorded by the auditLog middleware
+    res.locals.audit = {
+      entityId: user.id,
+      before: { isActive: user.isActive },
+      after: { isActive: updatedUser.isActive }
+    };
 
     res.json({
       success: true,
@@ -919,6 +885,73 @@ router.patch('/:id/toggle-status', [
   }
 });
 
+/**
+ * @swagger
+ * /api/users/{id}/mfa/reset:
+ *   post:
+ *     summary: Reset a user's MFA, e.g. after a lost device
+ *     description: Removes the TOTP secret and recovery codes and ends the user's sessions; the user enrolls again at the next login if MFA is required
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ */
+router.post('/:id/mfa/reset', [
+  authenticateToken,
+  requireRole('ADMIN'),
+  auditLog('MFA_RESET', 'USER'),
+  param('id').isUUID()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { id } = req.params;
+
+    const user = await prisma.user.findUnique({
+      where: { id },
+      select: { id: true, mfaEnabled: true }
+    });
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    await mfa.disable(id);
+
+    await prisma.refreshToken.deleteMany({
+      where: { userId: id }
+    });
+
+    // Recorded by the auditLog middleware
+    res.locals.audit = {
+      entityId: user.id,
+      before: { mfaEnabled: user.mfaEnabled },
+      after: { mfaEnabled: false }
+    };
+
+    res.json({
+      success: true,
+      message: 'Multi-factor authentication reset successfully'
+    });
+
+  } catch (error) {
+    logger.error('Reset user MFA error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
 /**
  * @swagger
  * /api/users/bulk-update:
@@ -969,19 +1002,12 @@ router.patch('/bulk-update', [
       data: updates
     });
 
-    // Log audit trail using logger.audit
-    if (req.user) {
-      logger.audit(
-        req.user.id,
-        'BULK_UPDATE',
-        'USER',
-        userIds.join(','),
-        null,
-        updates,
-        req.ip,
-        req.get('User-Agent')
-      );
-    }
+    // Recorded by the auditLog middleware
+    res.locals.audit = {
+      entityId: userIds.join(','),
+      after: updates,
+      metadata: { updatedCount: updatedUsers.count }
+    };
 
     res.json({
       success: true,
@@ -1000,6 +1026,144 @@ router.patch('/bulk-update', [
   }
 });
 
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     LdapSyncResult:
+ *       type: object
+ *       properties:
+ *         directoryEntries:
+ *           type: integer
+ *           description: Entries the user filter selected in the directory
+ *         checkedUsers:
+ *           type: integer
+ *           description: Users who sign in through LDAP
+ *         changes:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               userId:
+ *                 type: string
+ *               email:
+ *                 type: string
+ *               name:
+ *                 type: string
+ *               reason:
+ *                 type: string
+ *                 enum: [directory_attributes, disabled_in_directory, not_authorized, not_in_directory]
+ *               before:
+ *                 type: object
+ *               after:
+ *                 type: object
+ *                 description: New values of the changed fields among role, permissions, department, isActive and externalId
+ */
+
+/**
+ * @swagger
+ * /api/users/ldap-sync/preview:
+ *   get:
+ *     summary: Preview an LDAP group sync
+ *     description: Reads the directory and lists the changes a sync would make to directory users, without making them
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Changes a sync would make
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/LdapSyncResult'
+ *       400:
+ *         description: LDAP is not configured
+ *       503:
+ *         description: The directory could not be read
+ */
+router.get('/ldap-sync/preview', [
+  authenticateToken,
+  requireRole('ADMIN')
+], async (req, res) => {
+  try {
+    const plan = await ldap.planSync(await ldap.getLdapSettings());
+
+    res.json({
+      success: true,
+      data: plan
+    });
+
+  } catch (error) {
+    if (error.code) {
+      return ldapSyncFailure(res, error);
+    }
+    logger.error('Preview LDAP sync error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/users/ldap-sync:
+ *   post:
+ *     summary: Run an LDAP group sync
+ *     description: Updates role, permissions, department and active state of directory users from the directory, as the preview shows; deactivated users are signed out
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Changes made
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/LdapSyncResult'
+ *       400:
+ *         description: LDAP is not configured
+ *       409:
+ *         description: Another sync is running
+ *       503:
+ *         description: The directory could not be read
+ */
+router.post('/ldap-sync', [
+  authenticateToken,
+  requireRole('ADMIN'),
+  auditLog('LDAP_SYNC', 'USER')
+], async (req, res) => {
+  try {
+    const result = await ldap.sync(await ldap.getLdapSettings(), requestContext(req));
+
+    // Recorded by the auditLog middleware; each user's change is recorded by the sync
+    res.locals.audit = {
+      entityId: result.changes.map(change => change.userId).join(',') || null,
+      metadata: {
+        directoryEntries: result.directoryEntries,
+        checkedUsers: result.checkedUsers,
+        updatedCount: result.changes.length
+      }
+    };
+
+    res.json({
+      success: true,
+      data: result,
+      message: `${result.changes.length} users updated from the directory`
+    });
+
+  } catch (error) {
+    if (error.code) {
+      return ldapSyncFailure(res, error);
+    }
+    logger.error('LDAP sync error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
 /**
  * @swagger
  * /api/users/stats:
@@ -1243,4 +1407,26 @@ async function getEmailSettings() {
   return settings;
 }
 
+function ldapSyncFailure(res, error) {
+  if (error.code === 'SYNC_RUNNING') {
+    return res.status(409).json({
+      success: false,
+      message: error.message
+    });
+  }
+
+  if (LDAP_SETTINGS_ERRORS.includes(error.code)) {
+    return res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+
+  logger.warn(`LDAP sync failed: ${error.message}`);
+  return res.status(503).json({
+    success: false,
+    message: `Directory could not be read: ${error.message}`
+  });
+}
+
 module.exports = router;
\ No newline at end of file
@@ -4,10 +4,30 @@ const { PrismaClient } = require('@prisma/client');
 const { authenticateToken, requirePermission } = require('../middleware/auth');
 const { auditLog } = require('../middleware/auditLog');
 const logger = require('../utils/logger');
+const multer = require('multer');
+const mapping = require('../services/mapping');
+const { importFindings } = require('../services/importers/vulnerabilityImport');
+const nvd = require('../services/enrichment/nvd');
+const kev = require('../services/enrichment/kev');
+const epss = require('../services/enrichment/epss');
+const cvss = require('../services/cvss');
+const assetRisk = require('../services/risk/assetRisk');
+const slaPolicy = require('../services/sla/slaPolicy');
+const { recordAudit, requestContext } = require('../services/audit/auditTrail');
 
 const router = express.Router();
 const prisma = new PrismaClient();
 
+// Scanner export uploads are parsed in memory
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 100 * 1024 * 1024 }
+});
+
+// Import sources that send pre-normalized JSON instead of a vendor export
+const JSON_IMPORT_SOURCES = ['nist', 'mitre', 'custom'];
+const CLOSED_FINDING_STATUSES = ['MITIGATED', 'FALSE_POSITIVE', 'RISK_ACCEPTED'];
+
 /**
  * @swagger
  * components:
@@ -49,6 +69,23 @@ const prisma = new PrismaClient();
  *           type: boolean
  *         patchAvailable:
  *           type: boolean
+ *         knownExploited:
+ *           type: boolean
+ *           description: Listed in the CISA KEV catalog
+ *         kevDueDate:
+ *           type: string
+ *           format: date-time
+ *         kevRansomware:
+ *           type: boolean
+ *         epssScore:
+ *           type: number
+ *           description: EPSS probability of exploitation in the next 30 days (0-1)
+ *         epssPercentile:
+ *           type: number
+ *         slaDueDate:
+ *           type: string
+ *           format: date-time
+ *           description: Remediation SLA due date of the earliest due open finding (list only)
  */
 
 /**
@@ -100,10 +137,37 @@ const prisma = new PrismaClient();
  *         schema:
  *           type: boolean
  *       - in: query
+ *         name: knownExploited
+ *         description: Listed in the CISA KEV catalog
+ *         schema:
+ *           type: boolean
+ *       - in: query
+ *         name: kevRansomware
+ *         description: Known to be used in ransomware campaigns
+ *         schema:
+ *           type: boolean
+ *       - in: query
+ *         name: kevOverdue
+ *         description: KEV remediation due date has passed
+ *         schema:
+ *           type: boolean
+ *       - in: query
+ *         name: kevDueBefore
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: minEpss
+ *         description: Minimum EPSS probability (0-1)
+ *         schema:
+ *           type: number
+ *           minimum: 0
+ *           maximum: 1
+ *       - in: query
  *         name: sortBy
  *         schema:
  *           type: string
- *           enum: [title, severity, cvssScore, publishedDate, lastModifiedDate]
+ *           enum: [title, severity, cvssScore, publishedDate, lastModifiedDate, kevDueDate, epss]
  *           default: cvssScore
  *       - in: query
  *         name: sortOrder
@@ -126,7 +190,12 @@ router.get('/', [
   query('assetId').optional().isUUID(),
   query('exploitAvailable').optional().isBoolean().toBoolean(),
   query('patchAvailable').optional().isBoolean().toBoolean(),
-  query('sortBy').optional().isIn(['title', 'severity', 'cvssScore', 'publishedDate', 'lastModifiedDate']),
+  query('knownExploited').optional().isBoolean().toBoolean(),
+  query('kevRansomware').optional().isBoolean().toBoolean(),
+  query('kevOverdue').optional().isBoolean().toBoolean(),
+  query('kevDueBefore').optional().isISO8601().toDate(),
+  query('minEpss').optional().isFloat({ min: 0, max: 1 }).toFloat(),
+  query('sortBy').optional().isIn(['title', 'severity', 'cvssScore', 'publishedDate', 'lastModifiedDate', 'kevDueDate', 'epss']),
   query('sortOrder').optional().isIn(['asc', 'desc'])
 ], async (req, res) => {
   try {
@@ -148,6 +217,11 @@ router.get('/', [
       assetId,
       exploitAvailable,
       patchAvailable,
+      knownExploited,
+      kevRansomware,
+      kevOverdue,
+      kevDueBefore,
+      minEpss,
       sortBy = 'cvssScore',
       sortOrder = 'desc'
     } = req.query;
@@ -169,6 +243,25 @@ router.get('/', [
     if (severity) vulnerabilityWhere.severity = severity;
     if (exploitAvailable !== undefined) vulnerabilityWhere.exploitAvailable = exploitAvailable;
     if (patchAvailable !== undefined) vulnerabilityWhere.patchAvailable = patchAvailable;
+    if (knownExploited !== undefined) vulnerabilityWhere.knownExploited = knownExploited;
+    if (kevRansomware !== undefined) vulnerabilityWhere.kevRansomware = kevRansomware;
+
+    // KEV due date filters only make sense for listed CVEs
+    if (kevOverdue !== undefined || kevDueBefore) {
+      vulnerabilityWhere.knownExploited = true;
+      vulnerabilityWhere.kevDueDate = {};
+      if (kevOverdue === true) vulnerabilityWhere.kevDueDate.lt = new Date();
+      if (kevOverdue === false) vulnerabilityWhere.kevDueDate.gte = new Date();
+      if (kevDueBefore) vulnerabilityWhere.kevDueDate.lte = kevDueBefore;
+    }
+
+    if (minEpss !== undefined) vulnerabilityWhere.epssScore = { gte: minEpss };
+
+    // Unscored rows sort last whichever direction is requested
+    const sortField = sortBy === 'epss' ? 'epssScore' : sortBy;
+    const vulnerabilityOrderBy = ['epssScore', 'kevDueDate'].includes(sortField)
+      ? { [sortField]: { sort: sortOrder, nulls: 'last' } }
+      : { [sortField]: sortOrder };
 
     // Build where clause for asset vulnerabilities
     const assetVulnWhere = {};
@@ -201,7 +294,7 @@ router.get('/', [
           }
         },
         orderBy: {
-          vulnerability: { [sortBy]: sortOrder }
+          vulnerability: vulnerabilityOrderBy
         }
       });
 
@@ -209,6 +302,7 @@ router.get('/', [
         ...av.vulnerability,
         assetVulnerabilityId: av.id,
         assetStatus: av.status,
+        slaDueDate: assetRisk.OPEN_STATUSES.includes(av.status) ? av.dueDate : null,
         firstDetected: av.firstDetected,
         lastDetected: av.lastDetected,
         notes: av.notes,
@@ -223,7 +317,7 @@ router.get('/', [
         where: vulnerabilityWhere,
         skip,
         take: limit,
-        orderBy: { [sortBy]: sortOrder },
+        orderBy: vulnerabilityOrderBy,
         include: {
           affectedAssets: {
             include: {
@@ -235,9 +329,10 @@ router.get('/', [
         }
       });
 
-      // Transform to include affected assets
+      // Transform to include affected assets and the earliest open SLA due date
       vulnerabilities = vulnerabilities.map(vuln => ({
         ...vuln,
+        slaDueDate: earliestDueDate(vuln.affectedAssets),
         affectedAssets: vuln.affectedAssets.map(av => av.asset)
       }));
     }
@@ -268,6 +363,135 @@ router.get('/', [
   }
 });
 
+/**
+ * @swagger
+ * /api/vulnerabilities/stats:
+ *   get:
+ *     summary: Get vulnerability statistics
+ *     tags: [Vulnerabilities]
+ *     security:
+ *       - bearerAuth: []
+ */
+router.get('/stats', [
+  authenticateToken,
+  requirePermission('vulnerabilities:read')
+], async (req, res) => {
+  try {
+    const [
+      total,
+      bySeverity,
+      byStatus,
+      byCategory,
+      averageCvssScore,
+      exploitableCount,
+      patchableCount,
+      recentCount,
+      unenrichedCount,
+      knownExploitedCount
+    ] = await Promise.all([
+      // Total count
+      prisma.vulnerability.count(),
+      
+      // Count by severity
+      prisma.vulnerability.groupBy({
+        by: ['severity'],
+        _count: { severity: true }
+      }),
+      
+      // Count by status (from AssetVulnerability)
+      prisma.assetVulnerability.groupBy({
+        by: ['status'],
+        _count: { status: true }
+      }),
+      
+      // Count by category
+      prisma.vulnerability.groupBy({
+        by: ['category'],
+        _count: { category: true }
+      }),
+      
+      // Average CVSS score
+      prisma.vulnerability.aggregate({
+        _avg: { cvssScore: true }
+      }),
+      
+      // Exploitable vulnerabilities
+      prisma.vulnerability.count({
+        where: { exploitAvailable: true }
+      }),
+      
+      // Patchable vulnerabilities
+      prisma.vulnerability.count({
+        where: { patchAvailable: true }
+      }),
+      
+      // Recent vulnerabilities (last 30 days)
+      prisma.vulnerability.count({
+        where: {
+          publishedDate: {
+            gte: new Date(Date.now() - 30 * 24 * 60 * 60 * 1000)
+          }
+        }
+      }),
+
+      // CVEs not yet enriched from the NVD feed
+      prisma.vulnerability.count({
+        where: {
+          cveId: { not: null },
+          enrichedAt: null
+        }
+      }),
+
+      // Listed in the CISA KEV catalog
+      prisma.vulnerability.count({
+        where: { knownExploited: true }
+      })
+    ]);
+
+    const stats = {
+      total,
+      critical: bySeverity.find(s => s.severity === 'CRITICAL')?._count?.severity || 0,
+      high: bySeverity.find(s => s.severity === 'HIGH')?._count?.severity || 0,
+      medium: bySeverity.find(s => s.severity === 'MEDIUM')?._count?.severity || 0,
+      low: bySeverity.find(s => s.severity === 'LOW')?._count?.severity || 0,
+      info: bySeverity.find(s => s.severity === 'INFO')?._count?.severity || 0,
+      open: byStatus.find(s => s.status === 'OPEN')?._count?.status || 0,
+      investigating: byStatus.find(s => s.status === 'INVESTIGATING')?._count?.status || 0,
+      mitigated: byStatus.find(s => s.status === 'MITIGATED')?._count?.status || 0,
+      withExploits: exploitableCount,
+      withPatches: patchableCount,
+      knownExploited: knownExploitedCount,
+      averageCvssScore: averageCvssScore._avg.cvssScore || 0,
+      recentVulnerabilities: recentCount,
+      unenrichedCves: unenrichedCount,
+      bySeverity: bySeverity.map(s => ({
+        severity: s.severity,
+        count: s._count.severity
+      })),
+      byStatus: byStatus.map(s => ({
+        status: s.status,
+        count: s._count.status
+      })),
+      byCategory: byCategory.map(c => ({
+        category: c.category,
+        count: c._count.category
+      }))
+    };
+
+    res.json({
+      success: true,
+      data: { stats }
+    });
+
+  } catch (error) {
+    logger.error('Get vulnerability stats error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
 /**
  * @swagger
  * /api/vulnerabilities/{id}:
@@ -350,6 +574,7 @@ router.get('/:id', [
       ...vulnerability,
       affectedAssets: vulnerability.affectedAssets.map(av => ({
         ...av.asset,
+        environmentalScore: assetEnvironmentalScore(vulnerability.cvssVector, av.asset.criticality),
         vulnerabilityStatus: av.status,
         firstDetected: av.firstDetected,
         lastDetected: av.lastDetected,
@@ -389,10 +614,11 @@ router.get('/:id', [
  *             required:
  *               - title
  *               - description
- *               - severity
- *               - cvssScore
  *               - category
  *               - publishedDate
+ *             description: >
+ *               severity and cvssScore are required unless cvssVector is given,
+ *               in which case both are derived from the vector.
  *             properties:
  *               cveId:
  *                 type: string
@@ -410,6 +636,8 @@ router.get('/:id', [
  *                 maximum: 10
  *               cvssVector:
  *                 type: string
+ *                 description: CVSS v3.0, v3.1 or v4.0 vector
+ *                 example: CVSS:3.1/AV:N/AC:L/PR:N/UI:N/S:U/C:H/I:H/A:H
  *               category:
  *                 type: string
  *               publishedDate:
@@ -435,9 +663,9 @@ router.post('/', [
   body('cveId').optional().trim().matches(/^CVE-\d{4}-\d{4,}$/),
   body('title').trim().notEmpty().isLength({ max: 500 }),
   body('description').trim().notEmpty().isLength({ max: 5000 }),
-  body('severity').isIn(['CRITICAL', 'HIGH', 'MEDIUM', 'LOW', 'INFO']),
-  body('cvssScore').isFloat({ min: 0, max: 10 }),
-  body('cvssVector').optional().trim(),
+  body('severity').optional().isIn(['CRITICAL', 'HIGH', 'MEDIUM', 'LOW', 'INFO']),
+  body('cvssScore').optional().isFloat({ min: 0, max: 10 }),
+  body('cvssVector').optional({ values: 'falsy' }).trim().custom(cvss.validateVector),
   body('category').trim().notEmpty().isLength({ max: 100 }),
   body('publishedDate').isISO8601().toDate(),
   body('lastModifiedDate').optional().isISO8601().toDate(),
@@ -457,8 +685,16 @@ router.post('/', [
       });
     }
 
+    const cvssResult = cvss.applyVector(req.body, { requireScore: true });
+    if (cvssResult.error) {
+      return res.status(400).json({
+        success: false,
+        message: cvssResult.error
+      });
+    }
+
     const vulnerabilityData = {
-      ...req.body,
+      ...cvssResult.data,
       lastModifiedDate: req.body.lastModifiedDate || req.body.publishedDate,
       references: req.body.references || [],
       exploitAvailable: req.body.exploitAvailable || false,
@@ -483,16 +719,13 @@ router.post('/', [
       data: vulnerabilityData
     });
 
-    await auditLog(
-      req.user.id,
-      'VULNERABILITY_CREATED',
-      'Vulnerability',
-      vulnerability.id,
-      null,
-      vulnerabilityData,
-      req.ip,
-      req.get('User-Agent')
-    );
+    await recordAudit({
+      ...requestContext(req),
+      action: 'CREATE',
+      entityType: 'VULNERABILITY',
+      entityId: vulnerability.id,
+      after: vulnerability
+    });
 
     res.status(201).json({
       success: true,
@@ -514,6 +747,10 @@ router.post('/', [
  * /api/vulnerabilities/{id}:
  *   put:
  *     summary: Update vulnerability
+ *     description: >
+ *       Without a cvssVector in the body, cvssScore and severity are checked
+ *       against and derived from the stored vector. Send cvssVector null to
+ *       remove it.
  *     tags: [Vulnerabilities]
  *     security:
  *       - bearerAuth: []
@@ -533,7 +770,7 @@ router.put('/:id', [
   body('description').optional().trim().notEmpty().isLength({ max: 5000 }),
   body('severity').optional().isIn(['CRITICAL', 'HIGH', 'MEDIUM', 'LOW', 'INFO']),
   body('cvssScore').optional().isFloat({ min: 0, max: 10 }),
-  body('cvssVector').optional().trim(),
+  body('cvssVector').optional({ values: 'falsy' }).trim().custom(cvss.validateVector),
   body('category').optional().trim().notEmpty().isLength({ max: 100 }),
   body('publishedDate').optional().isISO8601().toDate(),
   body('lastModifiedDate').optional().isISO8601().toDate(),
@@ -586,7 +823,18 @@ router.put('/:id', [
       }
     }
 
-    const updateData = { ...req.body };
+    const cvssResult = cvss.applyVector(req.body, {
+      requireScore: false,
+      currentVector: currentVulnerability.cvssVector
+    });
+    if (cvssResult.error) {
+      return res.status(400).json({
+        success: false,
+        message: cvssResult.error
+      });
+    }
+
+    const updateData = { ...cvssResult.data };
     delete updateData.id;
     delete updateData.createdAt;
 
@@ -600,16 +848,22 @@ router.put('/:id', [
       data: updateData
     });
 
-    await auditLog(
-      req.user.id,
-      'VULNERABILITY_UPDATED',
-      'Vulnerability',
-      vulnerability.id,
-      currentVulnerability,
-      updateData,
-      req.ip,
-      req.get('User-Agent')
-    );
+    if (['cvssScore', 'exploitAvailable'].some(field => updateData[field] !== undefined)) {
+      await assetRisk.recalculateRiskForVulnerabilities([id]);
+    }
+
+    if (updateData.severity !== undefined) {
+      await slaPolicy.refreshDueDates({ vulnerabilityId: id });
+    }
+
+    await recordAudit({
+      ...requestContext(req),
+      action: 'UPDATE',
+      entityType: 'VULNERABILITY',
+      entityId: vulnerability.id,
+      before: currentVulnerability,
+      after: updateData
+    });
 
     res.json({
       success: true,
@@ -720,7 +974,7 @@ router.patch('/:id/status', [
       data: {
         status,
         notes,
-        lastDetected: new Date()
+        resolvedAt: findingResolvedAt(assetVulnerability, status)
       },
       include: {
         asset: {
@@ -732,16 +986,16 @@ router.patch('/:id/status', [
       }
     });
 
-    await auditLog(
-      req.user.id,
-      'VULNERABILITY_STATUS_UPDATED',
-      'AssetVulnerability',
-      assetVulnerability.id,
-      { status: assetVulnerability.status },
-      { status, notes },
-      req.ip,
-      req.get('User-Agent')
-    );
+    await assetRisk.recalculateAssetRisk(assetId);
+
+    await recordAudit({
+      ...requestContext(req),
+      action: 'STATUS_UPDATE',
+      entityType: 'ASSET_VULNERABILITY',
+      entityId: assetVulnerability.id,
+      before: assetVulnerability,
+      after: { status: updatedAssetVuln.status, notes: updatedAssetVuln.notes, resolvedAt: updatedAssetVuln.resolvedAt }
+    });
 
     res.json({
       success: true,
@@ -826,16 +1080,13 @@ router.delete('/:id', [
       where: { id }
     });
 
-    await auditLog(
-      req.user.id,
-      'VULNERABILITY_DELETED',
-      'Vulnerability',
-      id,
-      vulnerability,
-      null,
-      req.ip,
-      req.get('User-Agent')
-    );
+    await recordAudit({
+      ...requestContext(req),
+      action: 'DELETE',
+      entityType: 'VULNERABILITY',
+      entityId: id,
+      before: vulnerability
+    });
 
     res.json({
       success: true,
@@ -853,153 +1104,67 @@ router.delete('/:id', [
 
 /**
  * @swagger
- * /api/vulnerabilities/stats:
- *   get:
- *     summary: Get vulnerability statistics
+ * /api/vulnerabilities/import:
+ *   post:
+ *     summary: Import vulnerabilities from external source
+ *     description: >
+ *       nist, mitre and custom take a pre-normalized JSON array in `vulnerabilities`.
+ *       nessus (.nessus v2), qualys (XML scan report) and rapid7 (InsightVM CSV)
+ *       take the vendor export as a multipart `file` upload and link findings to assets.
  *     tags: [Vulnerabilities]
  *     security:
  *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - source
+ *               - vulnerabilities
+ *             properties:
+ *               source:
+ *                 type: string
+ *                 enum: [nist, mitre, custom]
+ *               vulnerabilities:
+ *                 type: array
+ *                 items:
+ *                   $ref: '#/components/schemas/Vulnerability'
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - source
+ *               - file
+ *             properties:
+ *               source:
+ *                 type: string
+ *                 enum: [nessus, qualys, rapid7]
+ *               file:
+ *                 type: string
+ *                 format: binary
+ *               assetType:
+ *                 type: string
+ *                 enum: [SERVER, WORKSTATION, NETWORK_DEVICE, APPLICATION, DATABASE, CLOUD_RESOURCE]
+ *               includeInformational:
+ *                 type: boolean
  */
-router.get('/stats', [
+router.post('/import', [
   authenticateToken,
-  requirePermission('vulnerabilities:read')
-], async (req, res) => {
-  try {
-    const [
-      total,
-      bySeverity,
-      byStatus,
-      byCategory,
-      averageCvssScore,
-      exploitableCount,
-      patchableCount,
-      recentCount
-    ] = await Promise.all([
-      // Total count
-      prisma.vulnerability.count(),
-      
-      // Count by severity
-      prisma.vulnerability.groupBy({
-        by: ['severity'],
-        _count: { severity: true }
-      }),
-      
-      // Count by status (from AssetVulnerability)
-      prisma.assetVulnerability.groupBy({
-        by: ['status'],
-        _count: { status: true }
-      }),
-      
-      // Count by category
-      prisma.vulnerability.groupBy({
-        by: ['category'],
-        _count: { category: true }
-      }),
-      
-      // Average CVSS score
-      prisma.vulnerability.aggregate({
-        _avg: { cvssScore: true }
-      }),
-      
-      // Exploitable vulnerabilities
-      prisma.vulnerability.count({
-        where: { exploitAvailable: true }
-      }),
-      
-      // Patchable vulnerabilities
-      prisma.vulnerability.count({
-        where: { patchAvailable: true }
-      }),
-      
-      // Recent vulnerabilities (last 30 days)
-      prisma.vulnerability.count({
-        where: {
-          publishedDate: {
-            gte: new Date(Date.now() - 30 * 24 * 60 * 60 * 1000)
-          }
-        }
-      })
-    ]);
-
-    const stats = {
-      total,
-      critical: bySeverity.find(s => s.severity === 'CRITICAL')?._count?.severity || 0,
-      high: bySeverity.find(s => s.severity === 'HIGH')?._count?.severity || 0,
-      medium: bySeverity.find(s => s.severity === 'MEDIUM')?._count?.severity || 0,
-      low: bySeverity.find(s => s.severity === 'LOW')?._count?.severity || 0,
-      info: bySeverity.find(s => s.severity === 'INFO')?._count?.severity || 0,
-      open: byStatus.find(s => s.status === 'OPEN')?._count?.status || 0,
-      investigating: byStatus.find(s => s.status === 'INVESTIGATING')?._count?.status || 0,
-      mitigated: byStatus.find(s => s.status === 'MITIGATED')?._count?.status || 0,
-      withExploits: exploitableCount,
-      withPatches: patchableCount,
-      averageCvssScore: averageCvssScore._avg.cvssScore || 0,
-      recentVulnerabilities: recentCount,
-      bySeverity: bySeverity.map(s => ({
-        severity: s.severity,
-        count: s._count.severity
-      })),
-      byStatus: byStatus.map(s => ({
-        status: s.status,
-        count: s._count.status
-      })),
-      byCategory: byCategory.map(c => ({
-        category: c.category,
-        count: c._count.category
-      }))
-    };
-
-    res.json({
-      success: true,
-      data: { stats }
-    });
-
-  } catch (error) {
-    logger.error('Get vulnerability stats error:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Internal server error'
-    });
-  }
-});
-
-/**
- * @swagger
- * /api/vulnerabilities/import:
- *   post:
- *     summary: Import vulnerabilities from external source
- *     tags: [Vulnerabilities]
- *     security:
- *       - bearerAuth: []
- *     requestBody:
- *       required: true
- *       content:
- *         application/json:
- *           schema:
- *             type: object
- *             required:
- *               - source
- *               - vulnerabilities
- *             properties:
- *               source:
- *                 type: string
- *                 enum: [nist, mitre, custom]
- *               vulnerabilities:
- *                 type: array
- *                 items:
- *                   $ref: '#/components/schemas/Vulnerability'
- */
-router.post('/import', [
-  authenticateToken,
-  requirePermission('vulnerabilities:write'),
-  body('source').isIn(['nist', 'mitre', 'custom']),
-  body('vulnerabilities').isArray({ min: 1, max: 1000 }),
-  body('vulnerabilities.*.title').trim().notEmpty(),
-  body('vulnerabilities.*.description').trim().notEmpty(),
-  body('vulnerabilities.*.severity').isIn(['CRITICAL', 'HIGH', 'MEDIUM', 'LOW', 'INFO']),
-  body('vulnerabilities.*.cvssScore').isFloat({ min: 0, max: 10 }),
-  body('vulnerabilities.*.category').trim().notEmpty(),
-  body('vulnerabilities.*.publishedDate').isISO8601()
+  requirePermission('vulnerabilities:write'),
+  upload.single('file'),
+  body('source').isIn([...JSON_IMPORT_SOURCES, ...mapping.SOURCES]),
+  body('vulnerabilities').if(body('source').isIn(JSON_IMPORT_SOURCES)).isArray({ min: 1, max: 1000 }),
+  body('vulnerabilities.*.title').if(body('source').isIn(JSON_IMPORT_SOURCES)).trim().notEmpty(),
+  body('vulnerabilities.*.description').if(body('source').isIn(JSON_IMPORT_SOURCES)).trim().notEmpty(),
+  body('vulnerabilities.*.severity').if(body('source').isIn(JSON_IMPORT_SOURCES)).optional().isIn(['CRITICAL', 'HIGH', 'MEDIUM', 'LOW', 'INFO']),
+  body('vulnerabilities.*.cvssScore').if(body('source').isIn(JSON_IMPORT_SOURCES)).optional().isFloat({ min: 0, max: 10 }),
+  body('vulnerabilities.*.cvssVector').if(body('source').isIn(JSON_IMPORT_SOURCES)).optional({ values: 'falsy' }).trim().custom(cvss.validateVector),
+  body('vulnerabilities.*.category').if(body('source').isIn(JSON_IMPORT_SOURCES)).trim().notEmpty(),
+  body('vulnerabilities.*.publishedDate').if(body('source').isIn(JSON_IMPORT_SOURCES)).isISO8601(),
+  body('assetType').optional().isIn(['SERVER', 'WORKSTATION', 'NETWORK_DEVICE', 'APPLICATION', 'DATABASE', 'CLOUD_RESOURCE']),
+  body('includeInformational').optional().isBoolean().toBoolean()
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -1013,6 +1178,11 @@ router.post('/import', [
 
     const { source, vulnerabilities } = req.body;
 
+    // Vendor exports go through the mapping module
+    if (!JSON_IMPORT_SOURCES.includes(source)) {
+      return importVendorExport(req, res, source);
+    }
+
     const importResults = {
       total: vulnerabilities.length,
       imported: 0,
@@ -1020,8 +1190,20 @@ router.post('/import', [
       skipped: 0,
       errors: []
     };
+    const updatedIds = [];
+
+    for (const item of vulnerabilities) {
+      const cvssResult = cvss.applyVector(item, { requireScore: true });
+      if (cvssResult.error) {
+        importResults.errors.push({
+          vulnerability: item.title || item.cveId,
+          error: cvssResult.error
+        });
+        importResults.skipped++;
+        continue;
+      }
+      const vulnData = cvssResult.data;
 
-    for (const vulnData of vulnerabilities) {
       try {
         // Check if vulnerability already exists by CVE ID
         let existingVuln = null;
@@ -1047,6 +1229,7 @@ router.post('/import', [
             where: { id: existingVuln.id },
             data: processedData
           });
+          updatedIds.push(existingVuln.id);
           importResults.updated++;
         } else {
           // Create new vulnerability
@@ -1065,16 +1248,17 @@ router.post('/import', [
       }
     }
 
-    await auditLog(
-      req.user.id,
-      'VULNERABILITIES_IMPORTED',
-      'Vulnerability',
-      null,
-      null,
-      { source, ...importResults },
-      req.ip,
-      req.get('User-Agent')
-    );
+    // New rows have no asset links yet; updated ones may change linked assets' risk
+    if (updatedIds.length > 0) {
+      await assetRisk.recalculateRiskForVulnerabilities(updatedIds);
+    }
+
+    await recordAudit({
+      ...requestContext(req),
+      action: 'IMPORT',
+      entityType: 'VULNERABILITY',
+      metadata: { source, ...importResults }
+    });
 
     res.json({
       success: true,
@@ -1091,4 +1275,363 @@ router.post('/import', [
   }
 });
 
-module.exports = router;
\ No newline at end of file
+/**
+ * @swagger
+ * /api/vulnerabilities/import/nessus:
+ *   post:
+ *     summary: Import a Nessus / Tenable .nessus (v2) export
+ *     tags: [Vulnerabilities]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - file
+ *             properties:
+ *               file:
+ *                 type: string
+ *                 format: binary
+ *               assetType:
+ *                 type: string
+ *                 enum: [SERVER, WORKSTATION, NETWORK_DEVICE, APPLICATION, DATABASE, CLOUD_RESOURCE]
+ *                 description: Type for assets created by the import
+ *               includeInformational:
+ *                 type: boolean
+ *                 description: Also import severity 0 (INFO) plugins
+ *     responses:
+ *       200:
+ *         description: Import summary
+ */
+router.post('/import/nessus', [
+  authenticateToken,
+  requirePermission('vulnerabilities:write'),
+  upload.single('file'),
+  auditLog('IMPORT', 'VULNERABILITY'),
+  body('assetType').optional().isIn(['SERVER', 'WORKSTATION', 'NETWORK_DEVICE', 'APPLICATION', 'DATABASE', 'CLOUD_RESOURCE']),
+  body('includeInformational').optional().isBoolean().toBoolean()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    return importVendorExport(req, res, 'nessus');
+
+  } catch (error) {
+    logger.error('Import Nessus file error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/vulnerabilities/import/kev:
+ *   post:
+ *     summary: Import the CISA Known Exploited Vulnerabilities catalog
+ *     description: >
+ *       Marks tracked CVEs listed in known_exploited_vulnerabilities.json as
+ *       known-exploited and records the KEV due date and ransomware use.
+ *       CVEs no longer in the catalog lose their KEV fields.
+ *     tags: [Vulnerabilities]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - file
+ *             properties:
+ *               file:
+ *                 type: string
+ *                 format: binary
+ */
+router.post('/import/kev', [
+  authenticateToken,
+  requirePermission('vulnerabilities:write'),
+  upload.single('file'),
+  auditLog('IMPORT', 'VULNERABILITY')
+], async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        message: 'A KEV catalog file is required'
+      });
+    }
+
+    let catalog;
+    try {
+      catalog = kev.parseKevCatalog(req.file.buffer);
+    } catch (parseError) {
+      return res.status(400).json({
+        success: false,
+        message: parseError.message
+      });
+    }
+
+    const importResults = await kev.applyKevCatalog(catalog);
+
+    res.json({
+      success: true,
+      message: 'KEV catalog import completed',
+      data: { importResults }
+    });
+
+  } catch (error) {
+    logger.error('Import KEV catalog error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/vulnerabilities/import/epss:
+ *   post:
+ *     summary: Import EPSS scores from an EPSS CSV file
+ *     description: >
+ *       Accepts the daily epss_scores-YYYY-MM-DD.csv (optionally gzipped) and
+ *       stores the probability and percentile on every tracked CVE it lists.
+ *     tags: [Vulnerabilities]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - file
+ *             properties:
+ *               file:
+ *                 type: string
+ *                 format: binary
+ */
+router.post('/import/epss', [
+  authenticateToken,
+  requirePermission('vulnerabilities:write'),
+  upload.single('file'),
+  auditLog('IMPORT', 'VULNERABILITY')
+], async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        message: 'An EPSS CSV file is required'
+      });
+    }
+
+    let scores;
+    try {
+      scores = epss.parseEpssCsv(req.file.buffer);
+    } catch (parseError) {
+      return res.status(400).json({
+        success: false,
+        message: parseError.message
+      });
+    }
+
+    const importResults = await epss.applyEpssScores(scores);
+
+    res.json({
+      success: true,
+      message: 'EPSS import completed',
+      data: { importResults }
+    });
+
+  } catch (error) {
+    logger.error('Import EPSS scores error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/vulnerabilities/enrichment/nvd:
+ *   get:
+ *     summary: Get the status of the NVD feed ingestion job
+ *     tags: [Vulnerabilities]
+ *     security:
+ *       - bearerAuth: []
+ */
+router.get('/enrichment/nvd', [
+  authenticateToken,
+  requirePermission('vulnerabilities:read')
+], async (req, res) => {
+  try {
+    const unenrichedCves = await prisma.vulnerability.count({
+      where: {
+        cveId: { not: null },
+        enrichedAt: null
+      }
+    });
+
+    res.json({
+      success: true,
+      data: {
+        ...nvd.getNvdIngestionStatus(),
+        unenrichedCves
+      }
+    });
+
+  } catch (error) {
+    logger.error('Get NVD ingestion status error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/vulnerabilities/enrichment/nvd:
+ *   post:
+ *     summary: Ingest NVD CVE JSON 2.0 feed files from the feed directory
+ *     description: >
+ *       Reads every nvdcve-2.0-*.json(.gz) file in NVD_FEED_DIR, upserts
+ *       vulnerabilities by cveId and re-enriches rows whose NVD lastModified
+ *       date changed. Runs in the background.
+ *     tags: [Vulnerabilities]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       202:
+ *         description: Ingestion started
+ *       409:
+ *         description: Ingestion already running
+ */
+router.post('/enrichment/nvd', [
+  authenticateToken,
+  requirePermission('vulnerabilities:write'),
+  auditLog('ENRICH', 'VULNERABILITY')
+], async (req, res) => {
+  try {
+    if (nvd.getNvdIngestionStatus().running) {
+      return res.status(409).json({
+        success: false,
+        message: 'NVD ingestion is already running'
+      });
+    }
+
+    if (!process.env.NVD_FEED_DIR) {
+      return res.status(400).json({
+        success: false,
+        message: 'NVD_FEED_DIR is not configured'
+      });
+    }
+
+    const run = nvd.startNvdIngestion();
+
+    res.status(202).json({
+      success: true,
+      message: 'NVD ingestion started',
+      data: { run }
+    });
+
+  } catch (error) {
+    logger.error('Start NVD ingestion error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Helper functions
+
+/**
+ * When a finding was closed: kept while it stays closed, cleared when it
+ * is reopened. Remediation times are measured up to this date.
+ */
+function findingResolvedAt(finding, status) {
+  if (!CLOSED_FINDING_STATUSES.includes(status)) return null;
+  return CLOSED_FINDING_STATUSES.includes(finding.status) && finding.resolvedAt ? finding.resolvedAt : new Date();
+}
+
+/**
+ * Earliest SLA due date among the open findings of a vulnerability
+ */
+function earliestDueDate(findings) {
+  const dueDates = findings
+    .filter(finding => assetRisk.OPEN_STATUSES.includes(finding.status) && finding.dueDate)
+    .map(finding => finding.dueDate);
+  return dueDates.length > 0 ? new Date(Math.min(...dueDates.map(date => date.getTime()))) : null;
+}
+
+/**
+ * Environmental score of a vulnerability on one asset, null when unscorable
+ */
+function assetEnvironmentalScore(cvssVector, criticality) {
+  if (!cvssVector) return null;
+  try {
+    return cvss.environmentalScore(cvssVector, criticality);
+  } catch (error) {
+    // Legacy v2 vectors from NVD or older imports have no environmental support here
+    return null;
+  }
+}
+
+/**
+ * Map an uploaded vendor export and persist its findings
+ */
+async function importVendorExport(req, res, source) {
+  if (!req.file) {
+    return res.status(400).json({
+      success: false,
+      message: `A ${source} export file is required`
+    });
+  }
+
+  let report;
+  try {
+    report = mapping.mapExport(source, req.file.buffer);
+  } catch (mappingError) {
+    return res.status(400).json({
+      success: false,
+      message: mappingError.message
+    });
+  }
+
+  const importResults = await importFindings(report.findings, {
+    userId: req.user.id,
+    assetType: req.body.assetType,
+    includeInformational: req.body.includeInformational
+  });
+
+  return res.json({
+    success: true,
+    message: 'Vulnerability import completed',
+    data: {
+      importResults: {
+        source,
+        reportName: report.reportName,
+        hosts: report.hostCount,
+        ...importResults
+      }
+    }
+  });
+}
+
+module.exports = router;
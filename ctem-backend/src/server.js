@@ -11,6 +11,12 @@ const redis = require('./config/redis');
 const logger = require('./utils/logger');
 const errorHandler = require('./middleware/errorHandler');
 const { swaggerSpec, swaggerUi } = require('./config/swagger');
+const jobQueue = require('./services/queue/jobQueue');
+const scanScheduler = require('./services/scheduler/scanScheduler');
+const reportScheduler = require('./services/scheduler/reportScheduler');
+const reportRetention = require('./services/scheduler/reportRetention');
+const slaMonitor = require('./services/scheduler/slaMonitor');
+const ldapSync = require('./services/scheduler/ldapSync');
 
 // Import routes
 const authRoutes = require('./routes/auth');
@@ -18,13 +24,16 @@ const userRoutes = require('./routes/users');
 const assetRoutes = require('./routes/assets');
 const vulnerabilityRoutes = require('./routes/vulnerabilities');
 const riskRoutes = require('./routes/risks');
+const remediationRoutes = require('./routes/remediation');
 const complianceRoutes = require('./routes/compliance');
 const reportRoutes = require('./routes/reports');
+const reportTemplateRoutes = require('./routes/reportTemplates');
 const dashboardRoutes = require('./routes/dashboard');
 const notificationRoutes = require('./routes/notifications');
 const settingsRoutes = require('./routes/settings');
 const scanRoutes = require('./routes/scan');
 const systemRoutes = require('./routes/system');
+const auditRoutes = require('./routes/audit');
 
 // Initialize Express app
 const app = express();
@@ -103,13 +112,16 @@ app.use('/api/users', userRoutes);
 app.use('/api/assets', assetRoutes);
 app.use('/api/vulnerabilities', vulnerabilityRoutes);
 app.use('/api/risks', riskRoutes);
+app.use('/api/remediation', remediationRoutes);
 app.use('/api/compliance', complianceRoutes);
 app.use('/api/reports', reportRoutes);
+app.use('/api/report-templates', reportTemplateRoutes);
 app.use('/api/dashboard', dashboardRoutes);
 app.use('/api/notifications', notificationRoutes);
 app.use('/api/settings', settingsRoutes);
 app.use('/api/scan', scanRoutes);
 app.use('/api/system', systemRoutes);
+app.use('/api/audit', auditRoutes);
 
 // 404 handler
 app.use('*', (req, res) => {
@@ -127,6 +139,14 @@ app.use(errorHandler);
 process.on('SIGTERM', async () => {
   logger.info('SIGTERM received, shutting down gracefully');
   
+  // Stop schedulers and hand running jobs back to the queue
+  scanScheduler.stop();
+  reportScheduler.stop();
+  reportRetention.stop();
+  slaMonitor.stop();
+  ldapSync.stop();
+  await jobQueue.stop();
+  
   // Close database connection
   await prisma.$disconnect();
   
@@ -139,6 +159,14 @@ process.on('SIGTERM', async () => {
 process.on('SIGINT', async () => {
   logger.info('SIGINT received, shutting down gracefully');
   
+  // Stop schedulers and hand running jobs back to the queue
+  scanScheduler.stop();
+  reportScheduler.stop();
+  reportRetention.stop();
+  slaMonitor.stop();
+  ldapSync.stop();
+  await jobQueue.stop();
+  
   // Close database connection
   await prisma.$disconnect();
   
@@ -161,6 +189,15 @@ app.listen(PORT, () => {
   logger.info(`📖 API Documentation available at http://localhost:${PORT}/api-docs`);
   logger.info(`🏥 Health check available at http://localhost:${PORT}/health`);
   logger.info(`🌍 Environment: ${process.env.NODE_ENV || 'development'}`);
+
+  // Start processing queued scans and reports, firing scheduled ones,
+  // purging expired report files and syncing directory users
+  jobQueue.start();
+  scanScheduler.start();
+  reportScheduler.start();
+  reportRetention.start();
+  slaMonitor.start();
+  ldapSync.start();
 });
 
 module.exports = app;
\ No newline at end of file
@@ -0,0 +1,178 @@
+const crypto = require('crypto');
+
+const mockPrisma = {
+  $transaction: jest.fn(cb => cb(mockPrisma)),
+  $executeRaw: jest.fn(),
+  auditLog: {
+    findFirst: jest.fn(),
+    findMany: jest.fn(),
+    create: jest.fn()
+  }
+};
+
+jest.mock('@prisma/client', () => ({ PrismaClient: jest.fn(() => mockPrisma) }));
+
+const { canonicalJson, entryHash } = require('../auditHash');
+const { appendEntry, verifyChain } = require('../auditChain');
+const { buildExport } = require('../auditExport');
+const { verifyExport } = require('../exportSignature');
+
+const { privateKey } = crypto.generateKeyPairSync('ed25519');
+process.env.AUDIT_SIGNING_KEY = privateKey.export({ type: 'pkcs8', format: 'pem' });
+
+// Chain of `count` entries as stored, sequence 1..count
+function chain(count, start = 1) {
+  const entries = [];
+  let previousHash = null;
+  for (let sequence = start; sequence < start + count; sequence++) {
+    const entry = {
+      id: `log-${sequence}`,
+      sequence,
+      action: 'UPDATE',
+      entityType: 'ASSET',
+      entityId: `a${sequence}`,
+      changes: { after: { criticality: 'HIGH', tags: ['dmz'] }, before: { criticality: 'LOW', tags: [] } },
+      ipAddress: '10.0.0.5',
+      userAgent: 'Mozilla/5.0',
+      userId: 'u1',
+      createdAt: new Date(Date.UTC(2026, 9, 19, 12, 0, sequence))
+    };
+    entry.previousHash = previousHash;
+    entry.hash = entryHash(entry, previousHash);
+    previousHash = entry.hash;
+    entries.push(entry);
+  }
+  return entries;
+}
+
+describe('audit hash chain', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it('hashes entries independently of key order', () => {
+    const entry = chain(1)[0];
+    const reordered = {
+      ...entry,
+      changes: { before: { tags: [], criticality: 'LOW' }, after: { tags: ['dmz'], criticality: 'HIGH' } },
+      createdAt: entry.createdAt.toISOString()
+    };
+
+    expect(canonicalJson({ b: 1, a: [{ d: null, c: 'x' }] })).toBe('{"a":[{"c":"x","d":null}],"b":1}');
+    expect(entryHash(reordered, null)).toBe(entry.hash);
+    expect(entryHash(entry, 'f'.repeat(64))).not.toBe(entry.hash);
+  });
+
+  it('appends entries linked to the last chained entry under a lock', async () => {
+    const [last] = chain(1);
+    mockPrisma.auditLog.findFirst.mockResolvedValue({ hash: last.hash });
+    mockPrisma.auditLog.create.mockImplementation(({ data }) => Promise.resolve(data));
+
+    const entry = await appendEntry({ action: 'DELETE', entityType: 'USER', entityId: 'u2', changes: { before: { id: 'u2' }, after: null }, userId: 'u1' });
+
+    expect(mockPrisma.$executeRaw).toHaveBeenCalled();
+    expect(mockPrisma.$executeRaw.mock.invocationCallOrder[0])
+      .toBeLessThan(mockPrisma.auditLog.findFirst.mock.invocationCallOrder[0]);
+    expect(entry.previousHash).toBe(last.hash);
+    expect(entry.hash).toBe(entryHash(entry, last.hash));
+  });
+
+  it('verifies an intact chain after unchained legacy entries', async () => {
+    const legacy = { id: 'old', sequence: 1, action: 'LOGIN', hash: null, previousHash: null };
+    mockPrisma.auditLog.findMany
+      .mockResolvedValueOnce([legacy, ...chain(3, 2)])
+      .mockResolvedValueOnce([]);
+
+    const result = await verifyChain();
+
+    expect(result).toMatchObject({ valid: true, checked: 3, unchained: 1, lastSequence: 4, firstBrokenLink: null });
+    expect(mockPrisma.auditLog.findMany.mock.calls[1][0].where).toEqual({ sequence: { gt: 4 } });
+  });
+
+  it('reports an edited entry', async () => {
+    const entries = chain(4);
+    entries[2].changes = { after: { criticality: 'LOW' } };
+    mockPrisma.auditLog.findMany.mockResolvedValueOnce(entries);
+
+    const result = await verifyChain();
+
+    expect(result.valid).toBe(false);
+    expect(result.checked).toBe(2);
+    expect(result.firstBrokenLink).toMatchObject({ id: 'log-3', sequence: 3, reason: 'hash_mismatch' });
+  });
+
+  it('reports removed entries and entries missing their hash', async () => {
+    const entries = chain(4);
+    mockPrisma.auditLog.findMany.mockResolvedValueOnce([entries[0], entries[2], entries[3]]);
+    await expect(verifyChain()).resolves.toMatchObject({
+      valid: false,
+      firstBrokenLink: { sequence: 3, reason: 'chain_broken' }
+    });
+
+    // The first entries of the chain were removed
+    mockPrisma.auditLog.findMany.mockResolvedValueOnce(entries.slice(1));
+    await expect(verifyChain()).resolves.toMatchObject({
+      firstBrokenLink: { sequence: 2, reason: 'chain_broken' }
+    });
+
+    mockPrisma.auditLog.findMany.mockResolvedValueOnce([entries[0], { ...entries[1], hash: null }]);
+    await expect(verifyChain()).resolves.toMatchObject({
+      firstBrokenLink: { sequence: 2, reason: 'missing_hash' }
+    });
+  });
+});
+
+describe('signed audit exports', () => {
+  const range = { from: new Date('2026-10-19T00:00:00Z'), to: new Date('2026-10-19T23:59:59Z') };
+
+  async function exported(entries) {
+    mockPrisma.auditLog.findFirst
+      .mockResolvedValueOnce({ sequence: entries[0].sequence })
+      .mockResolvedValueOnce({ sequence: entries[entries.length - 1].sequence });
+    mockPrisma.auditLog.findMany.mockResolvedValueOnce(entries);
+    // Round trip through JSON like a downloaded file
+    return JSON.parse(JSON.stringify(await buildExport(range)));
+  }
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it('exports a contiguous part of the chain that verifies offline', async () => {
+    const document = await exported(chain(5).slice(2));
+
+    expect(mockPrisma.auditLog.findMany.mock.calls[0][0].where).toEqual({
+      hash: { not: null },
+      sequence: { gte: 3, lte: 5 }
+    });
+    expect(document).toMatchObject({ format: 'ctem-audit-export', entryCount: 3, range: { from: '2026-10-19T00:00:00.000Z' } });
+
+    const trusted = crypto.createPublicKey(privateKey).export({ type: 'spki', format: 'pem' });
+    expect(verifyExport(document, trusted)).toEqual({
+      valid: true,
+      keyId: document.signature.keyId,
+      entryCount: 3,
+      problem: null
+    });
+  });
+
+  it('detects altered exports and foreign keys', async () => {
+    const document = await exported(chain(3));
+
+    const edited = JSON.parse(JSON.stringify(document));
+    edited.entries[1].action = 'CREATE';
+    expect(verifyExport(edited).problem).toBe('Signature does not match the export');
+
+    const other = crypto.generateKeyPairSync('ed25519').publicKey.export({ type: 'spki', format: 'pem' });
+    expect(verifyExport(document, other)).toMatchObject({ valid: false, problem: 'Signature does not match the export' });
+
+    expect(verifyExport({ entries: [] }).problem).toBe('Not an audit export');
+  });
+
+  it('detects entries that do not chain even when signed', async () => {
+    const entries = chain(3);
+    const document = await exported([entries[0], entries[2]]);
+
+    expect(verifyExport(document)).toMatchObject({ valid: false, problem: 'Entry 3: chain_broken' });
+  });
+});
@@ -0,0 +1,118 @@
+const mockPrisma = {
+  $transaction: jest.fn(cb => cb(mockPrisma)),
+  $executeRaw: jest.fn(),
+  auditLog: {
+    findFirst: jest.fn(),
+    create: jest.fn()
+  }
+};
+
+jest.mock('@prisma/client', () => ({ PrismaClient: jest.fn(() => mockPrisma) }));
+jest.mock('../../../utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn(), audit: jest.fn() }));
+
+const logger = require('../../../utils/logger');
+const { diffChanges, requestContext, recordAudit } = require('../auditTrail');
+
+describe('audit trail', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it('keeps only the changed fields of an update', () => {
+    const before = {
+      id: 'a1',
+      name: 'web-01',
+      criticality: 'MEDIUM',
+      tags: ['dmz'],
+      lastScan: new Date('2026-10-01T00:00:00Z'),
+      updatedAt: new Date('2026-10-01T00:00:00Z')
+    };
+    const after = {
+      name: 'web-01',
+      criticality: 'HIGH',
+      tags: ['dmz', 'pci'],
+      lastScan: '2026-10-01T00:00:00.000Z',
+      owner: 'ops',
+      location: undefined,
+      updatedAt: new Date('2026-10-19T00:00:00Z')
+    };
+
+    expect(diffChanges(before, after)).toEqual({
+      before: { criticality: 'MEDIUM', tags: ['dmz'], owner: null },
+      after: { criticality: 'HIGH', tags: ['dmz', 'pci'], owner: 'ops' }
+    });
+  });
+
+  it('keeps every field of creations and deletions and redacts secrets', () => {
+    const user = {
+      id: 'u1',
+      email: 'jane@example.com',
+      password: '$2a$12$hash',
+      tokens: [{ token: 'abc', expiresAt: new Date('2026-10-20T00:00:00Z') }]
+    };
+
+    expect(diffChanges(null, user)).toEqual({
+      before: null,
+      after: {
+        id: 'u1',
+        email: 'jane@example.com',
+        password: '[REDACTED]',
+        tokens: [{ token: '[REDACTED]', expiresAt: '2026-10-20T00:00:00.000Z' }]
+      }
+    });
+    expect(diffChanges(user, null).before.password).toBe('[REDACTED]');
+
+    // A changed secret shows as changed without its value
+    expect(diffChanges({ password: 'old' }, { password: 'new' })).toEqual({
+      before: { password: '[REDACTED]' },
+      after: { password: '[REDACTED]' }
+    });
+  });
+
+  it('persists entries in the AuditLog shape', async () => {
+    const req = {
+      user: { id: 'u1' },
+      ip: '10.0.0.5',
+      get: jest.fn(() => 'Mozilla/5.0')
+    };
+    mockPrisma.auditLog.create.mockResolvedValue({ id: 'log-1' });
+
+    const entry = await recordAudit({
+      ...requestContext(req),
+      action: 'UPDATE',
+      entityType: 'ASSET',
+      entityId: 42,
+      before: { criticality: 'MEDIUM' },
+      after: { criticality: 'HIGH' },
+      metadata: { source: 'api' }
+    });
+
+    expect(entry).toEqual({ id: 'log-1' });
+    expect(mockPrisma.auditLog.create).toHaveBeenCalledWith({
+      data: {
+        createdAt: expect.any(Date),
+        previousHash: null,
+        hash: expect.stringMatching(/^[0-9a-f]{64}$/),
+        action: 'UPDATE',
+        entityType: 'ASSET',
+        entityId: '42',
+        changes: {
+          before: { criticality: 'MEDIUM' },
+          after: { criticality: 'HIGH' },
+          metadata: { source: 'api' }
+        },
+        ipAddress: '10.0.0.5',
+        userAgent: 'Mozilla/5.0',
+        userId: 'u1'
+      }
+    });
+    expect(logger.audit).toHaveBeenCalledWith('UPDATE', 'ASSET', 'u1', { entityId: 42 });
+  });
+
+  it('does not fail the audited operation when the entry cannot be saved', async () => {
+    mockPrisma.auditLog.create.mockRejectedValue(new Error('connection lost'));
+
+    await expect(recordAudit({ action: 'LOGIN_FAILED', entityType: 'USER' })).resolves.toBeNull();
+    expect(logger.error).toHaveBeenCalledWith('Failed to save audit log:', expect.any(Error));
+  });
+});
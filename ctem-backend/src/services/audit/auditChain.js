@@ -0,0 +1,114 @@
+const { PrismaClient } = require('@prisma/client');
+const { entryHash, linkProblem } = require('./auditHash');
+
+const prisma = new PrismaClient();
+
+/**
+ * Hash chain over the audit log
+ *
+ * Every entry stores the SHA-256 of its own content and of the previous
+ * entry's hash, in `sequence` order. Editing an entry changes its hash;
+ * removing or reordering entries breaks the link of the entry after them.
+ * Entries written before the chain was introduced have no hash and are
+ * not covered.
+ */
+
+// pg_advisory_xact_lock key serializing appends across replicas ('AUDT')
+const CHAIN_LOCK_KEY = 0x41554454;
+
+const VERIFY_BATCH_SIZE = 500;
+
+/**
+ * Write an audit entry at the end of the chain
+ *
+ * @param {Object} data - AuditLog fields except createdAt and the chain fields
+ * @returns {Promise<Object>} Created AuditLog row
+ */
+async function appendEntry(data) {
+  return prisma.$transaction(async (tx) => {
+    await tx.$executeRaw`SELECT pg_advisory_xact_lock(${CHAIN_LOCK_KEY})`;
+
+    const last = await tx.auditLog.findFirst({
+      where: { hash: { not: null } },
+      orderBy: { sequence: 'desc' },
+      select: { hash: true }
+    });
+
+    const entry = { ...data, createdAt: new Date() };
+    const previousHash = last ? last.hash : null;
+
+    return tx.auditLog.create({
+      data: {
+        ...entry,
+        previousHash,
+        hash: entryHash(entry, previousHash)
+      }
+    });
+  });
+}
+
+/**
+ * Check every chained entry from the start of the chain
+ *
+ * A missing hash after the start of the chain, a hash that does not match
+ * the entry's content (edited entry) and a previous hash that does not
+ * match the entry before (removed or reordered entries) all break the
+ * chain. The first break is reported.
+ *
+ * @returns {Promise<Object>} valid, checked, unchained (entries before the
+ *   chain), lastSequence, lastHash and, when invalid, firstBrokenLink
+ */
+async function verifyChain() {
+  const result = {
+    valid: true,
+    checked: 0,
+    unchained: 0,
+    lastSequence: null,
+    lastHash: null,
+    firstBrokenLink: null
+  };
+  let started = false;
+  let afterSequence = 0;
+
+  for (;;) {
+    const entries = await prisma.auditLog.findMany({
+      where: { sequence: { gt: afterSequence } },
+      orderBy: { sequence: 'asc' },
+      take: VERIFY_BATCH_SIZE
+    });
+    if (entries.length === 0) break;
+
+    for (const entry of entries) {
+      if (!entry.hash && !started) {
+        result.unchained++;
+        continue;
+      }
+
+      const reason = entry.hash ? linkProblem(entry, result.lastHash) : 'missing_hash';
+      if (reason) {
+        result.valid = false;
+        result.firstBrokenLink = {
+          id: entry.id,
+          sequence: entry.sequence,
+          createdAt: entry.createdAt,
+          reason
+        };
+        return result;
+      }
+
+      started = true;
+      result.checked++;
+      result.lastSequence = entry.sequence;
+      result.lastHash = entry.hash;
+    }
+
+    afterSequence = entries[entries.length - 1].sequence;
+  }
+
+  return result;
+}
+
+module.exports = {
+  appendEntry,
+  verifyChain
+};
@@ -0,0 +1,131 @@
+const crypto = require('crypto');
+const { PrismaClient } = require('@prisma/client');
+const { EXPORT_FORMAT, EXPORT_VERSION, SIGNATURE_ALGORITHM, keyId, signDocument } = require('./exportSignature');
+
+const prisma = new PrismaClient();
+
+/**
+ * Signed audit log exports
+ *
+ * An export holds the chained entries of a time range and an Ed25519
+ * signature over them; see exportSignature for how it is checked.
+ *
+ * The signing key is the PEM-encoded Ed25519 private key in
+ * AUDIT_SIGNING_KEY; `\n` escapes are accepted for single-line values.
+ */
+
+const MAX_EXPORT_ENTRIES = 50000;
+
+const EXPORT_FIELDS = {
+  id: true,
+  sequence: true,
+  action: true,
+  entityType: true,
+  entityId: true,
+  changes: true,
+  ipAddress: true,
+  userAgent: true,
+  userId: true,
+  createdAt: true,
+  previousHash: true,
+  hash: true
+};
+
+let signingKey = null;
+
+function exportError(message, code) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+/**
+ * Private key that signs exports
+ *
+ * @throws {Error} code NOT_CONFIGURED when AUDIT_SIGNING_KEY is not set
+ */
+function getSigningKey() {
+  if (signingKey) return signingKey;
+  if (!process.env.AUDIT_SIGNING_KEY) {
+    throw exportError('Audit export signing key is not configured (AUDIT_SIGNING_KEY)', 'NOT_CONFIGURED');
+  }
+
+  const key = crypto.createPrivateKey(process.env.AUDIT_SIGNING_KEY.replace(/\\n/g, '\n'));
+  if (key.asymmetricKeyType !== 'ed25519') {
+    throw exportError('AUDIT_SIGNING_KEY must be an Ed25519 private key', 'NOT_CONFIGURED');
+  }
+
+  signingKey = key;
+  return signingKey;
+}
+
+/**
+ * Public half of the signing key, for auditors to keep on record
+ *
+ * @returns {{algorithm: string, keyId: string, publicKey: string}}
+ */
+function signingPublicKey() {
+  const publicKey = crypto.createPublicKey(getSigningKey());
+  return {
+    algorithm: SIGNATURE_ALGORITHM,
+    keyId: keyId(publicKey),
+    publicKey: publicKey.export({ type: 'spki', format: 'pem' })
+  };
+}
+
+function serializeEntry(entry) {
+  return { ...entry, createdAt: entry.createdAt.toISOString() };
+}
+
+/**
+ * Export the chained entries written between `from` and `to`, signed
+ *
+ * Entries are exported by sequence from the first to the last entry of
+ * the range, so the export is contiguous even where write times of
+ * concurrent entries are out of order.
+ *
+ * @param {Object} range
+ * @param {Date} range.from
+ * @param {Date} range.to
+ * @returns {Promise<Object>} Export document with its signature
+ * @throws {Error} code NOT_CONFIGURED without a signing key, TOO_LARGE
+ *   when the range holds more than MAX_EXPORT_ENTRIES entries
+ */
+async function buildExport({ from, to }) {
+  const key = getSigningKey();
+  const inRange = { hash: { not: null }, createdAt: { gte: from, lte: to } };
+
+  const [first, last] = await Promise.all([
+    prisma.auditLog.findFirst({ where: inRange, orderBy: { sequence: 'asc' }, select: { sequence: true } }),
+    prisma.auditLog.findFirst({ where: inRange, orderBy: { sequence: 'desc' }, select: { sequence: true } })
+  ]);
+
+  let entries = [];
+  if (first && last) {
+    if (last.sequence - first.sequence >= MAX_EXPORT_ENTRIES) {
+      throw exportError(`Range holds more than ${MAX_EXPORT_ENTRIES} entries; export a shorter range`, 'TOO_LARGE');
+    }
+    entries = await prisma.auditLog.findMany({
+      where: { hash: { not: null }, sequence: { gte: first.sequence, lte: last.sequence } },
+      orderBy: { sequence: 'asc' },
+      select: EXPORT_FIELDS
+    });
+  }
+
+  const document = {
+    format: EXPORT_FORMAT,
+    version: EXPORT_VERSION,
+    generatedAt: new Date().toISOString(),
+    range: { from: from.toISOString(), to: to.toISOString() },
+    entryCount: entries.length,
+    entries: entries.map(serializeEntry)
+  };
+
+  return signDocument(document, key);
+}
+
+module.exports = {
+  MAX_EXPORT_ENTRIES,
+  signingPublicKey,
+  buildExport
+};
@@ -0,0 +1,62 @@
+const crypto = require('crypto');
+
+/**
+ * Audit entry hashing, shared by the chain and by offline export checks
+ */
+
+// Fields covered by an entry's hash
+const HASHED_FIELDS = ['action', 'entityType', 'entityId', 'changes', 'ipAddress', 'userAgent', 'userId', 'createdAt'];
+
+/**
+ * JSON with object keys sorted at every depth, so that a value hashes the
+ * same after a round trip through a jsonb column
+ */
+function canonicalJson(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalJson).join(',')}]`;
+  }
+  if (value && typeof value === 'object' && !(value instanceof Date)) {
+    const fields = Object.keys(value)
+      .filter(key => value[key] !== undefined)
+      .sort()
+      .map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`);
+    return `{${fields.join(',')}}`;
+  }
+  return JSON.stringify(value === undefined ? null : value);
+}
+
+/**
+ * Hash of an audit entry chained to the previous entry's hash
+ *
+ * @param {Object} entry - AuditLog fields
+ * @param {string|null} previousHash
+ * @returns {string} Hex SHA-256
+ */
+function entryHash(entry, previousHash) {
+  const content = { previousHash: previousHash || null };
+  HASHED_FIELDS.forEach(field => {
+    const value = entry[field] === undefined ? null : entry[field];
+    content[field] = field === 'createdAt' ? new Date(value).toISOString() : value;
+  });
+
+  return crypto.createHash('sha256').update(canonicalJson(content)).digest('hex');
+}
+
+/**
+ * Why an entry does not continue the chain, null when it does
+ *
+ * @param {Object} entry - AuditLog row with the chain fields
+ * @param {string|null} previousHash - Hash of the entry before it
+ * @returns {string|null} chain_broken or hash_mismatch
+ */
+function linkProblem(entry, previousHash) {
+  if ((entry.previousHash || null) !== (previousHash || null)) return 'chain_broken';
+  if (entryHash(entry, entry.previousHash) !== entry.hash) return 'hash_mismatch';
+  return null;
+}
+
+module.exports = {
+  canonicalJson,
+  entryHash,
+  linkProblem
+};
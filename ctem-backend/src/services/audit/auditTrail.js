@@ -0,0 +1,145 @@
+const logger = require('../../utils/logger');
+const { appendEntry } = require('./auditChain');
+
+/**
+ * Audit trail
+ *
+ * Every audited change is stored as an AuditLog row whose `changes` hold
+ * the values of the changed fields before and after the change. Creations
+ * only have `after`, deletions only `before`. Entries are hash-chained, see
+ * auditChain.
+ */
+
+// Never stored, at any depth
+const REDACTED_FIELDS = [
+  'password',
+  'tempPassword',
+  'currentPassword',
+  'newPassword',
+  'token',
+  'refreshToken',
+  'mfaSecret',
+  'codeHash'
+];
+
+// Change on every write and say nothing about it
+const IGNORED_FIELDS = ['updatedAt'];
+
+const REDACTED = '[REDACTED]';
+
+/**
+ * JSON-safe copy of entity values with secrets redacted
+ */
+function toAuditValues(values) {
+  if (values === null || values === undefined) return null;
+
+  return JSON.parse(JSON.stringify(values, (key, value) => {
+    if (REDACTED_FIELDS.includes(key)) return REDACTED;
+    return typeof value === 'bigint' ? value.toString() : value;
+  }));
+}
+
+/**
+ * Before/after values of the fields that differ
+ *
+ * Only the fields present in `after` are compared, so `after` may be a
+ * partial update. Either side may be null for creations and deletions.
+ *
+ * @param {Object|null} before
+ * @param {Object|null} after
+ * @returns {{before: Object|null, after: Object|null}}
+ */
+function diffChanges(before, after) {
+  if (!before || !after) {
+    return { before: toAuditValues(before), after: toAuditValues(after) };
+  }
+
+  const oldValues = {};
+  const newValues = {};
+  Object.keys(after).forEach(field => {
+    if (IGNORED_FIELDS.includes(field) || after[field] === undefined) return;
+    // Compared before redaction so that a changed secret still shows
+    if (JSON.stringify(toComparable(before[field])) === JSON.stringify(toComparable(after[field]))) return;
+    oldValues[field] = before[field] === undefined ? null : before[field];
+    newValues[field] = after[field];
+  });
+
+  return { before: toAuditValues(oldValues), after: toAuditValues(newValues) };
+}
+
+function toComparable(value) {
+  return typeof value === 'bigint' ? value.toString() : value;
+}
+
+/**
+ * Who made a request and from where
+ *
+ * @param {Object} req - Express request
+ * @returns {{userId: string|null, ipAddress: string|null, userAgent: string|null}}
+ */
+function requestContext(req) {
+  return {
+    userId: req.user ? req.user.id : null,
+    ipAddress: req.ip || (req.connection && req.connection.remoteAddress) || null,
+    userAgent: req.get('User-Agent') || null
+  };
+}
+
+/**
+ * Persist an audit entry
+ *
+ * Failures are logged and never thrown, so auditing cannot fail the
+ * operation it records.
+ *
+ * @param {Object} entry
+ * @param {string} entry.action - e.g. CREATE, UPDATE, DELETE, LOGIN
+ * @param {string} entry.entityType - e.g. USER, ASSET, VULNERABILITY
+ * @param {string} [entry.entityId]
+ * @param {Object} [entry.before] - Entity values before the change
+ * @param {Object} [entry.after] - Entity values, or the changed fields, after it
+ * @param {Object} [entry.metadata] - Context that is not an entity value
+ * @param {string} [entry.userId]
+ * @param {string} [entry.ipAddress]
+ * @param {string} [entry.userAgent]
+ * @returns {Promise<Object|null>} The AuditLog row, null when it was not saved
+ */
+async function recordAudit({
+  action,
+  entityType,
+  entityId = null,
+  before = null,
+  after = null,
+  metadata = null,
+  userId = null,
+  ipAddress = null,
+  userAgent = null
+}) {
+  const changes = diffChanges(before, after);
+  if (metadata) {
+    changes.metadata = toAuditValues(metadata);
+  }
+
+  logger.audit(action, entityType, userId, { entityId });
+
+  try {
+    return await appendEntry({
+      action,
+      entityType,
+      entityId: entityId === null ? null : String(entityId),
+      changes,
+      ipAddress,
+      userAgent,
+      userId
+    });
+  } catch (error) {
+    logger.error('Failed to save audit log:', error);
+    return null;
+  }
+}
+
+module.exports = {
+  REDACTED_FIELDS,
+  diffChanges,
+  requestContext,
+  recordAudit
+};
@@ -0,0 +1,113 @@
+const crypto = require('crypto');
+const { canonicalJson, linkProblem } = require('./auditHash');
+
+/**
+ * Signing and offline checking of audit log exports
+ *
+ * The signature proves an export was not altered since it was produced;
+ * the entry hashes and links prove its entries are a contiguous part of
+ * the chain as it was at the time. Needs nothing but the export and the
+ * public key, no database.
+ */
+
+const EXPORT_FORMAT = 'ctem-audit-export';
+const EXPORT_VERSION = 1;
+const SIGNATURE_ALGORITHM = 'Ed25519';
+
+/**
+ * Fingerprint identifying a public key: hex SHA-256 of its DER encoding
+ */
+function keyId(publicKey) {
+  return crypto.createHash('sha256')
+    .update(publicKey.export({ type: 'spki', format: 'der' }))
+    .digest('hex');
+}
+
+/**
+ * Attach an Ed25519 signature over the canonical JSON of a document
+ *
+ * @param {Object} document - Export document without a signature
+ * @param {KeyObject} privateKey - Ed25519 private key
+ * @returns {Object} The document with its signature and public key
+ */
+function signDocument(document, privateKey) {
+  const publicKey = crypto.createPublicKey(privateKey);
+  return {
+    ...document,
+    signature: {
+      algorithm: SIGNATURE_ALGORITHM,
+      keyId: keyId(publicKey),
+      publicKey: publicKey.export({ type: 'spki', format: 'pem' }),
+      value: crypto.sign(null, Buffer.from(canonicalJson(document)), privateKey).toString('base64')
+    }
+  };
+}
+
+/**
+ * Check an export offline
+ *
+ * The signature is checked against `trustedPublicKey` when given, else
+ * against the key embedded in the export, which only proves integrity if
+ * its keyId is known to belong to the exporting system.
+ *
+ * @param {Object} exported - Export document as produced by buildExport
+ * @param {string} [trustedPublicKey] - PEM public key
+ * @returns {{valid: boolean, keyId: string|null, entryCount: number, problem: string|null}}
+ */
+function verifyExport(exported, trustedPublicKey) {
+  const result = { valid: false, keyId: null, entryCount: 0, problem: null };
+
+  const { signature, ...document } = exported || {};
+  if (document.format !== EXPORT_FORMAT || !signature || !Array.isArray(document.entries)) {
+    result.problem = 'Not an audit export';
+    return result;
+  }
+  if (signature.algorithm !== SIGNATURE_ALGORITHM) {
+    result.problem = `Unsupported signature algorithm ${signature.algorithm}`;
+    return result;
+  }
+
+  let publicKey;
+  let signed;
+  try {
+    publicKey = crypto.createPublicKey(trustedPublicKey || signature.publicKey);
+    signed = crypto.verify(
+      null,
+      Buffer.from(canonicalJson(document)),
+      publicKey,
+      Buffer.from(signature.value || '', 'base64')
+    );
+  } catch (error) {
+    result.problem = 'Invalid public key';
+    return result;
+  }
+  result.keyId = keyId(publicKey);
+  result.entryCount = document.entries.length;
+
+  if (!signed) {
+    result.problem = 'Signature does not match the export';
+    return result;
+  }
+
+  for (let i = 0; i < document.entries.length; i++) {
+    const entry = document.entries[i];
+    const previousHash = i === 0 ? entry.previousHash : document.entries[i - 1].hash;
+    const reason = linkProblem(entry, previousHash);
+    if (reason) {
+      result.problem = `Entry ${entry.sequence}: ${reason}`;
+      return result;
+    }
+  }
+
+  result.valid = true;
+  return result;
+}
+
+module.exports = {
+  EXPORT_FORMAT,
+  EXPORT_VERSION,
+  SIGNATURE_ALGORITHM,
+  keyId,
+  signDocument,
+  verifyExport
+};
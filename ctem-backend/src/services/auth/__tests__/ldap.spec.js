@@ -0,0 +1,401 @@
+const mockPrisma = {
+  $transaction: jest.fn(callback => callback(mockPrisma)),
+  $queryRaw: jest.fn(),
+  systemSetting: {
+    findMany: jest.fn()
+  },
+  user: {
+    findUnique: jest.fn(),
+    findMany: jest.fn(),
+    create: jest.fn(),
+    update: jest.fn()
+  },
+  refreshToken: {
+    deleteMany: jest.fn()
+  }
+};
+
+jest.mock('@prisma/client', () => ({ PrismaClient: jest.fn(() => mockPrisma) }));
+jest.mock('../../../utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn(), audit: jest.fn() }));
+jest.mock('../../audit/auditTrail', () => ({ recordAudit: jest.fn() }));
+jest.mock('ldapts', () => ({ ...jest.requireActual('ldapts'), Client: jest.fn() }));
+
+process.env.BCRYPT_ROUNDS = '4';
+
+const { Client, InvalidCredentialsError, InsufficientAccessError } = require('ldapts');
+const { recordAudit } = require('../../audit/auditTrail');
+const ldap = require('../ldap');
+
+const SERVICE_DN = 'cn=ctem,ou=services,dc=example,dc=com';
+
+const ENTRIES = [
+  {
+    dn: 'uid=jane,ou=People,dc=example,dc=com',
+    password: 'jane-password',
+    attributes: {
+      objectClass: ['person'],
+      mail: ['Jane@Example.com'],
+      displayName: ['Jane Doe'],
+      department: ['Security'],
+      memberOf: ['CN=CTEM Analysts,OU=Groups,DC=example,DC=com', 'cn=staff,ou=groups,dc=example,dc=com']
+    }
+  },
+  {
+    dn: 'uid=max,ou=People,dc=example,dc=com',
+    password: 'max-password',
+    attributes: {
+      objectClass: ['person'],
+      mail: ['max@example.com'],
+      cn: ['Max Mustermann'],
+      memberOf: ['cn=ctem admins,ou=groups,dc=example,dc=com'],
+      userAccountControl: ['514']
+    }
+  },
+  {
+    dn: 'uid=olga,ou=Moved,dc=example,dc=com',
+    password: 'olga-password',
+    attributes: {
+      objectClass: ['person'],
+      mail: ['olga@example.com'],
+      displayName: ['Olga'],
+      department: ['IT'],
+      memberOf: []
+    }
+  }
+];
+
+/**
+ * Directory in place of the ldapts client: binds, and searches answered
+ * from ENTRIES the way ldapts returns them
+ */
+function createDirectory() {
+  const directory = { clients: [], searches: [] };
+
+  directory.connect = options => {
+    // The real client checks the URL
+    new (jest.requireActual('ldapts').Client)({ ...options });
+
+    let boundAs = null;
+    const reachable = () => {
+      if (!directory.reachable) {
+        throw Object.assign(new Error(`connect ECONNREFUSED ${options.url}`), { code: 'ECONNREFUSED' });
+      }
+    };
+
+    const client = {
+      options,
+      startTLS: jest.fn(async () => reachable()),
+      bind: jest.fn(async (dn, password) => {
+        reachable();
+        const entry = ENTRIES.find(candidate => candidate.dn === dn);
+        const valid = dn === SERVICE_DN
+          ? password === directory.servicePassword
+          : Boolean(entry) && password === entry.password;
+        boundAs = valid ? dn : null;
+        if (!valid) throw new InvalidCredentialsError();
+      }),
+      search: jest.fn(async (baseDn, { filter, attributes, sizeLimit }) => {
+        directory.searches.push({ baseDn, filter: filter.toString(), attributes, boundAs });
+        if (boundAs !== SERVICE_DN) throw new InsufficientAccessError();
+
+        const matches = directory.entries.filter(entry => filter.matches(
+          Object.fromEntries(Object.entries(entry.attributes).map(([type, values]) => [type, values[0]]))
+        ));
+
+        return {
+          searchEntries: (sizeLimit ? matches.slice(0, sizeLimit) : matches).map(entry => ({
+            dn: entry.dn,
+            ...Object.fromEntries(Object.entries(entry.attributes).map(([type, values]) =>
+              [type, values.length === 1 ? values[0] : values]
+            ))
+          })),
+          searchReferences: directory.references
+        };
+      }),
+      unbind: jest.fn(async () => {})
+    };
+
+    directory.clients.push(client);
+    return client;
+  };
+
+  return directory;
+}
+
+const SETTINGS = {
+  ...ldap.DEFAULT_LDAP_SETTINGS,
+  enabled: true,
+  bindDn: SERVICE_DN,
+  bindPassword: 'service-password',
+  baseDn: 'dc=example,dc=com',
+  roleMappings: [
+    { group: 'CTEM Analysts', role: 'ANALYST', permissions: ['risks:update'] },
+    { group: 'CN=CTEM Admins, OU=Groups, DC=example, DC=com', role: 'ADMIN' }
+  ],
+  defaultRole: '',
+  timeout: 2000
+};
+
+describe('LDAP', () => {
+  const directory = createDirectory();
+  let settings;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    Client.mockImplementation(directory.connect);
+    Object.assign(directory, {
+      servicePassword: SETTINGS.bindPassword,
+      reachable: true,
+      entries: ENTRIES,
+      references: [],
+      clients: [],
+      searches: []
+    });
+    settings = { ...SETTINGS, url: 'ldap://dc1.example.com' };
+    mockPrisma.$queryRaw.mockResolvedValue([{ locked: true }]);
+  });
+
+  it('reads the settings with the bind password from the environment', async () => {
+    process.env.LDAP_BIND_PASSWORD = 'from-env';
+    mockPrisma.systemSetting.findMany.mockResolvedValue([
+      { key: 'sso.ldap.enabled', value: 'true' },
+      { key: 'sso.ldap.url', value: '"ldaps://dc1.example.com"' },
+      { key: 'sso.ldap.baseDn', value: '"dc=example,dc=com"' }
+    ]);
+
+    const stored = await ldap.getLdapSettings();
+
+    expect(stored).toMatchObject({ enabled: true, url: 'ldaps://dc1.example.com', bindPassword: 'from-env', groupsAttribute: 'memberOf' });
+    expect(ldap.isConfigured(stored)).toBe(true);
+    expect(ldap.isConfigured({ ...stored, userFilter: '(mail=jane@example.com)' })).toBe(false);
+    delete process.env.LDAP_BIND_PASSWORD;
+  });
+
+  it('checks the password by binding as the user found by the service account', async () => {
+    const profile = await ldap.authenticate(settings, 'jane@example.com', 'jane-password');
+
+    expect(profile).toEqual({
+      dn: 'uid=jane,ou=People,dc=example,dc=com',
+      externalId: 'uid=jane,ou=people,dc=example,dc=com',
+      email: 'jane@example.com',
+      name: 'Jane Doe',
+      department: 'Security',
+      groups: ENTRIES[0].attributes.memberOf,
+      disabled: false
+    });
+    expect(directory.searches[0]).toMatchObject({ baseDn: 'dc=example,dc=com', boundAs: SERVICE_DN });
+
+    await expect(ldap.authenticate(settings, 'jane@example.com', 'wrong-password'))
+      .rejects.toMatchObject({ code: 'INVALID_CREDENTIALS' });
+    await expect(ldap.authenticate(settings, 'nobody@example.com', 'jane-password'))
+      .rejects.toMatchObject({ code: 'INVALID_CREDENTIALS' });
+    await expect(ldap.authenticate(settings, 'jane@example.com', ''))
+      .rejects.toMatchObject({ code: 'INVALID_CREDENTIALS' });
+  });
+
+  it('escapes the login in the user filter', async () => {
+    await expect(ldap.authenticate(settings, '*)(mail=*', 'jane-password'))
+      .rejects.toMatchObject({ code: 'INVALID_CREDENTIALS' });
+    expect(directory.searches[0].filter).toBe('(&(objectClass=person)(mail=\\2a\\29\\28mail=\\2a))');
+
+    await expect(ldap.authenticate({ ...settings, userFilter: '(mail={username}' }, 'jane@example.com', 'jane-password'))
+      .rejects.toMatchObject({ code: 'INVALID_FILTER' });
+  });
+
+  it('refuses logins that match several entries', async () => {
+    directory.entries = [...ENTRIES, { ...ENTRIES[0], dn: 'uid=jane2,ou=People,dc=example,dc=com' }];
+
+    await expect(ldap.authenticate(settings, 'jane@example.com', 'jane-password'))
+      .rejects.toMatchObject({ code: 'INVALID_CREDENTIALS' });
+    expect(directory.clients[0].search).toHaveBeenCalledWith('dc=example,dc=com', expect.objectContaining({ sizeLimit: 2 }));
+  });
+
+  it('connects with TLS as configured and always unbinds', async () => {
+    await ldap.authenticate({ ...settings, url: 'ldaps://dc1.example.com', verifyCertificate: false }, 'jane@example.com', 'jane-password');
+    await ldap.authenticate({ ...settings, startTls: true }, 'jane@example.com', 'jane-password');
+    await ldap.authenticate(settings, 'jane@example.com', 'wrong-password').catch(() => {});
+
+    const [ldaps, startTls, plain] = directory.clients;
+    expect(ldaps.options).toEqual({ url: 'ldaps://dc1.example.com', timeout: 2000, connectTimeout: 2000, tlsOptions: { rejectUnauthorized: false } });
+    expect(ldaps.startTLS).not.toHaveBeenCalled();
+    expect(startTls.options.tlsOptions).toBeUndefined();
+    expect(startTls.startTLS).toHaveBeenCalledWith({ rejectUnauthorized: true, host: 'dc1.example.com' });
+    expect(plain.startTLS).not.toHaveBeenCalled();
+    directory.clients.forEach(client => expect(client.unbind).toHaveBeenCalled());
+
+    await expect(ldap.authenticate({ ...settings, url: 'ldap//dc1' }, 'jane@example.com', 'jane-password'))
+      .rejects.toMatchObject({ code: 'CONFIG_ERROR' });
+  });
+
+  it('tells a rejected service account and an unreachable directory from wrong passwords', async () => {
+    await expect(ldap.authenticate({ ...settings, bindPassword: 'wrong' }, 'jane@example.com', 'jane-password'))
+      .rejects.toMatchObject({ code: 'DIRECTORY_ERROR' });
+
+    await expect(ldap.authenticate({ ...settings, bindDn: '' }, 'jane@example.com', 'jane-password'))
+      .rejects.toMatchObject({ code: 'DIRECTORY_ERROR' });
+
+    directory.reachable = false;
+    await expect(ldap.authenticate(settings, 'jane@example.com', 'jane-password'))
+      .rejects.toMatchObject({ code: 'UNAVAILABLE' });
+  });
+
+  it('ignores search references', async () => {
+    directory.references = ['ldap://dc2.example.com/ou=People,dc=example,dc=com'];
+
+    const profile = await ldap.authenticate(settings, 'jane@example.com', 'jane-password');
+
+    expect(profile.dn).toBe('uid=jane,ou=People,dc=example,dc=com');
+  });
+
+  it('provisions new directory users with the role of their groups', async () => {
+    const profile = await ldap.authenticate(settings, 'jane@example.com', 'jane-password');
+    mockPrisma.user.findUnique.mockResolvedValue(null);
+    mockPrisma.user.create.mockImplementation(({ data }) => Promise.resolve({ id: 'u1', isActive: true, ...data }));
+
+    const user = await ldap.provisionUser(profile, settings, { ipAddress: '10.0.0.1' });
+
+    expect(user).toMatchObject({
+      email: 'jane@example.com',
+      name: 'Jane Doe',
+      role: 'ANALYST',
+      permissions: ['risks:update'],
+      department: 'Security',
+      authProvider: 'ldap',
+      externalId: 'uid=jane,ou=people,dc=example,dc=com'
+    });
+    expect(recordAudit).toHaveBeenCalledWith(expect.objectContaining({ action: 'CREATE', ipAddress: '10.0.0.1', metadata: { source: 'ldap' } }));
+
+    await expect(ldap.provisionUser(profile, { ...settings, roleMappings: [] }))
+      .rejects.toMatchObject({ code: 'NOT_AUTHORIZED' });
+  });
+
+  it('links local accounts and refuses accounts of another provider or disabled in the directory', async () => {
+    const profile = await ldap.authenticate(settings, 'jane@example.com', 'jane-password');
+    const local = { id: 'u1', email: 'jane@example.com', role: 'VIEWER', permissions: [], department: null, isActive: true, authProvider: 'local', externalId: null };
+
+    mockPrisma.user.findUnique.mockResolvedValueOnce(null).mockResolvedValueOnce(local);
+    mockPrisma.user.update
+      .mockResolvedValueOnce({ ...local, authProvider: 'ldap', externalId: profile.externalId })
+      .mockImplementationOnce(({ data }) => Promise.resolve({ ...local, authProvider: 'ldap', ...data }));
+
+    const user = await ldap.provisionUser(profile, settings);
+
+    expect(user).toMatchObject({ role: 'ANALYST', department: 'Security', authProvider: 'ldap' });
+    expect(recordAudit.mock.calls.map(([entry]) => entry.action)).toEqual(['SSO_LINK', 'UPDATE']);
+    expect(recordAudit.mock.calls[1][0]).toMatchObject({
+      before: { role: 'VIEWER', permissions: [], department: null },
+      after: { role: 'ANALYST', permissions: ['risks:update'], department: 'Security' }
+    });
+
+    mockPrisma.user.findUnique.mockResolvedValueOnce(null).mockResolvedValueOnce({ ...local, authProvider: 'oidc' });
+    await expect(ldap.provisionUser(profile, settings)).rejects.toMatchObject({ code: 'ACCOUNT_CONFLICT' });
+
+    const disabled = await ldap.authenticate(settings, 'max@example.com', 'max-password');
+    expect(disabled.disabled).toBe(true);
+    await expect(ldap.provisionUser(disabled, settings)).rejects.toMatchObject({ code: 'INACTIVE' });
+  });
+
+  it('previews a sync without changing anything', async () => {
+    mockPrisma.user.findMany.mockResolvedValue([
+      { id: 'u1', email: 'jane@example.com', name: 'Jane Doe', role: 'VIEWER', permissions: [], department: 'Security', isActive: true, authProvider: 'ldap', deactivationReason: null, externalId: 'uid=jane,ou=people,dc=example,dc=com' },
+      { id: 'u2', email: 'max@example.com', name: 'Max', role: 'ADMIN', permissions: [], department: null, isActive: true, authProvider: 'ldap', deactivationReason: null, externalId: 'uid=max,ou=people,dc=example,dc=com' },
+      { id: 'u3', email: 'olga@example.com', name: 'Olga', role: 'VIEWER', permissions: [], department: null, isActive: true, authProvider: 'ldap', deactivationReason: null, externalId: 'uid=olga,ou=people,dc=example,dc=com' },
+      { id: 'u4', email: 'gone@example.com', name: 'Gone', role: 'VIEWER', permissions: [], department: null, isActive: true, authProvider: 'ldap', deactivationReason: null, externalId: 'uid=gone,ou=people,dc=example,dc=com' }
+    ]);
+
+    const plan = await ldap.planSync(settings);
+
+    expect(plan).toEqual({
+      directoryEntries: 3,
+      checkedUsers: 4,
+      changes: [
+        {
+          userId: 'u1',
+          email: 'jane@example.com',
+          name: 'Jane Doe',
+          reason: 'directory_attributes',
+          before: { role: 'VIEWER', permissions: [] },
+          after: { role: 'ANALYST', permissions: ['risks:update'] }
+        },
+        {
+          userId: 'u2',
+          email: 'max@example.com',
+          name: 'Max',
+          reason: 'disabled_in_directory',
+          before: { isActive: true, deactivationReason: null },
+          after: { isActive: false, deactivationReason: 'disabled_in_directory' }
+        },
+        {
+          userId: 'u3',
+          email: 'olga@example.com',
+          name: 'Olga',
+          reason: 'not_authorized',
+          before: { externalId: 'uid=olga,ou=people,dc=example,dc=com', department: null, isActive: true, deactivationReason: null },
+          after: { externalId: 'uid=olga,ou=moved,dc=example,dc=com', department: 'IT', isActive: false, deactivationReason: 'not_authorized' }
+        },
+        {
+          userId: 'u4',
+          email: 'gone@example.com',
+          name: 'Gone',
+          reason: 'not_in_directory',
+          before: { isActive: true, deactivationReason: null },
+          after: { isActive: false, deactivationReason: 'not_in_directory' }
+        }
+      ]
+    });
+    expect(mockPrisma.user.update).not.toHaveBeenCalled();
+    expect(mockPrisma.user.findMany).toHaveBeenCalledWith(expect.objectContaining({ where: { authProvider: 'ldap' } }));
+
+    expect(directory.clients[0].search).toHaveBeenCalledWith('dc=example,dc=com', expect.objectContaining({ paged: { pageSize: 500 } }));
+  });
+
+  it('applies a sync and signs deactivated users out', async () => {
+    mockPrisma.user.findMany.mockResolvedValue([
+      { id: 'u2', email: 'max@example.com', name: 'Max', role: 'ADMIN', permissions: [], department: null, isActive: true, authProvider: 'ldap', deactivationReason: null, externalId: 'uid=max,ou=people,dc=example,dc=com' }
+    ]);
+
+    const result = await ldap.sync(settings, { userId: 'admin-1' });
+
+    expect(result.changes).toHaveLength(1);
+    expect(mockPrisma.user.update).toHaveBeenCalledWith({ where: { id: 'u2' }, data: { isActive: false, deactivationReason: 'disabled_in_directory' } });
+    expect(mockPrisma.refreshToken.deleteMany).toHaveBeenCalledWith({ where: { userId: 'u2' } });
+    expect(recordAudit).toHaveBeenCalledWith(expect.objectContaining({
+      userId: 'admin-1',
+      action: 'UPDATE',
+      entityId: 'u2',
+      metadata: { source: 'ldap_sync', reason: 'disabled_in_directory' }
+    }));
+  });
+
+  it('reactivates only the users the sync deactivated', async () => {
+    const jane = { id: 'u1', email: 'jane@example.com', name: 'Jane Doe', role: 'ANALYST', permissions: ['risks:update'], department: 'Security', authProvider: 'ldap', externalId: 'uid=jane,ou=people,dc=example,dc=com' };
+    mockPrisma.user.findMany.mockResolvedValueOnce([{ ...jane, isActive: false, deactivationReason: 'not_authorized' }]);
+
+    const plan = await ldap.planSync(settings);
+    expect(plan.changes).toEqual([expect.objectContaining({
+      before: { isActive: false, deactivationReason: 'not_authorized' },
+      after: { isActive: true, deactivationReason: null }
+    })]);
+
+    // Deactivated by an administrator
+    mockPrisma.user.findMany.mockResolvedValueOnce([{ ...jane, isActive: false, deactivationReason: null }]);
+    await expect(ldap.planSync(settings)).resolves.toMatchObject({ changes: [] });
+  });
+
+  it('leaves the sync to the replica holding the lock', async () => {
+    mockPrisma.$queryRaw.mockResolvedValueOnce([{ locked: false }]);
+
+    await expect(ldap.sync(settings)).rejects.toMatchObject({ code: 'SYNC_RUNNING' });
+    expect(directory.clients).toHaveLength(0);
+    expect(mockPrisma.user.update).not.toHaveBeenCalled();
+  });
+
+  it('refuses to sync when the directory returns no users', async () => {
+    directory.entries = [];
+    mockPrisma.user.findMany.mockResolvedValue([]);
+
+    await expect(ldap.planSync(settings)).rejects.toMatchObject({ code: 'DIRECTORY_ERROR' });
+    await expect(ldap.planSync({ ...settings, enabled: false })).rejects.toMatchObject({ code: 'NOT_CONFIGURED' });
+    expect(mockPrisma.user.update).not.toHaveBeenCalled();
+  });
+});
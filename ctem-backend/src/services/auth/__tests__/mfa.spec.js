@@ -0,0 +1,179 @@
+const jwt = require('jsonwebtoken');
+
+const mockPrisma = {
+  $transaction: jest.fn(cb => (typeof cb === 'function' ? cb(mockPrisma) : Promise.all(cb))),
+  systemSetting: {
+    findUnique: jest.fn()
+  },
+  user: {
+    findUnique: jest.fn(),
+    update: jest.fn(),
+    updateMany: jest.fn()
+  },
+  mfaRecoveryCode: {
+    createMany: jest.fn(),
+    deleteMany: jest.fn(),
+    updateMany: jest.fn()
+  }
+};
+
+jest.mock('@prisma/client', () => ({ PrismaClient: jest.fn(() => mockPrisma) }));
+jest.mock('../../../config/redis', () => ({ get: jest.fn(), exists: jest.fn(), incr: jest.fn(), expire: jest.fn(), setex: jest.fn() }));
+jest.mock('../../../utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn(), audit: jest.fn() }));
+
+process.env.JWT_SECRET = 'test-secret';
+
+const redis = require('../../../config/redis');
+const totp = require('../totp');
+const mfa = require('../mfa');
+
+// RFC 6238 test secret "12345678901234567890"
+const RFC_SECRET = totp.base32Encode(Buffer.from('12345678901234567890'));
+
+describe('TOTP', () => {
+  it('matches the RFC 6238 test vectors', () => {
+    expect(RFC_SECRET).toBe('GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ');
+    expect(totp.generateCode(RFC_SECRET, totp.timeStep(59 * 1000))).toBe('287082');
+    expect(totp.generateCode(RFC_SECRET, totp.timeStep(1111111109 * 1000))).toBe('081804');
+    expect(totp.base32Decode('gezd gnbv-gy3t qojq====').toString()).toBe('1234567890');
+  });
+
+  it('accepts codes one step either way and never a used step again', () => {
+    const time = 1111111109 * 1000;
+    const step = totp.timeStep(time);
+
+    expect(totp.verifyCode(RFC_SECRET, totp.generateCode(RFC_SECRET, step - 1), { time })).toBe(step - 1);
+    expect(totp.verifyCode(RFC_SECRET, totp.generateCode(RFC_SECRET, step + 1), { time })).toBe(step + 1);
+    expect(totp.verifyCode(RFC_SECRET, totp.generateCode(RFC_SECRET, step - 2), { time })).toBeNull();
+    expect(totp.verifyCode(RFC_SECRET, totp.generateCode(RFC_SECRET, step), { time, afterStep: step })).toBeNull();
+    expect(totp.verifyCode(RFC_SECRET, '12345', { time })).toBeNull();
+  });
+
+  it('builds the provisioning URI authenticator apps scan', () => {
+    expect(totp.provisioningUri({ secret: RFC_SECRET, accountName: 'jane@example.com', issuer: 'ACME Corp' }))
+      .toBe('otpauth://totp/ACME%20Corp%3Ajane%40example.com?secret=GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ&issuer=ACME+Corp&algorithm=SHA1&digits=6&period=30');
+  });
+});
+
+describe('MFA', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it('stores secrets encrypted', () => {
+    const stored = mfa.encryptSecret(RFC_SECRET);
+
+    expect(stored).not.toContain(RFC_SECRET);
+    expect(mfa.decryptSecret(stored)).toBe(RFC_SECRET);
+
+    const [iv, tag, ciphertext] = stored.split('.');
+    const tampered = Buffer.from(ciphertext, 'base64');
+    tampered[0] ^= 1;
+    expect(() => mfa.decryptSecret([iv, tag, tampered.toString('base64')].join('.'))).toThrow();
+  });
+
+  it('enables MFA with a code from the pending secret and hashes the recovery codes', async () => {
+    mockPrisma.systemSetting.findUnique.mockResolvedValue(null);
+    const { secret, otpauthUrl } = await mfa.beginEnrollment({ id: 'u1', email: 'jane@example.com' });
+    const pending = mockPrisma.user.update.mock.calls[0][0].data.mfaSecret;
+
+    expect(otpauthUrl).toContain('CTEM%20Platform%3Ajane%40example.com');
+    mockPrisma.user.findUnique.mockResolvedValue({ id: 'u1', mfaSecret: pending, mfaLastUsedStep: null });
+
+    const step = totp.timeStep();
+    const code = totp.generateCode(secret, step);
+    const wrongCode = String((Number(code) + 500000) % 1000000).padStart(6, '0');
+
+    await expect(mfa.completeEnrollment('u1', wrongCode)).resolves.toBeNull();
+    expect(mockPrisma.mfaRecoveryCode.createMany).not.toHaveBeenCalled();
+
+    const recoveryCodes = await mfa.completeEnrollment('u1', code);
+
+    expect(recoveryCodes).toHaveLength(10);
+    expect(recoveryCodes[0]).toMatch(/^[0-9a-f]{5}-[0-9a-f]{5}$/);
+    expect(mockPrisma.user.update).toHaveBeenLastCalledWith({
+      where: { id: 'u1' },
+      data: { mfaEnabled: true, mfaLastUsedStep: step }
+    });
+    const stored = mockPrisma.mfaRecoveryCode.createMany.mock.calls[0][0].data;
+    expect(stored[0]).toEqual({ userId: 'u1', codeHash: mfa.hashRecoveryCode(recoveryCodes[0]) });
+    expect(JSON.stringify(stored)).not.toContain(recoveryCodes[0]);
+  });
+
+  it('accepts each TOTP code and recovery code once', async () => {
+    const user = { id: 'u1', mfaEnabled: true, mfaSecret: mfa.encryptSecret(RFC_SECRET), mfaLastUsedStep: null };
+    mockPrisma.user.findUnique.mockResolvedValue(user);
+    const step = totp.timeStep();
+    const code = totp.generateCode(RFC_SECRET, step);
+
+    mockPrisma.user.updateMany.mockResolvedValueOnce({ count: 1 });
+    await expect(mfa.verifyCode('u1', code)).resolves.toBe('totp');
+    expect(mockPrisma.user.updateMany.mock.calls[0][0].data).toEqual({ mfaLastUsedStep: step });
+
+    // A concurrent request claimed the step first
+    mockPrisma.user.updateMany.mockResolvedValueOnce({ count: 0 });
+    await expect(mfa.verifyCode('u1', code)).resolves.toBeNull();
+
+    mockPrisma.user.findUnique.mockResolvedValue({ ...user, mfaLastUsedStep: step + 1 });
+    await expect(mfa.verifyCode('u1', code)).resolves.toBeNull();
+
+    mockPrisma.mfaRecoveryCode.updateMany.mockResolvedValueOnce({ count: 1 }).mockResolvedValueOnce({ count: 0 });
+    await expect(mfa.verifyCode('u1', 'ABCDE-12345')).resolves.toBe('recovery_code');
+    expect(mockPrisma.mfaRecoveryCode.updateMany.mock.calls[0][0].where).toEqual({
+      userId: 'u1',
+      codeHash: mfa.hashRecoveryCode('abcde12345'),
+      usedAt: null
+    });
+    await expect(mfa.verifyCode('u1', 'abcde-12345')).resolves.toBeNull();
+
+    mockPrisma.user.findUnique.mockResolvedValue({ ...user, mfaEnabled: false });
+    await expect(mfa.verifyCode('u1', code)).resolves.toBeNull();
+  });
+
+  it('issues challenge tokens that only work for their step', async () => {
+    const token = mfa.issueChallenge('u1', mfa.CHALLENGE_TYPES.VERIFY, { rememberMe: true });
+    const accessToken = jwt.sign({ userId: 'u1', type: 'access' }, process.env.JWT_SECRET);
+
+    expect(mfa.verifyChallenge(token, mfa.CHALLENGE_TYPES.VERIFY)).toMatchObject({ userId: 'u1', rememberMe: true });
+    expect(mfa.verifyChallenge(token, mfa.CHALLENGE_TYPES.ENROLL)).toBeNull();
+    expect(mfa.verifyChallenge(accessToken, mfa.CHALLENGE_TYPES.VERIFY)).toBeNull();
+    expect(mfa.verifyChallenge(`${token}x`, mfa.CHALLENGE_TYPES.VERIFY)).toBeNull();
+
+    const challenge = mfa.verifyChallenge(token, mfa.CHALLENGE_TYPES.VERIFY);
+    redis.incr.mockResolvedValueOnce(4).mockResolvedValueOnce(5);
+    await expect(mfa.recordFailedAttempt(challenge)).resolves.toBe(true);
+    await expect(mfa.recordFailedAttempt(challenge)).resolves.toBe(false);
+    expect(redis.incr).toHaveBeenCalledWith(`mfa_attempts:${challenge.jti}`);
+
+    redis.get.mockResolvedValueOnce('5');
+    await expect(mfa.hasAttemptsLeft(challenge)).resolves.toBe(false);
+    redis.get.mockResolvedValueOnce(null);
+    redis.exists.mockResolvedValueOnce(0);
+    await expect(mfa.hasAttemptsLeft(challenge)).resolves.toBe(true);
+
+    redis.setex.mockResolvedValueOnce('OK');
+    await expect(mfa.consumeChallenge(challenge)).resolves.toBe(true);
+    expect(redis.setex).toHaveBeenCalledWith(`mfa_attempts:${challenge.jti}`, expect.any(Number), '5');
+  });
+
+  it('refuses challenges whose attempts Redis cannot count', async () => {
+    const challenge = mfa.verifyChallenge(mfa.issueChallenge('u1', mfa.CHALLENGE_TYPES.VERIFY), mfa.CHALLENGE_TYPES.VERIFY);
+    redis.get.mockResolvedValueOnce(null);
+    redis.exists.mockResolvedValueOnce(null);
+    redis.incr.mockResolvedValueOnce(null);
+    redis.setex.mockResolvedValueOnce(null);
+
+    await expect(mfa.hasAttemptsLeft(challenge)).resolves.toBe(false);
+    await expect(mfa.recordFailedAttempt(challenge)).resolves.toBe(false);
+    await expect(mfa.consumeChallenge(challenge)).resolves.toBe(false);
+    expect(redis.expire).not.toHaveBeenCalled();
+  });
+
+  it('reads whether MFA is required from the security settings', async () => {
+    mockPrisma.systemSetting.findUnique.mockResolvedValueOnce({ value: 'true' });
+    await expect(mfa.isMfaRequired()).resolves.toBe(true);
+
+    mockPrisma.systemSetting.findUnique.mockResolvedValueOnce(null);
+    await expect(mfa.isMfaRequired()).resolves.toBe(false);
+  });
+});
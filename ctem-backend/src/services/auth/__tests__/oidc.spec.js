@@ -0,0 +1,298 @@
+const crypto = require('crypto');
+const http = require('http');
+const express = require('express');
+const jwt = require('jsonwebtoken');
+
+const mockPrisma = {
+  systemSetting: {
+    findMany: jest.fn()
+  },
+  user: {
+    findUnique: jest.fn(),
+    create: jest.fn(),
+    update: jest.fn()
+  }
+};
+
+jest.mock('@prisma/client', () => ({ PrismaClient: jest.fn(() => mockPrisma) }));
+jest.mock('../../../config/redis', () => ({ set: jest.fn() }));
+jest.mock('../../../utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn(), audit: jest.fn() }));
+jest.mock('../../audit/auditTrail', () => ({ recordAudit: jest.fn() }));
+
+process.env.JWT_SECRET = 'test-secret';
+process.env.BCRYPT_ROUNDS = '4';
+
+const redis = require('../../../config/redis');
+const { recordAudit } = require('../../audit/auditTrail');
+const oidc = require('../oidc');
+
+const CLIENT_ID = 'ctem';
+const CLIENT_SECRET = 'client-secret';
+const REDIRECT_URI = 'http://localhost:3000/api/auth/sso/callback';
+
+/**
+ * Minimal OpenID provider: discovery, authorization (PKCE S256), token,
+ * userinfo and JWKS endpoints, one user per authorization
+ */
+function createMockProvider() {
+  const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+  const provider = {
+    issuer: null,
+    user: null,
+    groupsInIdToken: true,
+    idTokenOverrides: {},
+    signingKey: privateKey,
+    codes: new Map()
+  };
+
+  const app = express();
+  app.use(express.urlencoded({ extended: false }));
+
+  app.get('/.well-known/openid-configuration', (req, res) => {
+    res.json({
+      issuer: provider.issuer,
+      authorization_endpoint: `${provider.issuer}/authorize`,
+      token_endpoint: `${provider.issuer}/token`,
+      userinfo_endpoint: `${provider.issuer}/userinfo`,
+      jwks_uri: `${provider.issuer}/jwks`,
+      token_endpoint_auth_methods_supported: ['client_secret_basic']
+    });
+  });
+
+  app.get('/jwks', (req, res) => {
+    res.json({ keys: [{ ...publicKey.export({ format: 'jwk' }), kid: 'key-1', use: 'sig', alg: 'RS256' }] });
+  });
+
+  app.get('/authorize', (req, res) => {
+    const code = crypto.randomBytes(16).toString('hex');
+    provider.codes.set(code, { ...req.query, user: provider.user });
+    res.redirect(`${req.query.redirect_uri}?code=${code}&state=${encodeURIComponent(req.query.state)}`);
+  });
+
+  app.post('/token', (req, res) => {
+    const grant = provider.codes.get(req.body.code);
+    provider.codes.delete(req.body.code);
+    const expectedAuth = `Basic ${Buffer.from(`${CLIENT_ID}:${CLIENT_SECRET}`).toString('base64')}`;
+    const challenge = req.body.code_verifier &&
+      crypto.createHash('sha256').update(req.body.code_verifier).digest('base64url');
+
+    if (req.headers.authorization !== expectedAuth) {
+      return res.status(401).json({ error: 'invalid_client' });
+    }
+    if (!grant || grant.redirect_uri !== req.body.redirect_uri || grant.code_challenge_method !== 'S256' ||
+        challenge !== grant.code_challenge) {
+      return res.status(400).json({ error: 'invalid_grant' });
+    }
+
+    const { groups, ...profile } = grant.user;
+    const idToken = jwt.sign(
+      {
+        ...profile,
+        ...(provider.groupsInIdToken && { groups }),
+        iss: provider.issuer,
+        aud: CLIENT_ID,
+        nonce: grant.nonce,
+        ...provider.idTokenOverrides
+      },
+      provider.signingKey,
+      { algorithm: 'RS256', keyid: 'key-1', expiresIn: '5m' }
+    );
+    res.json({ id_token: idToken, access_token: `at-${grant.user.sub}`, token_type: 'Bearer' });
+  });
+
+  app.get('/userinfo', (req, res) => {
+    const { groups, sub } = provider.user;
+    if (req.headers.authorization !== `Bearer at-${sub}`) return res.status(401).end();
+    res.json({ sub, groups });
+  });
+
+  provider.server = http.createServer(app);
+  return provider;
+}
+
+// Runs the browser's part: follow the authorization URL back to the redirect URI
+async function authorize(settings) {
+  const request = await oidc.createAuthorizationRequest(settings);
+  const response = await fetch(request.url, { redirect: 'manual' });
+  const callback = new URL(response.headers.get('location'));
+
+  expect(callback.origin + callback.pathname).toBe(REDIRECT_URI);
+  expect(callback.searchParams.get('state')).toBe(request.state);
+  return { ...request, code: callback.searchParams.get('code') };
+}
+
+describe('OIDC single sign-on', () => {
+  const provider = createMockProvider();
+  let settings;
+
+  beforeAll(async () => {
+    await new Promise(resolve => provider.server.listen(0, '127.0.0.1', resolve));
+    provider.issuer = `http://127.0.0.1:${provider.server.address().port}`;
+  });
+
+  afterAll(async () => {
+    await new Promise(resolve => provider.server.close(resolve));
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    provider.user = {
+      sub: 'idp-123',
+      email: 'Jane.Doe@example.com',
+      email_verified: true,
+      name: 'Jane Doe',
+      groups: ['ctem-analysts', 'staff']
+    };
+    provider.groupsInIdToken = true;
+    provider.idTokenOverrides = {};
+    settings = {
+      ...oidc.DEFAULT_OIDC_SETTINGS,
+      enabled: true,
+      issuer: provider.issuer,
+      clientId: CLIENT_ID,
+      clientSecret: CLIENT_SECRET,
+      redirectUri: REDIRECT_URI,
+      roleMappings: [
+        { group: 'ctem-admins', role: 'ADMIN' },
+        { group: 'ctem-analysts', role: 'ANALYST', permissions: ['assets:write'] },
+        { group: 'staff', role: 'VIEWER', permissions: ['reports:read'] }
+      ]
+    };
+  });
+
+  it('reads the provider settings with the client secret from the environment', async () => {
+    process.env.OIDC_CLIENT_SECRET = 'from-env';
+    mockPrisma.systemSetting.findMany.mockResolvedValue([
+      { key: 'sso.oidc.enabled', value: 'true' },
+      { key: 'sso.oidc.issuer', value: JSON.stringify(provider.issuer) },
+      { key: 'sso.oidc.clientId', value: '"ctem"' }
+    ]);
+
+    const loaded = await oidc.getOidcSettings();
+
+    expect(loaded).toMatchObject({ enabled: true, issuer: provider.issuer, clientId: 'ctem', clientSecret: 'from-env', groupsClaim: 'groups' });
+    expect(oidc.isConfigured(loaded)).toBe(false);
+    expect(oidc.isConfigured({ ...loaded, redirectUri: REDIRECT_URI })).toBe(true);
+    delete process.env.OIDC_CLIENT_SECRET;
+  });
+
+  it('completes the authorization code flow with PKCE', async () => {
+    const { code, codeVerifier, nonce, url } = await authorize(settings);
+
+    expect(new URL(url).searchParams.get('code_challenge_method')).toBe('S256');
+    const claims = await oidc.completeAuthorization(settings, { code, codeVerifier, nonce });
+
+    expect(claims).toMatchObject({ sub: 'idp-123', email: 'Jane.Doe@example.com', groups: ['ctem-analysts', 'staff'] });
+
+    // The provider only accepts the verifier of the challenge it was sent
+    const other = await authorize(settings);
+    await expect(oidc.completeAuthorization(settings, { ...other, codeVerifier }))
+      .rejects.toMatchObject({ code: 'PROVIDER_ERROR', message: expect.stringContaining('invalid_grant') });
+  });
+
+  it('reads the groups from userinfo when the ID token has none', async () => {
+    provider.groupsInIdToken = false;
+    const { code, codeVerifier, nonce } = await authorize(settings);
+
+    await expect(oidc.completeAuthorization(settings, { code, codeVerifier, nonce }))
+      .resolves.toMatchObject({ sub: 'idp-123', groups: ['ctem-analysts', 'staff'] });
+  });
+
+  it('rejects ID tokens for another login, client or key', async () => {
+    let request = await authorize(settings);
+    await expect(oidc.completeAuthorization(settings, { ...request, nonce: 'other' }))
+      .rejects.toMatchObject({ code: 'INVALID_TOKEN' });
+
+    provider.idTokenOverrides = { aud: 'other-client' };
+    request = await authorize(settings);
+    await expect(oidc.completeAuthorization(settings, request)).rejects.toMatchObject({ code: 'INVALID_TOKEN' });
+
+    provider.idTokenOverrides = {};
+    const original = provider.signingKey;
+    provider.signingKey = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 }).privateKey;
+    request = await authorize(settings);
+    await expect(oidc.completeAuthorization(settings, request)).rejects.toMatchObject({ code: 'INVALID_TOKEN' });
+    provider.signingKey = original;
+  });
+
+  it('maps groups onto the highest role and all permissions', () => {
+    expect(oidc.mapGroups(['staff', 'ctem-analysts'], settings)).toEqual({ role: 'ANALYST', permissions: ['assets:write', 'reports:read'] });
+    expect(oidc.mapGroups(['ctem-admins', 'staff'], settings)).toEqual({ role: 'ADMIN', permissions: ['reports:read'] });
+    expect(oidc.mapGroups(['contractors'], settings)).toEqual({ role: 'VIEWER', permissions: [] });
+    expect(oidc.mapGroups(['contractors'], { ...settings, defaultRole: '' })).toBeNull();
+
+    expect(oidc.groupsOf({ realm_access: { roles: ['ctem-admins'] } }, 'realm_access.roles')).toEqual(['ctem-admins']);
+    expect(oidc.groupsOf({ groups: 'staff' }, 'groups')).toEqual(['staff']);
+  });
+
+  it('provisions new users just in time with their mapped role', async () => {
+    mockPrisma.user.findUnique.mockResolvedValue(null);
+    mockPrisma.user.create.mockImplementation(({ data }) => Promise.resolve({ id: 'u1', isActive: true, ...data }));
+
+    const user = await oidc.provisionUser(provider.user, settings, { ipAddress: '10.0.0.5' });
+
+    expect(mockPrisma.user.create.mock.calls[0][0].data).toMatchObject({
+      email: 'jane.doe@example.com',
+      name: 'Jane Doe',
+      role: 'ANALYST',
+      permissions: ['assets:write', 'reports:read'],
+      authProvider: 'oidc',
+      externalId: 'idp-123'
+    });
+    expect(user.id).toBe('u1');
+    expect(recordAudit).toHaveBeenCalledWith(expect.objectContaining({ action: 'CREATE', ipAddress: '10.0.0.5', metadata: { source: 'oidc' } }));
+
+    await expect(oidc.provisionUser(provider.user, { ...settings, autoProvision: false }))
+      .rejects.toMatchObject({ code: 'NOT_PROVISIONED' });
+    await expect(oidc.provisionUser({ ...provider.user, groups: [] }, { ...settings, defaultRole: null }))
+      .rejects.toMatchObject({ code: 'NOT_AUTHORIZED' });
+  });
+
+  it('links local accounts by verified email and keeps roles in sync with the groups', async () => {
+    const local = { id: 'u2', email: 'jane.doe@example.com', role: 'VIEWER', permissions: [], isActive: true, authProvider: 'local', externalId: null };
+    mockPrisma.user.findUnique.mockResolvedValueOnce(null).mockResolvedValueOnce(local);
+    mockPrisma.user.update.mockImplementation(({ data }) => Promise.resolve({ ...local, ...data }));
+
+    const user = await oidc.provisionUser(provider.user, settings);
+
+    expect(mockPrisma.user.update.mock.calls[0][0].data).toEqual({ authProvider: 'oidc', externalId: 'idp-123' });
+    expect(mockPrisma.user.update.mock.calls[1][0].data).toEqual({ role: 'ANALYST', permissions: ['assets:write', 'reports:read'] });
+    expect(user.role).toBe('ANALYST');
+    expect(recordAudit.mock.calls.map(([entry]) => entry.action)).toEqual(['SSO_LINK', 'UPDATE']);
+
+    // Unverified emails and accounts of other identities are never linked
+    mockPrisma.user.findUnique.mockResolvedValueOnce(null).mockResolvedValueOnce({ ...local, authProvider: 'oidc', externalId: 'idp-999' });
+    await expect(oidc.provisionUser(provider.user, settings)).rejects.toMatchObject({ code: 'ACCOUNT_CONFLICT' });
+
+    mockPrisma.user.findUnique.mockReset().mockResolvedValueOnce(null);
+    await expect(oidc.provisionUser({ ...provider.user, email_verified: false }, { ...settings, autoProvision: false }))
+      .rejects.toMatchObject({ code: 'NOT_PROVISIONED' });
+    expect(mockPrisma.user.findUnique).toHaveBeenCalledTimes(1);
+
+    // A token without the email_verified claim neither links nor provisions
+    mockPrisma.user.findUnique.mockReset().mockResolvedValueOnce(null);
+    await expect(oidc.provisionUser({ ...provider.user, email_verified: undefined }, settings)).rejects.toMatchObject({ code: 'NOT_PROVISIONED' });
+    expect(mockPrisma.user.findUnique).toHaveBeenCalledTimes(1);
+    expect(mockPrisma.user.create).not.toHaveBeenCalled();
+
+    mockPrisma.user.findUnique.mockResolvedValueOnce({ ...local, isActive: false, authProvider: 'oidc' });
+    await expect(oidc.provisionUser(provider.user, settings)).rejects.toMatchObject({ code: 'INACTIVE' });
+  });
+
+  it('issues login tickets that work once', async () => {
+    const ticket = oidc.issueLoginTicket('u1');
+
+    redis.set.mockResolvedValueOnce('OK').mockResolvedValueOnce(null);
+    await expect(oidc.redeemLoginTicket(ticket)).resolves.toBe('u1');
+    await expect(oidc.redeemLoginTicket(ticket)).resolves.toBeNull();
+    expect(redis.set).toHaveBeenCalledWith(expect.stringMatching(/^sso_ticket:/), 'used', { NX: true, EX: 60 });
+    expect(redis.set.mock.calls[1][0]).toBe(redis.set.mock.calls[0][0]);
+
+    // Redis unavailable
+    redis.set.mockResolvedValueOnce(null);
+    await expect(oidc.redeemLoginTicket(oidc.issueLoginTicket('u1'))).resolves.toBeNull();
+
+    const accessToken = jwt.sign({ userId: 'u1', type: 'access' }, process.env.JWT_SECRET);
+    await expect(oidc.redeemLoginTicket(accessToken)).resolves.toBeNull();
+  });
+});
@@ -0,0 +1,585 @@
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
+const { PrismaClient } = require('@prisma/client');
+const logger = require('../../utils/logger');
+const { Client, FilterParser, InvalidCredentialsError, ResultCodeError } = require('ldapts');
+const { recordAudit } = require('../audit/auditTrail');
+const { mapGroups } = require('./roleMapping');
+
+const prisma = new PrismaClient();
+
+/**
+ * LDAP / Active Directory login and group sync
+ *
+ * The directory is configured in the sso.ldap.* settings; the password of
+ * the service account that searches it comes from LDAP_BIND_PASSWORD. At
+ * login the user's entry is looked up with sso.ldap.userFilter and the
+ * password is checked by binding as that entry. Accounts are matched by
+ * entry DN, linked to an existing local account by email on the first
+ * directory login, or provisioned just in time.
+ *
+ * Role, permissions and department follow the directory at every login and
+ * at every sync. The sync also deactivates directory users who are gone
+ * from the directory, disabled there or no longer in a mapped group, and
+ * reactivates them when that changes back. Accounts an administrator
+ * deactivated stay deactivated.
+ */
+
+const PROVIDER = 'ldap';
+
+const DEFAULT_LDAP_SETTINGS = {
+  enabled: false,
+  url: '',
+  startTls: false,
+  verifyCertificate: true,
+  // Service account that searches the directory; empty searches anonymously
+  bindDn: '',
+  baseDn: '',
+  // {username} stands for the login email; also selects the users the sync reads
+  userFilter: '(&(objectClass=person)(mail={username}))',
+  emailAttribute: 'mail',
+  nameAttribute: 'displayName',
+  // Empty leaves the department to the administrators
+  departmentAttribute: 'department',
+  groupsAttribute: 'memberOf',
+  // [{ group, role, permissions }] with the group's DN or CN
+  roleMappings: [],
+  defaultRole: 'VIEWER',
+  autoProvision: true,
+  syncEnabled: false,
+  timeout: 10000
+};
+
+// userAccountControl flag of disabled Active Directory accounts
+const ACCOUNT_DISABLED = 0x2;
+
+const SYNC_PAGE_SIZE = 500;
+
+// pg_try_advisory_xact_lock key allowing one sync at a time across replicas ('LDAP')
+const SYNC_LOCK_KEY = 0x4c444150;
+
+// Longest a sync may hold the lock
+const SYNC_TIMEOUT_MS = 30 * 60 * 1000;
+
+const USER_SELECT = {
+  id: true,
+  email: true,
+  name: true,
+  role: true,
+  permissions: true,
+  department: true,
+  isActive: true,
+  authProvider: true,
+  externalId: true,
+  deactivationReason: true
+};
+
+function directoryError(message, code) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+/**
+ * LDAP settings: sso.ldap.* over the defaults, plus the bind password
+ */
+async function getLdapSettings() {
+  const ldapSettings = await prisma.systemSetting.findMany({
+    where: {
+      key: {
+        startsWith: 'sso.ldap.'
+      }
+    }
+  });
+
+  const settings = { ...DEFAULT_LDAP_SETTINGS };
+
+  ldapSettings.forEach(setting => {
+    const key = setting.key.replace('sso.ldap.', '');
+    try {
+      settings[key] = JSON.parse(setting.value);
+    } catch (e) {
+      settings[key] = setting.value;
+    }
+  });
+
+  settings.bindPassword = process.env.LDAP_BIND_PASSWORD || '';
+  return settings;
+}
+
+function isConfigured(settings) {
+  return Boolean(settings.enabled && settings.url && settings.baseDn &&
+    typeof settings.userFilter === 'string' && settings.userFilter.includes('{username}'));
+}
+
+/**
+ * Error of an ldapts operation in the codes of this module
+ */
+function directoryFailure(error) {
+  if (error instanceof InvalidCredentialsError) {
+    return directoryError('Invalid credentials', 'INVALID_CREDENTIALS');
+  }
+  if (error instanceof ResultCodeError) {
+    return directoryError(`The directory refused the request: ${error.message}`, 'DIRECTORY_ERROR');
+  }
+  return directoryError(`Directory connection failed: ${error.message}`, 'UNAVAILABLE');
+}
+
+async function directoryCall(operation) {
+  try {
+    return await operation;
+  } catch (error) {
+    throw directoryFailure(error);
+  }
+}
+
+/**
+ * Run `work` with a client bound as the service account
+ */
+async function withDirectory(settings, work) {
+  const secure = /^ldaps:/i.test(settings.url);
+  const tlsOptions = { rejectUnauthorized: settings.verifyCertificate !== false };
+
+  let client;
+  try {
+    client = new Client({
+      url: settings.url,
+      timeout: settings.timeout,
+      connectTimeout: settings.timeout,
+      // ldapts connects with TLS whenever tlsOptions are given
+      ...(secure && { tlsOptions })
+    });
+  } catch (error) {
+    throw directoryError(`Invalid directory URL ${settings.url}`, 'CONFIG_ERROR');
+  }
+
+  try {
+    if (settings.startTls && !secure) {
+      await directoryCall(client.startTLS({ ...tlsOptions, host: new URL(settings.url).hostname }));
+    }
+    if (settings.bindDn) {
+      try {
+        await directoryCall(client.bind(settings.bindDn, settings.bindPassword));
+      } catch (error) {
+        if (error.code !== 'INVALID_CREDENTIALS') throw error;
+        throw directoryError('The directory rejected the service account in sso.ldap.bindDn', 'DIRECTORY_ERROR');
+      }
+    }
+    return await work(client);
+  } finally {
+    await client.unbind().catch(() => {});
+  }
+}
+
+/**
+ * Search below sso.ldap.baseDn; search references (referrals) are not
+ * followed
+ *
+ * @returns {Promise<Object[]>} Entries as { dn, attributes } with lower case
+ *   attribute names and every value in an array
+ */
+async function searchDirectory(client, settings, filter, options) {
+  let parsed;
+  try {
+    parsed = FilterParser.parseString(filter);
+  } catch (error) {
+    throw directoryError(`Invalid LDAP filter ${filter}`, 'INVALID_FILTER');
+  }
+
+  const { searchEntries } = await directoryCall(client.search(settings.baseDn, {
+    scope: 'sub',
+    filter: parsed,
+    attributes: attributesToRead(settings),
+    ...options
+  }));
+
+  return searchEntries.map(({ dn, ...attributes }) => ({
+    dn,
+    attributes: Object.fromEntries(Object.entries(attributes).map(([name, values]) => [name.toLowerCase(), [].concat(values)]))
+  }));
+}
+
+function userFilter(settings, username) {
+  return settings.userFilter.split('{username}').join(username);
+}
+
+/**
+ * Escape a value for use in an LDAP filter (RFC 4515)
+ */
+function escapeFilterValue(value) {
+  return String(value).replace(/[*()\\\0]/g, char => `\\${char.charCodeAt(0).toString(16).padStart(2, '0')}`);
+}
+
+function attributesToRead(settings) {
+  return [...new Set([
+    settings.emailAttribute,
+    settings.nameAttribute,
+    'cn',
+    settings.departmentAttribute,
+    settings.groupsAttribute,
+    'userAccountControl'
+  ].filter(Boolean))];
+}
+
+/**
+ * DN in the form accounts are matched by: lower case, no spaces around the
+ * separators
+ */
+function normalizeDn(dn) {
+  return String(dn)
+    .split(/(?<!\\),/)
+    .map(rdn => rdn.trim().replace(/\s*=\s*/, '='))
+    .join(',')
+    .toLowerCase();
+}
+
+/**
+ * The parts of a directory entry the application uses
+ */
+function profileOf(entry, settings) {
+  const values = name => (name ? entry.attributes[name.toLowerCase()] || [] : []);
+  const first = name => values(name)[0];
+
+  const email = first(settings.emailAttribute);
+  const accountControl = parseInt(first('userAccountControl'), 10);
+
+  return {
+    dn: entry.dn,
+    externalId: normalizeDn(entry.dn),
+    email: email ? email.trim().toLowerCase() : null,
+    name: first(settings.nameAttribute) || first('cn') || email || entry.dn,
+    department: first(settings.departmentAttribute) || null,
+    groups: values(settings.groupsAttribute),
+    disabled: Number.isInteger(accountControl) && (accountControl & ACCOUNT_DISABLED) !== 0
+  };
+}
+
+/**
+ * Role and permissions from the user's groups; mappings name a group by DN
+ * or by CN, compared without regard to case
+ */
+function accessOf(profile, settings) {
+  const groups = profile.groups.flatMap(dn => {
+    const normalized = normalizeDn(dn);
+    const [firstRdn] = normalized.split(/(?<!\\),/);
+    return firstRdn.startsWith('cn=') ? [normalized, firstRdn.slice(3)] : [normalized];
+  });
+
+  const roleMappings = (settings.roleMappings || []).filter(Boolean).map(mapping => ({
+    ...mapping,
+    group: String(mapping.group).includes('=') ? normalizeDn(mapping.group) : String(mapping.group).toLowerCase()
+  }));
+
+  return mapGroups(groups, { ...settings, roleMappings });
+}
+
+/**
+ * Check a login against the directory
+ *
+ * @returns {Promise<Object>} Directory profile of the user
+ * @throws {Error} code INVALID_CREDENTIALS, or UNAVAILABLE and
+ *   DIRECTORY_ERROR when the directory cannot be used
+ */
+async function authenticate(settings, email, password) {
+  // A bind with an empty password is an anonymous bind, which servers accept
+  if (!password) {
+    throw directoryError('Password is required', 'INVALID_CREDENTIALS');
+  }
+
+  return withDirectory(settings, async (client) => {
+    const entries = await searchDirectory(client, settings, userFilter(settings, escapeFilterValue(email)), { sizeLimit: 2 });
+
+    if (entries.length !== 1) {
+      throw directoryError(
+        entries.length ? `${email} matches several directory entries` : `${email} is not in the directory`,
+        'INVALID_CREDENTIALS'
+      );
+    }
+
+    await directoryCall(client.bind(entries[0].dn, password));
+    return profileOf(entries[0], settings);
+  });
+}
+
+/**
+ * Fields of a user that differ from `target`
+ *
+ * @returns {Object|null} before and after of the changed fields
+ */
+function diffUser(user, target) {
+  const before = {};
+  const after = {};
+
+  Object.entries(target).forEach(([field, value]) => {
+    const same = Array.isArray(value)
+      ? [...user[field]].sort().join() === value.join()
+      : user[field] === value;
+    if (!same) {
+      before[field] = user[field];
+      after[field] = value;
+    }
+  });
+
+  return Object.keys(after).length > 0 ? { before, after } : null;
+}
+
+/**
+ * Find, link or create the user of a directory login and apply the
+ * directory's role, permissions and department
+ *
+ * @param {Object} profile - authenticate() result
+ * @param {Object} settings - getLdapSettings()
+ * @param {Object} [context] - requestContext() of the login for the audit trail
+ * @returns {Promise<Object>} User
+ * @throws {Error} code NOT_AUTHORIZED, NOT_PROVISIONED, ACCOUNT_CONFLICT or INACTIVE
+ */
+async function provisionUser(profile, settings, context = {}) {
+  if (profile.disabled) {
+    throw directoryError('Account is disabled in the directory', 'INACTIVE');
+  }
+
+  const access = accessOf(profile, settings);
+  if (!access) {
+    throw directoryError('None of the user\'s groups is mapped to a role', 'NOT_AUTHORIZED');
+  }
+
+  let user = await prisma.user.findUnique({
+    where: { authProvider_externalId: { authProvider: PROVIDER, externalId: profile.externalId } },
+    select: USER_SELECT
+  });
+
+  // Local accounts are linked on their first directory login, directory
+  // accounts whose entry was moved or renamed follow it
+  if (!user && profile.email) {
+    const existing = await prisma.user.findUnique({ where: { email: profile.email }, select: USER_SELECT });
+    if (existing && existing.authProvider !== 'local' && existing.authProvider !== PROVIDER) {
+      throw directoryError(`${profile.email} is already linked to another identity`, 'ACCOUNT_CONFLICT');
+    }
+    if (existing) {
+      user = await prisma.user.update({
+        where: { id: existing.id },
+        data: { authProvider: PROVIDER, externalId: profile.externalId },
+        select: USER_SELECT
+      });
+      await recordAudit({
+        ...context,
+        userId: existing.id,
+        action: 'SSO_LINK',
+        entityType: 'USER',
+        entityId: existing.id,
+        before: { authProvider: existing.authProvider, externalId: existing.externalId },
+        after: { authProvider: PROVIDER, externalId: profile.externalId }
+      });
+    }
+  }
+
+  if (!user) {
+    if (!settings.autoProvision) {
+      throw directoryError('No account exists for this user', 'NOT_PROVISIONED');
+    }
+    if (!profile.email) {
+      throw directoryError(`The directory entry has no ${settings.emailAttribute}`, 'NOT_PROVISIONED');
+    }
+
+    // Directory users never sign in with a local password
+    const password = await bcrypt.hash(crypto.randomBytes(32).toString('hex'), parseInt(process.env.BCRYPT_ROUNDS) || 12);
+
+    user = await prisma.user.create({
+      data: {
+        email: profile.email,
+        password,
+        name: profile.name,
+        role: access.role,
+        permissions: access.permissions,
+        department: profile.department,
+        authProvider: PROVIDER,
+        externalId: profile.externalId
+      },
+      select: USER_SELECT
+    });
+
+    await recordAudit({ ...context, userId: user.id, action: 'CREATE', entityType: 'USER', entityId: user.id, after: user, metadata: { source: PROVIDER } });
+    return user;
+  }
+
+  if (!user.isActive) {
+    throw directoryError('Account has been deactivated', 'INACTIVE');
+  }
+
+  const change = diffUser(user, {
+    role: access.role,
+    permissions: access.permissions,
+    ...(settings.departmentAttribute && { department: profile.department })
+  });
+
+  if (change) {
+    user = await prisma.user.update({
+      where: { id: user.id },
+      data: change.after,
+      select: USER_SELECT
+    });
+    await recordAudit({
+      ...context,
+      userId: user.id,
+      action: 'UPDATE',
+      entityType: 'USER',
+      entityId: user.id,
+      ...change,
+      metadata: { source: PROVIDER }
+    });
+  }
+
+  return user;
+}
+
+/**
+ * Work out what a sync would change, without changing anything
+ *
+ * Every directory user is compared with their entry among those the user
+ * filter selects, found by DN or, for moved entries, by email.
+ *
+ * @param {Object} settings - getLdapSettings()
+ * @returns {Promise<Object>} directoryEntries and checkedUsers counts, and
+ *   the changes as { userId, email, name, reason, before, after }
+ * @throws {Error} code NOT_CONFIGURED, UNAVAILABLE or DIRECTORY_ERROR
+ */
+async function planSync(settings) {
+  if (!isConfigured(settings)) {
+    throw directoryError('LDAP is not configured', 'NOT_CONFIGURED');
+  }
+
+  const entries = await withDirectory(settings, client => searchDirectory(client, settings, userFilter(settings, '*'), {
+    paged: { pageSize: SYNC_PAGE_SIZE }
+  }));
+
+  // An empty result is far likelier a wrong base DN or filter than an
+  // empty directory, and would deactivate everyone
+  if (entries.length === 0) {
+    throw directoryError('The directory returned no users; check sso.ldap.baseDn and sso.ldap.userFilter', 'DIRECTORY_ERROR');
+  }
+
+  const profiles = entries.map(entry => profileOf(entry, settings));
+  const byDn = new Map(profiles.map(profile => [profile.externalId, profile]));
+  const byEmail = new Map(profiles.filter(profile => profile.email).map(profile => [profile.email, profile]));
+
+  const users = await prisma.user.findMany({
+    where: { authProvider: PROVIDER },
+    select: USER_SELECT,
+    orderBy: { email: 'asc' }
+  });
+  const linkedDns = new Set(users.map(user => user.externalId));
+
+  const changes = [];
+
+  users.forEach(user => {
+    let profile = byDn.get(user.externalId);
+    if (!profile) {
+      const moved = byEmail.get(user.email);
+      profile = moved && !linkedDns.has(moved.externalId) ? moved : null;
+    }
+
+    let reason;
+    let target;
+    let active;
+
+    if (!profile) {
+      reason = 'not_in_directory';
+      target = {};
+      active = false;
+    } else {
+      const access = accessOf(profile, settings);
+      reason = profile.disabled ? 'disabled_in_directory' : access ? 'directory_attributes' : 'not_authorized';
+      target = {
+        externalId: profile.externalId,
+        ...(access && { role: access.role, permissions: access.permissions }),
+        ...(settings.departmentAttribute && { department: profile.department })
+      };
+      active = Boolean(access) && !profile.disabled;
+    }
+
+    // The reason marks accounts the sync deactivated; only those are reactivated
+    if (!active && user.isActive) {
+      Object.assign(target, { isActive: false, deactivationReason: reason });
+    } else if (active && !user.isActive && user.deactivationReason) {
+      Object.assign(target, { isActive: true, deactivationReason: null });
+    }
+
+    const change = diffUser(user, target);
+    if (change) {
+      changes.push({ userId: user.id, email: user.email, name: user.name, reason, ...change });
+    }
+  });
+
+  return {
+    directoryEntries: entries.length,
+    checkedUsers: users.length,
+    changes
+  };
+}
+
+/**
+ * Sync directory users with the directory
+ *
+ * Deactivated users are signed out. Only one sync runs at a time across
+ * replicas; the transaction just holds the lock while the sync reads the
+ * directory and writes through its own connections.
+ *
+ * @param {Object} settings - getLdapSettings()
+ * @param {Object} [context] - requestContext() of whoever started the sync
+ * @returns {Promise<Object>} The applied planSync() result
+ * @throws {Error} code SYNC_RUNNING while another sync runs, or a planSync() code
+ */
+async function sync(settings, context = {}) {
+  return prisma.$transaction(async (tx) => {
+    const [{ locked }] = await tx.$queryRaw`SELECT pg_try_advisory_xact_lock(${SYNC_LOCK_KEY}) AS locked`;
+    if (!locked) {
+      throw directoryError('Another LDAP sync is running', 'SYNC_RUNNING');
+    }
+    return applySync(settings, context);
+  }, { timeout: SYNC_TIMEOUT_MS });
+}
+
+async function applySync(settings, context) {
+  const plan = await planSync(settings);
+
+  for (const change of plan.changes) {
+    await prisma.user.update({
+      where: { id: change.userId },
+      data: change.after
+    });
+
+    if (change.after.isActive === false) {
+      await prisma.refreshToken.deleteMany({
+        where: { userId: change.userId }
+      });
+    }
+
+    await recordAudit({
+      ...context,
+      action: 'UPDATE',
+      entityType: 'USER',
+      entityId: change.userId,
+      before: change.before,
+      after: change.after,
+      metadata: { source: 'ldap_sync', reason: change.reason }
+    });
+  }
+
+  if (plan.changes.length > 0) {
+    logger.info(`LDAP sync updated ${plan.changes.length} of ${plan.checkedUsers} directory users`);
+  }
+
+  return plan;
+}
+
+module.exports = {
+  PROVIDER,
+  DEFAULT_LDAP_SETTINGS,
+  getLdapSettings,
+  isConfigured,
+  authenticate,
+  provisionUser,
+  planSync,
+  sync,
+  normalizeDn
+};
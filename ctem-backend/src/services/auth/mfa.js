@@ -0,0 +1,326 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { PrismaClient } = require('@prisma/client');
+const redis = require('../../config/redis');
+const logger = require('../../utils/logger');
+const totp = require('./totp');
+
+const prisma = new PrismaClient();
+
+/**
+ * Multi-factor authentication with TOTP
+ *
+ * Login with MFA takes two steps: the password step returns a short-lived
+ * challenge token instead of the access token, and the code step exchanges
+ * the challenge and a TOTP or recovery code for the real tokens. Users
+ * without MFA get an enrollment challenge instead while the
+ * security.requireMFA setting is on.
+ *
+ * TOTP secrets are stored encrypted (AES-256-GCM) with a key derived from
+ * MFA_ENCRYPTION_KEY, falling back to JWT_SECRET. Recovery codes are stored
+ * as SHA-256 hashes and work once.
+ */
+
+const DEFAULT_ISSUER = 'CTEM Platform';
+
+const CHALLENGE_TYPES = {
+  VERIFY: 'mfa',
+  ENROLL: 'mfa_enrollment'
+};
+const CHALLENGE_EXPIRES_IN = '5m';
+const CHALLENGE_TTL_SECONDS = 5 * 60;
+const MAX_CHALLENGE_ATTEMPTS = 5;
+
+const RECOVERY_CODE_COUNT = 10;
+
+function encryptionKey() {
+  const material = process.env.MFA_ENCRYPTION_KEY || process.env.JWT_SECRET;
+  if (!material) {
+    throw new Error('MFA_ENCRYPTION_KEY or JWT_SECRET must be set to store MFA secrets');
+  }
+  return crypto.createHash('sha256').update(material).digest();
+}
+
+/**
+ * Encrypt a TOTP secret for storage as `iv.tag.ciphertext` (base64)
+ */
+function encryptSecret(secret) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', encryptionKey(), iv);
+  const ciphertext = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()]);
+  return [iv, cipher.getAuthTag(), ciphertext].map(part => part.toString('base64')).join('.');
+}
+
+function decryptSecret(stored) {
+  const [iv, tag, ciphertext] = stored.split('.').map(part => Buffer.from(part, 'base64'));
+  const decipher = crypto.createDecipheriv('aes-256-gcm', encryptionKey(), iv);
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(ciphertext), decipher.final()]).toString('utf8');
+}
+
+/**
+ * Whether security.requireMFA forces every user to enroll
+ */
+async function isMfaRequired() {
+  const setting = await prisma.systemSetting.findUnique({ where: { key: 'security.requireMFA' } });
+  if (!setting) return false;
+  try {
+    return JSON.parse(setting.value) === true;
+  } catch (error) {
+    logger.warn('Ignoring invalid setting security.requireMFA');
+    return false;
+  }
+}
+
+/**
+ * Issuer shown in authenticator apps: general.organizationName when set
+ */
+async function getIssuer() {
+  const setting = await prisma.systemSetting.findUnique({ where: { key: 'general.organizationName' } });
+  try {
+    const name = setting ? JSON.parse(setting.value) : null;
+    return typeof name === 'string' && name.trim() ? name.trim() : DEFAULT_ISSUER;
+  } catch (error) {
+    return DEFAULT_ISSUER;
+  }
+}
+
+/**
+ * Start enrollment: store a new, not yet enabled secret for the user
+ *
+ * @param {Object} user - id and email
+ * @returns {Promise<Object>} secret (base32) and otpauthUrl for the QR code
+ */
+async function beginEnrollment(user) {
+  const secret = totp.generateSecret();
+
+  await prisma.user.update({
+    where: { id: user.id },
+    data: {
+      mfaSecret: encryptSecret(secret),
+      mfaLastUsedStep: null
+    }
+  });
+
+  return {
+    secret,
+    otpauthUrl: totp.provisioningUri({ secret, accountName: user.email, issuer: await getIssuer() })
+  };
+}
+
+/**
+ * Finish enrollment with a code from the pending secret
+ *
+ * @returns {Promise<string[]|null>} New recovery codes, null when the code
+ *   does not match or no enrollment was started
+ */
+async function completeEnrollment(userId, code) {
+  const user = await prisma.user.findUnique({
+    where: { id: userId },
+    select: { id: true, mfaSecret: true, mfaLastUsedStep: true }
+  });
+  if (!user || !user.mfaSecret) return null;
+
+  const step = totp.verifyCode(decryptSecret(user.mfaSecret), code);
+  if (step === null) return null;
+
+  const recoveryCodes = generateRecoveryCodes();
+
+  await prisma.$transaction(async (tx) => {
+    await tx.user.update({
+      where: { id: userId },
+      data: { mfaEnabled: true, mfaLastUsedStep: step }
+    });
+    await replaceRecoveryCodes(tx, userId, recoveryCodes);
+  });
+
+  return recoveryCodes;
+}
+
+/**
+ * Turn MFA off and forget the secret and recovery codes
+ */
+async function disable(userId) {
+  await prisma.$transaction([
+    prisma.user.update({
+      where: { id: userId },
+      data: { mfaEnabled: false, mfaSecret: null, mfaLastUsedStep: null }
+    }),
+    prisma.mfaRecoveryCode.deleteMany({ where: { userId } })
+  ]);
+}
+
+/**
+ * Check a TOTP or recovery code of a user with MFA enabled
+ *
+ * Both kinds work once: a TOTP code is claimed by moving mfaLastUsedStep
+ * past its step, a recovery code by setting usedAt, each only if no
+ * concurrent request got there first.
+ *
+ * @returns {Promise<string|null>} 'totp' or 'recovery_code', null when the
+ *   code is not valid
+ */
+async function verifyCode(userId, code) {
+  const user = await prisma.user.findUnique({
+    where: { id: userId },
+    select: { id: true, mfaEnabled: true, mfaSecret: true, mfaLastUsedStep: true }
+  });
+  if (!user || !user.mfaEnabled || !user.mfaSecret) return null;
+
+  const normalized = String(code).replace(/\s/g, '');
+
+  if (/^\d{6}$/.test(normalized)) {
+    const step = totp.verifyCode(decryptSecret(user.mfaSecret), normalized, { afterStep: user.mfaLastUsedStep });
+    if (step === null) return null;
+
+    const claimed = await prisma.user.updateMany({
+      where: {
+        id: userId,
+        OR: [{ mfaLastUsedStep: null }, { mfaLastUsedStep: { lt: step } }]
+      },
+      data: { mfaLastUsedStep: step }
+    });
+    return claimed.count === 1 ? 'totp' : null;
+  }
+
+  const claimed = await prisma.mfaRecoveryCode.updateMany({
+    where: { userId, codeHash: hashRecoveryCode(normalized), usedAt: null },
+    data: { usedAt: new Date() }
+  });
+  return claimed.count === 1 ? 'recovery_code' : null;
+}
+
+/**
+ * Replace a user's recovery codes with new ones
+ *
+ * @returns {Promise<string[]>} The codes, shown to the user once
+ */
+async function regenerateRecoveryCodes(userId) {
+  const recoveryCodes = generateRecoveryCodes();
+  await prisma.$transaction(tx => replaceRecoveryCodes(tx, userId, recoveryCodes));
+  return recoveryCodes;
+}
+
+async function remainingRecoveryCodes(userId) {
+  return prisma.mfaRecoveryCode.count({ where: { userId, usedAt: null } });
+}
+
+/**
+ * Challenge token standing in for the access token between login steps
+ *
+ * @param {string} userId
+ * @param {string} type - CHALLENGE_TYPES.VERIFY or CHALLENGE_TYPES.ENROLL
+ * @param {Object} [claims] - Login options carried to the next step
+ */
+function issueChallenge(userId, type, claims = {}) {
+  return jwt.sign(
+    { ...claims, userId, type, jti: crypto.randomUUID() },
+    process.env.JWT_SECRET,
+    { expiresIn: CHALLENGE_EXPIRES_IN }
+  );
+}
+
+/**
+ * Decode a challenge token of the given type
+ *
+ * @returns {Object|null} Claims, null when invalid, expired or of another type
+ */
+function verifyChallenge(token, type) {
+  try {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    return decoded.type === type ? decoded : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Count a wrong code against a challenge
+ *
+ * The attempt limit fails closed: when Redis cannot count the attempt, the
+ * challenge has none left.
+ *
+ * @returns {Promise<boolean>} Whether the challenge has attempts left
+ */
+async function recordFailedAttempt(challenge) {
+  const key = `mfa_attempts:${challenge.jti}`;
+  const attempts = await redis.incr(key);
+  if (attempts === null) {
+    logger.warn('Redis unavailable, refusing further MFA attempts');
+    return false;
+  }
+  await redis.expire(key, CHALLENGE_TTL_SECONDS);
+  return attempts < MAX_CHALLENGE_ATTEMPTS;
+}
+
+/**
+ * Whether a challenge may still be used; false when Redis cannot tell
+ */
+async function hasAttemptsLeft(challenge) {
+  const key = `mfa_attempts:${challenge.jti}`;
+  const attempts = await redis.get(key);
+  if (attempts !== null) {
+    return parseInt(attempts) < MAX_CHALLENGE_ATTEMPTS;
+  }
+
+  // No count yet, or no answer from Redis
+  const exists = await redis.exists(key);
+  if (exists === null) {
+    logger.warn('Redis unavailable, refusing MFA attempts');
+  }
+  return exists === 0;
+}
+
+/**
+ * Revoke a challenge once it has been exchanged
+ *
+ * @returns {Promise<boolean>} Whether the challenge is revoked
+ */
+async function consumeChallenge(challenge) {
+  const ttl = challenge.exp - Math.floor(Date.now() / 1000);
+  if (ttl <= 0) return true;
+
+  const revoked = await redis.setex(`mfa_attempts:${challenge.jti}`, ttl, String(MAX_CHALLENGE_ATTEMPTS));
+  if (revoked === null) {
+    logger.warn('Redis unavailable, could not revoke MFA challenge');
+  }
+  return revoked !== null;
+}
+
+function generateRecoveryCodes() {
+  return Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const hex = crypto.randomBytes(5).toString('hex');
+    return `${hex.slice(0, 5)}-${hex.slice(5)}`;
+  });
+}
+
+function hashRecoveryCode(code) {
+  const normalized = code.toLowerCase().replace(/[\s-]/g, '');
+  return crypto.createHash('sha256').update(normalized).digest('hex');
+}
+
+async function replaceRecoveryCodes(tx, userId, recoveryCodes) {
+  await tx.mfaRecoveryCode.deleteMany({ where: { userId } });
+  await tx.mfaRecoveryCode.createMany({
+    data: recoveryCodes.map(code => ({ userId, codeHash: hashRecoveryCode(code) }))
+  });
+}
+
+module.exports = {
+  CHALLENGE_TYPES,
+  encryptSecret,
+  decryptSecret,
+  isMfaRequired,
+  beginEnrollment,
+  completeEnrollment,
+  disable,
+  verifyCode,
+  regenerateRecoveryCodes,
+  remainingRecoveryCodes,
+  issueChallenge,
+  verifyChallenge,
+  recordFailedAttempt,
+  hasAttemptsLeft,
+  consumeChallenge,
+  hashRecoveryCode
+};
@@ -0,0 +1,424 @@
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
+const jwt = require('jsonwebtoken');
+const { PrismaClient } = require('@prisma/client');
+const redis = require('../../config/redis');
+const logger = require('../../utils/logger');
+const { recordAudit } = require('../audit/auditTrail');
+const { mapGroups } = require('./roleMapping');
+
+const prisma = new PrismaClient();
+
+/**
+ * OpenID Connect single sign-on (authorization code flow with PKCE)
+ *
+ * The provider is configured in the sso.oidc.* settings; the client secret,
+ * for confidential clients, comes from OIDC_CLIENT_SECRET so it never sits
+ * in the settings table. Users are matched by the ID token subject, linked
+ * to an existing account by verified email on their first SSO login, or
+ * provisioned just in time. Role and permissions follow the IdP groups on
+ * every login through sso.oidc.roleMappings.
+ *
+ * The identity provider is responsible for second factors, so SSO logins
+ * skip the local MFA step.
+ */
+
+const PROVIDER = 'oidc';
+
+const DEFAULT_OIDC_SETTINGS = {
+  enabled: false,
+  issuer: '',
+  clientId: '',
+  redirectUri: '',
+  scopes: 'openid profile email',
+  // Claim holding the groups; dotted paths reach nested claims (realm_access.roles)
+  groupsClaim: 'groups',
+  // [{ group, role, permissions }]; the highest role and all permissions of the matching groups apply
+  roleMappings: [],
+  // Role of users in no mapped group; empty refuses them
+  defaultRole: 'VIEWER',
+  autoProvision: true,
+  buttonLabel: 'Sign in with SSO'
+};
+
+const ID_TOKEN_ALGORITHMS = ['RS256', 'RS384', 'RS512', 'PS256', 'PS384', 'PS512', 'ES256', 'ES384', 'ES512'];
+const CLOCK_TOLERANCE_SECONDS = 60;
+const METADATA_TTL_MS = 60 * 60 * 1000;
+const LOGIN_TICKET_TTL_SECONDS = 60;
+
+const USER_SELECT = {
+  id: true,
+  email: true,
+  name: true,
+  role: true,
+  permissions: true,
+  isActive: true,
+  authProvider: true,
+  externalId: true
+};
+
+const metadataCache = new Map();
+const jwksCache = new Map();
+
+function oidcError(message, code) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+/**
+ * SSO settings: sso.oidc.* over the defaults, plus the client secret
+ */
+async function getOidcSettings() {
+  const oidcSettings = await prisma.systemSetting.findMany({
+    where: {
+      key: {
+        startsWith: 'sso.oidc.'
+      }
+    }
+  });
+
+  const settings = { ...DEFAULT_OIDC_SETTINGS };
+
+  oidcSettings.forEach(setting => {
+    const key = setting.key.replace('sso.oidc.', '');
+    try {
+      settings[key] = JSON.parse(setting.value);
+    } catch (e) {
+      settings[key] = setting.value;
+    }
+  });
+
+  settings.clientSecret = process.env.OIDC_CLIENT_SECRET || null;
+  return settings;
+}
+
+function isConfigured(settings) {
+  return Boolean(settings.enabled && settings.issuer && settings.clientId && settings.redirectUri);
+}
+
+async function fetchJson(url, options = {}) {
+  const response = await fetch(url, {
+    ...options,
+    headers: { Accept: 'application/json', ...options.headers }
+  });
+  const body = await response.json().catch(() => null);
+
+  if (!response.ok || !body) {
+    const detail = body && body.error ? `: ${body.error}` : '';
+    throw oidcError(`Identity provider responded with ${response.status} for ${new URL(url).pathname}${detail}`, 'PROVIDER_ERROR');
+  }
+  return body;
+}
+
+function stripTrailingSlash(url) {
+  return url.replace(/\/+$/, '');
+}
+
+/**
+ * Provider metadata from the discovery document, cached for an hour
+ */
+async function discover(issuer) {
+  const cached = metadataCache.get(issuer);
+  if (cached && cached.expiresAt > Date.now()) return cached.metadata;
+
+  const metadata = await fetchJson(`${stripTrailingSlash(issuer)}/.well-known/openid-configuration`);
+  if (stripTrailingSlash(metadata.issuer || '') !== stripTrailingSlash(issuer)) {
+    throw oidcError(`Discovery document is for issuer ${metadata.issuer}`, 'PROVIDER_ERROR');
+  }
+
+  metadataCache.set(issuer, { metadata, expiresAt: Date.now() + METADATA_TTL_MS });
+  return metadata;
+}
+
+/**
+ * Key an ID token is signed with; the key set is fetched again once when
+ * the key is unknown, as providers rotate keys
+ */
+async function getSigningKey(metadata, header) {
+  const findKey = keys => keys.find(key =>
+    (header.kid ? key.kid === header.kid : true) && (!key.use || key.use === 'sig')
+  );
+
+  let keys = jwksCache.get(metadata.jwks_uri);
+  let key = keys && findKey(keys);
+
+  if (!key) {
+    keys = (await fetchJson(metadata.jwks_uri)).keys || [];
+    jwksCache.set(metadata.jwks_uri, keys);
+    key = findKey(keys);
+  }
+
+  if (!key) {
+    throw oidcError(`No signing key ${header.kid || ''} at the identity provider`.trim(), 'INVALID_TOKEN');
+  }
+  return crypto.createPublicKey({ key, format: 'jwk' });
+}
+
+/**
+ * Start a login: the provider URL to send the browser to, and the state,
+ * nonce and PKCE verifier to keep until the callback
+ */
+async function createAuthorizationRequest(settings) {
+  const metadata = await discover(settings.issuer);
+
+  const state = crypto.randomBytes(32).toString('base64url');
+  const nonce = crypto.randomBytes(32).toString('base64url');
+  const codeVerifier = crypto.randomBytes(32).toString('base64url');
+  const codeChallenge = crypto.createHash('sha256').update(codeVerifier).digest('base64url');
+
+  const url = new URL(metadata.authorization_endpoint);
+  url.searchParams.set('response_type', 'code');
+  url.searchParams.set('client_id', settings.clientId);
+  url.searchParams.set('redirect_uri', settings.redirectUri);
+  url.searchParams.set('scope', settings.scopes);
+  url.searchParams.set('state', state);
+  url.searchParams.set('nonce', nonce);
+  url.searchParams.set('code_challenge', codeChallenge);
+  url.searchParams.set('code_challenge_method', 'S256');
+
+  return { url: url.toString(), state, nonce, codeVerifier };
+}
+
+/**
+ * Exchange the authorization code and verify the ID token
+ *
+ * @returns {Promise<Object>} ID token claims, with the userinfo claims added
+ *   when the ID token does not carry the groups
+ */
+async function completeAuthorization(settings, { code, codeVerifier, nonce }) {
+  const metadata = await discover(settings.issuer);
+
+  const params = new URLSearchParams({
+    grant_type: 'authorization_code',
+    code,
+    redirect_uri: settings.redirectUri,
+    code_verifier: codeVerifier,
+    client_id: settings.clientId
+  });
+  const headers = { 'Content-Type': 'application/x-www-form-urlencoded' };
+
+  if (settings.clientSecret) {
+    const methods = metadata.token_endpoint_auth_methods_supported || ['client_secret_basic'];
+    if (methods.includes('client_secret_basic')) {
+      const credentials = `${encodeURIComponent(settings.clientId)}:${encodeURIComponent(settings.clientSecret)}`;
+      headers.Authorization = `Basic ${Buffer.from(credentials).toString('base64')}`;
+    } else {
+      params.set('client_secret', settings.clientSecret);
+    }
+  }
+
+  const tokens = await fetchJson(metadata.token_endpoint, { method: 'POST', headers, body: params.toString() });
+  if (!tokens.id_token) {
+    throw oidcError('Identity provider returned no ID token', 'INVALID_TOKEN');
+  }
+
+  const claims = await verifyIdToken(settings, metadata, tokens.id_token, nonce);
+
+  if (claimAt(claims, settings.groupsClaim) === undefined && metadata.userinfo_endpoint && tokens.access_token) {
+    const userInfo = await fetchJson(metadata.userinfo_endpoint, {
+      headers: { Authorization: `Bearer ${tokens.access_token}` }
+    });
+    if (userInfo.sub === claims.sub) {
+      return { ...userInfo, ...claims };
+    }
+    logger.warn('Ignoring OIDC userinfo for a different subject');
+  }
+
+  return claims;
+}
+
+async function verifyIdToken(settings, metadata, idToken, nonce) {
+  const decoded = jwt.decode(idToken, { complete: true });
+  if (!decoded || !decoded.header) {
+    throw oidcError('Malformed ID token', 'INVALID_TOKEN');
+  }
+
+  let claims;
+  try {
+    claims = jwt.verify(idToken, await getSigningKey(metadata, decoded.header), {
+      algorithms: ID_TOKEN_ALGORITHMS,
+      issuer: metadata.issuer,
+      audience: settings.clientId,
+      clockTolerance: CLOCK_TOLERANCE_SECONDS
+    });
+  } catch (error) {
+    if (error.code) throw error;
+    throw oidcError(`ID token rejected: ${error.message}`, 'INVALID_TOKEN');
+  }
+
+  if (claims.nonce !== nonce) {
+    throw oidcError('ID token nonce does not match the login', 'INVALID_TOKEN');
+  }
+  if (Array.isArray(claims.aud) && claims.aud.length > 1 && claims.azp !== settings.clientId) {
+    throw oidcError('ID token was issued to another client', 'INVALID_TOKEN');
+  }
+  if (!claims.sub) {
+    throw oidcError('ID token has no subject', 'INVALID_TOKEN');
+  }
+
+  return claims;
+}
+
+function claimAt(claims, path) {
+  return path.split('.').reduce((value, key) => (value == null ? undefined : value[key]), claims);
+}
+
+/**
+ * Groups of the user from the configured claim
+ */
+function groupsOf(claims, groupsClaim) {
+  const value = claimAt(claims, groupsClaim);
+  if (Array.isArray(value)) return value.map(String);
+  return typeof value === 'string' && value ? [value] : [];
+}
+
+/**
+ * Find, link or create the user of an SSO login and apply the group mapping
+ *
+ * @param {Object} claims - Verified ID token claims
+ * @param {Object} settings - getOidcSettings()
+ * @param {Object} [context] - requestContext() of the login for the audit trail
+ * @returns {Promise<Object>} User
+ * @throws {Error} code NOT_AUTHORIZED, NOT_PROVISIONED, ACCOUNT_CONFLICT or INACTIVE
+ */
+async function provisionUser(claims, settings, context = {}) {
+  const access = mapGroups(groupsOf(claims, settings.groupsClaim), settings);
+  if (!access) {
+    throw oidcError('None of the user\'s groups is mapped to a role', 'NOT_AUTHORIZED');
+  }
+
+  // Only an email the provider marks as verified may link or create an account
+  const email = typeof claims.email === 'string' && claims.email_verified === true
+    ? claims.email.trim().toLowerCase()
+    : null;
+
+  let user = await prisma.user.findUnique({
+    where: { authProvider_externalId: { authProvider: PROVIDER, externalId: claims.sub } },
+    select: USER_SELECT
+  });
+
+  if (!user && email) {
+    const existing = await prisma.user.findUnique({ where: { email }, select: USER_SELECT });
+    if (existing && existing.authProvider !== 'local') {
+      throw oidcError(`${email} is already linked to another identity`, 'ACCOUNT_CONFLICT');
+    }
+    if (existing) {
+      user = await prisma.user.update({
+        where: { id: existing.id },
+        data: { authProvider: PROVIDER, externalId: claims.sub },
+        select: USER_SELECT
+      });
+      await recordAudit({
+        ...context,
+        userId: existing.id,
+        action: 'SSO_LINK',
+        entityType: 'USER',
+        entityId: existing.id,
+        before: { authProvider: existing.authProvider },
+        after: { authProvider: PROVIDER, externalId: claims.sub }
+      });
+    }
+  }
+
+  if (!user) {
+    if (!settings.autoProvision) {
+      throw oidcError('No account exists for this user', 'NOT_PROVISIONED');
+    }
+    if (!email) {
+      throw oidcError('The identity provider did not return a verified email', 'NOT_PROVISIONED');
+    }
+
+    // SSO users never sign in with a password
+    const password = await bcrypt.hash(crypto.randomBytes(32).toString('hex'), parseInt(process.env.BCRYPT_ROUNDS) || 12);
+
+    user = await prisma.user.create({
+      data: {
+        email,
+        password,
+        name: claims.name || [claims.given_name, claims.family_name].filter(Boolean).join(' ') || email,
+        role: access.role,
+        permissions: access.permissions,
+        authProvider: PROVIDER,
+        externalId: claims.sub
+      },
+      select: USER_SELECT
+    });
+
+    await recordAudit({ ...context, userId: user.id, action: 'CREATE', entityType: 'USER', entityId: user.id, after: user, metadata: { source: PROVIDER } });
+    return user;
+  }
+
+  if (!user.isActive) {
+    throw oidcError('Account has been deactivated', 'INACTIVE');
+  }
+
+  const samePermissions = [...user.permissions].sort().join() === access.permissions.join();
+  if (user.role !== access.role || !samePermissions) {
+    const updated = await prisma.user.update({
+      where: { id: user.id },
+      data: { role: access.role, permissions: access.permissions },
+      select: USER_SELECT
+    });
+    await recordAudit({
+      ...context,
+      userId: user.id,
+      action: 'UPDATE',
+      entityType: 'USER',
+      entityId: user.id,
+      before: { role: user.role, permissions: user.permissions },
+      after: { role: updated.role, permissions: updated.permissions },
+      metadata: { source: PROVIDER }
+    });
+    user = updated;
+  }
+
+  return user;
+}
+
+/**
+ * One-time ticket the frontend exchanges for tokens after the callback, so
+ * tokens never travel in a redirect URL
+ */
+function issueLoginTicket(userId) {
+  return jwt.sign(
+    { userId, type: 'sso_ticket', jti: crypto.randomUUID() },
+    process.env.JWT_SECRET,
+    { expiresIn: LOGIN_TICKET_TTL_SECONDS }
+  );
+}
+
+/**
+ * Marks the ticket used in the same Redis command that checks it, so it
+ * works once even for concurrent exchanges. Without Redis no ticket is
+ * accepted.
+ *
+ * @returns {Promise<string|null>} User ID, null when the ticket is invalid,
+ *   expired or already used, or Redis is unavailable
+ */
+async function redeemLoginTicket(ticket) {
+  let decoded;
+  try {
+    decoded = jwt.verify(ticket, process.env.JWT_SECRET);
+  } catch (error) {
+    return null;
+  }
+  if (decoded.type !== 'sso_ticket') return null;
+
+  const claimed = await redis.set(`sso_ticket:${decoded.jti}`, 'used', { NX: true, EX: LOGIN_TICKET_TTL_SECONDS });
+  return claimed === 'OK' ? decoded.userId : null;
+}
+
+module.exports = {
+  PROVIDER,
+  DEFAULT_OIDC_SETTINGS,
+  getOidcSettings,
+  isConfigured,
+  createAuthorizationRequest,
+  completeAuthorization,
+  mapGroups,
+  groupsOf,
+  provisionUser,
+  issueLoginTicket,
+  redeemLoginTicket
+};
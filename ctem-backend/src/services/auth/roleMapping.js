@@ -0,0 +1,38 @@
+/**
+ * Role and permissions of externally authenticated users from their groups
+ *
+ * Shared by the identity provider strategies: each mapping is
+ * `{ group, role, permissions }`, and a user gets the highest role and all
+ * permissions of the groups they are in.
+ */
+
+const ROLE_RANK = { VIEWER: 1, ANALYST: 2, ADMIN: 3 };
+
+/**
+ * Role and permissions for a user's groups
+ *
+ * @param {string[]} groups - The user's groups
+ * @param {Object} settings - roleMappings and defaultRole
+ * @returns {Object|null} role and permissions, null when no group is mapped
+ *   and there is no default role
+ */
+function mapGroups(groups, settings) {
+  const mappings = (settings.roleMappings || []).filter(mapping =>
+    mapping && groups.includes(mapping.group) && ROLE_RANK[mapping.role]
+  );
+
+  if (mappings.length === 0) {
+    return ROLE_RANK[settings.defaultRole] ? { role: settings.defaultRole, permissions: [] } : null;
+  }
+
+  const role = mappings.reduce((highest, mapping) =>
+    (ROLE_RANK[mapping.role] > ROLE_RANK[highest] ? mapping.role : highest), mappings[0].role);
+  const permissions = [...new Set(mappings.flatMap(mapping => mapping.permissions || []))].sort();
+
+  return { role, permissions };
+}
+
+module.exports = {
+  ROLE_RANK,
+  mapGroups
+};
@@ -0,0 +1,145 @@
+const crypto = require('crypto');
+
+/**
+ * Time-based one-time passwords (RFC 6238) as used by authenticator apps:
+ * HMAC-SHA1, 6 digits, 30 second steps, base32 secrets
+ */
+
+const DIGITS = 6;
+const STEP_SECONDS = 30;
+const SECRET_BYTES = 20;
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+function base32Encode(buffer) {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+
+  return output;
+}
+
+function base32Decode(text) {
+  const clean = text.replace(/[\s=-]/g, '').toUpperCase();
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+
+  for (const char of clean) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) {
+      throw new Error('Invalid base32 secret');
+    }
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+
+  return Buffer.from(bytes);
+}
+
+/**
+ * New random base32 secret
+ */
+function generateSecret() {
+  return base32Encode(crypto.randomBytes(SECRET_BYTES));
+}
+
+/**
+ * Time step a moment falls into
+ */
+function timeStep(time = Date.now()) {
+  return Math.floor(time / 1000 / STEP_SECONDS);
+}
+
+/**
+ * Code for a time step
+ *
+ * @param {string} secret - base32
+ * @param {number} step
+ * @returns {string} Zero-padded code
+ */
+function generateCode(secret, step = timeStep()) {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+  const offset = hmac[hmac.length - 1] & 15;
+  const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+
+  return String(binary % 10 ** DIGITS).padStart(DIGITS, '0');
+}
+
+/**
+ * Check a code against the current step and `window` steps around it
+ *
+ * Codes of steps up to `afterStep` are rejected, so a code cannot be used
+ * twice.
+ *
+ * @param {string} secret - base32
+ * @param {string} code
+ * @param {Object} [options]
+ * @param {number} [options.window] - Steps of clock drift allowed either way
+ * @param {number|null} [options.afterStep] - Last step a code was accepted for
+ * @param {number} [options.time] - Current time in ms
+ * @returns {number|null} Step the code belongs to, null when it does not match
+ */
+function verifyCode(secret, code, { window = 1, afterStep = null, time = Date.now() } = {}) {
+  if (typeof code !== 'string' || !/^\d{6}$/.test(code)) return null;
+
+  const current = timeStep(time);
+  for (let step = current - window; step <= current + window; step++) {
+    if (afterStep !== null && step <= afterStep) continue;
+    const expected = generateCode(secret, step);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(code))) {
+      return step;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * otpauth:// URI authenticator apps enroll from, usually shown as a QR code
+ *
+ * @param {Object} options
+ * @param {string} options.secret - base32
+ * @param {string} options.accountName - e.g. the user's email
+ * @param {string} options.issuer - e.g. the organization name
+ */
+function provisioningUri({ secret, accountName, issuer }) {
+  const label = encodeURIComponent(`${issuer}:${accountName}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: 'SHA1',
+    digits: String(DIGITS),
+    period: String(STEP_SECONDS)
+  });
+  return `otpauth://totp/${label}?${params.toString()}`;
+}
+
+module.exports = {
+  base32Encode,
+  base32Decode,
+  generateSecret,
+  timeStep,
+  generateCode,
+  verifyCode,
+  provisioningUri
+};
@@ -0,0 +1,109 @@
+const cvss = require('..');
+
+describe('cvss', () => {
+  describe('v3.x', () => {
+    it.each([
+      ['CVSS:3.1/AV:N/AC:L/PR:N/UI:N/S:C/C:H/I:H/A:H', 10.0, 'CRITICAL'],
+      ['CVSS:3.1/AV:N/AC:L/PR:N/UI:N/S:U/C:H/I:H/A:H', 9.8, 'CRITICAL'],
+      ['CVSS:3.1/AV:L/AC:L/PR:L/UI:N/S:U/C:H/I:H/A:H', 7.8, 'HIGH'],
+      ['CVSS:3.1/AV:N/AC:L/PR:N/UI:R/S:C/C:L/I:L/A:N', 6.1, 'MEDIUM'],
+      ['CVSS:3.1/AV:P/AC:H/PR:H/UI:R/S:U/C:L/I:N/A:N', 1.6, 'LOW'],
+      ['CVSS:3.1/AV:N/AC:L/PR:N/UI:N/S:U/C:N/I:N/A:N', 0, 'INFO'],
+      ['CVSS:3.0/AV:N/AC:L/PR:N/UI:N/S:C/C:H/I:H/A:H', 10.0, 'CRITICAL']
+    ])('scores %s', (vector, score, severity) => {
+      expect(cvss.scoreVector(vector)).toMatchObject({ baseScore: score, severity });
+    });
+
+    it('applies environmental metrics on top of the base vector', () => {
+      const vector = 'CVSS:3.1/AV:N/AC:L/PR:N/UI:N/S:C/C:H/I:H/A:H/CR:L/MS:U';
+      expect(cvss.environmentalScore(vector)).toBe(9.5);
+    });
+  });
+
+  describe('v4.0', () => {
+    it.each([
+      ['CVSS:4.0/AV:N/AC:L/AT:N/PR:N/UI:N/VC:H/VI:H/VA:H/SC:N/SI:N/SA:N', 9.3, 'CRITICAL'],
+      ['CVSS:4.0/AV:N/AC:L/AT:N/PR:N/UI:N/VC:H/VI:H/VA:H/SC:H/SI:H/SA:H', 10.0, 'CRITICAL'],
+      ['CVSS:4.0/AV:L/AC:L/AT:N/PR:L/UI:N/VC:H/VI:H/VA:H/SC:N/SI:N/SA:N', 8.5, 'HIGH'],
+      ['CVSS:4.0/AV:N/AC:L/AT:P/PR:H/UI:A/VC:H/VI:N/VA:L/SC:N/SI:N/SA:N', 5.7, 'MEDIUM'],
+      ['CVSS:4.0/AV:N/AC:L/AT:N/PR:N/UI:N/VC:N/VI:N/VA:N/SC:N/SI:N/SA:N', 0, 'INFO']
+    ])('scores %s', (vector, score, severity) => {
+      expect(cvss.scoreVector(vector)).toMatchObject({ version: '4.0', baseScore: score, severity });
+    });
+
+    it('ignores threat metrics in the base score but not the overall score', () => {
+      const vector = 'CVSS:4.0/AV:N/AC:L/AT:N/PR:N/UI:N/VC:H/VI:H/VA:H/SC:N/SI:N/SA:N/E:U';
+      expect(cvss.baseScore(vector)).toBe(9.3);
+      expect(cvss.environmentalScore(vector)).toBe(8.1);
+    });
+  });
+
+  describe('validation', () => {
+    it.each([
+      ['AV:N/AC:L/Au:N/C:P/I:P/A:P', /v2 vectors are not supported/],
+      ['CVSS2#AV:N/AC:L/Au:N/C:N/I:P/A:N', /v2 vectors are not supported/],
+      ['CVSS:3.1/AV:N/AC:L/PR:N/UI:N/S:U/C:H/I:H', /Missing CVSS v3 base metrics: A/],
+      ['CVSS:3.1/AV:X/AC:L/PR:N/UI:N/S:U/C:H/I:H/A:H', /Invalid value "X" for CVSS v3 metric AV/],
+      ['CVSS:3.1/AC:L/AV:N/PR:N/UI:N/S:U/C:H/I:H/A:H', /out of order/],
+      ['CVSS:3.1/AV:N/AV:N/AC:L/PR:N/UI:N/S:U/C:H/I:H/A:H', /Duplicate/],
+      ['CVSS:4.0/AV:N/AC:L/AT:N/PR:N/UI:N/VC:H/VI:H/VA:H/SC:N/SI:N/SA:N/XX:Y', /Unknown CVSS v4 metric/],
+      ['CVSS:4.0/AV:N/AC:L/PR:N/UI:N/VC:H/VI:H/VA:H/SC:N/SI:N/SA:N', /Missing CVSS v4 base metrics: AT/],
+      ['CVSS:5.0/AV:N', /must start with/]
+    ])('rejects %s', (vector, message) => {
+      expect(() => cvss.validateVector(vector)).toThrow(message);
+    });
+
+    it('normalizes whitespace around the vector', () => {
+      expect(cvss.scoreVector(' CVSS:3.1/AV:N/AC:L/PR:N/UI:N/S:U/C:H/I:H/A:H ').vector)
+        .toBe('CVSS:3.1/AV:N/AC:L/PR:N/UI:N/S:U/C:H/I:H/A:H');
+    });
+  });
+
+  describe('environmentalScore', () => {
+    const v31 = 'CVSS:3.1/AV:N/AC:L/PR:N/UI:N/S:U/C:H/I:L/A:L';
+    const v40 = 'CVSS:4.0/AV:N/AC:L/AT:N/PR:N/UI:N/VC:H/VI:L/VA:L/SC:N/SI:N/SA:N';
+
+    it('rates the same vector higher on more critical assets', () => {
+      [v31, v40].forEach(vector => {
+        const scores = ['LOW', 'MEDIUM', 'HIGH', 'CRITICAL'].map(criticality => cvss.environmentalScore(vector, criticality));
+        expect(scores).toEqual([...scores].sort((a, b) => a - b));
+        expect(scores[0]).toBeLessThan(scores[3]);
+      });
+    });
+
+    it('keeps security requirements already set in the vector', () => {
+      const vector = `${v31}/CR:L/IR:L/AR:L`;
+      expect(cvss.environmentalScore(vector, 'CRITICAL')).toBe(cvss.environmentalScore(v31, 'LOW'));
+    });
+  });
+
+  describe('applyVector', () => {
+    const v31 = 'CVSS:3.1/AV:N/AC:L/PR:N/UI:N/S:U/C:H/I:H/A:H';
+    const v2 = 'AV:N/AC:M/Au:N/C:P/I:N/A:N';
+
+    it('derives the score and severity from a submitted vector', () => {
+      expect(cvss.applyVector({ title: 'x', cvssVector: v31 }, { requireScore: true })).toEqual({
+        data: { title: 'x', cvssVector: v31, cvssScore: 9.8, severity: 'CRITICAL' }
+      });
+      expect(cvss.applyVector({ cvssVector: v31, cvssScore: 5 }, { requireScore: true }).error)
+        .toMatch(/does not match the CVSS 3.1 base score 9.8/);
+      expect(cvss.applyVector({ title: 'x' }, { requireScore: true }).error).toMatch(/required when no cvssVector/);
+    });
+
+    it('scores updates without a vector against the stored one', () => {
+      expect(cvss.applyVector({ severity: 'LOW' }, { requireScore: false, currentVector: v31 })).toEqual({
+        data: { cvssScore: 9.8, severity: 'CRITICAL' }
+      });
+      expect(cvss.applyVector({ cvssScore: 4 }, { requireScore: false, currentVector: v31 }).error).toMatch(/does not match/);
+      expect(cvss.applyVector({ cvssVector: null, cvssScore: 4, severity: 'MEDIUM' }, { requireScore: false, currentVector: v31 }))
+        .toEqual({ data: { cvssVector: null, cvssScore: 4, severity: 'MEDIUM' } });
+    });
+
+    it('keeps the submitted fields when the stored vector is CVSS v2', () => {
+      expect(cvss.applyVector({ severity: 'HIGH', cvssScore: 7.5 }, { requireScore: false, currentVector: v2 })).toEqual({
+        data: { severity: 'HIGH', cvssScore: 7.5 }
+      });
+      expect(() => cvss.applyVector({ cvssVector: v2 }, { requireScore: false })).toThrow();
+    });
+  });
+});
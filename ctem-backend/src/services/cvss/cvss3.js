@@ -0,0 +1,198 @@
+/**
+ * CVSS v3.0 / v3.1 vector parsing and scoring
+ *
+ * Formulas follow the FIRST v3.1 specification, section 7. v3.0 vectors are
+ * scored with the v3.0 rounding and modified impact formulas.
+ */
+
+// Metric order and allowed values; base metrics are mandatory
+const METRICS = {
+  AV: ['N', 'A', 'L', 'P'],
+  AC: ['L', 'H'],
+  PR: ['N', 'L', 'H'],
+  UI: ['N', 'R'],
+  S: ['U', 'C'],
+  C: ['H', 'L', 'N'],
+  I: ['H', 'L', 'N'],
+  A: ['H', 'L', 'N'],
+  E: ['X', 'H', 'F', 'P', 'U'],
+  RL: ['X', 'U', 'W', 'T', 'O'],
+  RC: ['X', 'C', 'R', 'U'],
+  CR: ['X', 'H', 'M', 'L'],
+  IR: ['X', 'H', 'M', 'L'],
+  AR: ['X', 'H', 'M', 'L'],
+  MAV: ['X', 'N', 'A', 'L', 'P'],
+  MAC: ['X', 'L', 'H'],
+  MPR: ['X', 'N', 'L', 'H'],
+  MUI: ['X', 'N', 'R'],
+  MS: ['X', 'U', 'C'],
+  MC: ['X', 'H', 'L', 'N'],
+  MI: ['X', 'H', 'L', 'N'],
+  MA: ['X', 'H', 'L', 'N']
+};
+
+const BASE_METRICS = ['AV', 'AC', 'PR', 'UI', 'S', 'C', 'I', 'A'];
+
+const WEIGHTS = {
+  AV: { N: 0.85, A: 0.62, L: 0.55, P: 0.2 },
+  AC: { L: 0.77, H: 0.44 },
+  PR: {
+    U: { N: 0.85, L: 0.62, H: 0.27 },
+    C: { N: 0.85, L: 0.68, H: 0.5 }
+  },
+  UI: { N: 0.85, R: 0.62 },
+  CIA: { H: 0.56, L: 0.22, N: 0 },
+  E: { X: 1, H: 1, F: 0.97, P: 0.94, U: 0.91 },
+  RL: { X: 1, U: 1, W: 0.97, T: 0.96, O: 0.95 },
+  RC: { X: 1, C: 1, R: 0.96, U: 0.92 },
+  CR: { X: 1, H: 1.5, M: 1, L: 0.5 }
+};
+
+/**
+ * Smallest number, to one decimal place, equal to or higher than its input
+ *
+ * v3.1 works on integers to avoid floating point artifacts (Appendix A).
+ */
+function roundUp31(value) {
+  const integer = Math.round(value * 100000);
+  return integer % 10000 === 0
+    ? integer / 100000
+    : (Math.floor(integer / 10000) + 1) / 10;
+}
+
+function roundUp30(value) {
+  return Math.ceil(value * 10) / 10;
+}
+
+/**
+ * Parse a CVSS:3.x vector string
+ *
+ * @param {string} vector - e.g. CVSS:3.1/AV:N/AC:L/PR:N/UI:N/S:U/C:H/I:H/A:H
+ * @returns {Object} { version, metrics }
+ * @throws {Error} When the vector is malformed
+ */
+function parse(vector) {
+  const [prefix, ...parts] = String(vector).trim().split('/');
+  const versionMatch = /^CVSS:(3\.[01])$/.exec(prefix);
+  if (!versionMatch) {
+    throw new Error('CVSS v3 vectors must start with CVSS:3.0/ or CVSS:3.1/');
+  }
+
+  const metrics = {};
+  const order = Object.keys(METRICS);
+  let lastIndex = -1;
+
+  parts.forEach(part => {
+    const [metric, value, extra] = part.split(':');
+    if (!METRICS[metric] || extra !== undefined) {
+      throw new Error(`Unknown CVSS v3 metric "${part}"`);
+    }
+    if (metrics[metric] !== undefined) {
+      throw new Error(`Duplicate CVSS v3 metric ${metric}`);
+    }
+    if (!METRICS[metric].includes(value)) {
+      throw new Error(`Invalid value "${value}" for CVSS v3 metric ${metric}`);
+    }
+    const index = order.indexOf(metric);
+    if (index < lastIndex) {
+      throw new Error(`CVSS v3 metric ${metric} is out of order`);
+    }
+    lastIndex = index;
+    metrics[metric] = value;
+  });
+
+  const missing = BASE_METRICS.filter(metric => metrics[metric] === undefined);
+  if (missing.length > 0) {
+    throw new Error(`Missing CVSS v3 base metrics: ${missing.join(', ')}`);
+  }
+
+  return { version: versionMatch[1], metrics };
+}
+
+function baseScore({ version, metrics }) {
+  const roundUp = version === '3.1' ? roundUp31 : roundUp30;
+  const changed = metrics.S === 'C';
+
+  const iss = 1 - (1 - WEIGHTS.CIA[metrics.C]) * (1 - WEIGHTS.CIA[metrics.I]) * (1 - WEIGHTS.CIA[metrics.A]);
+  const impact = changed
+    ? 7.52 * (iss - 0.029) - 3.25 * Math.pow(iss - 0.02, 15)
+    : 6.42 * iss;
+  const exploitability = 8.22 * WEIGHTS.AV[metrics.AV] * WEIGHTS.AC[metrics.AC] *
+    WEIGHTS.PR[metrics.S][metrics.PR] * WEIGHTS.UI[metrics.UI];
+
+  if (impact <= 0) return 0;
+  return changed
+    ? roundUp(Math.min(1.08 * (impact + exploitability), 10))
+    : roundUp(Math.min(impact + exploitability, 10));
+}
+
+function temporalMultiplier(metrics) {
+  return WEIGHTS.E[metrics.E || 'X'] * WEIGHTS.RL[metrics.RL || 'X'] * WEIGHTS.RC[metrics.RC || 'X'];
+}
+
+function temporalScore(parsed) {
+  const roundUp = parsed.version === '3.1' ? roundUp31 : roundUp30;
+  return roundUp(baseScore(parsed) * temporalMultiplier(parsed.metrics));
+}
+
+/**
+ * Modified metrics fall back to their base values when not defined
+ */
+function modified(metrics, metric) {
+  const value = metrics[`M${metric}`];
+  return value && value !== 'X' ? value : metrics[metric];
+}
+
+function environmentalScore({ version, metrics }) {
+  const roundUp = version === '3.1' ? roundUp31 : roundUp30;
+  const scope = modified(metrics, 'S');
+  const changed = scope === 'C';
+
+  const requirement = name => WEIGHTS.CR[metrics[name] || 'X'];
+  const miss = Math.min(
+    1 - (1 - requirement('CR') * WEIGHTS.CIA[modified(metrics, 'C')]) *
+      (1 - requirement('IR') * WEIGHTS.CIA[modified(metrics, 'I')]) *
+      (1 - requirement('AR') * WEIGHTS.CIA[modified(metrics, 'A')]),
+    0.915
+  );
+
+  let modifiedImpact;
+  if (!changed) {
+    modifiedImpact = 6.42 * miss;
+  } else if (version === '3.1') {
+    modifiedImpact = 7.52 * (miss - 0.029) - 3.25 * Math.pow(miss * 0.9731 - 0.02, 13);
+  } else {
+    modifiedImpact = 7.52 * (miss - 0.029) - 3.25 * Math.pow(miss - 0.02, 15);
+  }
+
+  const modifiedExploitability = 8.22 * WEIGHTS.AV[modified(metrics, 'AV')] *
+    WEIGHTS.AC[modified(metrics, 'AC')] * WEIGHTS.PR[scope][modified(metrics, 'PR')] *
+    WEIGHTS.UI[modified(metrics, 'UI')];
+
+  if (modifiedImpact <= 0) return 0;
+
+  const combined = changed
+    ? roundUp(Math.min(1.08 * (modifiedImpact + modifiedExploitability), 10))
+    : roundUp(Math.min(modifiedImpact + modifiedExploitability, 10));
+
+  return roundUp(combined * temporalMultiplier(metrics));
+}
+
+/**
+ * Serialize metrics back into a vector in specification order
+ */
+function stringify({ version, metrics }) {
+  const parts = Object.keys(METRICS)
+    .filter(metric => metrics[metric] !== undefined)
+    .map(metric => `${metric}:${metrics[metric]}`);
+  return [`CVSS:${version}`, ...parts].join('/');
+}
+
+module.exports = {
+  METRICS,
+  parse,
+  stringify,
+  baseScore,
+  temporalScore,
+  environmentalScore
+};
@@ -0,0 +1,378 @@
+/**
+ * CVSS v4.0 vector parsing and scoring
+ *
+ * v4.0 has no closed formula: a vector is mapped onto one of 270
+ * MacroVectors (six equivalence classes, EQ1-EQ6) whose scores come from the
+ * FIRST lookup table, then interpolated by the vector's severity distance to
+ * the highest-severity vectors of its MacroVector (specification section 8).
+ */
+const LOOKUP = require('./cvss40Lookup.json');
+
+// Metric order and allowed values; base metrics are mandatory
+const METRICS = {
+  AV: ['N', 'A', 'L', 'P'],
+  AC: ['L', 'H'],
+  AT: ['N', 'P'],
+  PR: ['N', 'L', 'H'],
+  UI: ['N', 'P', 'A'],
+  VC: ['H', 'L', 'N'],
+  VI: ['H', 'L', 'N'],
+  VA: ['H', 'L', 'N'],
+  SC: ['H', 'L', 'N'],
+  SI: ['H', 'L', 'N'],
+  SA: ['H', 'L', 'N'],
+  E: ['X', 'A', 'P', 'U'],
+  CR: ['X', 'H', 'M', 'L'],
+  IR: ['X', 'H', 'M', 'L'],
+  AR: ['X', 'H', 'M', 'L'],
+  MAV: ['X', 'N', 'A', 'L', 'P'],
+  MAC: ['X', 'L', 'H'],
+  MAT: ['X', 'N', 'P'],
+  MPR: ['X', 'N', 'L', 'H'],
+  MUI: ['X', 'N', 'P', 'A'],
+  MVC: ['X', 'H', 'L', 'N'],
+  MVI: ['X', 'H', 'L', 'N'],
+  MVA: ['X', 'H', 'L', 'N'],
+  MSC: ['X', 'H', 'L', 'N'],
+  MSI: ['X', 'S', 'H', 'L', 'N'],
+  MSA: ['X', 'S', 'H', 'L', 'N'],
+  S: ['X', 'N', 'P'],
+  AU: ['X', 'N', 'Y'],
+  R: ['X', 'A', 'U', 'I'],
+  V: ['X', 'D', 'C'],
+  RE: ['X', 'L', 'M', 'H'],
+  U: ['X', 'Clear', 'Green', 'Amber', 'Red']
+};
+
+const BASE_METRICS = ['AV', 'AC', 'AT', 'PR', 'UI', 'VC', 'VI', 'VA', 'SC', 'SI', 'SA'];
+
+const ROUNDING_EPSILON = 1e-6;
+
+// Severity distance of each metric value from its most severe value
+const LEVELS = {
+  AV: { N: 0, A: 0.1, L: 0.2, P: 0.3 },
+  PR: { N: 0, L: 0.1, H: 0.2 },
+  UI: { N: 0, P: 0.1, A: 0.2 },
+  AC: { L: 0, H: 0.1 },
+  AT: { N: 0, P: 0.1 },
+  VC: { H: 0, L: 0.1, N: 0.2 },
+  VI: { H: 0, L: 0.1, N: 0.2 },
+  VA: { H: 0, L: 0.1, N: 0.2 },
+  SC: { H: 0.1, L: 0.2, N: 0.3 },
+  SI: { S: 0, H: 0.1, L: 0.2, N: 0.3 },
+  SA: { S: 0, H: 0.1, L: 0.2, N: 0.3 },
+  CR: { H: 0, M: 0.1, L: 0.2 },
+  IR: { H: 0, M: 0.1, L: 0.2 },
+  AR: { H: 0, M: 0.1, L: 0.2 }
+};
+
+// Highest-severity vectors of each equivalence class level
+const MAX_COMPOSED = {
+  eq1: {
+    0: ['AV:N/PR:N/UI:N/'],
+    1: ['AV:A/PR:N/UI:N/', 'AV:N/PR:L/UI:N/', 'AV:N/PR:N/UI:P/'],
+    2: ['AV:P/PR:N/UI:N/', 'AV:A/PR:L/UI:P/']
+  },
+  eq2: {
+    0: ['AC:L/AT:N/'],
+    1: ['AC:H/AT:N/', 'AC:L/AT:P/']
+  },
+  eq3eq6: {
+    0: {
+      0: ['VC:H/VI:H/VA:H/CR:H/IR:H/AR:H/'],
+      1: ['VC:H/VI:H/VA:L/CR:M/IR:M/AR:H/', 'VC:H/VI:H/VA:H/CR:M/IR:M/AR:M/']
+    },
+    1: {
+      0: ['VC:L/VI:H/VA:H/CR:H/IR:H/AR:H/', 'VC:H/VI:L/VA:H/CR:H/IR:H/AR:H/'],
+      1: [
+        'VC:L/VI:H/VA:L/CR:H/IR:M/AR:H/',
+        'VC:L/VI:H/VA:H/CR:H/IR:M/AR:M/',
+        'VC:H/VI:L/VA:H/CR:M/IR:H/AR:M/',
+        'VC:H/VI:L/VA:L/CR:M/IR:H/AR:H/',
+        'VC:L/VI:L/VA:H/CR:H/IR:H/AR:M/'
+      ]
+    },
+    2: {
+      1: ['VC:L/VI:L/VA:L/CR:H/IR:H/AR:H/']
+    }
+  },
+  eq4: {
+    0: ['SC:H/SI:S/SA:S/'],
+    1: ['SC:H/SI:H/SA:H/'],
+    2: ['SC:L/SI:L/SA:L/']
+  },
+  eq5: {
+    0: ['E:A/'],
+    1: ['E:P/'],
+    2: ['E:U/']
+  }
+};
+
+// Depth (number of severity steps) of each equivalence class level
+const MAX_SEVERITY = {
+  eq1: { 0: 1, 1: 4, 2: 5 },
+  eq2: { 0: 1, 1: 2 },
+  eq3eq6: { 0: { 0: 7, 1: 6 }, 1: { 0: 8, 1: 8 }, 2: { 1: 10 } },
+  eq4: { 0: 6, 1: 5, 2: 4 }
+};
+
+/**
+ * Parse a CVSS:4.0 vector string
+ *
+ * @param {string} vector - e.g. CVSS:4.0/AV:N/AC:L/AT:N/PR:N/UI:N/VC:H/VI:H/VA:H/SC:N/SI:N/SA:N
+ * @returns {Object} { version, metrics }
+ * @throws {Error} When the vector is malformed
+ */
+function parse(vector) {
+  const [prefix, ...parts] = String(vector).trim().split('/');
+  if (prefix !== 'CVSS:4.0') {
+    throw new Error('CVSS v4 vectors must start with CVSS:4.0/');
+  }
+
+  const metrics = {};
+  const order = Object.keys(METRICS);
+  let lastIndex = -1;
+
+  parts.forEach(part => {
+    const [metric, value, extra] = part.split(':');
+    if (!METRICS[metric] || extra !== undefined) {
+      throw new Error(`Unknown CVSS v4 metric "${part}"`);
+    }
+    if (metrics[metric] !== undefined) {
+      throw new Error(`Duplicate CVSS v4 metric ${metric}`);
+    }
+    if (!METRICS[metric].includes(value)) {
+      throw new Error(`Invalid value "${value}" for CVSS v4 metric ${metric}`);
+    }
+    const index = order.indexOf(metric);
+    if (index < lastIndex) {
+      throw new Error(`CVSS v4 metric ${metric} is out of order`);
+    }
+    lastIndex = index;
+    metrics[metric] = value;
+  });
+
+  const missing = BASE_METRICS.filter(metric => metrics[metric] === undefined);
+  if (missing.length > 0) {
+    throw new Error(`Missing CVSS v4 base metrics: ${missing.join(', ')}`);
+  }
+
+  return { version: '4.0', metrics };
+}
+
+/**
+ * Effective value of a metric once threat and environmental metrics apply
+ *
+ * Undefined E and security requirements assume the worst case; modified
+ * base metrics replace their base values.
+ */
+function effective(metrics, metric) {
+  const selected = metrics[metric];
+  if (metric === 'E' && (!selected || selected === 'X')) return 'A';
+  if (['CR', 'IR', 'AR'].includes(metric) && (!selected || selected === 'X')) return 'H';
+
+  const modifiedValue = metrics[`M${metric}`];
+  if (modifiedValue && modifiedValue !== 'X') return modifiedValue;
+  return selected;
+}
+
+/**
+ * Equivalence class levels EQ1-EQ6 of a vector
+ */
+function macroVector(metrics) {
+  const m = metric => effective(metrics, metric);
+
+  let eq1;
+  if (m('AV') === 'N' && m('PR') === 'N' && m('UI') === 'N') {
+    eq1 = 0;
+  } else if ((m('AV') === 'N' || m('PR') === 'N' || m('UI') === 'N') && m('AV') !== 'P') {
+    eq1 = 1;
+  } else {
+    eq1 = 2;
+  }
+
+  const eq2 = m('AC') === 'L' && m('AT') === 'N' ? 0 : 1;
+
+  let eq3;
+  if (m('VC') === 'H' && m('VI') === 'H') {
+    eq3 = 0;
+  } else if (m('VC') === 'H' || m('VI') === 'H' || m('VA') === 'H') {
+    eq3 = 1;
+  } else {
+    eq3 = 2;
+  }
+
+  let eq4;
+  if (m('SI') === 'S' || m('SA') === 'S') {
+    eq4 = 0;
+  } else if (m('SC') === 'H' || m('SI') === 'H' || m('SA') === 'H') {
+    eq4 = 1;
+  } else {
+    eq4 = 2;
+  }
+
+  const eq5 = { A: 0, P: 1, U: 2 }[m('E')];
+
+  const eq6 = (m('CR') === 'H' && m('VC') === 'H') ||
+    (m('IR') === 'H' && m('VI') === 'H') ||
+    (m('AR') === 'H' && m('VA') === 'H') ? 0 : 1;
+
+  return [eq1, eq2, eq3, eq4, eq5, eq6];
+}
+
+function lookupScore(levels) {
+  const score = LOOKUP[levels.join('')];
+  return score === undefined ? NaN : score;
+}
+
+function metricFromVector(metric, vector) {
+  const match = new RegExp(`(?:^|/)${metric}:([^/]+)`).exec(vector);
+  return match ? match[1] : undefined;
+}
+
+/**
+ * Score a parsed vector (CVSS-B, -BT, -BE or -BTE depending on the metrics set)
+ */
+function score({ metrics }) {
+  const m = metric => effective(metrics, metric);
+
+  // No impact on either system scores 0 whatever else is set
+  if (['VC', 'VI', 'VA', 'SC', 'SI', 'SA'].every(metric => m(metric) === 'N')) {
+    return 0;
+  }
+
+  const levels = macroVector(metrics);
+  const [eq1, eq2, eq3, eq4, eq5, eq6] = levels;
+  const value = lookupScore(levels);
+
+  // Scores of the next lower MacroVector along each equivalence class
+  const lower = (index, step = 1) => levels.map((level, i) => (i === index ? level + step : level));
+  const scoreEq1Lower = lookupScore(lower(0));
+  const scoreEq2Lower = lookupScore(lower(1));
+  const scoreEq4Lower = lookupScore(lower(3));
+  const scoreEq5Lower = lookupScore(lower(4));
+
+  // EQ3 and EQ6 are related and move together
+  let scoreEq3Eq6Lower;
+  if (eq3 === 0 && eq6 === 0) {
+    const left = lookupScore(lower(5));
+    const right = lookupScore(lower(2));
+    scoreEq3Eq6Lower = left > right ? left : right;
+  } else if (eq3 === 1 && eq6 === 0) {
+    scoreEq3Eq6Lower = lookupScore(lower(5));
+  } else if (eq3 === 2 && eq6 === 1) {
+    scoreEq3Eq6Lower = NaN;
+  } else {
+    scoreEq3Eq6Lower = lookupScore(lower(2));
+  }
+
+  // Highest-severity vectors of this MacroVector, composed across classes
+  const maxVectors = [];
+  MAX_COMPOSED.eq1[eq1].forEach(eq1Max => {
+    MAX_COMPOSED.eq2[eq2].forEach(eq2Max => {
+      MAX_COMPOSED.eq3eq6[eq3][eq6].forEach(eq3Eq6Max => {
+        MAX_COMPOSED.eq4[eq4].forEach(eq4Max => {
+          MAX_COMPOSED.eq5[eq5].forEach(eq5Max => {
+            maxVectors.push(eq1Max + eq2Max + eq3Eq6Max + eq4Max + eq5Max);
+          });
+        });
+      });
+    });
+  });
+
+  // Distance to the first max vector that is at least as severe on every metric
+  let distances = null;
+  for (const maxVector of maxVectors) {
+    const candidate = {};
+    Object.keys(LEVELS).forEach(metric => {
+      candidate[metric] = LEVELS[metric][m(metric)] - LEVELS[metric][metricFromVector(metric, maxVector)];
+    });
+    if (Object.values(candidate).every(distance => distance >= 0)) {
+      distances = candidate;
+      break;
+    }
+  }
+  distances = distances || Object.fromEntries(Object.keys(LEVELS).map(metric => [metric, 0]));
+
+  const step = 0.1;
+  const classes = [
+    {
+      available: value - scoreEq1Lower,
+      current: distances.AV + distances.PR + distances.UI,
+      depth: MAX_SEVERITY.eq1[eq1] * step
+    },
+    {
+      available: value - scoreEq2Lower,
+      current: distances.AC + distances.AT,
+      depth: MAX_SEVERITY.eq2[eq2] * step
+    },
+    {
+      available: value - scoreEq3Eq6Lower,
+      current: distances.VC + distances.VI + distances.VA + distances.CR + distances.IR + distances.AR,
+      depth: MAX_SEVERITY.eq3eq6[eq3][eq6] * step
+    },
+    {
+      available: value - scoreEq4Lower,
+      current: distances.SC + distances.SI + distances.SA,
+      depth: MAX_SEVERITY.eq4[eq4] * step
+    },
+    {
+      // EQ5 has a single vector per level, so its proportion is always 0
+      available: value - scoreEq5Lower,
+      current: 0,
+      depth: 1
+    }
+  ];
+
+  // Mean proportional distance over the classes that have a lower MacroVector
+  const existing = classes.filter(eq => !Number.isNaN(eq.available));
+  const meanDistance = existing.length === 0
+    ? 0
+    : existing.reduce((sum, eq) => sum + eq.available * (eq.current / eq.depth), 0) / existing.length;
+
+  // The epsilon keeps float noise such as 5.6499999 from rounding down
+  const result = Math.min(Math.max(value - meanDistance, 0), 10);
+  return Math.round((result + ROUNDING_EPSILON) * 10) / 10;
+}
+
+/**
+ * Base score ignores threat, environmental and supplemental metrics (CVSS-B)
+ */
+function baseScore({ metrics }) {
+  const base = {};
+  BASE_METRICS.forEach(metric => {
+    base[metric] = metrics[metric];
+  });
+  return score({ metrics: base });
+}
+
+/**
+ * Nomenclature of a vector's score: CVSS-B, CVSS-BT, CVSS-BE or CVSS-BTE
+ */
+function nomenclature({ metrics }) {
+  const defined = metric => metrics[metric] && metrics[metric] !== 'X';
+  const threat = defined('E');
+  const environmental = ['CR', 'IR', 'AR', 'MAV', 'MAC', 'MAT', 'MPR', 'MUI', 'MVC', 'MVI', 'MVA', 'MSC', 'MSI', 'MSA']
+    .some(defined);
+  return `CVSS-B${threat ? 'T' : ''}${environmental ? 'E' : ''}`;
+}
+
+/**
+ * Serialize metrics back into a vector in specification order
+ */
+function stringify({ metrics }) {
+  const parts = Object.keys(METRICS)
+    .filter(metric => metrics[metric] !== undefined)
+    .map(metric => `${metric}:${metrics[metric]}`);
+  return ['CVSS:4.0', ...parts].join('/');
+}
+
+module.exports = {
+  METRICS,
+  parse,
+  stringify,
+  macroVector,
+  score,
+  baseScore,
+  nomenclature
+};
@@ -0,0 +1,191 @@
+const cvss3 = require('./cvss3');
+const cvss40 = require('./cvss40');
+
+const SUPPORTED_VERSIONS = ['3.0', '3.1', '4.0'];
+
+/**
+ * Security requirements (CR/IR/AR) implied by an asset's criticality
+ */
+const CRITICALITY_REQUIREMENTS = {
+  CRITICAL: { CR: 'H', IR: 'H', AR: 'H' },
+  HIGH: { CR: 'H', IR: 'H', AR: 'M' },
+  MEDIUM: { CR: 'M', IR: 'M', AR: 'M' },
+  LOW: { CR: 'L', IR: 'L', AR: 'L' }
+};
+
+/**
+ * Qualitative severity rating for a CVSS score
+ *
+ * v3.x and v4.0 share the same bands; 0.0 ("None") maps to INFO.
+ */
+function severityFromScore(score) {
+  if (score === null || score === undefined || Number.isNaN(score)) return null;
+  if (score >= 9.0) return 'CRITICAL';
+  if (score >= 7.0) return 'HIGH';
+  if (score >= 4.0) return 'MEDIUM';
+  if (score > 0) return 'LOW';
+  return 'INFO';
+}
+
+/**
+ * CVSS version of a vector string without validating it
+ *
+ * @returns {string|null} '2.0', '3.0', '3.1', '4.0' or null when unrecognized
+ */
+function vectorVersion(vector) {
+  if (typeof vector !== 'string') return null;
+  const trimmed = vector.trim();
+  const prefixed = /^CVSS:(\d\.\d)\//.exec(trimmed);
+  if (prefixed) return prefixed[1];
+  // v2 vectors carry no version prefix; NVD wraps them in parentheses, Nessus prepends CVSS2#
+  if (/^(?:\(|CVSS2#)?AV:[LAN]\/AC:[HML]\/Au:[MSN]\//.test(trimmed)) return '2.0';
+  return null;
+}
+
+function engineFor(version) {
+  return version === '4.0' ? cvss40 : cvss3;
+}
+
+/**
+ * Parse and validate a CVSS v3.0, v3.1 or v4.0 vector
+ *
+ * @param {string} vector - CVSS vector string
+ * @returns {Object} { version, metrics }
+ * @throws {Error} When the vector is malformed or its version unsupported
+ */
+function parseVector(vector) {
+  const version = vectorVersion(vector);
+  if (version === '2.0') {
+    throw new Error('CVSS v2 vectors are not supported');
+  }
+  if (!SUPPORTED_VERSIONS.includes(version)) {
+    throw new Error('CVSS vector must start with CVSS:3.0/, CVSS:3.1/ or CVSS:4.0/');
+  }
+  return engineFor(version).parse(vector);
+}
+
+/**
+ * express-validator friendly check; returns true or throws the parse error
+ */
+function validateVector(vector) {
+  parseVector(vector);
+  return true;
+}
+
+/**
+ * Base score of a vector
+ *
+ * @param {string|Object} vector - Vector string or parseVector result
+ * @returns {number} Score between 0.0 and 10.0
+ */
+function baseScore(vector) {
+  const parsed = typeof vector === 'string' ? parseVector(vector) : vector;
+  return engineFor(parsed.version).baseScore(parsed);
+}
+
+/**
+ * Validate a vector and derive the values stored on a Vulnerability
+ *
+ * @param {string} vector - CVSS vector string
+ * @returns {Object} { version, vector, baseScore, severity }
+ */
+function scoreVector(vector) {
+  const parsed = parseVector(vector);
+  const score = baseScore(parsed);
+  return {
+    version: parsed.version,
+    vector: engineFor(parsed.version).stringify(parsed),
+    baseScore: score,
+    severity: severityFromScore(score)
+  };
+}
+
+/**
+ * Derive cvssScore and severity of a vulnerability create or update
+ *
+ * A submitted vector decides both fields and any cvssScore sent with it
+ * must match the computed base score. Updates without a vector are scored
+ * against the stored one; only an explicit `cvssVector: null` removes it.
+ * A stored vector this module cannot score (CVSS v2 from NVD or older
+ * imports) counts as absent. Without any vector, creates need both fields.
+ *
+ * @param {Object} input - Request body
+ * @param {Object} options - requireScore, and currentVector of the stored vulnerability
+ * @returns {Object} { data } with the fields to store, or { error }
+ */
+function applyVector(input, { requireScore, currentVector = null }) {
+  const data = { ...input };
+  if (data.cvssVector === '') delete data.cvssVector;
+
+  const submitsScore = data.cvssScore !== undefined || data.severity !== undefined;
+  const usesStored = data.cvssVector === undefined && submitsScore;
+
+  let scored = null;
+  if (usesStored && currentVector) {
+    try {
+      scored = scoreVector(currentVector);
+    } catch (error) {
+      scored = null;
+    }
+  } else if (!usesStored && data.cvssVector) {
+    scored = scoreVector(data.cvssVector);
+  }
+
+  if (!scored) {
+    if (requireScore && (data.cvssScore === undefined || data.severity === undefined)) {
+      return { error: 'severity and cvssScore are required when no cvssVector is given' };
+    }
+    return { data };
+  }
+
+  if (data.cvssScore !== undefined && Math.abs(parseFloat(data.cvssScore) - scored.baseScore) > 0.05) {
+    return {
+      error: `cvssScore ${data.cvssScore} does not match the CVSS ${scored.version} base score ${scored.baseScore} of cvssVector`
+    };
+  }
+
+  if (data.cvssVector) data.cvssVector = scored.vector;
+  data.cvssScore = scored.baseScore;
+  data.severity = scored.severity;
+  return { data };
+}
+
+/**
+ * Environmental score of a vector on an asset of the given criticality
+ *
+ * Security requirements already present in the vector win over the ones
+ * derived from the asset. Threat/temporal metrics in the vector still apply.
+ *
+ * @param {string|Object} vector - Vector string or parseVector result
+ * @param {string} criticality - Asset.criticality (CRITICAL, HIGH, MEDIUM, LOW)
+ * @returns {number} Score between 0.0 and 10.0
+ */
+function environmentalScore(vector, criticality) {
+  const parsed = typeof vector === 'string' ? parseVector(vector) : vector;
+  const requirements = CRITICALITY_REQUIREMENTS[criticality] || {};
+  const metrics = { ...parsed.metrics };
+
+  Object.entries(requirements).forEach(([metric, value]) => {
+    if (!metrics[metric] || metrics[metric] === 'X') {
+      metrics[metric] = value;
+    }
+  });
+
+  const withRequirements = { version: parsed.version, metrics };
+  return parsed.version === '4.0'
+    ? cvss40.score(withRequirements)
+    : cvss3.environmentalScore(withRequirements);
+}
+
+module.exports = {
+  SUPPORTED_VERSIONS,
+  CRITICALITY_REQUIREMENTS,
+  severityFromScore,
+  vectorVersion,
+  parseVector,
+  validateVector,
+  baseScore,
+  scoreVector,
+  applyVector,
+  environmentalScore
+};
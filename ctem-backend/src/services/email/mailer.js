@@ -0,0 +1,70 @@
+const nodemailer = require('nodemailer');
+const { PrismaClient } = require('@prisma/client');
+
+const prisma = new PrismaClient();
+
+/**
+ * SMTP configuration from the notifications.email.* settings
+ */
+async function getEmailSettings() {
+  const emailSettings = await prisma.systemSetting.findMany({
+    where: {
+      key: {
+        startsWith: 'notifications.email'
+      }
+    }
+  });
+
+  const settings = {
+    enabled: false,
+    smtpServer: '',
+    smtpPort: 587,
+    username: '',
+    password: '',
+    fromEmail: ''
+  };
+
+  emailSettings.forEach(setting => {
+    const key = setting.key.replace('notifications.email.', '');
+    try {
+      settings[key] = JSON.parse(setting.value);
+    } catch (e) {
+      settings[key] = setting.value;
+    }
+  });
+
+  return settings;
+}
+
+/**
+ * Send an email through the configured SMTP server
+ *
+ * @param {Object} mailOptions - nodemailer message; `from` defaults to the configured sender
+ * @throws {Error} When email is disabled in the settings
+ */
+async function sendMail(mailOptions) {
+  const settings = await getEmailSettings();
+  if (!settings.enabled) {
+    throw new Error('Email notifications not configured');
+  }
+
+  const transporter = nodemailer.createTransport({
+    host: settings.smtpServer,
+    port: settings.smtpPort,
+    secure: settings.smtpPort === 465,
+    auth: {
+      user: settings.username,
+      pass: settings.password
+    }
+  });
+
+  return transporter.sendMail({
+    from: settings.fromEmail,
+    ...mailOptions
+  });
+}
+
+module.exports = {
+  getEmailSettings,
+  sendMail
+};
@@ -0,0 +1,98 @@
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+
+const mockPrisma = {
+  $executeRaw: jest.fn(),
+  vulnerability: {
+    findMany: jest.fn()
+  }
+};
+
+jest.mock('@prisma/client', () => ({ PrismaClient: jest.fn(() => mockPrisma) }));
+jest.mock('../../../utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn() }));
+
+const { parseEpssCsv, applyEpssScores } = require('../epss');
+
+const fixture = name => fs.readFileSync(path.join(__dirname, 'fixtures', name));
+
+// Values of a tagged $executeRaw call: score date, ids, scores, percentiles
+const batchValues = call => call.slice(1);
+
+describe('EPSS import', () => {
+  const parsed = parseEpssCsv(fixture('epss_scores-2024-01-16.csv'));
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it('reads the model version and score date from the comment header line', () => {
+    expect(parsed.modelVersion).toBe('v2023.03.01');
+    expect(parsed.scoreDate).toEqual(new Date('2024-01-16T00:00:00Z'));
+  });
+
+  it('keeps valid scores only, keyed by upper case CVE', () => {
+    expect([...parsed.scores.entries()]).toEqual([
+      ['CVE-2024-3400', { epss: 0.95686, percentile: 0.99442 }],
+      ['CVE-2023-4966', { epss: 0.96711, percentile: 0.99661 }],
+      ['CVE-2024-0002', { epss: 0.00045, percentile: 0.13274 }],
+      ['CVE-2024-0004', { epss: 0.00043, percentile: null }]
+    ]);
+  });
+
+  it('reads gzipped files and files without the header line', () => {
+    const gzipped = parseEpssCsv(zlib.gzipSync(fixture('epss_scores-2024-01-16.csv')));
+    expect(gzipped.scores.size).toBe(4);
+
+    const plain = parseEpssCsv('cve,epss,percentile\nCVE-2024-3400,0.5,0.9\n');
+    expect(plain).toMatchObject({ modelVersion: null, scoreDate: null });
+    expect(plain.scores.get('CVE-2024-3400')).toEqual({ epss: 0.5, percentile: 0.9 });
+
+    expect(() => parseEpssCsv('#model_version:v1\nid,score\nCVE-2024-3400,0.5\n')).toThrow(/expected cve,epss,percentile/);
+  });
+
+  it('stores the scores of tracked CVEs in one statement per batch', async () => {
+    mockPrisma.vulnerability.findMany.mockResolvedValue([
+      { id: 'v1', cveId: 'CVE-2024-3400' },
+      { id: 'v2', cveId: 'cve-2024-0002' },
+      { id: 'v3', cveId: 'CVE-2020-0001' }
+    ]);
+    mockPrisma.$executeRaw.mockResolvedValue(2);
+
+    const results = await applyEpssScores(parsed);
+
+    expect(results).toEqual({
+      modelVersion: 'v2023.03.01',
+      scoreDate: parsed.scoreDate,
+      scoresInFile: 4,
+      updated: 2,
+      notScored: 1,
+      errors: []
+    });
+    expect(mockPrisma.$executeRaw).toHaveBeenCalledTimes(1);
+    expect(batchValues(mockPrisma.$executeRaw.mock.calls[0])).toEqual([
+      '2024-01-16T00:00:00.000Z',
+      ['v1', 'v2'],
+      [0.95686, 0.00045],
+      [0.99442, 0.13274]
+    ]);
+  });
+
+  it('splits large imports into batches and reports failed batches', async () => {
+    const scores = new Map();
+    const tracked = Array.from({ length: 1001 }, (_, i) => {
+      const cveId = `CVE-2024-${String(10000 + i)}`;
+      scores.set(cveId, { epss: 0.1, percentile: 0.5 });
+      return { id: `v${i}`, cveId };
+    });
+    mockPrisma.vulnerability.findMany.mockResolvedValue(tracked);
+    mockPrisma.$executeRaw.mockResolvedValueOnce(1000).mockRejectedValueOnce(new Error('connection reset'));
+
+    const results = await applyEpssScores({ modelVersion: null, scoreDate: null, scores });
+
+    expect(mockPrisma.$executeRaw).toHaveBeenCalledTimes(2);
+    expect(batchValues(mockPrisma.$executeRaw.mock.calls[1])[1]).toEqual(['v1000']);
+    expect(results.updated).toBe(1000);
+    expect(results.errors).toEqual([{ cveIds: ['CVE-2024-11000'], error: 'connection reset' }]);
+  });
+});
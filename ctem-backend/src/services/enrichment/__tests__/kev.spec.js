@@ -0,0 +1,84 @@
+const fs = require('fs');
+const path = require('path');
+
+const mockPrisma = {
+  vulnerability: {
+    findMany: jest.fn(),
+    update: jest.fn(),
+    updateMany: jest.fn()
+  }
+};
+
+jest.mock('@prisma/client', () => ({ PrismaClient: jest.fn(() => mockPrisma) }));
+jest.mock('../../../utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn() }));
+jest.mock('../../risk/assetRisk', () => ({ recalculateAllAssetRisk: jest.fn().mockResolvedValue(3) }));
+
+const { parseKevCatalog, applyKevCatalog } = require('../kev');
+
+const fixture = name => fs.readFileSync(path.join(__dirname, 'fixtures', name));
+
+describe('KEV catalog import', () => {
+  const catalog = parseKevCatalog(fixture('known_exploited_vulnerabilities.json'));
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it('parses the catalog and skips entries without a CVE ID', () => {
+    expect(catalog.catalogVersion).toBe('2024.04.19');
+    expect(catalog.dateReleased).toEqual(new Date('2024-04-19T14:00:12.853Z'));
+    expect(catalog.entries).toEqual([
+      {
+        cveId: 'CVE-2024-3400',
+        name: 'Palo Alto Networks PAN-OS Command Injection Vulnerability',
+        dateAdded: new Date('2024-04-12T00:00:00Z'),
+        dueDate: new Date('2024-04-19T00:00:00Z'),
+        ransomware: false,
+        requiredAction: 'Apply mitigations per vendor instructions or discontinue use of the product if mitigations are unavailable.'
+      },
+      {
+        cveId: 'CVE-2023-4966',
+        name: 'Citrix NetScaler ADC and NetScaler Gateway Buffer Overflow Vulnerability',
+        dateAdded: new Date('2023-10-18T00:00:00Z'),
+        dueDate: new Date('2023-11-08T00:00:00Z'),
+        ransomware: true,
+        requiredAction: 'Apply updates per vendor instructions.'
+      }
+    ]);
+  });
+
+  it('rejects documents that are not a KEV catalog', () => {
+    expect(() => parseKevCatalog('{')).toThrow(/Invalid KEV catalog/);
+    expect(() => parseKevCatalog({ title: 'x' })).toThrow(/missing vulnerabilities array/);
+    expect(() => parseKevCatalog({ vulnerabilities: [{ cveID: 'nope' }] })).toThrow(/no CVE entries/);
+  });
+
+  it('marks tracked CVEs as known-exploited and clears CVEs dropped from the catalog', async () => {
+    mockPrisma.vulnerability.findMany.mockResolvedValue([
+      { id: 'v1', cveId: 'CVE-2024-3400', knownExploited: false },
+      { id: 'v2', cveId: 'CVE-2023-4966', knownExploited: true }
+    ]);
+    mockPrisma.vulnerability.updateMany.mockResolvedValue({ count: 4 });
+
+    const results = await applyKevCatalog(catalog);
+
+    expect(results).toEqual({
+      catalogVersion: '2024.04.19',
+      catalogEntries: 2,
+      matched: 2,
+      newlyListed: 1,
+      ransomware: 1,
+      cleared: 4,
+      errors: [],
+      assetsRescored: 3
+    });
+    expect(mockPrisma.vulnerability.update).toHaveBeenCalledWith({
+      where: { id: 'v1' },
+      data: expect.objectContaining({ knownExploited: true, exploitAvailable: true, kevDueDate: new Date('2024-04-19T00:00:00Z') })
+    });
+    expect(mockPrisma.vulnerability.updateMany).toHaveBeenCalledWith({
+      where: { knownExploited: true, cveId: { notIn: ['CVE-2024-3400', 'CVE-2023-4966'] } },
+      data: expect.objectContaining({ knownExploited: false, kevDueDate: null })
+    });
+  });
+});
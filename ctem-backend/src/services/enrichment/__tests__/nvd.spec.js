@@ -0,0 +1,97 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const zlib = require('zlib');
+
+const mockPrisma = {
+  vulnerability: {
+    findMany: jest.fn(),
+    create: jest.fn(),
+    update: jest.fn()
+  }
+};
+
+jest.mock('@prisma/client', () => ({ PrismaClient: jest.fn(() => mockPrisma) }));
+jest.mock('../../../utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn() }));
+jest.mock('../../risk/assetRisk', () => ({ recalculateAllAssetRisk: jest.fn().mockResolvedValue(2) }));
+
+const { parseNvdFeed, ingestNvdFeeds } = require('../nvd');
+
+const FEED_DIR = path.join(__dirname, 'fixtures', 'nvd');
+const feed = () => JSON.parse(fs.readFileSync(path.join(FEED_DIR, 'nvdcve-2.0-2024.json')));
+
+describe('NVD feed ingestion', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it('maps CVE API 2.0 records and leaves rejected CVEs out', () => {
+    const records = parseNvdFeed(feed());
+
+    expect(records.map(record => record.cveId)).toEqual(['CVE-2024-3400', 'CVE-2024-0002', 'CVE-2024-0003']);
+    expect(records[0]).toEqual({
+      cveId: 'CVE-2024-3400',
+      description: 'A command injection vulnerability in the GlobalProtect feature of PAN-OS.',
+      severity: 'CRITICAL',
+      cvssScore: 9.8,
+      cvssVector: 'CVSS:3.1/AV:N/AC:L/PR:N/UI:N/S:U/C:H/I:H/A:H',
+      category: 'CWE-77',
+      references: ['https://security.paloaltonetworks.com/CVE-2024-3400', 'https://www.exploit-db.com/exploits/51996'],
+      exploitAvailable: true,
+      patchAvailable: true,
+      publishedDate: new Date('2024-04-12T08:15:06.230Z'),
+      lastModifiedDate: new Date('2024-04-19T01:00:01.573Z')
+    });
+  });
+
+  it('falls back to CVSS v2 and to unscored records', () => {
+    const [, legacy, unscored] = parseNvdFeed(feed());
+
+    expect(legacy).toMatchObject({ severity: 'MEDIUM', cvssScore: 4.3, cvssVector: 'AV:N/AC:M/Au:N/C:P/I:N/A:N', category: 'General' });
+    expect(unscored).toMatchObject({ severity: 'INFO', cvssScore: null, cvssVector: null, references: [] });
+  });
+
+  it('rejects documents that are not JSON 2.0 feeds', () => {
+    expect(() => parseNvdFeed({ CVE_Items: [] })).toThrow(/missing vulnerabilities array/);
+    expect(() => parseNvdFeed({ version: '1.1', vulnerabilities: [] })).toThrow(/only JSON 2.0 feeds/);
+  });
+
+  it('creates new CVEs and re-enriches changed ones, skipping unreadable feed files', async () => {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'ctem-nvd-'));
+    try {
+      fs.writeFileSync(path.join(directory, 'nvdcve-2.0-2024.json.gz'), zlib.gzipSync(JSON.stringify(feed())));
+      fs.writeFileSync(path.join(directory, 'nvdcve-2.0-broken.json'), '{');
+
+      mockPrisma.vulnerability.findMany.mockResolvedValue([
+        // Modified since the last enrichment
+        { id: 'v1', cveId: 'CVE-2024-3400', enrichedAt: new Date('2024-04-13T00:00:00Z'), lastModifiedDate: new Date('2024-04-12T08:15:06.230Z') },
+        // Enriched and unchanged
+        { id: 'v2', cveId: 'CVE-2024-0002', enrichedAt: new Date('2024-01-04T00:00:00Z'), lastModifiedDate: new Date('2024-01-03T09:00:00.000Z') }
+      ]);
+
+      const results = await ingestNvdFeeds(directory);
+
+      expect(results).toMatchObject({ files: 1, cves: 3, created: 1, updated: 1, unchanged: 1, assetsRescored: 2 });
+      expect(results.errors).toEqual([{ file: 'nvdcve-2.0-broken.json', error: expect.any(String) }]);
+
+      expect(mockPrisma.vulnerability.update).toHaveBeenCalledWith({
+        where: { id: 'v1' },
+        data: expect.objectContaining({ cvssScore: 9.8, severity: 'CRITICAL', exploitAvailable: true, patchAvailable: true, enrichmentSource: 'nvd' })
+      });
+      expect(mockPrisma.vulnerability.create.mock.calls[0][0].data).toMatchObject({
+        cveId: 'CVE-2024-0003',
+        title: 'CVE-2024-0003',
+        severity: 'INFO',
+        cvssScore: 0,
+        publishedDate: new Date('2024-01-04T09:00:00.000Z')
+      });
+    } finally {
+      fs.rmSync(directory, { recursive: true, force: true });
+    }
+  });
+
+  it('refuses a missing feed directory', async () => {
+    await expect(ingestNvdFeeds(undefined)).rejects.toThrow(/NVD_FEED_DIR/);
+    await expect(ingestNvdFeeds(path.join(FEED_DIR, 'missing'))).rejects.toThrow(/not found/);
+  });
+});
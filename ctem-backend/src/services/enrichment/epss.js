@@ -0,0 +1,163 @@
+const zlib = require('zlib');
+const { parse } = require('csv-parse/sync');
+const { PrismaClient } = require('@prisma/client');
+const logger = require('../../utils/logger');
+
+const prisma = new PrismaClient();
+
+const CVE_PATTERN = /^CVE-\d{4}-\d{4,}$/;
+
+// Vulnerabilities written per UPDATE statement
+const BATCH_SIZE = 1000;
+
+/**
+ * Read the leading "#model_version:...,score_date:..." comment line
+ */
+function parseMetadata(line) {
+  const metadata = {};
+  line.replace(/^#/, '').split(',').forEach(pair => {
+    const separator = pair.indexOf(':');
+    if (separator > 0) {
+      metadata[pair.slice(0, separator).trim()] = pair.slice(separator + 1).trim();
+    }
+  });
+  return metadata;
+}
+
+/**
+ * EPSS score dates look like 2024-01-16T00:00:00+0000
+ */
+function toDate(value) {
+  if (!value) return null;
+  const date = new Date(value.replace(/([+-]\d{2})(\d{2})$/, '$1:$2'));
+  return Number.isNaN(date.getTime()) ? null : date;
+}
+
+/**
+ * Parse an EPSS scores CSV (epss_scores-YYYY-MM-DD.csv, plain or gzipped)
+ *
+ * @param {string|Buffer} content - CSV with `cve,epss,percentile` columns
+ * @returns {Object} Model version, score date and scores keyed by CVE
+ */
+function parseEpssCsv(content) {
+  const raw = Buffer.isBuffer(content) && content[0] === 0x1f && content[1] === 0x8b
+    ? zlib.gunzipSync(content)
+    : content;
+  const text = raw.toString('utf8').replace(/^\uFEFF/, '');
+
+  const lines = text.split(/\r?\n/);
+  const metadata = lines[0].startsWith('#') ? parseMetadata(lines[0]) : {};
+  const body = lines[0].startsWith('#') ? lines.slice(1).join('\n') : text;
+
+  let rows;
+  try {
+    rows = parse(body, {
+      columns: header => header.map(column => column.trim().toLowerCase()),
+      skip_empty_lines: true,
+      trim: true
+    });
+  } catch (error) {
+    throw new Error(`Invalid EPSS CSV: ${error.message}`);
+  }
+
+  if (rows.length === 0 || !('cve' in rows[0]) || !('epss' in rows[0])) {
+    throw new Error('Invalid EPSS CSV: expected cve,epss,percentile columns');
+  }
+
+  const scores = new Map();
+  rows.forEach(row => {
+    const cveId = row.cve.toUpperCase();
+    const epss = parseFloat(row.epss);
+    const percentile = parseFloat(row.percentile);
+    if (!CVE_PATTERN.test(cveId) || !Number.isFinite(epss) || epss < 0 || epss > 1) {
+      return;
+    }
+    scores.set(cveId, {
+      epss,
+      percentile: Number.isFinite(percentile) ? percentile : null
+    });
+  });
+
+  return {
+    modelVersion: metadata.model_version || null,
+    scoreDate: toDate(metadata.score_date),
+    scores
+  };
+}
+
+/**
+ * Store EPSS probability and percentile of one batch of vulnerabilities in
+ * a single statement
+ *
+ * @param {Object[]} batch - { id, score } per vulnerability
+ * @param {Date} epssDate - Score date of the file
+ * @returns {Promise<number>} Updated rows
+ */
+function updateBatch(batch, epssDate) {
+  const ids = batch.map(item => item.id);
+  const scores = batch.map(item => item.score.epss);
+  const percentiles = batch.map(item => item.score.percentile);
+
+  // Timestamps are stored as UTC without time zone, like every Prisma DateTime
+  return prisma.$executeRaw`
+    UPDATE "vulnerabilities" AS v
+    SET "epssScore" = s."epss",
+        "epssPercentile" = s."percentile",
+        "epssDate" = (${epssDate.toISOString()}::timestamptz AT TIME ZONE 'UTC'),
+        "updatedAt" = (NOW() AT TIME ZONE 'UTC')
+    FROM unnest(${ids}::text[], ${scores}::double precision[], ${percentiles}::double precision[])
+      AS s("id", "epss", "percentile")
+    WHERE v."id" = s."id"`;
+}
+
+/**
+ * Store EPSS probability and percentile on every tracked CVE in the file
+ *
+ * @param {Object} parsed - Result of parseEpssCsv
+ * @returns {Promise<Object>} Counts per outcome
+ */
+async function applyEpssScores(parsed) {
+  const results = {
+    modelVersion: parsed.modelVersion,
+    scoreDate: parsed.scoreDate,
+    scoresInFile: parsed.scores.size,
+    updated: 0,
+    notScored: 0,
+    errors: []
+  };
+
+  const tracked = await prisma.vulnerability.findMany({
+    where: { cveId: { not: null } },
+    select: { id: true, cveId: true }
+  });
+
+  const epssDate = parsed.scoreDate || new Date();
+
+  const scored = [];
+  tracked.forEach(vulnerability => {
+    const score = parsed.scores.get(vulnerability.cveId.toUpperCase());
+    if (score) {
+      scored.push({ ...vulnerability, score });
+    } else {
+      results.notScored++;
+    }
+  });
+
+  for (let i = 0; i < scored.length; i += BATCH_SIZE) {
+    const batch = scored.slice(i, i + BATCH_SIZE);
+    try {
+      results.updated += await updateBatch(batch, epssDate);
+    } catch (error) {
+      const range = `${batch[0].cveId} to ${batch[batch.length - 1].cveId}`;
+      logger.warn(`Failed to store EPSS scores for ${batch.length} CVEs (${range}):`, error);
+      results.errors.push({ cveIds: batch.map(item => item.cveId), error: error.message });
+    }
+  }
+
+  return results;
+}
+
+module.exports = {
+  parseEpssCsv,
+  applyEpssScores
+};
@@ -0,0 +1,139 @@
+const { PrismaClient } = require('@prisma/client');
+const logger = require('../../utils/logger');
+const assetRisk = require('../risk/assetRisk');
+
+const prisma = new PrismaClient();
+
+const CVE_PATTERN = /^CVE-\d{4}-\d{4,}$/;
+
+// KEV fields reset when a CVE drops out of the catalog
+const CLEARED_KEV_FIELDS = {
+  knownExploited: false,
+  kevDateAdded: null,
+  kevDueDate: null,
+  kevRansomware: false,
+  kevRequiredAction: null
+};
+
+/**
+ * KEV dates are plain YYYY-MM-DD
+ */
+function toDate(value) {
+  if (!value) return null;
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date;
+}
+
+/**
+ * Parse the CISA Known Exploited Vulnerabilities JSON catalog
+ *
+ * @param {string|Buffer|Object} content - known_exploited_vulnerabilities.json
+ * @returns {Object} Catalog version, release date and entries keyed by CVE
+ */
+function parseKevCatalog(content) {
+  let document = content;
+  if (Buffer.isBuffer(content) || typeof content === 'string') {
+    try {
+      document = JSON.parse(content.toString());
+    } catch (error) {
+      throw new Error(`Invalid KEV catalog: ${error.message}`);
+    }
+  }
+
+  if (!document || !Array.isArray(document.vulnerabilities)) {
+    throw new Error('Invalid KEV catalog: missing vulnerabilities array');
+  }
+
+  const entries = document.vulnerabilities
+    .filter(entry => entry && CVE_PATTERN.test(String(entry.cveID || '').trim()))
+    .map(entry => ({
+      cveId: entry.cveID.trim(),
+      name: entry.vulnerabilityName || null,
+      dateAdded: toDate(entry.dateAdded),
+      dueDate: toDate(entry.dueDate),
+      ransomware: String(entry.knownRansomwareCampaignUse || '').toLowerCase() === 'known',
+      requiredAction: entry.requiredAction || null
+    }));
+
+  if (entries.length === 0) {
+    throw new Error('Invalid KEV catalog: no CVE entries');
+  }
+
+  return {
+    catalogVersion: document.catalogVersion || null,
+    dateReleased: toDate(document.dateReleased),
+    entries
+  };
+}
+
+/**
+ * Mark vulnerabilities listed in the KEV catalog as known-exploited
+ *
+ * Only CVEs already tracked are touched. CVEs that were listed by an earlier
+ * catalog but are missing from this one lose their KEV fields; their
+ * exploitAvailable flag is kept.
+ *
+ * @param {Object} catalog - Result of parseKevCatalog
+ * @returns {Promise<Object>} Counts per outcome
+ */
+async function applyKevCatalog(catalog) {
+  const entriesByCve = new Map(catalog.entries.map(entry => [entry.cveId, entry]));
+  const cveIds = [...entriesByCve.keys()];
+
+  const results = {
+    catalogVersion: catalog.catalogVersion,
+    catalogEntries: cveIds.length,
+    matched: 0,
+    newlyListed: 0,
+    ransomware: 0,
+    cleared: 0,
+    errors: []
+  };
+
+  const matches = await prisma.vulnerability.findMany({
+    where: { cveId: { in: cveIds } },
+    select: { id: true, cveId: true, knownExploited: true }
+  });
+
+  for (const vulnerability of matches) {
+    const entry = entriesByCve.get(vulnerability.cveId);
+    try {
+      await prisma.vulnerability.update({
+        where: { id: vulnerability.id },
+        data: {
+          knownExploited: true,
+          exploitAvailable: true,
+          kevDateAdded: entry.dateAdded,
+          kevDueDate: entry.dueDate,
+          kevRansomware: entry.ransomware,
+          kevRequiredAction: entry.requiredAction
+        }
+      });
+      results.matched++;
+      if (!vulnerability.knownExploited) results.newlyListed++;
+      if (entry.ransomware) results.ransomware++;
+    } catch (error) {
+      logger.warn(`Failed to apply KEV entry ${entry.cveId}:`, error);
+      results.errors.push({ cveId: entry.cveId, error: error.message });
+    }
+  }
+
+  const cleared = await prisma.vulnerability.updateMany({
+    where: {
+      knownExploited: true,
+      cveId: { notIn: cveIds }
+    },
+    data: CLEARED_KEV_FIELDS
+  });
+  results.cleared = cleared.count;
+
+  // Known exploitation raises the risk of every affected asset
+  results.assetsRescored = await assetRisk.recalculateAllAssetRisk();
+
+  return results;
+}
+
+module.exports = {
+  parseKevCatalog,
+  applyKevCatalog
+};
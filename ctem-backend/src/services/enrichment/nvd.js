@@ -0,0 +1,309 @@
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const { PrismaClient } = require('@prisma/client');
+const logger = require('../../utils/logger');
+const { severityFromScore } = require('../mapping');
+const assetRisk = require('../risk/assetRisk');
+
+const prisma = new PrismaClient();
+
+const ENRICHMENT_SOURCE = 'nvd';
+const BATCH_SIZE = 500;
+
+// Preferred CVSS metric sets, newest v3 first; v4.0 and v2 only when nothing else is scored
+const METRIC_KEYS = ['cvssMetricV31', 'cvssMetricV30', 'cvssMetricV40', 'cvssMetricV2'];
+
+// Status of the current or last ingestion run
+let currentRun = null;
+let lastRun = null;
+
+/**
+ * NVD timestamps are UTC without a zone designator
+ */
+function toDate(value) {
+  if (!value) return null;
+  const date = new Date(/[zZ]|[+-]\d{2}:\d{2}$/.test(value) ? value : `${value}Z`);
+  return Number.isNaN(date.getTime()) ? null : date;
+}
+
+/**
+ * Pick the primary (NVD-scored) metric of the newest CVSS version available
+ */
+function selectMetric(metrics = {}) {
+  for (const key of METRIC_KEYS) {
+    const entries = metrics[key] || [];
+    const metric = entries.find(entry => entry.type === 'Primary') || entries[0];
+    if (metric && metric.cvssData) {
+      return {
+        score: metric.cvssData.baseScore,
+        vector: metric.cvssData.vectorString || null,
+        severity: metric.cvssData.baseSeverity || metric.baseSeverity || null
+      };
+    }
+  }
+  return null;
+}
+
+/**
+ * Map one NVD CVE API 2.0 record onto Vulnerability fields
+ *
+ * @param {Object} cve - The `cve` object of a feed entry
+ * @returns {Object|null} Enrichment record, or null for rejected CVEs
+ */
+function mapCve(cve) {
+  if (!cve || !cve.id || cve.vulnStatus === 'Rejected') {
+    return null;
+  }
+
+  const description = (cve.descriptions || []).find(entry => entry.lang === 'en');
+  const metric = selectMetric(cve.metrics);
+  const references = cve.references || [];
+  const referenceTags = new Set(references.flatMap(ref => ref.tags || []));
+  const weakness = (cve.weaknesses || [])
+    .flatMap(entry => entry.description || [])
+    .map(entry => entry.value)
+    .find(value => /^CWE-\d+$/.test(value));
+
+  const severity = metric && metric.severity && ['CRITICAL', 'HIGH', 'MEDIUM', 'LOW'].includes(metric.severity.toUpperCase())
+    ? metric.severity.toUpperCase()
+    : severityFromScore(metric ? metric.score : null);
+
+  return {
+    cveId: cve.id,
+    description: description ? description.value : null,
+    severity: severity || 'INFO',
+    cvssScore: metric ? metric.score : null,
+    cvssVector: metric ? metric.vector : null,
+    category: weakness || 'General',
+    references: [...new Set(references.map(ref => ref.url).filter(Boolean))],
+    exploitAvailable: referenceTags.has('Exploit'),
+    patchAvailable: referenceTags.has('Patch'),
+    publishedDate: toDate(cve.published),
+    lastModifiedDate: toDate(cve.lastModified)
+  };
+}
+
+/**
+ * Map an NVD CVE JSON 2.0 feed document onto enrichment records
+ *
+ * @param {Object} document - Parsed feed (`{ format: 'NVD_CVE', version: '2.0', vulnerabilities: [...] }`)
+ * @returns {Array} Enrichment records, rejected CVEs left out
+ */
+function parseNvdFeed(document) {
+  if (!document || !Array.isArray(document.vulnerabilities)) {
+    throw new Error('Invalid NVD feed: missing vulnerabilities array');
+  }
+  if (document.version && !String(document.version).startsWith('2.')) {
+    throw new Error(`Unsupported NVD feed version ${document.version} (only JSON 2.0 feeds are supported)`);
+  }
+
+  return document.vulnerabilities
+    .map(entry => mapCve(entry.cve))
+    .filter(Boolean);
+}
+
+/**
+ * Feed files in a directory, plain or gzipped, oldest year first
+ */
+function listFeedFiles(directory) {
+  return fs.readdirSync(directory)
+    .filter(name => /\.json(\.gz)?$/i.test(name))
+    .sort()
+    .map(name => path.join(directory, name));
+}
+
+function readFeedFile(file) {
+  const raw = fs.readFileSync(file);
+  const content = /\.gz$/i.test(file) ? zlib.gunzipSync(raw) : raw;
+  return JSON.parse(content.toString('utf8'));
+}
+
+/**
+ * Fields overwritten on every re-enrichment
+ */
+function enrichmentData(record, enrichedAt) {
+  return {
+    ...(record.cvssScore !== null && {
+      cvssScore: record.cvssScore,
+      cvssVector: record.cvssVector,
+      severity: record.severity
+    }),
+    ...(record.references.length > 0 && { references: record.references }),
+    ...(record.publishedDate && { publishedDate: record.publishedDate }),
+    ...(record.lastModifiedDate && { lastModifiedDate: record.lastModifiedDate }),
+    enrichedAt,
+    enrichmentSource: ENRICHMENT_SOURCE
+  };
+}
+
+/**
+ * Upsert one batch of records by cveId
+ *
+ * Existing rows are re-enriched only when they were never enriched or NVD
+ * reports a different lastModified date. Exploit and patch flags are only
+ * ever raised, so scanner-provided knowledge is kept.
+ */
+async function upsertBatch(records, results) {
+  const existingRows = await prisma.vulnerability.findMany({
+    where: { cveId: { in: records.map(record => record.cveId) } },
+    select: { id: true, cveId: true, enrichedAt: true, lastModifiedDate: true }
+  });
+  const existingByCve = new Map(existingRows.map(row => [row.cveId, row]));
+  const enrichedAt = new Date();
+
+  for (const record of records) {
+    try {
+      const existing = existingByCve.get(record.cveId);
+
+      if (existing) {
+        const modified = record.lastModifiedDate &&
+          existing.lastModifiedDate.getTime() !== record.lastModifiedDate.getTime();
+
+        if (existing.enrichedAt && !modified) {
+          results.unchanged++;
+          continue;
+        }
+
+        await prisma.vulnerability.update({
+          where: { id: existing.id },
+          data: {
+            ...enrichmentData(record, enrichedAt),
+            ...(record.exploitAvailable && { exploitAvailable: true }),
+            ...(record.patchAvailable && { patchAvailable: true })
+          }
+        });
+        results.updated++;
+        continue;
+      }
+
+      const publishedDate = record.publishedDate || enrichedAt;
+
+      await prisma.vulnerability.create({
+        data: {
+          cveId: record.cveId,
+          title: record.cveId,
+          description: record.description || record.cveId,
+          severity: record.severity,
+          cvssScore: record.cvssScore !== null ? record.cvssScore : 0,
+          cvssVector: record.cvssVector,
+          category: record.category,
+          references: record.references,
+          exploitAvailable: record.exploitAvailable,
+          patchAvailable: record.patchAvailable,
+          publishedDate,
+          lastModifiedDate: record.lastModifiedDate || publishedDate,
+          enrichedAt,
+          enrichmentSource: ENRICHMENT_SOURCE
+        }
+      });
+      results.created++;
+    } catch (error) {
+      logger.warn(`Failed to enrich ${record.cveId} from NVD:`, error);
+      results.errors.push({ cveId: record.cveId, error: error.message });
+    }
+  }
+}
+
+/**
+ * Ingest every NVD CVE JSON 2.0 feed file in a directory
+ *
+ * @param {string} directory - Directory holding nvdcve-2.0-*.json(.gz) files
+ * @returns {Promise<Object>} Counts per outcome
+ */
+async function ingestNvdFeeds(directory) {
+  if (!directory) {
+    throw new Error('No NVD feed directory configured (set NVD_FEED_DIR)');
+  }
+  if (!fs.existsSync(directory) || !fs.statSync(directory).isDirectory()) {
+    throw new Error(`NVD feed directory not found: ${directory}`);
+  }
+
+  const results = {
+    directory,
+    files: 0,
+    cves: 0,
+    created: 0,
+    updated: 0,
+    unchanged: 0,
+    errors: []
+  };
+
+  for (const file of listFeedFiles(directory)) {
+    let records;
+    try {
+      records = parseNvdFeed(readFeedFile(file));
+    } catch (error) {
+      logger.warn(`Skipping NVD feed file ${file}:`, error);
+      results.errors.push({ file: path.basename(file), error: error.message });
+      continue;
+    }
+
+    results.files++;
+    results.cves += records.length;
+
+    for (let i = 0; i < records.length; i += BATCH_SIZE) {
+      await upsertBatch(records.slice(i, i + BATCH_SIZE), results);
+    }
+
+    logger.info(`NVD feed ${path.basename(file)} ingested: ${records.length} CVEs`);
+  }
+
+  // Updated CVSS scores and exploit flags change asset risk
+  if (results.updated > 0) {
+    results.assetsRescored = await assetRisk.recalculateAllAssetRisk();
+  }
+
+  return results;
+}
+
+/**
+ * Start an ingestion run unless one is already in progress
+ *
+ * @param {string} [directory] - Defaults to NVD_FEED_DIR
+ * @returns {Object} Status of the started run
+ * @throws {Error} When a run is already in progress
+ */
+function startNvdIngestion(directory = process.env.NVD_FEED_DIR) {
+  if (currentRun) {
+    throw new Error('An NVD ingestion run is already in progress');
+  }
+
+  currentRun = {
+    directory,
+    startedAt: new Date()
+  };
+
+  const run = currentRun;
+  ingestNvdFeeds(directory)
+    .then(results => {
+      lastRun = { ...run, completedAt: new Date(), status: 'COMPLETED', results };
+      logger.info(`NVD ingestion completed: ${results.created} created, ${results.updated} updated, ${results.unchanged} unchanged`);
+    })
+    .catch(error => {
+      lastRun = { ...run, completedAt: new Date(), status: 'FAILED', error: error.message };
+      logger.error('NVD ingestion failed:', error);
+    })
+    .finally(() => {
+      currentRun = null;
+    });
+
+  return run;
+}
+
+function getNvdIngestionStatus() {
+  return {
+    running: Boolean(currentRun),
+    currentRun,
+    lastRun
+  };
+}
+
+module.exports = {
+  ENRICHMENT_SOURCE,
+  mapCve,
+  parseNvdFeed,
+  ingestNvdFeeds,
+  startNvdIngestion,
+  getNvdIngestionStatus
+};
@@ -0,0 +1,110 @@
+const fs = require('fs');
+const path = require('path');
+const { parseNmapXml, toFindings } = require('../nmap');
+
+const fixture = name => fs.readFileSync(path.join(__dirname, 'fixtures', name));
+
+describe('nmap importer', () => {
+  const scan = parseNmapXml(fixture('nmap.xml'));
+  const [gateway, down, database] = scan.hosts;
+
+  it('reads the scan metadata', () => {
+    expect(scan).toMatchObject({
+      scanner: 'nmap',
+      version: '7.95',
+      args: 'nmap -sV -O -oX scan.xml 10.0.0.0/30',
+      startedAt: new Date(1790000000 * 1000),
+      completedAt: new Date(1790000060 * 1000)
+    });
+    expect(scan.hosts).toHaveLength(3);
+  });
+
+  it('reads addresses, hostnames, host states and the best OS match', () => {
+    expect(gateway).toMatchObject({
+      ipAddress: '10.0.0.1',
+      macAddress: '00:1A:2B:3C:4D:5E',
+      hostname: 'gateway',
+      status: 'up',
+      operatingSystem: 'Linux 6.1',
+      startedAt: new Date(1790000001 * 1000),
+      completedAt: new Date(1790000042 * 1000)
+    });
+    expect(gateway.osMatches.map(match => match.accuracy)).toEqual([98, 95]);
+
+    expect(down).toMatchObject({ ipAddress: '10.0.0.2', hostname: null, status: 'down', operatingSystem: null, ports: [] });
+
+    expect(database).toMatchObject({
+      ipAddress: 'fd00::3',
+      macAddress: null,
+      hostname: 'db.example.internal',
+      status: 'up',
+      startedAt: null
+    });
+  });
+
+  it('reads port states and service versions', () => {
+    expect(gateway.ports).toEqual([
+      {
+        port: 22,
+        protocol: 'tcp',
+        state: 'open',
+        reason: 'syn-ack',
+        service: 'ssh',
+        product: 'OpenSSH',
+        version: '9.6p1',
+        banner: 'OpenSSH 9.6p1 Ubuntu Linux; protocol 2.0',
+        scripts: [{ id: 'ssh-hostkey', output: '256 aa:bb:cc (ED25519)' }]
+      },
+      {
+        port: 80,
+        protocol: 'tcp',
+        state: 'closed',
+        reason: 'reset',
+        service: 'http',
+        product: null,
+        version: null,
+        banner: null,
+        scripts: []
+      },
+      {
+        port: 443,
+        protocol: 'tcp',
+        state: 'filtered',
+        reason: 'no-response',
+        service: null,
+        product: null,
+        version: null,
+        banner: null,
+        scripts: []
+      },
+      {
+        port: 161,
+        protocol: 'udp',
+        state: 'open',
+        reason: 'udp-response',
+        service: 'snmp',
+        product: 'net-snmp',
+        version: null,
+        banner: 'net-snmp',
+        scripts: []
+      }
+    ]);
+    expect(database.ports).toEqual([expect.objectContaining({ port: 5432, product: 'PostgreSQL DB', version: '16.2' })]);
+  });
+
+  it('turns open ports into findings', () => {
+    expect(toFindings(gateway).map(finding => finding.title)).toEqual(['Open Port 22 (ssh)', 'Open Port 161 (snmp)']);
+    expect(toFindings(gateway)[0]).toMatchObject({
+      type: 'network',
+      severity: 'info',
+      target: '10.0.0.1',
+      description: 'Port 22/tcp is open on 10.0.0.1: OpenSSH 9.6p1 Ubuntu Linux; protocol 2.0',
+      adapter: 'nmap-import'
+    });
+    expect(toFindings(down)).toEqual([]);
+  });
+
+  it('rejects documents that are not nmap XML', () => {
+    expect(() => parseNmapXml('<scan/>')).toThrow(/missing <nmaprun> root element/);
+  });
+});
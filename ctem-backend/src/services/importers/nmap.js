@@ -0,0 +1,130 @@
+const { XMLParser } = require('fast-xml-parser');
+
+const parser = new XMLParser({
+  ignoreAttributes: false,
+  attributeNamePrefix: '',
+  parseAttributeValue: false,
+  isArray: name => ['host', 'address', 'hostname', 'port', 'osmatch', 'osclass', 'script'].includes(name)
+});
+
+/**
+ * Convert an nmap epoch attribute (seconds) into a Date
+ */
+function toDate(epoch) {
+  const seconds = Number(epoch);
+  return Number.isFinite(seconds) && seconds > 0 ? new Date(seconds * 1000) : null;
+}
+
+function describeService(service = {}) {
+  return [service.product, service.version, service.extrainfo]
+    .filter(Boolean)
+    .join(' ') || null;
+}
+
+/**
+ * Parse a single <host> element into a normalized host record
+ */
+function parseHost(host) {
+  const addresses = host.address || [];
+  const ipv4 = addresses.find(a => a.addrtype === 'ipv4');
+  const ipv6 = addresses.find(a => a.addrtype === 'ipv6');
+  const mac = addresses.find(a => a.addrtype === 'mac');
+
+  const hostnames = (host.hostnames && host.hostnames.hostname) || [];
+  const hostname = (hostnames.find(h => h.type === 'user') || hostnames.find(h => h.type === 'PTR') || hostnames[0] || {}).name || null;
+
+  const osMatches = ((host.os && host.os.osmatch) || [])
+    .map(match => ({ name: match.name, accuracy: Number(match.accuracy) || 0 }))
+    .sort((a, b) => b.accuracy - a.accuracy);
+
+  const ports = ((host.ports && host.ports.port) || []).map(port => {
+    const service = port.service || {};
+    return {
+      port: Number(port.portid),
+      protocol: port.protocol,
+      state: port.state ? port.state.state : 'unknown',
+      reason: port.state ? port.state.reason : null,
+      service: service.name || null,
+      product: service.product || null,
+      version: service.version || null,
+      banner: describeService(service),
+      scripts: (port.script || []).map(script => ({ id: script.id, output: script.output }))
+    };
+  });
+
+  return {
+    ipAddress: (ipv4 || ipv6 || {}).addr || null,
+    macAddress: mac ? mac.addr : null,
+    hostname,
+    status: host.status ? host.status.state : 'unknown',
+    operatingSystem: osMatches.length > 0 ? osMatches[0].name : null,
+    osMatches,
+    startedAt: toDate(host.starttime),
+    completedAt: toDate(host.endtime),
+    ports
+  };
+}
+
+/**
+ * Parse nmap XML output (nmap -oX)
+ *
+ * @param {string|Buffer} xml - Raw XML document
+ * @returns {Object} Scan metadata and one normalized record per host
+ */
+function parseNmapXml(xml) {
+  let document;
+  try {
+    document = parser.parse(xml.toString());
+  } catch (error) {
+    throw new Error(`Invalid nmap XML: ${error.message}`);
+  }
+
+  const run = document.nmaprun;
+  if (!run) {
+    throw new Error('Invalid nmap XML: missing <nmaprun> root element');
+  }
+
+  const finished = run.runstats && run.runstats.finished;
+
+  return {
+    scanner: run.scanner || 'nmap',
+    version: run.version || null,
+    args: run.args || null,
+    startedAt: toDate(run.start),
+    completedAt: finished ? toDate(finished.time) : null,
+    hosts: (run.host || []).map(parseHost)
+  };
+}
+
+/**
+ * Build ScanResult findings for the open services of a host
+ *
+ * @param {Object} host - Host record from parseNmapXml
+ * @returns {Object[]} Findings in the ScanResult.findings format
+ */
+function toFindings(host) {
+  const target = host.ipAddress || host.hostname;
+
+  return host.ports
+    .filter(port => port.state === 'open')
+    .map(port => ({
+      type: 'network',
+      severity: 'info',
+      title: `Open Port ${port.port}${port.service ? ` (${port.service})` : ''}`,
+      description: `Port ${port.port}/${port.protocol} is open on ${target}${port.banner ? `: ${port.banner}` : ''}`,
+      target,
+      port: port.port,
+      protocol: port.protocol,
+      state: port.state,
+      reason: port.reason,
+      service: port.service,
+      banner: port.banner,
+      scripts: port.scripts,
+      adapter: 'nmap-import'
+    }));
+}
+
+module.exports = {
+  parseNmapXml,
+  toFindings
+};
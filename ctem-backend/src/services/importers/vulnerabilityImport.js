@@ -0,0 +1,246 @@
+const { PrismaClient } = require('@prisma/client');
+const logger = require('../../utils/logger');
+const cvss = require('../cvss');
+const assetRisk = require('../risk/assetRisk');
+const slaPolicy = require('../sla/slaPolicy');
+
+const prisma = new PrismaClient();
+
+/**
+ * Find the asset a scanner host refers to, creating it when unknown
+ *
+ * Assets are matched on ipAddress or hostname, like the asset routes do
+ * when they check for duplicates.
+ */
+async function resolveAsset(host, { userId, assetType }, results) {
+  const conditions = [
+    host.ipAddress ? { ipAddress: host.ipAddress } : null,
+    host.hostname ? { hostname: host.hostname } : null
+  ].filter(Boolean);
+
+  const existing = await prisma.asset.findFirst({ where: { OR: conditions } });
+
+  if (existing) {
+    const update = {
+      lastSeen: new Date(),
+      ...(host.operatingSystem && !existing.operatingSystem && { operatingSystem: host.operatingSystem }),
+      ...(!existing.ipAddress && host.ipAddress && { ipAddress: host.ipAddress }),
+      ...(!existing.hostname && host.hostname && { hostname: host.hostname })
+    };
+    return prisma.asset.update({ where: { id: existing.id }, data: update });
+  }
+
+  results.assetsCreated++;
+  return prisma.asset.create({
+    data: {
+      name: host.hostname || host.ipAddress,
+      type: assetType,
+      ipAddress: host.ipAddress,
+      hostname: host.hostname,
+      operatingSystem: host.operatingSystem,
+      createdById: userId
+    }
+  });
+}
+
+/**
+ * Score a finding's CVSS vector
+ *
+ * A v3.x/v4.0 vector decides cvssScore and severity. Vectors the CVSS
+ * module cannot score (v2, malformed) are dropped and the vendor's score
+ * and severity are kept.
+ */
+function scoreFinding(finding, results) {
+  if (!finding.cvssVector) {
+    return finding;
+  }
+
+  try {
+    const scored = cvss.scoreVector(finding.cvssVector);
+    return {
+      ...finding,
+      cvssVector: scored.vector,
+      cvssScore: scored.baseScore,
+      severity: scored.severity
+    };
+  } catch (error) {
+    results.vectorsDropped++;
+    return { ...finding, cvssVector: null };
+  }
+}
+
+/**
+ * Create or refresh the Vulnerability row for a CVE
+ *
+ * Scanner data never overrides what enrichment or analysts already
+ * recorded; it only fills gaps and raises exploit/patch flags.
+ */
+async function upsertVulnerability(cveId, finding, results) {
+  const existing = await prisma.vulnerability.findUnique({ where: { cveId } });
+
+  if (existing) {
+    const update = {
+      ...(finding.exploitAvailable && !existing.exploitAvailable && { exploitAvailable: true }),
+      ...(finding.patchAvailable && !existing.patchAvailable && { patchAvailable: true }),
+      ...(!existing.cvssVector && finding.cvssVector && { cvssVector: finding.cvssVector }),
+      ...(!existing.solution && finding.solution && { solution: finding.solution })
+    };
+
+    if (Object.keys(update).length === 0) {
+      return existing;
+    }
+
+    results.vulnerabilitiesUpdated++;
+    return prisma.vulnerability.update({ where: { id: existing.id }, data: update });
+  }
+
+  const publishedDate = finding.publishedDate || new Date();
+
+  results.vulnerabilitiesCreated++;
+  return prisma.vulnerability.create({
+    data: {
+      cveId,
+      title: finding.title,
+      description: finding.description || finding.title,
+      severity: finding.severity,
+      cvssScore: finding.cvssScore,
+      cvssVector: finding.cvssVector,
+      category: finding.category,
+      solution: finding.solution,
+      references: finding.references,
+      exploitAvailable: finding.exploitAvailable,
+      patchAvailable: finding.patchAvailable,
+      publishedDate,
+      lastModifiedDate: finding.lastModifiedDate || publishedDate
+    }
+  });
+}
+
+/**
+ * Link a vulnerability to an asset, keeping any triage already done
+ */
+async function linkAssetVulnerability(asset, vulnerability, finding, policy, results) {
+  const location = finding.port ? ` on ${finding.port}/${finding.protocol || 'tcp'}` : '';
+  const notes = `Detected by ${finding.source} ${finding.vendorId}${location}`;
+
+  const existing = await prisma.assetVulnerability.findUnique({
+    where: {
+      assetId_vulnerabilityId: {
+        assetId: asset.id,
+        vulnerabilityId: vulnerability.id
+      }
+    }
+  });
+
+  if (existing) {
+    // Seeing the finding again reopens it if it had been marked mitigated,
+    // with a new SLA running from now
+    if (existing.status === 'MITIGATED') {
+      const dueDate = slaPolicy.findingDueDate({ detectedAt: new Date(), vulnerability, asset }, policy);
+      await prisma.assetVulnerability.update({
+        where: { id: existing.id },
+        data: { status: 'OPEN', resolvedAt: null, dueDate, slaBreachedAt: null, notes }
+      });
+      results.linksReopened++;
+    }
+    return;
+  }
+
+  const detectedAt = finding.detectedAt || new Date();
+  await prisma.assetVulnerability.create({
+    data: {
+      assetId: asset.id,
+      vulnerabilityId: vulnerability.id,
+      status: 'OPEN',
+      detectedAt,
+      dueDate: slaPolicy.findingDueDate({ detectedAt, vulnerability, asset }, policy),
+      notes
+    }
+  });
+  results.linksCreated++;
+}
+
+/**
+ * Persist normalized scanner findings
+ *
+ * Every finding carries its host, CVE list and vulnerability details
+ * (see the importer modules). Findings are mapped to Vulnerability rows
+ * by CVE and linked to the matching asset through AssetVulnerability.
+ *
+ * @param {Object[]} findings - Normalized findings
+ * @param {Object} options - Import options
+ * @param {string} options.userId - User recorded as creator of new assets
+ * @param {string} [options.assetType] - Type for assets created by the import
+ * @param {boolean} [options.includeInformational] - Import INFO severity findings too
+ * @returns {Promise<Object>} Import summary
+ */
+async function importFindings(findings, { userId, assetType = 'SERVER', includeInformational = false }) {
+  const results = {
+    total: findings.length,
+    imported: 0,
+    skipped: 0,
+    skippedNoCve: 0,
+    skippedInformational: 0,
+    assetsCreated: 0,
+    vulnerabilitiesCreated: 0,
+    vulnerabilitiesUpdated: 0,
+    vectorsDropped: 0,
+    linksCreated: 0,
+    linksReopened: 0,
+    errors: []
+  };
+
+  const assetCache = new Map();
+  const policy = await slaPolicy.getSlaPolicy();
+
+  for (const mapped of findings) {
+    const finding = scoreFinding(mapped, results);
+
+    if (finding.severity === 'INFO' && !includeInformational) {
+      results.skippedInformational++;
+      results.skipped++;
+      continue;
+    }
+
+    if (finding.cveIds.length === 0) {
+      results.skippedNoCve++;
+      results.skipped++;
+      continue;
+    }
+
+    if (!finding.host.ipAddress && !finding.host.hostname) {
+      results.errors.push({ finding: finding.title, error: 'Host has neither IP address nor hostname' });
+      results.skipped++;
+      continue;
+    }
+
+    try {
+      const hostKey = `${finding.host.ipAddress || ''}|${finding.host.hostname || ''}`;
+      let asset = assetCache.get(hostKey);
+      if (!asset) {
+        asset = await resolveAsset(finding.host, { userId, assetType }, results);
+        assetCache.set(hostKey, asset);
+      }
+
+      for (const cveId of finding.cveIds) {
+        const vulnerability = await upsertVulnerability(cveId, finding, results);
+        await linkAssetVulnerability(asset, vulnerability, finding, policy, results);
+      }
+
+      results.imported++;
+    } catch (error) {
+      logger.warn(`Failed to import ${finding.source} finding ${finding.vendorId}:`, error);
+      results.errors.push({ finding: finding.title, error: error.message });
+      results.skipped++;
+    }
+  }
+
+  const rescored = await assetRisk.recalculateAssetsRisk([...assetCache.values()].map(asset => asset.id));
+  results.assetsRescored = rescored.size;
+
+  return results;
+}
+
+module.exports = {
+  importFindings
+};
@@ -0,0 +1,25 @@
+const fs = require('fs');
+const path = require('path');
+const nessus = require('../nessus');
+const { createFinding } = require('../finding');
+
+const fixture = name => fs.readFileSync(path.join(__dirname, 'fixtures', name));
+
+describe('nessus mapper', () => {
+  const report = nessus.map(fixture('nessus.nessus'));
+
+  it('maps the Nessus .nessus v2 fixture onto normalized findings', () => {
+    const expected = JSON.parse(fixture('nessus.expected.json'));
+    expect(JSON.parse(JSON.stringify(report))).toEqual(expected);
+  });
+
+  it('round-trips every finding through the normalized shape', () => {
+    report.findings.forEach(finding => {
+      expect(createFinding(JSON.parse(JSON.stringify(finding)))).toEqual(finding);
+    });
+  });
+
+  it('rejects documents that are not .nessus v2', () => {
+    expect(() => nessus.map('<NessusClientData><Report/></NessusClientData>')).toThrow(/only v2 exports/);
+  });
+});
@@ -0,0 +1,30 @@
+const fs = require('fs');
+const path = require('path');
+const qualys = require('../qualys');
+const { createFinding } = require('../finding');
+
+const fixture = name => fs.readFileSync(path.join(__dirname, 'fixtures', name));
+
+describe('qualys mapper', () => {
+  const report = qualys.map(fixture('qualys.xml'));
+
+  it('maps the Qualys XML scan report fixture onto normalized findings', () => {
+    const expected = JSON.parse(fixture('qualys.expected.json'));
+    expect(JSON.parse(JSON.stringify(report))).toEqual(expected);
+  });
+
+  it('round-trips every finding through the normalized shape', () => {
+    report.findings.forEach(finding => {
+      expect(createFinding(JSON.parse(JSON.stringify(finding)))).toEqual(finding);
+    });
+  });
+
+  it('keeps information-gathered QIDs at INFO', () => {
+    const info = report.findings.find(finding => finding.vendorId === '82023');
+    expect(info.severity).toBe('INFO');
+  });
+
+  it('rejects documents without a SCAN root', () => {
+    expect(() => qualys.map('<ASSET_DATA_REPORT/>')).toThrow(/missing <SCAN>/);
+  });
+});
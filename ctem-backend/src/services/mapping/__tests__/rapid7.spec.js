@@ -0,0 +1,37 @@
+const fs = require('fs');
+const path = require('path');
+const rapid7 = require('../rapid7');
+const { createFinding } = require('../finding');
+
+const fixture = name => fs.readFileSync(path.join(__dirname, 'fixtures', name));
+
+describe('rapid7 mapper', () => {
+  const report = rapid7.map(fixture('rapid7.csv'));
+
+  it('maps the Rapid7 InsightVM CSV fixture onto normalized findings', () => {
+    const expected = JSON.parse(fixture('rapid7.expected.json'));
+    expect(JSON.parse(JSON.stringify(report))).toEqual(expected);
+  });
+
+  it('round-trips every finding through the normalized shape', () => {
+    report.findings.forEach(finding => {
+      expect(createFinding(JSON.parse(JSON.stringify(finding)))).toEqual(finding);
+    });
+  });
+
+  it('accepts renamed columns', () => {
+    const csv = 'IP Address,Vuln ID,Title,CVSS Score,CVEs\n10.1.1.1,ssh-weak-kex,Weak SSH key exchange,4.3,CVE-2015-4000\n';
+    const [finding] = rapid7.map(csv).findings;
+    expect(finding).toMatchObject({
+      vendorId: 'ssh-weak-kex',
+      host: { ipAddress: '10.1.1.1' },
+      cveIds: ['CVE-2015-4000'],
+      severity: 'MEDIUM',
+      cvssScore: 4.3
+    });
+  });
+
+  it('rejects exports without an asset column', () => {
+    expect(() => rapid7.map('Vulnerability ID,Vulnerability Title\nx,y\n')).toThrow(/no asset IP address or name column/);
+  });
+});
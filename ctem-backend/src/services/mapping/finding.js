@@ -0,0 +1,76 @@
+const Joi = require('joi');
+const { severityFromScore } = require('../cvss');
+
+const SEVERITIES = ['CRITICAL', 'HIGH', 'MEDIUM', 'LOW', 'INFO'];
+
+// Score used when a vendor gives a severity but no CVSS data
+const DEFAULT_CVSS = {
+  CRITICAL: 9.5,
+  HIGH: 7.5,
+  MEDIUM: 5.0,
+  LOW: 3.0,
+  INFO: 0
+};
+
+const hostSchema = Joi.object({
+  ipAddress: Joi.string().ip().allow(null).default(null),
+  hostname: Joi.string().allow(null).default(null),
+  operatingSystem: Joi.string().allow(null).default(null),
+  macAddress: Joi.string().allow(null).default(null)
+});
+
+/**
+ * Shared shape every vendor mapper produces
+ *
+ * One finding is one vendor check (plugin, QID, vulnerability ID) seen on
+ * one host. CVE IDs link it to Vulnerability rows on import.
+ */
+const findingSchema = Joi.object({
+  source: Joi.string().required(),
+  vendorId: Joi.string().required(),
+  host: hostSchema.required(),
+  cveIds: Joi.array().items(Joi.string().pattern(/^CVE-\d{4}-\d{4,}$/)).unique().default([]),
+  title: Joi.string().required(),
+  description: Joi.string().allow('').default(''),
+  solution: Joi.string().allow(null).default(null),
+  severity: Joi.string().valid(...SEVERITIES).required(),
+  cvssScore: Joi.number().min(0).max(10).allow(null).default(null),
+  cvssVector: Joi.string().allow(null).default(null),
+  category: Joi.string().default('General'),
+  references: Joi.array().items(Joi.string()).default([]),
+  exploitAvailable: Joi.boolean().default(false),
+  patchAvailable: Joi.boolean().default(false),
+  publishedDate: Joi.date().allow(null).default(null),
+  lastModifiedDate: Joi.date().allow(null).default(null),
+  port: Joi.number().integer().min(0).max(65535).allow(null).default(null),
+  protocol: Joi.string().allow(null).default(null),
+  service: Joi.string().allow(null).default(null),
+  output: Joi.string().allow(null).default(null),
+  detectedAt: Joi.date().allow(null).default(null)
+});
+
+/**
+ * Validate a mapped finding and fill in defaults
+ *
+ * @param {Object} fields - Finding fields produced by a vendor mapper
+ * @returns {Object} Normalized finding
+ * @throws {Error} When the mapper produced an invalid finding
+ */
+function createFinding(fields) {
+  const { error, value } = findingSchema.validate(fields, { stripUnknown: true });
+  if (error) {
+    throw new Error(`Invalid ${fields.source || 'scanner'} finding ${fields.vendorId || ''}: ${error.message}`.replace(/\s+:/, ':'));
+  }
+
+  if (value.cvssScore === null) {
+    value.cvssScore = DEFAULT_CVSS[value.severity];
+  }
+
+  return value;
+}
+
+module.exports = {
+  SEVERITIES,
+  severityFromScore,
+  createFinding
+};
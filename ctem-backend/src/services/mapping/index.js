@@ -0,0 +1,34 @@
+const { createFinding, severityFromScore, SEVERITIES } = require('./finding');
+
+// One mapper per vendor export format
+const mappers = {
+  nessus: require('./nessus'),
+  qualys: require('./qualys'),
+  rapid7: require('./rapid7')
+};
+
+const SOURCES = Object.keys(mappers);
+
+/**
+ * Map a vendor export onto normalized findings
+ *
+ * @param {string} source - Vendor key (nessus, qualys, rapid7)
+ * @param {string|Buffer} content - Raw export file
+ * @returns {Object} { reportName, hostCount, findings }
+ */
+function mapExport(source, content) {
+  const mapper = mappers[source];
+  if (!mapper) {
+    throw new Error(`Unsupported import source: ${source}`);
+  }
+  return mapper.map(content);
+}
+
+module.exports = {
+  SOURCES,
+  SEVERITIES,
+  mappers,
+  mapExport,
+  createFinding,
+  severityFromScore
+};
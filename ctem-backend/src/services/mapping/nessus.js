@@ -0,0 +1,142 @@
+const net = require('net');
+const { XMLParser } = require('fast-xml-parser');
+const { createFinding } = require('./finding');
+const { text, toNumber, toDate: toIsoDate } = require('./values');
+
+const parser = new XMLParser({
+  ignoreAttributes: false,
+  attributeNamePrefix: '',
+  parseAttributeValue: false,
+  parseTagValue: false,
+  trimValues: true,
+  isArray: name => ['Report', 'ReportHost', 'ReportItem', 'tag', 'cve', 'xref'].includes(name)
+});
+
+// Nessus severity 0-4 onto the Severity enum
+const SEVERITY_MAP = ['INFO', 'LOW', 'MEDIUM', 'HIGH', 'CRITICAL'];
+
+/**
+ * Nessus dates come as YYYY/MM/DD
+ */
+function toDate(value) {
+  const raw = text(value);
+  return raw ? toIsoDate(raw.replace(/\//g, '-')) : null;
+}
+
+function parseHostProperties(reportHost) {
+  // ReportHost@name is whatever was entered as the scan target
+  const targetName = String(reportHost.name || '');
+  const tags = (reportHost.HostProperties && reportHost.HostProperties.tag) || [];
+  const properties = {};
+  tags.forEach(tag => {
+    properties[tag.name] = text(tag);
+  });
+
+  // HOST_START is scanner-local time; newer scanners also write an epoch timestamp
+  const hostStart = properties.HOST_START_TIMESTAMP
+    ? new Date(Number(properties.HOST_START_TIMESTAMP) * 1000)
+    : properties.HOST_START ? new Date(properties.HOST_START) : null;
+
+  return {
+    ipAddress: properties['host-ip'] || (net.isIP(targetName) ? targetName : null),
+    hostname: properties['host-fqdn'] ||
+      (targetName && !net.isIP(targetName) ? targetName : null) ||
+      properties['netbios-name'] || null,
+    operatingSystem: properties['operating-system']
+      ? properties['operating-system'].split('\n')[0]
+      : null,
+    macAddress: properties['mac-address'] ? properties['mac-address'].split('\n')[0] : null,
+    detectedAt: hostStart && !Number.isNaN(hostStart.getTime()) ? hostStart : null
+  };
+}
+
+/**
+ * Strip the scan start time off the host record
+ */
+function hostFields({ detectedAt, ...host }) {
+  return host;
+}
+
+/**
+ * Map one <ReportItem> onto the normalized finding shape
+ */
+function parseReportItem(item, host) {
+  const severity = SEVERITY_MAP[Number(item.severity)] || 'INFO';
+  const cvss3Score = toNumber(item.cvss3_base_score);
+  const cvss2Score = toNumber(item.cvss_base_score);
+  const solution = text(item.solution);
+  const publishedDate = toDate(item.vuln_publication_date) || toDate(item.plugin_publication_date);
+
+  return createFinding({
+    source: 'nessus',
+    vendorId: String(item.pluginID),
+    host: hostFields(host),
+    cveIds: [...new Set((item.cve || []).map(text).filter(Boolean))],
+    title: text(item.pluginName) || `Nessus plugin ${item.pluginID}`,
+    description: text(item.description) || text(item.synopsis) || text(item.pluginName) || '',
+    solution: solution && solution.toLowerCase() !== 'n/a' ? solution : null,
+    severity,
+    cvssScore: cvss3Score !== null ? cvss3Score : cvss2Score,
+    cvssVector: text(item.cvss3_vector) || text(item.cvss_vector),
+    category: text(item.pluginFamily) || 'General',
+    references: (text(item.see_also) || '')
+      .split(/\s+/)
+      .filter(ref => /^https?:\/\//.test(ref)),
+    exploitAvailable: text(item.exploit_available) === 'true',
+    patchAvailable: Boolean(text(item.patch_publication_date)) || Boolean(solution && solution.toLowerCase() !== 'n/a'),
+    publishedDate,
+    lastModifiedDate: toDate(item.plugin_modification_date) || publishedDate,
+    port: Number(item.port) || null,
+    protocol: item.protocol || null,
+    service: item.svc_name || null,
+    output: text(item.plugin_output),
+    detectedAt: host.detectedAt
+  });
+}
+
+/**
+ * Map a .nessus (v2) export onto normalized findings
+ *
+ * @param {string|Buffer} xml - Raw .nessus document
+ * @returns {Object} Report name, host count and findings
+ */
+function mapNessus(xml) {
+  let document;
+  try {
+    document = parser.parse(xml.toString());
+  } catch (error) {
+    throw new Error(`Invalid .nessus file: ${error.message}`);
+  }
+
+  const root = document.NessusClientData_v2;
+  if (!root) {
+    throw new Error('Invalid .nessus file: missing <NessusClientData_v2> root element (only v2 exports are supported)');
+  }
+
+  const findings = [];
+  let hostCount = 0;
+  const reports = root.Report || [];
+
+  reports.forEach(report => {
+    (report.ReportHost || []).forEach(reportHost => {
+      hostCount++;
+      const host = parseHostProperties(reportHost);
+      (reportHost.ReportItem || []).forEach(item => {
+        findings.push(parseReportItem(item, host));
+      });
+    });
+  });
+
+  return {
+    reportName: reports.length > 0 ? reports[0].name : null,
+    hostCount,
+    findings
+  };
+}
+
+module.exports = {
+  source: 'nessus',
+  format: 'xml',
+  SEVERITY_MAP,
+  map: mapNessus
+};
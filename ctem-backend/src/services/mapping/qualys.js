@@ -0,0 +1,155 @@
+const net = require('net');
+const { XMLParser } = require('fast-xml-parser');
+const { createFinding, severityFromScore } = require('./finding');
+const { text, toNumber, toDate, extractCves } = require('./values');
+
+const parser = new XMLParser({
+  ignoreAttributes: false,
+  attributeNamePrefix: '',
+  parseAttributeValue: false,
+  parseTagValue: false,
+  trimValues: true,
+  isArray: name => ['IP', 'CAT', 'VULN', 'CVE_ID', 'KEY'].includes(name)
+});
+
+// Qualys severity 1-5 onto the Severity enum
+const SEVERITY_MAP = {
+  1: 'INFO',
+  2: 'LOW',
+  3: 'MEDIUM',
+  4: 'HIGH',
+  5: 'CRITICAL'
+};
+
+// Sections of an <IP> element and whether their entries are confirmed
+const SECTIONS = [
+  { name: 'VULNS', category: 'vulnerability', confirmed: true },
+  { name: 'PRACTICES', category: 'potential', confirmed: false },
+  { name: 'INFOS', category: 'information', confirmed: false }
+];
+
+/**
+ * CVSS scores in Qualys reports may carry a source suffix, e.g. "7.5 (AV:N/...)"
+ */
+function parseCvss(value) {
+  const raw = text(value);
+  if (!raw) return { score: null, vector: null };
+  const match = raw.match(/^([\d.]+)\s*(?:\(([^)]+)\))?/);
+  return match
+    ? { score: toNumber(match[1]), vector: match[2] || null }
+    : { score: null, vector: null };
+}
+
+function hostFromIp(ip) {
+  const address = String(ip.value || '');
+  return {
+    ipAddress: net.isIP(address) ? address : null,
+    hostname: text(ip.name) && ip.name !== 'No registered hostname' ? ip.name : null,
+    operatingSystem: text(ip.os),
+    macAddress: null
+  };
+}
+
+/**
+ * Map one <VULN> element onto the normalized finding shape
+ */
+function mapVuln(vuln, cat, section, host, detectedAt) {
+  const cvss3 = parseCvss(vuln.CVSS3_BASE);
+  const cvss2 = parseCvss(vuln.CVSS_BASE);
+  // Qualys reports CVSS v3.1 vectors without their CVSS:3.1/ prefix
+  if (cvss3.vector && !cvss3.vector.startsWith('CVSS:')) {
+    cvss3.vector = `CVSS:3.1/${cvss3.vector}`;
+  }
+
+  const cveIds = [
+    ...((vuln.CVE_ID_LIST && vuln.CVE_ID_LIST.CVE_ID) || []).map(cve => text(cve.ID)),
+    ...extractCves(vuln.cveid)
+  ].filter(Boolean);
+
+  // Information-gathered entries are never vulnerabilities, whatever their level
+  const severity = section.name === 'INFOS'
+    ? 'INFO'
+    : SEVERITY_MAP[Number(vuln.severity)] || severityFromScore(cvss3.score) || 'INFO';
+
+  const solution = text(vuln.SOLUTION);
+  const vendorReferences = ((vuln.VENDOR_REFERENCE_LIST && vuln.VENDOR_REFERENCE_LIST.VENDOR_REFERENCE) || []);
+  const references = [
+    ...((vuln.CVE_ID_LIST && vuln.CVE_ID_LIST.CVE_ID) || []).map(cve => text(cve.URL)),
+    ...(Array.isArray(vendorReferences) ? vendorReferences : [vendorReferences]).map(ref => text(ref.URL))
+  ].filter(url => url && /^https?:\/\//.test(url));
+
+  return createFinding({
+    source: 'qualys',
+    vendorId: String(vuln.number),
+    host,
+    cveIds: [...new Set(cveIds)],
+    title: text(vuln.TITLE) || `Qualys QID ${vuln.number}`,
+    description: [text(vuln.DIAGNOSIS), text(vuln.CONSEQUENCE)].filter(Boolean).join('\n\n'),
+    solution,
+    severity,
+    cvssScore: cvss3.score !== null ? cvss3.score : cvss2.score,
+    cvssVector: cvss3.vector || cvss2.vector,
+    category: text(cat.value) || section.category,
+    references: [...new Set(references)],
+    exploitAvailable: Boolean(vuln.CORRELATION && vuln.CORRELATION.EXPLOITABILITY),
+    patchAvailable: Boolean(solution) && section.confirmed,
+    publishedDate: null,
+    lastModifiedDate: toDate(vuln.LAST_UPDATE),
+    port: toNumber(cat.port),
+    protocol: text(cat.protocol),
+    service: null,
+    output: text(vuln.RESULT),
+    detectedAt
+  });
+}
+
+/**
+ * Map a Qualys scan report (XML) onto normalized findings
+ *
+ * @param {string|Buffer} xml - Raw XML scan report
+ * @returns {Object} Report name, host count and findings
+ */
+function mapQualys(xml) {
+  let document;
+  try {
+    document = parser.parse(xml.toString());
+  } catch (error) {
+    throw new Error(`Invalid Qualys scan report: ${error.message}`);
+  }
+
+  const scan = document.SCAN;
+  if (!scan) {
+    throw new Error('Invalid Qualys scan report: missing <SCAN> root element');
+  }
+
+  const headerKeys = (scan.HEADER && scan.HEADER.KEY) || [];
+  const headerValue = key => text((headerKeys.find(entry => entry.value === key) || {}));
+  const detectedAt = toDate(headerValue('DATE'));
+
+  const findings = [];
+  const hosts = scan.IP || [];
+
+  hosts.forEach(ip => {
+    const host = hostFromIp(ip);
+    SECTIONS.forEach(section => {
+      ((ip[section.name] && ip[section.name].CAT) || []).forEach(cat => {
+        (cat.VULN || []).forEach(vuln => {
+          findings.push(mapVuln(vuln, cat, section, host, detectedAt));
+        });
+      });
+    });
+  });
+
+  return {
+    reportName: headerValue('TITLE') || (scan.value ? String(scan.value) : null),
+    hostCount: hosts.length,
+    findings
+  };
+}
+
+module.exports = {
+  source: 'qualys',
+  format: 'xml',
+  SEVERITY_MAP,
+  map: mapQualys
+};
@@ -0,0 +1,152 @@
+const net = require('net');
+const { parse } = require('csv-parse/sync');
+const { createFinding, severityFromScore } = require('./finding');
+const { text, toNumber, toDate, extractCves } = require('./values');
+
+/**
+ * Accepted headers per field, lowercased
+ *
+ * InsightVM CSV exports let users pick and rename columns, so every field
+ * is looked up under the names the built-in report templates use.
+ */
+const COLUMNS = {
+  ipAddress: ['asset ip address', 'ip address', 'asset ip'],
+  hostname: ['asset names', 'asset name', 'host name', 'hostname'],
+  operatingSystem: ['asset os name', 'asset operating system', 'operating system'],
+  macAddress: ['asset mac addresses', 'asset mac address', 'mac address'],
+  vendorId: ['vulnerability id', 'vuln id', 'nexpose id'],
+  title: ['vulnerability title', 'title'],
+  description: ['vulnerability description', 'description'],
+  solution: ['vulnerability solution', 'solution', 'remediation'],
+  severityLevel: ['vulnerability severity level', 'severity level', 'severity'],
+  cvss3Score: ['vulnerability cvssv3 score', 'cvssv3 score', 'cvss v3 score'],
+  cvss3Vector: ['vulnerability cvssv3 vector', 'cvssv3 vector'],
+  cvss2Score: ['vulnerability cvss score', 'cvss score'],
+  cvss2Vector: ['vulnerability cvss vector', 'cvss vector'],
+  cves: ['vulnerability cve ids', 'vulnerability cve urls', 'cve ids', 'cves', 'cve'],
+  category: ['vulnerability category', 'vulnerability categories', 'category'],
+  references: ['vulnerability reference urls', 'reference urls', 'references'],
+  exploitCount: ['exploit count', 'exploits'],
+  publishedDate: ['vulnerability published date', 'published date'],
+  modifiedDate: ['vulnerability modified date', 'modified date'],
+  testDate: ['vulnerability test date', 'test date', 'date found'],
+  port: ['service port', 'port'],
+  protocol: ['service protocol', 'protocol'],
+  service: ['service name', 'service'],
+  proof: ['vulnerability proof', 'proof']
+};
+
+/**
+ * InsightVM severity level 1-10 (Moderate / Severe / Critical)
+ */
+function severityFromLevel(level) {
+  if (level === null) return null;
+  if (level >= 8) return 'CRITICAL';
+  if (level >= 4) return 'HIGH';
+  if (level >= 1) return 'MEDIUM';
+  return 'INFO';
+}
+
+function buildColumnLookup(headers) {
+  const indexByName = new Map(headers.map(header => [header.trim().toLowerCase(), header]));
+  const lookup = {};
+  Object.entries(COLUMNS).forEach(([field, names]) => {
+    const match = names.find(name => indexByName.has(name));
+    lookup[field] = match ? indexByName.get(match) : null;
+  });
+  return lookup;
+}
+
+function splitList(value) {
+  return (text(value) || '').split(/[,;\s]+/).filter(Boolean);
+}
+
+/**
+ * Map one CSV row onto the normalized finding shape
+ */
+function mapRow(row, columns) {
+  const cell = field => (columns[field] ? text(row[columns[field]]) : null);
+
+  const ipAddress = cell('ipAddress');
+  const hostname = (cell('hostname') || '').split(/[,;]/)[0].trim() || null;
+  const cvss3Score = toNumber(cell('cvss3Score'));
+  const cvss2Score = toNumber(cell('cvss2Score'));
+  const score = cvss3Score !== null ? cvss3Score : cvss2Score;
+  const solution = cell('solution');
+
+  return createFinding({
+    source: 'rapid7',
+    vendorId: cell('vendorId') || cell('title'),
+    host: {
+      ipAddress: ipAddress && net.isIP(ipAddress) ? ipAddress : null,
+      hostname: hostname || (ipAddress && !net.isIP(ipAddress) ? ipAddress : null),
+      operatingSystem: cell('operatingSystem'),
+      macAddress: (cell('macAddress') || '').split(/[,;]/)[0].trim() || null
+    },
+    cveIds: extractCves(cell('cves')),
+    title: cell('title') || cell('vendorId'),
+    description: cell('description') || '',
+    solution,
+    severity: severityFromScore(score) || severityFromLevel(toNumber(cell('severityLevel'))) || 'INFO',
+    cvssScore: score,
+    cvssVector: cvss3Score !== null ? cell('cvss3Vector') : cell('cvss2Vector'),
+    category: (cell('category') || 'General').split(/[,;]/)[0].trim(),
+    references: splitList(cell('references')).filter(ref => /^https?:\/\//.test(ref)),
+    exploitAvailable: (toNumber(cell('exploitCount')) || 0) > 0,
+    patchAvailable: Boolean(solution),
+    publishedDate: toDate(cell('publishedDate')),
+    lastModifiedDate: toDate(cell('modifiedDate')),
+    port: toNumber(cell('port')),
+    protocol: cell('protocol') ? cell('protocol').toLowerCase() : null,
+    service: cell('service'),
+    output: cell('proof'),
+    detectedAt: toDate(cell('testDate'))
+  });
+}
+
+/**
+ * Map a Rapid7 InsightVM CSV export onto normalized findings
+ *
+ * @param {string|Buffer} csv - Raw CSV export with a header row
+ * @returns {Object} Host count and findings
+ */
+function mapRapid7(csv) {
+  let rows;
+  try {
+    rows = parse(csv.toString(), {
+      columns: true,
+      bom: true,
+      skip_empty_lines: true,
+      relax_column_count: true
+    });
+  } catch (error) {
+    throw new Error(`Invalid InsightVM CSV export: ${error.message}`);
+  }
+
+  if (rows.length === 0) {
+    return { reportName: null, hostCount: 0, findings: [] };
+  }
+
+  const columns = buildColumnLookup(Object.keys(rows[0]));
+  if (!columns.title && !columns.vendorId) {
+    throw new Error('Invalid InsightVM CSV export: no vulnerability ID or title column');
+  }
+  if (!columns.ipAddress && !columns.hostname) {
+    throw new Error('Invalid InsightVM CSV export: no asset IP address or name column');
+  }
+
+  const findings = rows.map(row => mapRow(row, columns));
+  const hosts = new Set(findings.map(f => f.host.ipAddress || f.host.hostname));
+
+  return {
+    reportName: null,
+    hostCount: hosts.size,
+    findings
+  };
+}
+
+module.exports = {
+  source: 'rapid7',
+  format: 'csv',
+  map: mapRapid7
+};
@@ -0,0 +1,40 @@
+/**
+ * Helpers for reading values out of parsed vendor exports
+ */
+
+/**
+ * Trimmed text of an XML node or CSV cell, or null when empty
+ */
+function text(value) {
+  if (value === undefined || value === null) return null;
+  const raw = typeof value === 'object' ? value['#text'] : value;
+  const trimmed = raw === undefined || raw === null ? '' : String(raw).trim();
+  return trimmed.length > 0 ? trimmed : null;
+}
+
+function toNumber(value) {
+  const number = parseFloat(text(value));
+  return Number.isFinite(number) ? number : null;
+}
+
+function toDate(value) {
+  const raw = text(value);
+  if (!raw) return null;
+  const date = new Date(raw);
+  return Number.isNaN(date.getTime()) ? null : date;
+}
+
+/**
+ * Unique CVE IDs mentioned anywhere in a string
+ */
+function extractCves(value) {
+  const matches = (text(value) || '').toUpperCase().match(/CVE-\d{4}-\d{4,}/g) || [];
+  return [...new Set(matches)];
+}
+
+module.exports = {
+  text,
+  toNumber,
+  toDate,
+  extractCves
+};
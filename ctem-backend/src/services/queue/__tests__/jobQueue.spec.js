@@ -0,0 +1,176 @@
+const mockPrisma = {
+  job: {
+    create: jest.fn(),
+    findMany: jest.fn(),
+    findUnique: jest.fn(),
+    update: jest.fn(),
+    updateMany: jest.fn()
+  },
+  $queryRaw: jest.fn(),
+  $executeRaw: jest.fn()
+};
+
+jest.mock('@prisma/client', () => ({
+  PrismaClient: jest.fn(() => mockPrisma),
+  Prisma: { sql: jest.fn(() => 'NOW') }
+}));
+jest.mock('../../../utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn() }));
+
+const jobQueue = require('../jobQueue');
+
+describe('jobQueue', () => {
+  const queuedJob = {
+    id: 'job-1',
+    queue: 'test',
+    payload: { value: 1 },
+    resourceId: 'resource-1',
+    attempts: 1,
+    maxAttempts: 3,
+    timeoutSeconds: 60,
+    progress: 0
+  };
+
+  // The first raw query of a poll recovers expired leases, the second claims a job
+  function queueJobs(...jobs) {
+    mockPrisma.$queryRaw.mockReset();
+    mockPrisma.$queryRaw.mockResolvedValueOnce([]);
+    jobs.forEach(job => mockPrisma.$queryRaw.mockResolvedValueOnce([job]));
+    mockPrisma.$queryRaw.mockResolvedValue([]);
+  }
+
+  // claimJob passes this worker's ID as the first query parameter
+  const claimedBy = () => mockPrisma.$queryRaw.mock.calls[1][1];
+
+  async function runPoll() {
+    jobQueue.start();
+    await jest.advanceTimersByTimeAsync(2000);
+    await jobQueue.stop();
+  }
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+    Object.values(mockPrisma.job).forEach(fn => fn.mockReset());
+    mockPrisma.job.updateMany.mockResolvedValue({ count: 1 });
+    mockPrisma.$executeRaw.mockResolvedValue(0);
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  it('runs claimed jobs and marks them completed', async () => {
+    const handler = jest.fn(async (job, context) => {
+      await context.setProgress(50);
+    });
+    jobQueue.registerHandler('test', handler);
+    queueJobs(queuedJob);
+
+    await runPoll();
+
+    expect(handler).toHaveBeenCalledWith(queuedJob, expect.objectContaining({ jobId: 'job-1' }));
+    expect(mockPrisma.job.updateMany).toHaveBeenCalledWith(expect.objectContaining({
+      data: expect.objectContaining({ progress: 50 })
+    }));
+    expect(mockPrisma.job.updateMany).toHaveBeenLastCalledWith(expect.objectContaining({
+      data: expect.objectContaining({ status: 'COMPLETED', progress: 100 })
+    }));
+  });
+
+  it('requeues failed jobs with backoff while attempts remain', async () => {
+    jobQueue.registerHandler('test', jest.fn().mockRejectedValue(new Error('boom')));
+    queueJobs(queuedJob);
+    mockPrisma.job.findUnique.mockImplementation(async () => ({
+      ...queuedJob,
+      lockedBy: claimedBy(),
+      cancelRequested: false
+    }));
+
+    await runPoll();
+
+    const { data } = mockPrisma.job.update.mock.calls[0][0];
+    expect(data).toMatchObject({ status: 'QUEUED', lastError: 'boom', lockedBy: null });
+    expect(data.runAt.getTime()).toBe(Date.now() + 30 * 1000);
+  });
+
+  it('fails jobs on their last attempt and calls onFailed', async () => {
+    const onFailed = jest.fn();
+    jobQueue.registerHandler('test', jest.fn().mockRejectedValue(new Error('boom')), { onFailed });
+    const lastAttempt = { ...queuedJob, attempts: 3 };
+    queueJobs(lastAttempt);
+    mockPrisma.job.findUnique.mockImplementation(async () => ({
+      ...lastAttempt,
+      lockedBy: claimedBy(),
+      cancelRequested: false
+    }));
+
+    await runPoll();
+
+    expect(mockPrisma.job.update.mock.calls[0][0].data).toMatchObject({ status: 'FAILED', lastError: 'boom' });
+    expect(onFailed).toHaveBeenCalledWith(expect.objectContaining({ id: 'job-1' }), expect.any(Error));
+  });
+
+  it('aborts jobs that exceed their time limit and retries them', async () => {
+    const handler = jest.fn((job, context) => new Promise((resolve, reject) => {
+      context.signal.addEventListener('abort', () => reject(context.signal.reason));
+    }));
+    jobQueue.registerHandler('test', handler);
+    queueJobs({ ...queuedJob, timeoutSeconds: 5 });
+    mockPrisma.job.findUnique.mockImplementation(async () => ({
+      ...queuedJob,
+      lockedBy: claimedBy(),
+      cancelRequested: false
+    }));
+
+    jobQueue.start();
+    await jest.advanceTimersByTimeAsync(2000 + 5000);
+    await jobQueue.stop();
+
+    expect(handler.mock.calls[0][1].isCancelled()).toBe(true);
+    expect(mockPrisma.job.update.mock.calls[0][0].data).toMatchObject({
+      status: 'QUEUED',
+      lastError: 'Job timed out after 5s'
+    });
+  });
+
+  it('keeps a timed-out job until its handler settles', async () => {
+    let finish;
+    jobQueue.registerHandler('test', () => new Promise(resolve => { finish = resolve; }));
+    queueJobs({ ...queuedJob, timeoutSeconds: 5 });
+    mockPrisma.job.findUnique.mockImplementation(async () => ({
+      ...queuedJob,
+      lockedBy: claimedBy(),
+      cancelRequested: false
+    }));
+
+    jobQueue.start();
+    await jest.advanceTimersByTimeAsync(2000 + 5000 + 15000);
+
+    // Still running: no retry yet, the lease is renewed and the slot stays taken
+    expect(mockPrisma.job.update).not.toHaveBeenCalled();
+    expect(mockPrisma.$queryRaw.mock.calls.some(([sql]) => sql.join('').includes('"cancelRequested"'))).toBe(true);
+    const claims = mockPrisma.$queryRaw.mock.calls.filter(([sql]) => sql.join('').includes('SKIP LOCKED'));
+    expect(claims).toHaveLength(1);
+
+    finish();
+    await jest.advanceTimersByTimeAsync(0);
+    await jobQueue.stop();
+
+    expect(mockPrisma.job.update.mock.calls[0][0].data).toMatchObject({
+      status: 'QUEUED',
+      lastError: 'Job timed out after 5s'
+    });
+  });
+
+  it('cancels queued jobs and flags running ones', async () => {
+    await jobQueue.cancelResourceJobs('test', 'resource-1');
+
+    expect(mockPrisma.job.updateMany).toHaveBeenCalledWith({
+      where: { queue: 'test', resourceId: 'resource-1', status: 'QUEUED' },
+      data: expect.objectContaining({ status: 'CANCELLED' })
+    });
+    expect(mockPrisma.job.updateMany).toHaveBeenCalledWith({
+      where: { queue: 'test', resourceId: 'resource-1', status: 'RUNNING' },
+      data: { cancelRequested: true }
+    });
+  });
+});
@@ -0,0 +1,349 @@
+const os = require('os');
+const { v4: uuidv4 } = require('uuid');
+const { PrismaClient, Prisma } = require('@prisma/client');
+const logger = require('../../utils/logger');
+
+const prisma = new PrismaClient();
+
+/**
+ * Postgres-backed job queue
+ *
+ * Jobs live in the `jobs` table, so they survive restarts and are shared by
+ * every backend replica. Workers claim jobs with FOR UPDATE SKIP LOCKED and
+ * hold a lease they renew while the handler runs. A job whose lease expires
+ * (crashed or restarted replica) is retried or failed by whichever worker
+ * polls next.
+ */
+
+const POLL_INTERVAL_MS = parseInt(process.env.JOB_POLL_INTERVAL_MS, 10) || 2000;
+const LEASE_SECONDS = 60;
+const HEARTBEAT_INTERVAL_MS = 15 * 1000;
+const RETRY_BASE_SECONDS = 30;
+
+// Timestamps are stored as UTC without time zone, like every Prisma DateTime
+const NOW = Prisma.sql`(NOW() AT TIME ZONE 'UTC')`;
+
+const workerId = `${os.hostname()}:${process.pid}:${uuidv4().slice(0, 8)}`;
+
+const handlers = new Map();
+const running = new Map();
+let pollTimer = null;
+
+/**
+ * Register the handler that processes jobs of a queue
+ *
+ * @param {string} queue - Queue name
+ * @param {Function} handler - async (job, context) => void; context offers
+ *   setProgress(percent), isCancelled() and an AbortSignal `signal` that
+ *   aborts on cancellation and timeout
+ * @param {Object} [options]
+ * @param {number} [options.concurrency] - Jobs of this queue run at once per replica
+ * @param {Function} [options.onFailed] - async (job, error) called once retries are exhausted
+ */
+function registerHandler(queue, handler, { concurrency = 1, onFailed } = {}) {
+  handlers.set(queue, { handler, concurrency, onFailed });
+}
+
+/**
+ * Add a job to a queue
+ *
+ * @param {string} queue - Queue name
+ * @param {Object} payload - JSON data handed to the handler
+ * @param {Object} [options]
+ * @param {string} [options.resourceId] - ID of the row the job works on (scan, report)
+ * @param {number} [options.maxAttempts] - Attempts before the job fails for good
+ * @param {number} [options.timeoutSeconds] - Attempt time limit
+ * @param {Date} [options.runAt] - Earliest start
+ * @returns {Promise<Object>} Created job
+ */
+async function enqueue(queue, payload, { resourceId = null, maxAttempts = 3, timeoutSeconds = 3600, runAt = new Date() } = {}) {
+  const job = await prisma.job.create({
+    data: { queue, payload, resourceId, maxAttempts, timeoutSeconds, runAt }
+  });
+  logger.info(`Job ${job.id} queued on ${queue}${resourceId ? ` for ${resourceId}` : ''}`);
+  return job;
+}
+
+/**
+ * Latest job of a queue for each resource
+ *
+ * @returns {Promise<Map<string, Object>>} Jobs by resourceId
+ */
+async function getJobsForResources(queue, resourceIds) {
+  const jobs = await prisma.job.findMany({
+    where: { queue, resourceId: { in: resourceIds } },
+    orderBy: { createdAt: 'asc' }
+  });
+  return new Map(jobs.map(job => [job.resourceId, job]));
+}
+
+/**
+ * Cancel the unfinished jobs of a resource
+ *
+ * Queued jobs are cancelled directly; running ones are flagged and stop at
+ * their next isCancelled() check.
+ */
+async function cancelResourceJobs(queue, resourceId) {
+  await prisma.job.updateMany({
+    where: { queue, resourceId, status: 'QUEUED' },
+    data: { status: 'CANCELLED', completedAt: new Date() }
+  });
+  await prisma.job.updateMany({
+    where: { queue, resourceId, status: 'RUNNING' },
+    data: { cancelRequested: true }
+  });
+
+  running.forEach(entry => {
+    if (entry.job.queue === queue && entry.job.resourceId === resourceId) {
+      cancelEntry(entry, new Error('Job was cancelled'));
+    }
+  });
+}
+
+/**
+ * Ask a running handler to stop
+ */
+function cancelEntry(entry, reason) {
+  entry.cancelled = true;
+  if (!entry.controller.signal.aborted) {
+    entry.controller.abort(reason);
+  }
+}
+
+/**
+ * Atomically claim the next due job of a queue
+ */
+async function claimJob(queue) {
+  const [job] = await prisma.$queryRaw`
+    UPDATE "jobs"
+    SET "status" = 'RUNNING',
+        "lockedBy" = ${workerId},
+        "lockedUntil" = ${NOW} + make_interval(secs => ${LEASE_SECONDS}),
+        "attempts" = "attempts" + 1,
+        "startedAt" = ${NOW},
+        "updatedAt" = ${NOW}
+    WHERE "id" = (
+      SELECT "id" FROM "jobs"
+      WHERE "queue" = ${queue} AND "status" = 'QUEUED' AND "runAt" <= ${NOW}
+      ORDER BY "runAt", "createdAt"
+      LIMIT 1
+      FOR UPDATE SKIP LOCKED
+    )
+    RETURNING *`;
+  return job || null;
+}
+
+/**
+ * Retry or fail jobs whose worker stopped renewing its lease
+ */
+async function recoverExpiredJobs() {
+  const expired = await prisma.$queryRaw`
+    UPDATE "jobs"
+    SET "status" = CASE WHEN "attempts" < "maxAttempts" THEN 'QUEUED'::"JobStatus" ELSE 'FAILED'::"JobStatus" END,
+        "runAt" = ${NOW},
+        "lastError" = 'Worker lease expired',
+        "lockedBy" = NULL,
+        "lockedUntil" = NULL,
+        "completedAt" = CASE WHEN "attempts" < "maxAttempts" THEN NULL ELSE ${NOW} END,
+        "updatedAt" = ${NOW}
+    WHERE "status" = 'RUNNING' AND "lockedUntil" < ${NOW}
+    RETURNING *`;
+
+  for (const job of expired) {
+    logger.warn(`Job ${job.id} on ${job.queue} lost its worker; ${job.status === 'QUEUED' ? 'requeued' : 'failed'}`);
+    if (job.status === 'FAILED') {
+      await notifyFailed(job, new Error('Job was interrupted and ran out of attempts'));
+    }
+  }
+}
+
+async function notifyFailed(job, error) {
+  const registration = handlers.get(job.queue);
+  if (!registration || !registration.onFailed) return;
+  try {
+    await registration.onFailed(job, error);
+  } catch (hookError) {
+    logger.error(`onFailed hook for job ${job.id} failed:`, hookError);
+  }
+}
+
+/**
+ * Renew the lease of a running job and pick up cancellation requests
+ */
+async function heartbeat(entry) {
+  const renewed = await prisma.$queryRaw`
+    UPDATE "jobs"
+    SET "lockedUntil" = ${NOW} + make_interval(secs => ${LEASE_SECONDS}), "updatedAt" = ${NOW}
+    WHERE "id" = ${entry.job.id} AND "lockedBy" = ${workerId} AND "status" = 'RUNNING'
+    RETURNING "cancelRequested"`;
+
+  // Another worker took the job over, or it was cancelled
+  if (renewed.length === 0) {
+    cancelEntry(entry, new Error('Job lease was lost'));
+  } else if (renewed[0].cancelRequested) {
+    cancelEntry(entry, new Error('Job was cancelled'));
+  }
+}
+
+/**
+ * Run one claimed job to completion, retry or failure
+ *
+ * A timed-out handler is aborted but keeps the job, its lease and its
+ * worker slot until it settles, so no retry runs alongside it.
+ */
+async function runJob(job) {
+  const { handler } = handlers.get(job.queue);
+  const entry = { job, cancelled: false, controller: new AbortController() };
+  running.set(job.id, entry);
+
+  const context = {
+    jobId: job.id,
+    attempt: job.attempts,
+    signal: entry.controller.signal,
+    isCancelled: () => entry.cancelled,
+    setProgress: async progress => {
+      await prisma.job.updateMany({
+        where: { id: job.id, lockedBy: workerId },
+        data: { progress: Math.max(0, Math.min(100, Math.round(progress))) }
+      });
+    }
+  };
+
+  const heartbeatTimer = setInterval(() => {
+    heartbeat(entry).catch(error => logger.warn(`Heartbeat for job ${job.id} failed:`, error));
+  }, HEARTBEAT_INTERVAL_MS);
+
+  let timedOut = null;
+  const timeoutTimer = setTimeout(() => {
+    timedOut = new Error(`Job timed out after ${job.timeoutSeconds}s`);
+    logger.warn(`Job ${job.id} on ${job.queue} timed out; waiting for its handler to stop`);
+    cancelEntry(entry, timedOut);
+  }, job.timeoutSeconds * 1000);
+
+  try {
+    await handler(job, context);
+    if (timedOut) throw timedOut;
+
+    await prisma.job.updateMany({
+      where: { id: job.id, lockedBy: workerId },
+      data: {
+        status: entry.cancelled ? 'CANCELLED' : 'COMPLETED',
+        progress: entry.cancelled ? job.progress : 100,
+        completedAt: new Date(),
+        lockedBy: null,
+        lockedUntil: null
+      }
+    });
+  } catch (error) {
+    await handleJobError(job, timedOut || error);
+  } finally {
+    clearInterval(heartbeatTimer);
+    clearTimeout(timeoutTimer);
+    running.delete(job.id);
+  }
+}
+
+async function handleJobError(job, error) {
+  const current = await prisma.job.findUnique({ where: { id: job.id } });
+  if (!current || current.lockedBy !== workerId) return;
+
+  if (current.cancelRequested) {
+    await prisma.job.update({
+      where: { id: job.id },
+      data: { status: 'CANCELLED', completedAt: new Date(), lockedBy: null, lockedUntil: null, lastError: error.message }
+    });
+    return;
+  }
+
+  if (current.attempts < current.maxAttempts) {
+    const delaySeconds = RETRY_BASE_SECONDS * Math.pow(2, current.attempts - 1);
+    logger.warn(`Job ${job.id} on ${job.queue} failed (attempt ${current.attempts}/${current.maxAttempts}), retrying in ${delaySeconds}s: ${error.message}`);
+    await prisma.job.update({
+      where: { id: job.id },
+      data: {
+        status: 'QUEUED',
+        runAt: new Date(Date.now() + delaySeconds * 1000),
+        lastError: error.message,
+        lockedBy: null,
+        lockedUntil: null
+      }
+    });
+    return;
+  }
+
+  logger.error(`Job ${job.id} on ${job.queue} failed after ${current.attempts} attempts:`, error);
+  await prisma.job.update({
+    where: { id: job.id },
+    data: { status: 'FAILED', completedAt: new Date(), lastError: error.message, lockedBy: null, lockedUntil: null }
+  });
+  await notifyFailed(current, error);
+}
+
+/**
+ * Fill every queue's free worker slots
+ */
+async function poll() {
+  await recoverExpiredJobs();
+
+  for (const [queue, { concurrency }] of handlers) {
+    let active = [...running.values()].filter(entry => entry.job.queue === queue).length;
+    while (active < concurrency) {
+      const job = await claimJob(queue);
+      if (!job) break;
+      active++;
+      runJob(job).catch(error => logger.error(`Job ${job.id} crashed:`, error));
+    }
+  }
+}
+
+/**
+ * Start polling for jobs
+ */
+function start() {
+  if (pollTimer) return;
+  logger.info(`Job workers started as ${workerId} for queues: ${[...handlers.keys()].join(', ')}`);
+
+  let polling = false;
+  pollTimer = setInterval(() => {
+    if (polling) return;
+    polling = true;
+    poll()
+      .catch(error => logger.error('Job queue poll failed:', error))
+      .finally(() => { polling = false; });
+  }, POLL_INTERVAL_MS);
+}
+
+/**
+ * Stop polling and hand this worker's running jobs back to the queue
+ *
+ * The interrupted attempt is not counted, so a deploy does not use up retries.
+ */
+async function stop() {
+  if (pollTimer) {
+    clearInterval(pollTimer);
+    pollTimer = null;
+  }
+
+  running.forEach(entry => {
+    cancelEntry(entry, new Error('Job worker stopped'));
+  });
+
+  const released = await prisma.$executeRaw`
+    UPDATE "jobs"
+    SET "status" = 'QUEUED', "attempts" = GREATEST("attempts" - 1, 0), "lockedBy" = NULL, "lockedUntil" = NULL,
+        "runAt" = ${NOW}, "updatedAt" = ${NOW}
+    WHERE "lockedBy" = ${workerId} AND "status" = 'RUNNING'`;
+
+  if (released > 0) {
+    logger.info(`Released ${released} running jobs back to the queue`);
+  }
+}
+
+module.exports = {
+  registerHandler,
+  enqueue,
+  getJobsForResources,
+  cancelResourceJobs,
+  start,
+  stop
+};
@@ -0,0 +1,133 @@
+const mockPrisma = {
+  $transaction: jest.fn(callback => callback(mockPrisma)),
+  remediationTask: {
+    findUnique: jest.fn(),
+    updateMany: jest.fn()
+  },
+  remediationPlan: {
+    findUnique: jest.fn(),
+    update: jest.fn()
+  },
+  assetVulnerability: {
+    updateMany: jest.fn()
+  }
+};
+
+jest.mock('@prisma/client', () => ({ PrismaClient: jest.fn(() => mockPrisma) }));
+jest.mock('../../../utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn() }));
+
+const { taskUpdate, planProgress, planStatus, refreshPlan, verifyTask } = require('../remediation');
+
+const now = new Date('2026-10-19T12:00:00Z');
+
+describe('remediation', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it('keeps task progress and dates in line with the status', () => {
+    const todo = { status: 'TODO', progress: 0 };
+    expect(taskUpdate(todo, { status: 'IN_PROGRESS', progress: 40 }, now)).toEqual({ status: 'IN_PROGRESS', progress: 40 });
+    expect(taskUpdate(todo, { status: 'DONE' }, now)).toEqual({ status: 'DONE', progress: 100, completedAt: now });
+
+    const started = { status: 'IN_PROGRESS', progress: 40 };
+    expect(taskUpdate(started, { progress: 100 }, now)).toEqual({ progress: 99 });
+    expect(taskUpdate(started, { status: 'TODO' }, now)).toEqual({ status: 'TODO', progress: 0 });
+
+    const verified = { status: 'VERIFIED', progress: 100 };
+    expect(taskUpdate(verified, { status: 'BLOCKED' }, now)).toEqual({
+      status: 'BLOCKED',
+      progress: 99,
+      completedAt: null,
+      verifiedAt: null,
+      verifiedById: null
+    });
+    expect(taskUpdate(verified, { title: 'Patch web tier' }, now)).toEqual({ title: 'Patch web tier', progress: 100 });
+  });
+
+  it('derives plan progress and status from its tasks', () => {
+    const tasks = [
+      { status: 'VERIFIED', progress: 100 },
+      { status: 'IN_PROGRESS', progress: 50 },
+      { status: 'TODO', progress: 0 }
+    ];
+
+    expect(planProgress([])).toBe(0);
+    expect(planProgress(tasks)).toBe(50);
+
+    expect(planStatus({ status: 'OPEN' }, [])).toBe('OPEN');
+    expect(planStatus({ status: 'OPEN' }, [{ status: 'TODO', progress: 0 }])).toBe('OPEN');
+    expect(planStatus({ status: 'OPEN' }, tasks)).toBe('IN_PROGRESS');
+    expect(planStatus({ status: 'IN_PROGRESS' }, [tasks[0]])).toBe('COMPLETED');
+    expect(planStatus({ status: 'CANCELLED' }, [tasks[0]])).toBe('CANCELLED');
+  });
+
+  it('stores the completion date once the plan is completed', async () => {
+    mockPrisma.remediationPlan.findUnique.mockResolvedValue({
+      id: 'p1',
+      status: 'IN_PROGRESS',
+      progress: 50,
+      completedAt: null,
+      tasks: [{ status: 'VERIFIED', progress: 100 }]
+    });
+
+    await refreshPlan('p1');
+
+    const { data } = mockPrisma.remediationPlan.update.mock.calls[0][0];
+    expect(data).toMatchObject({ status: 'COMPLETED', progress: 100 });
+    expect(data.completedAt).toBeInstanceOf(Date);
+  });
+
+  it('leaves a completed plan alone when nothing changed', async () => {
+    const plan = {
+      id: 'p1',
+      status: 'COMPLETED',
+      progress: 100,
+      completedAt: new Date(now),
+      tasks: [{ status: 'VERIFIED', progress: 100 }]
+    };
+    mockPrisma.remediationPlan.findUnique.mockResolvedValue(plan);
+
+    await expect(refreshPlan('p1')).resolves.toBe(plan);
+    expect(mockPrisma.remediationPlan.update).not.toHaveBeenCalled();
+  });
+
+  it('closes the open findings of a verified task', async () => {
+    mockPrisma.remediationTask.findUnique.mockResolvedValue({
+      id: 't1',
+      planId: 'p1',
+      status: 'DONE',
+      findings: [
+        { id: 'f1', assetId: 'a1', status: 'OPEN' },
+        { id: 'f2', assetId: 'a1', status: 'INVESTIGATING' },
+        { id: 'f3', assetId: 'a2', status: 'FALSE_POSITIVE' }
+      ]
+    });
+    mockPrisma.remediationTask.updateMany.mockResolvedValue({ count: 1 });
+    mockPrisma.remediationPlan.findUnique.mockResolvedValue(null);
+
+    const result = await verifyTask('t1', 'u1');
+
+    expect(mockPrisma.remediationTask.updateMany.mock.calls[0][0]).toMatchObject({
+      where: { id: 't1', status: 'DONE' },
+      data: { status: 'VERIFIED', progress: 100, verifiedById: 'u1' }
+    });
+    expect(mockPrisma.assetVulnerability.updateMany.mock.calls[0][0]).toMatchObject({
+      where: { id: { in: ['f1', 'f2'] }, status: { in: ['OPEN', 'INVESTIGATING'] } },
+      data: { status: 'MITIGATED' }
+    });
+    expect(result.closedFindings).toBe(2);
+    expect(result.assetIds).toEqual(['a1']);
+  });
+
+  it('only verifies done tasks', async () => {
+    mockPrisma.remediationTask.findUnique.mockResolvedValue({ id: 't1', planId: 'p1', status: 'IN_PROGRESS', findings: [] });
+    mockPrisma.remediationTask.updateMany.mockResolvedValue({ count: 0 });
+
+    await expect(verifyTask('t1', 'u1')).rejects.toMatchObject({ code: 'INVALID_STATE' });
+    expect(mockPrisma.assetVulnerability.updateMany).not.toHaveBeenCalled();
+
+    mockPrisma.remediationTask.findUnique.mockResolvedValue(null);
+    await expect(verifyTask('missing', 'u1')).rejects.toMatchObject({ code: 'NOT_FOUND' });
+  });
+});
@@ -0,0 +1,167 @@
+const { PrismaClient } = require('@prisma/client');
+const { OPEN_STATUSES } = require('../risk/assetRisk');
+
+const prisma = new PrismaClient();
+
+/**
+ * Remediation plans and tasks
+ *
+ * A plan groups the tasks that remediate a risk or a set of findings.
+ * Tasks move TODO → IN_PROGRESS (or BLOCKED) → DONE → VERIFIED; verifying
+ * a done task closes the findings linked to it. A plan's progress and
+ * status follow its tasks, except that a cancelled plan stays cancelled
+ * until it is reopened.
+ */
+
+const TASK_STATUSES = ['TODO', 'IN_PROGRESS', 'BLOCKED', 'DONE', 'VERIFIED'];
+const PLAN_STATUSES = ['OPEN', 'IN_PROGRESS', 'COMPLETED', 'CANCELLED'];
+
+// Statuses the board lets users set; VERIFIED is only reached by verifyTask
+const EDITABLE_TASK_STATUSES = ['TODO', 'IN_PROGRESS', 'BLOCKED', 'DONE'];
+
+const FINISHED_TASK_STATUSES = ['DONE', 'VERIFIED'];
+
+/**
+ * Fields to store for a task update, keeping progress and dates in line
+ * with the status: to-do tasks are at 0%, unfinished ones below 100% and
+ * done ones at 100%
+ *
+ * @param {Object} task - Current task (status, progress)
+ * @param {Object} changes - Validated changes, status uppercase
+ * @param {Date} [now]
+ * @returns {Object} Prisma update data
+ */
+function taskUpdate(task, changes, now = new Date()) {
+  const data = { ...changes };
+  const status = changes.status || task.status;
+  const progress = changes.progress !== undefined ? changes.progress : task.progress;
+
+  if (FINISHED_TASK_STATUSES.includes(status)) {
+    data.progress = 100;
+    if (!FINISHED_TASK_STATUSES.includes(task.status)) data.completedAt = now;
+    return data;
+  }
+
+  data.progress = status === 'TODO' ? 0 : Math.min(progress, 99);
+  if (FINISHED_TASK_STATUSES.includes(task.status)) {
+    // Reopened: neither complete nor verified any more
+    data.completedAt = null;
+    data.verifiedAt = null;
+    data.verifiedById = null;
+  }
+  return data;
+}
+
+/**
+ * Progress of a plan in percent: the average progress of its tasks
+ */
+function planProgress(tasks) {
+  if (tasks.length === 0) return 0;
+  return Math.round(tasks.reduce((sum, task) => sum + task.progress, 0) / tasks.length);
+}
+
+/**
+ * Status of a plan from its tasks
+ *
+ * A plan is completed once all its tasks are verified, in progress once
+ * any task has started and open before that.
+ */
+function planStatus(plan, tasks) {
+  if (plan.status === 'CANCELLED') return 'CANCELLED';
+  if (tasks.length > 0 && tasks.every(task => task.status === 'VERIFIED')) return 'COMPLETED';
+  if (tasks.some(task => task.status !== 'TODO' || task.progress > 0)) return 'IN_PROGRESS';
+  return 'OPEN';
+}
+
+/**
+ * Recompute a plan's progress, status and completion date from its tasks
+ *
+ * @param {string} planId
+ * @param {Object} [client] - Prisma client or transaction
+ * @returns {Promise<Object|null>} Updated plan, null when it does not exist
+ */
+async function refreshPlan(planId, client = prisma) {
+  const plan = await client.remediationPlan.findUnique({
+    where: { id: planId },
+    include: { tasks: { select: { status: true, progress: true } } }
+  });
+  if (!plan) return null;
+
+  const status = planStatus(plan, plan.tasks);
+  const progress = planProgress(plan.tasks);
+  let { completedAt } = plan;
+  if (status === 'COMPLETED' && !completedAt) completedAt = new Date();
+  if (status !== 'COMPLETED') completedAt = null;
+
+  const timeOf = date => (date ? date.getTime() : null);
+  if (status === plan.status && progress === plan.progress && timeOf(completedAt) === timeOf(plan.completedAt)) {
+    return plan;
+  }
+
+  return client.remediationPlan.update({
+    where: { id: planId },
+    data: { status, progress, completedAt }
+  });
+}
+
+/**
+ * Verify a done task and close the findings it remediates
+ *
+ * Findings that are still open or under investigation become MITIGATED;
+ * findings closed otherwise (false positive, accepted) are left as they
+ * are. Rejects with `code: 'NOT_FOUND'` for unknown tasks and
+ * `code: 'INVALID_STATE'` for tasks that are not done.
+ *
+ * @param {string} taskId
+ * @param {string} userId - Verifying user
+ * @returns {Promise<{task: Object, closedFindings: number, assetIds: string[]}>}
+ */
+async function verifyTask(taskId, userId) {
+  return prisma.$transaction(async (tx) => {
+    const task = await tx.remediationTask.findUnique({
+      where: { id: taskId },
+      include: { findings: { select: { id: true, assetId: true, status: true } } }
+    });
+
+    if (!task) {
+      throw Object.assign(new Error(`Remediation task ${taskId} not found`), { code: 'NOT_FOUND' });
+    }
+
+    // Conditional on DONE so a task is only verified once
+    const now = new Date();
+    const { count } = await tx.remediationTask.updateMany({
+      where: { id: taskId, status: 'DONE' },
+      data: { status: 'VERIFIED', progress: 100, verifiedAt: now, verifiedById: userId }
+    });
+    if (count === 0) {
+      throw Object.assign(new Error('Only done tasks can be verified'), { code: 'INVALID_STATE' });
+    }
+
+    const open = task.findings.filter(finding => OPEN_STATUSES.includes(finding.status));
+    if (open.length > 0) {
+      await tx.assetVulnerability.updateMany({
+        where: { id: { in: open.map(finding => finding.id) }, status: { in: OPEN_STATUSES } },
+        data: { status: 'MITIGATED', resolvedAt: now }
+      });
+    }
+
+    await refreshPlan(task.planId, tx);
+
+    return {
+      task: await tx.remediationTask.findUnique({ where: { id: taskId } }),
+      closedFindings: open.length,
+      assetIds: [...new Set(open.map(finding => finding.assetId))]
+    };
+  });
+}
+
+module.exports = {
+  TASK_STATUSES,
+  PLAN_STATUSES,
+  EDITABLE_TASK_STATUSES,
+  taskUpdate,
+  planProgress,
+  planStatus,
+  refreshPlan,
+  verifyTask
+};
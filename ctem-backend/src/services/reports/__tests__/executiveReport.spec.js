@@ -0,0 +1,198 @@
+const mockPrisma = {
+  assetVulnerability: { findMany: jest.fn() },
+  asset: { findMany: jest.fn() },
+  risk: { findMany: jest.fn() },
+  complianceFramework: { findMany: jest.fn() }
+};
+
+jest.mock('@prisma/client', () => ({ PrismaClient: jest.fn(() => mockPrisma) }));
+
+const { validateFilters } = require('../reportDefinitions');
+const { reportingPeriod, loadReportData } = require('../reportData');
+const { builtInTemplate } = require('../reportTemplates');
+const { buildReportDocument } = require('../reportDocument');
+const { renderPdfReport } = require('../pdfReport');
+
+const day = date => new Date(`${date}T00:00:00Z`);
+
+// September 2026, compared with August
+const period = { from: day('2026-09-01'), to: new Date('2026-09-30T23:59:59.999Z') };
+const previousPeriod = { from: day('2026-08-02'), to: new Date('2026-08-31T23:59:59.999Z') };
+
+function finding(severity, detectedAt, { status = 'OPEN', resolvedAt = null, dueDate = null, kevDueDate = null } = {}) {
+  return {
+    status,
+    detectedAt: day(detectedAt),
+    resolvedAt: resolvedAt && day(resolvedAt),
+    dueDate: dueDate && day(dueDate),
+    vulnerability: { severity, knownExploited: Boolean(kevDueDate), kevDueDate: kevDueDate && day(kevDueDate) }
+  };
+}
+
+function risk(title, riskScore, { status = 'IDENTIFIED', likelihood = 'HIGH', impact = 'HIGH', createdAt = '2026-01-01' } = {}) {
+  return {
+    title,
+    category: 'TECHNICAL',
+    likelihood,
+    impact,
+    riskScore,
+    status,
+    createdAt: day(createdAt),
+    relatedAssets: [],
+    relatedVulnerabilities: []
+  };
+}
+
+const data = {
+  period,
+  previousPeriod,
+  findings: [
+    // Open since before August
+    finding('CRITICAL', '2026-07-01', { kevDueDate: '2026-09-15' }),
+    // Remediated in August after 10 days
+    finding('HIGH', '2026-08-05', { status: 'MITIGATED', resolvedAt: '2026-08-15' }),
+    // Detected in September, remediated after 4 and 8 days
+    finding('MEDIUM', '2026-09-02', { status: 'MITIGATED', resolvedAt: '2026-09-06' }),
+    finding('HIGH', '2026-09-10', { status: 'MITIGATED', resolvedAt: '2026-09-18' }),
+    // Detected in September, still open
+    finding('LOW', '2026-09-20'),
+    // Closed before closing dates were recorded
+    finding('HIGH', '2026-06-01', { status: 'FALSE_POSITIVE' })
+  ],
+  assets: [{ createdAt: day('2026-08-10') }, { createdAt: day('2026-09-03') }, { createdAt: day('2026-09-04') }],
+  risks: [
+    ...Array.from({ length: 11 }, (_, i) => risk(`Risk ${i}`, 5 + i * 0.1)),
+    risk('Mitigated', 9.9, { status: 'MITIGATED', createdAt: '2026-09-05' }),
+    risk('Worst', 9.5, { likelihood: 'VERY_HIGH', impact: 'VERY_HIGH', createdAt: '2026-09-12' })
+  ],
+  frameworks: [
+    { name: 'ISO 27001', version: '2022', status: 'ACTIVE', complianceScore: 80, controls: [{ status: 'IMPLEMENTED' }] },
+    { name: 'NIST CSF', version: '2.0', status: 'ACTIVE', complianceScore: 60, controls: [{ status: 'PARTIAL' }] }
+  ]
+};
+
+function build(sections = builtInTemplate('executive').sections, reportData = data) {
+  return buildReportDocument({
+    type: 'EXECUTIVE',
+    template: { sections },
+    data: reportData,
+    generatedAt: new Date('2026-10-01T06:00:00Z')
+  });
+}
+
+function section(document, title) {
+  return document.sections.find(item => item.title === title);
+}
+
+describe('executive report', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it('compares the reporting period with the equally long one before it', () => {
+    expect(reportingPeriod({ dateFrom: period.from, dateTo: period.to })).toEqual({ period, previousPeriod });
+
+    const now = day('2026-10-19');
+    expect(reportingPeriod({}, now)).toEqual({
+      period: { from: day('2026-09-19'), to: now },
+      previousPeriod: { from: new Date(day('2026-08-20').getTime() - 1), to: new Date(day('2026-09-19').getTime() - 1) }
+    });
+  });
+
+  it('loads findings, assets and risks of both periods', async () => {
+    mockPrisma.assetVulnerability.findMany.mockResolvedValue([]);
+    mockPrisma.asset.findMany.mockResolvedValue([]);
+    mockPrisma.risk.findMany.mockResolvedValue([]);
+    mockPrisma.complianceFramework.findMany.mockResolvedValue([]);
+
+    const loaded = await loadReportData('EXECUTIVE', { dateFrom: '2026-09-01', dateTo: '2026-09-30', severity: 'HIGH' });
+
+    expect(loaded).toEqual({ period, previousPeriod, findings: [], assets: [], risks: [], frameworks: [] });
+    expect(mockPrisma.assetVulnerability.findMany.mock.calls[0][0].where).toEqual({
+      detectedAt: { lte: period.to },
+      OR: [{ resolvedAt: null }, { resolvedAt: { gte: previousPeriod.from } }]
+    });
+    expect(mockPrisma.risk.findMany.mock.calls[0][0].where).toEqual({
+      OR: [
+        { status: { notIn: ['MITIGATED', 'ACCEPTED'] } },
+        { createdAt: { gte: previousPeriod.from, lte: period.to } }
+      ]
+    });
+    expect(mockPrisma.complianceFramework.findMany.mock.calls[0][0].where).toEqual({ status: 'ACTIVE' });
+  });
+
+  it('rejects a period that ends before it starts', () => {
+    expect(validateFilters('executive', { dateFrom: '2026-09-30', dateTo: '2026-09-01' })).toEqual([
+      'Filter "dateFrom" must not be after "dateTo"'
+    ]);
+  });
+
+  it('reports posture metrics with their change since the previous period', () => {
+    const document = build();
+
+    expect(document.compact).toBe(true);
+    expect(document.sections[0].metrics).toEqual([
+      { label: 'Open Findings', value: 2, change: '+1 vs previous period' },
+      { label: 'MTTR (days)', value: 6, change: '-4 vs previous period' },
+      { label: 'SLA Breaches', value: 1, change: '+1 vs previous period' },
+      { label: 'Compliance Score', value: '70%' }
+    ]);
+
+    expect(section(document, 'Period over Period').rows).toEqual([
+      ['Open findings', 2, 1, 1],
+      ['Open critical / high findings', 1, 1, 0],
+      ['New findings', 3, 1, 2],
+      ['Remediated findings', 2, 1, 1],
+      ['Mean time to remediate (days)', 6, 10, -4],
+      ['SLA breaches', 1, 0, 1],
+      ['New assets', 2, 1, 1],
+      ['New risks', 2, 0, 2]
+    ]);
+  });
+
+  it('counts findings past their SLA or CISA KEV due date as SLA breaches', () => {
+    expect(build().sections[0].highlights[2]).toBe('1 open findings are past their remediation due date.');
+
+    const findings = [...data.findings, finding('MEDIUM', '2026-08-01', { dueDate: '2026-09-01' })];
+    const summary = build(undefined, { ...data, findings }).sections[0];
+    expect(summary.metrics[2]).toEqual({ label: 'SLA Breaches', value: 2, change: '+2 vs previous period' });
+    expect(summary.highlights[2]).toBe('2 open findings are past their remediation due date.');
+
+    const withoutKev = data.findings.filter(item => !item.vulnerability.kevDueDate);
+    expect(build(undefined, { ...data, findings: withoutKev }).sections[0].highlights[2])
+      .toBe('No open finding is past its remediation due date.');
+  });
+
+  it('lists the ten highest open risks and places open risks on the matrix', () => {
+    const document = build();
+
+    const topRisks = section(document, 'Top 10 Risks');
+    expect(topRisks.rows).toHaveLength(10);
+    expect(topRisks.rows[0][0]).toBe('Worst');
+    expect(topRisks.rows.map(row => row[0])).not.toContain('Mitigated');
+
+    const matrix = section(document, 'Risk Matrix (Open Risks)');
+    expect(matrix.columns.map(column => column.header)).toEqual([
+      'Likelihood', 'Very Low Impact', 'Low Impact', 'Medium Impact', 'High Impact', 'Very High Impact'
+    ]);
+    expect(matrix.rows[0]).toEqual(['Very High', 0, 0, 0, 0, 1]);
+    expect(matrix.rows[1]).toEqual(['High', 0, 0, 0, 11, 0]);
+  });
+
+  it('tracks open findings week by week', () => {
+    const document = build([{ type: 'chart', chart: 'openFindings' }, { type: 'table', entity: 'trend' }]);
+
+    expect(document.sections[0].items.map(item => item.label)).toEqual([
+      '2026-09-02', '2026-09-09', '2026-09-16', '2026-09-23', '2026-09-30'
+    ]);
+    expect(document.sections[0].items.map(item => item.value)).toEqual([2, 1, 2, 2, 2]);
+    expect(document.sections[1].rows[4].slice(1, 4)).toEqual([2, 0, 0]);
+  });
+
+  it('lays the default template out on few pages', async () => {
+    const pdf = await renderPdfReport(build());
+    const pages = (pdf.toString('latin1').match(/\/Type \/Page\b/g) || []).length;
+
+    expect(pages).toBeLessThanOrEqual(3);
+  });
+});
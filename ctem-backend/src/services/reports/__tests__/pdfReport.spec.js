@@ -0,0 +1,68 @@
+const { renderPdfReport } = require('../pdfReport');
+const { getReportDefinition } = require('../reportDefinitions');
+const { buildReportDocument } = require('../reportDocument');
+
+const SEVERITIES = ['CRITICAL', 'HIGH', 'MEDIUM', 'LOW', 'INFO'];
+
+function vulnerabilities(count) {
+  return Array.from({ length: count }, (_, i) => ({
+    cveId: `CVE-2026-${1000 + i}`,
+    title: `Vulnerability ${i}`,
+    severity: SEVERITIES[i % SEVERITIES.length],
+    cvssScore: 7.5,
+    epssScore: 0.1,
+    knownExploited: i % 10 === 0,
+    patchAvailable: i % 2 === 0,
+    category: 'Web',
+    affectedAssets: []
+  }));
+}
+
+function render(type, data, options = {}) {
+  const template = { sections: getReportDefinition(type).defaultTemplate.sections };
+  return renderPdfReport(buildReportDocument({ type, template, data, ...options }));
+}
+
+function pageCount(pdf) {
+  return (pdf.toString('latin1').match(/\/Type \/Page\b/g) || []).length;
+}
+
+describe('PDF reports', () => {
+  it('renders a PDF document', async () => {
+    const pdf = await render('VULNERABILITIES', vulnerabilities(5), {
+      name: 'Weekly Vulnerabilities',
+      organizationName: 'ACME Corporation'
+    });
+
+    expect(Buffer.isBuffer(pdf)).toBe(true);
+    expect(pdf.subarray(0, 5).toString()).toBe('%PDF-');
+    expect(pdf.subarray(-6).toString()).toContain('%%EOF');
+  });
+
+  it('starts each table on its own page after the cover and summary pages', async () => {
+    const short = await render('vulnerabilities', vulnerabilities(5));
+    const long = await render('vulnerabilities', vulnerabilities(200));
+
+    expect(pageCount(short)).toBe(4);
+    expect(pageCount(long)).toBeGreaterThan(5);
+  });
+
+  it('renders empty reports', async () => {
+    const pdf = await render('compliance', []);
+
+    expect(pageCount(pdf)).toBe(4);
+  });
+
+  it('summarizes vulnerabilities by severity', () => {
+    const definition = getReportDefinition('vulnerabilities');
+    const summary = definition.summarize(vulnerabilities(10));
+
+    expect(summary.metrics[0]).toEqual({ label: 'Vulnerabilities', value: 10 });
+    expect(summary.metrics[1]).toEqual({ label: 'Critical / High', value: 4 });
+    expect(definition.charts.severity.items(vulnerabilities(10)).map(item => item.value)).toEqual([2, 2, 2, 2, 2]);
+  });
+
+  it('rejects unknown report types', () => {
+    expect(() => getReportDefinition('inventory')).toThrow('Unsupported report type: inventory');
+  });
+});
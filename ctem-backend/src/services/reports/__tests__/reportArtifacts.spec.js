@@ -0,0 +1,101 @@
+const crypto = require('crypto');
+
+const mockPrisma = {
+  systemSetting: {
+    findUnique: jest.fn()
+  },
+  report: {
+    findMany: jest.fn(),
+    updateMany: jest.fn()
+  }
+};
+
+const mockObjects = new Map();
+const mockStorage = {
+  put: jest.fn(async (key, body) => { mockObjects.set(key, body); }),
+  get: jest.fn(async key => {
+    if (!mockObjects.has(key)) throw Object.assign(new Error('missing'), { code: 'NOT_FOUND' });
+    return mockObjects.get(key);
+  }),
+  remove: jest.fn(async key => { mockObjects.delete(key); })
+};
+
+jest.mock('@prisma/client', () => ({ PrismaClient: jest.fn(() => mockPrisma) }));
+jest.mock('../../storage', () => ({ getStorage: () => mockStorage }));
+jest.mock('../../../utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn() }));
+
+const {
+  reportFilename,
+  storeReportArtifact,
+  readReportArtifact,
+  removeReportArtifact,
+  purgeExpiredArtifacts
+} = require('../reportArtifacts');
+
+describe('report artifacts', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockObjects.clear();
+  });
+
+  it('stores the file with its real size and SHA-256 checksum', async () => {
+    const report = { id: 'r1', format: 'CSV' };
+    const content = 'Name\r\nMüller';
+
+    const stored = await storeReportArtifact(report, content);
+
+    expect(stored.storageKey).toMatch(/^reports\/\d{4}\/\d{2}\/r1\.csv$/);
+    expect(stored.size).toBe(13);
+    expect(stored.checksum).toBe(crypto.createHash('sha256').update(content).digest('hex'));
+    expect(mockStorage.put).toHaveBeenCalledWith(stored.storageKey, Buffer.from(content), { contentType: 'text/csv' });
+  });
+
+  it('names spreadsheet reports .xlsx', async () => {
+    const stored = await storeReportArtifact({ id: 'r2', format: 'EXCEL' }, Buffer.from('PK'));
+
+    expect(stored.storageKey).toMatch(/r2\.xlsx$/);
+    expect(reportFilename({ name: 'Weekly assets', format: 'EXCEL' })).toBe('Weekly_assets.xlsx');
+  });
+
+  it('serves the stored file only while it matches its checksum', async () => {
+    const report = { id: 'r3', format: 'PDF' };
+    const stored = await storeReportArtifact(report, Buffer.from('%PDF-1.3 original'));
+
+    await expect(readReportArtifact({ ...report, ...stored })).resolves.toEqual(Buffer.from('%PDF-1.3 original'));
+
+    mockObjects.set(stored.storageKey, Buffer.from('%PDF-1.3 tampered'));
+    await expect(readReportArtifact({ ...report, ...stored })).rejects.toMatchObject({ code: 'CHECKSUM_MISMATCH' });
+
+    await removeReportArtifact({ ...report, ...stored });
+    await expect(readReportArtifact({ ...report, ...stored })).rejects.toMatchObject({ code: 'NOT_FOUND' });
+    await expect(readReportArtifact({ ...report, storageKey: null })).rejects.toMatchObject({ code: 'NOT_FOUND' });
+  });
+
+  it('purges files older than the retention period and expires their reports', async () => {
+    mockObjects.set('reports/2026/07/old.pdf', Buffer.from('old'));
+    mockPrisma.systemSetting.findUnique.mockResolvedValue({ value: '30' });
+    mockPrisma.report.findMany.mockResolvedValue([{ id: 'old', storageKey: 'reports/2026/07/old.pdf' }]);
+    mockPrisma.report.updateMany.mockResolvedValue({ count: 1 });
+
+    const now = new Date('2026-10-19T00:00:00Z');
+    await expect(purgeExpiredArtifacts(now)).resolves.toBe(1);
+
+    expect(mockPrisma.report.findMany.mock.calls[0][0].where).toEqual({
+      status: 'COMPLETED',
+      completedAt: { lt: new Date('2026-09-19T00:00:00Z') },
+      storageKey: { not: null }
+    });
+    expect(mockObjects.has('reports/2026/07/old.pdf')).toBe(false);
+    expect(mockPrisma.report.updateMany).toHaveBeenCalledWith({
+      where: { id: 'old', storageKey: 'reports/2026/07/old.pdf' },
+      data: { status: 'EXPIRED', storageKey: null, downloadUrl: null }
+    });
+  });
+
+  it('keeps files forever with a retention of 0 days', async () => {
+    mockPrisma.systemSetting.findUnique.mockResolvedValue({ value: '0' });
+
+    await expect(purgeExpiredArtifacts()).resolves.toBe(0);
+    expect(mockPrisma.report.findMany).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,98 @@
+const { buildReportDocument } = require('../reportDocument');
+const { renderCsvReport } = require('../csvReport');
+const { renderHtmlReport } = require('../htmlReport');
+
+const risks = [
+  {
+    title: 'Unpatched <edge> gateway',
+    category: 'TECHNICAL',
+    likelihood: 'HIGH',
+    impact: 'VERY_HIGH',
+    riskScore: 8.4,
+    status: 'IDENTIFIED',
+    dueDate: new Date('2026-11-01T00:00:00Z'),
+    relatedAssets: [],
+    relatedVulnerabilities: []
+  },
+  {
+    title: '=HYPERLINK("http://evil")',
+    category: 'OPERATIONAL',
+    likelihood: 'LOW',
+    impact: 'LOW',
+    riskScore: 1.2,
+    status: 'MITIGATED',
+    relatedAssets: [],
+    relatedVulnerabilities: []
+  }
+];
+
+function build(sections, options = {}) {
+  return buildReportDocument({
+    type: 'risks',
+    template: { sections },
+    data: risks,
+    generatedAt: new Date('2026-10-19T14:00:00Z'),
+    ...options
+  });
+}
+
+describe('report documents', () => {
+  it('applies template sections in order', () => {
+    const document = build([
+      { type: 'table', entity: 'risks', columns: ['title', 'impact', 'riskScore'], title: 'Top Risks' },
+      { type: 'chart', chart: 'impact' },
+      { type: 'summary' }
+    ]);
+
+    expect(document.title).toBe('Risk Assessment Report');
+    expect(document.sections.map(section => section.type)).toEqual(['table', 'chart', 'summary']);
+
+    const [table] = document.sections;
+    expect(table.title).toBe('Top Risks');
+    expect(table.columns.map(column => column.header)).toEqual(['Title', 'Impact', 'Risk Score']);
+    expect(table.rows[0]).toEqual(['Unpatched <edge> gateway', 'Very High', 8.4]);
+    expect(table.columns[1].colors['Very High']).toBeDefined();
+  });
+
+  it('uses every column when a table section does not list them', () => {
+    const document = build([{ type: 'table', entity: 'risks' }]);
+
+    expect(document.sections[0].columns).toHaveLength(11);
+    expect(document.sections[0].rows[1][7]).toBeNull();
+  });
+
+  it('renders tables as CSV without letting cells become formulas', () => {
+    const csv = renderCsvReport(build([
+      { type: 'summary' },
+      { type: 'table', entity: 'risks', columns: ['title', 'riskScore', 'dueDate'] }
+    ]));
+
+    expect(csv.split('\r\n')).toEqual([
+      'Title,Risk Score,Due Date',
+      'Unpatched <edge> gateway,8.4,2026-11-01',
+      '"\'=HYPERLINK(""http://evil"")",1.2,'
+    ]);
+  });
+
+  it('titles each table when a CSV holds several', () => {
+    const csv = renderCsvReport(build([
+      { type: 'table', entity: 'risks', columns: ['title'], title: 'Open' },
+      { type: 'table', entity: 'risks', columns: ['status'], title: 'Statuses' }
+    ]));
+
+    expect(csv).toBe('Open\r\nTitle\r\nUnpatched <edge> gateway\r\n"\'=HYPERLINK(""http://evil"")"\r\n\r\nStatuses\r\nStatus\r\nIdentified\r\nMitigated');
+  });
+
+  it('renders a self-contained, escaped HTML page', () => {
+    const html = renderHtmlReport(build(
+      [{ type: 'summary' }, { type: 'chart', chart: 'impact' }, { type: 'table', entity: 'risks', columns: ['title', 'impact'] }],
+      { name: 'Monthly Risks', organizationName: 'ACME & Co' }
+    ));
+
+    expect(html).toContain('<h1>Risk Assessment Report</h1>');
+    expect(html).toContain('ACME &amp; Co');
+    expect(html).toContain('Unpatched &lt;edge&gt; gateway');
+    expect(html).toContain('Generated: 2026-10-19 14:00 UTC');
+    expect(html).not.toMatch(/<script|<link/);
+  });
+});
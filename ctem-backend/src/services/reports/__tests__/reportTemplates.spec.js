@@ -0,0 +1,118 @@
+const mockPrisma = {
+  reportTemplate: {
+    findUnique: jest.fn(),
+    findFirst: jest.fn(),
+    create: jest.fn()
+  },
+  risk: {
+    findMany: jest.fn()
+  }
+};
+
+jest.mock('@prisma/client', () => ({ PrismaClient: jest.fn(() => mockPrisma) }));
+
+const { validateFilters, validateSections } = require('../reportDefinitions');
+const { builtInTemplate, resolveTemplate, ensureDefaultTemplates } = require('../reportTemplates');
+const { normalizeFilters, loadReportData } = require('../reportData');
+
+describe('report templates', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it('accepts the built-in templates', () => {
+    ['vulnerabilities', 'assets', 'risks', 'compliance', 'executive'].forEach(type => {
+      expect(validateSections(type, builtInTemplate(type).sections)).toEqual([]);
+    });
+  });
+
+  it('rejects sections outside the catalog of the type', () => {
+    expect(validateSections('risks', [])).toEqual(['Sections must be a non-empty array']);
+    expect(validateSections('risks', [
+      { type: 'chart', chart: 'severity' },
+      { type: 'table', entity: 'risks', columns: ['title', 'cveId'] },
+      { type: 'table', entity: 'controls' },
+      { type: 'footer' }
+    ])).toEqual([
+      'Section 1: chart must be one of impact, status',
+      'Section 2: unknown columns cveId',
+      'Section 3: entity must be one of risks',
+      'Section 4: type must be one of summary, chart, table'
+    ]);
+  });
+
+  it('rejects filters the type does not support', () => {
+    expect(validateFilters('risks', { impact: ['HIGH', 'very_high'], dateFrom: '2026-01-01' })).toEqual([]);
+    expect(validateFilters('risks', { severity: 'HIGH', impact: 'EXTREME', dateTo: 'soon' })).toEqual([
+      'Unknown filter "severity" for risks reports',
+      'Filter "impact" must be one of VERY_HIGH, HIGH, MEDIUM, LOW, VERY_LOW',
+      'Filter "dateTo" must be a date'
+    ]);
+    expect(validateFilters('risks', ['HIGH'])).toEqual(['Filters must be an object']);
+  });
+
+  it('resolves the report template, then the stored default, then the built-in one', async () => {
+    const own = { id: 't1', type: 'RISKS', sections: [{ type: 'summary' }] };
+    const stored = { id: 't2', type: 'RISKS', sections: [{ type: 'summary' }], isDefault: true };
+
+    mockPrisma.reportTemplate.findUnique.mockResolvedValueOnce(own);
+    await expect(resolveTemplate('RISKS', 't1')).resolves.toBe(own);
+
+    mockPrisma.reportTemplate.findUnique.mockResolvedValueOnce(null);
+    mockPrisma.reportTemplate.findFirst.mockResolvedValueOnce(stored);
+    await expect(resolveTemplate('RISKS', 'deleted')).resolves.toBe(stored);
+
+    mockPrisma.reportTemplate.findFirst.mockResolvedValueOnce(null);
+    await expect(resolveTemplate('RISKS', null)).resolves.toEqual(builtInTemplate('risks'));
+    expect(mockPrisma.reportTemplate.findFirst).toHaveBeenLastCalledWith(expect.objectContaining({
+      where: { type: 'RISKS', isDefault: true }
+    }));
+  });
+
+  it('stores default templates only for types without one', async () => {
+    mockPrisma.reportTemplate.findFirst.mockImplementation(({ where }) =>
+      Promise.resolve(where.type === 'RISKS' ? { id: 't2' } : null));
+
+    await expect(ensureDefaultTemplates('u1')).resolves.toBe(4);
+    expect(mockPrisma.reportTemplate.create).toHaveBeenCalledTimes(4);
+    expect(mockPrisma.reportTemplate.create.mock.calls[0][0].data).toEqual(expect.objectContaining({
+      type: 'VULNERABILITIES',
+      isDefault: true,
+      createdById: 'u1'
+    }));
+  });
+});
+
+describe('report filters', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it('normalizes raw filter values', () => {
+    expect(normalizeFilters('vulnerabilities', {
+      severity: 'critical, high',
+      findingStatus: ['open'],
+      knownExploited: 'true',
+      dateFrom: '2026-01-01',
+      assetTags: [],
+      impact: 'HIGH'
+    })).toEqual({
+      severity: ['CRITICAL', 'HIGH'],
+      findingStatus: ['OPEN'],
+      knownExploited: true,
+      dateFrom: new Date('2026-01-01')
+    });
+  });
+
+  it('narrows the loaded rows with the filters', async () => {
+    mockPrisma.risk.findMany.mockResolvedValue([]);
+
+    await loadReportData('RISKS', { impact: 'high', dateTo: '2026-10-01', assetTags: 'prod' });
+
+    expect(mockPrisma.risk.findMany.mock.calls[0][0].where).toEqual({
+      impact: { in: ['HIGH'] },
+      createdAt: { lte: new Date('2026-10-01T23:59:59.999Z') },
+      relatedAssets: { some: { tags: { hasSome: ['prod'] } } }
+    });
+  });
+});
@@ -0,0 +1,102 @@
+const ExcelJS = require('exceljs');
+const { renderXlsxReport } = require('../xlsxReport');
+const { getReportDefinition } = require('../reportDefinitions');
+const { buildReportDocument } = require('../reportDocument');
+
+const assets = [
+  {
+    name: 'web-01',
+    type: 'SERVER',
+    criticality: 'CRITICAL',
+    status: 'ACTIVE',
+    ipAddress: '10.0.0.1',
+    riskScore: 8.2,
+    vulnerabilityCount: 1,
+    lastSeen: new Date('2026-10-01T08:00:00Z'),
+    tags: ['prod', 'dmz'],
+    vulnerabilities: [
+      {
+        status: 'OPEN',
+        detectedAt: new Date('2026-09-30T12:00:00Z'),
+        vulnerability: { cveId: 'CVE-2026-0001', title: 'Remote code execution', severity: 'HIGH', cvssScore: 8.8 }
+      }
+    ]
+  },
+  {
+    name: 'db-01',
+    type: 'DATABASE',
+    criticality: 'LOW',
+    status: 'ACTIVE',
+    riskScore: 1.5,
+    vulnerabilityCount: 0,
+    lastSeen: new Date('2026-10-02T08:00:00Z'),
+    tags: [],
+    vulnerabilities: []
+  }
+];
+
+function render(type, data, options = {}) {
+  const template = { sections: getReportDefinition(type).defaultTemplate.sections };
+  return renderXlsxReport(buildReportDocument({ type, template, data, ...options }));
+}
+
+async function load(buffer) {
+  const workbook = new ExcelJS.Workbook();
+  await workbook.xlsx.load(buffer);
+  return workbook;
+}
+
+describe('XLSX reports', () => {
+  it('writes a summary sheet and one sheet per entity', async () => {
+    const workbook = await load(await render('ASSETS', assets, { organizationName: 'ACME' }));
+
+    expect(workbook.worksheets.map(sheet => sheet.name)).toEqual(['Summary', 'Assets', 'Findings']);
+    expect(workbook.getWorksheet('Assets').rowCount).toBe(3);
+    expect(workbook.getWorksheet('Findings').getRow(2).getCell(3).value).toBe('CVE-2026-0001');
+  });
+
+  it('keeps cell types', async () => {
+    const workbook = await load(await render('assets', assets));
+    const row = workbook.getWorksheet('Assets').getRow(2);
+
+    expect(row.getCell(1).value).toBe('web-01');
+    expect(row.getCell(3).value).toBe('Critical');
+    expect(row.getCell(9).value).toBe(8.2);
+    expect(row.getCell(10).value).toBe(1);
+    expect(row.getCell(11).value).toEqual(new Date('2026-10-01T08:00:00Z'));
+    expect(row.getCell(11).numFmt).toBe('yyyy-mm-dd');
+    expect(row.getCell(12).value).toBe('prod, dmz');
+    expect(row.getCell(5).value).toBe('10.0.0.1');
+    expect(workbook.getWorksheet('Assets').getRow(3).getCell(5).value).toBeNull();
+  });
+
+  it('freezes and filters the header row and highlights levels', async () => {
+    const workbook = await load(await render('assets', assets));
+    const sheet = workbook.getWorksheet('Findings');
+
+    expect(sheet.views[0]).toEqual(expect.objectContaining({ state: 'frozen', ySplit: 1 }));
+    expect(sheet.autoFilter).toBe('A1:J1');
+    expect(sheet.conditionalFormattings.map(format => format.ref)).toEqual(['B2:B2', 'E2:E2']);
+    expect(sheet.conditionalFormattings[1].rules.map(rule => rule.formulae[0]))
+      .toEqual(['"Critical"', '"High"', '"Medium"', '"Low"', '"Info"']);
+  });
+
+  it('lists compliance controls with their framework', async () => {
+    const frameworks = [{
+      name: 'ISO 27001',
+      version: '2022',
+      status: 'ACTIVE',
+      complianceScore: 75,
+      controls: [
+        { controlId: 'A.5.1', title: 'Policies', category: 'Organizational', status: 'IMPLEMENTED', evidence: ['policy.pdf'] },
+        { controlId: 'A.8.8', title: 'Vulnerability management', category: 'Technological', status: 'PARTIAL', evidence: [] }
+      ]
+    }];
+
+    const workbook = await load(await render('compliance', frameworks));
+
+    expect(workbook.getWorksheet('Frameworks').getRow(2).getCell(4).value).toBe(0.75);
+    expect(workbook.getWorksheet('Controls').getRow(3).getCell(1).value).toBe('ISO 27001');
+    expect(workbook.getWorksheet('Controls').getRow(3).getCell(5).value).toBe('Partial');
+  });
+});
@@ -0,0 +1,47 @@
+const { formatCell } = require('./reportDocument');
+
+/**
+ * CSV rendering for report documents
+ *
+ * CSV holds tables only, so summary and chart sections are left out. A
+ * document with one table becomes a plain CSV file; with several tables
+ * each is preceded by its title and separated by an empty line.
+ */
+
+// Spreadsheet apps evaluate cells starting with these as formulas
+const FORMULA_PREFIXES = ['=', '+', '-', '@', '\t', '\r'];
+
+function csvField(column, value) {
+  let text = formatCell(column, value);
+  if (column.type === 'string' && FORMULA_PREFIXES.includes(text.charAt(0))) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function csvTable({ columns, rows }) {
+  const header = columns.map(column => csvField({ type: 'string' }, column.header)).join(',');
+  return [header, ...rows.map(row => columns.map((column, index) => csvField(column, row[index])).join(','))];
+}
+
+/**
+ * Render the table sections of a report document as CSV
+ *
+ * @param {Object} document - Report document from buildReportDocument
+ * @returns {string} CSV
+ */
+function renderCsvReport(document) {
+  const tables = document.sections.filter(section => section.type === 'table');
+
+  if (tables.length === 1) {
+    return csvTable(tables[0]).join('\r\n');
+  }
+
+  return tables
+    .map(table => [csvField({ type: 'string' }, table.title), ...csvTable(table)].join('\r\n'))
+    .join('\r\n\r\n');
+}
+
+module.exports = {
+  renderCsvReport
+};
@@ -0,0 +1,148 @@
+const { formatCell, formatTimestamp } = require('./reportDocument');
+
+/**
+ * HTML rendering for report documents
+ *
+ * Produces a single self-contained page (inline styles, no scripts or
+ * external assets) so it can be opened offline or attached to an email.
+ */
+
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+const STYLES = `
+  body { font-family: Arial, Helvetica, sans-serif; color: #212529; margin: 0; }
+  header { background: #1f3a5f; color: #fff; padding: 32px 40px; }
+  header .organization { font-size: 14px; opacity: 0.85; }
+  header h1 { margin: 16px 0 4px; font-size: 28px; }
+  header .meta { font-size: 13px; opacity: 0.85; }
+  main { padding: 24px 40px; }
+  h2 { color: #1f3a5f; border-bottom: 2px solid #1f3a5f; padding-bottom: 4px; margin-top: 32px; }
+  h3 { font-size: 15px; margin: 24px 0 8px; }
+  .metrics { display: flex; gap: 12px; margin: 16px 0; }
+  .metric { flex: 1; background: #f8f9fa; border: 1px solid #dee2e6; border-radius: 4px; padding: 12px; text-align: center; }
+  .metric .value { font-size: 24px; font-weight: bold; color: #1f3a5f; }
+  .metric .label { font-size: 12px; color: #6c757d; }
+  .metric .change { font-size: 11px; font-style: italic; color: #6c757d; margin-top: 4px; }
+  .chart { max-width: 720px; }
+  .bar { display: flex; align-items: center; margin: 4px 0; font-size: 13px; }
+  .bar .name { width: 160px; }
+  .bar .track { flex: 1; background: #f8f9fa; height: 14px; }
+  .bar .fill { height: 14px; }
+  .bar .count { width: 48px; text-align: right; }
+  table { width: 100%; border-collapse: collapse; font-size: 13px; }
+  th { background: #1f3a5f; color: #fff; text-align: left; padding: 6px 8px; }
+  td { border-bottom: 1px solid #dee2e6; padding: 6px 8px; }
+  tr:nth-child(even) td { background: #f8f9fa; }
+  td.number { text-align: right; }
+  .muted { color: #6c757d; }
+  footer { padding: 16px 40px; font-size: 12px; color: #6c757d; border-top: 1px solid #dee2e6; }
+`;
+
+function renderSummary(section) {
+  return `
+    <h2>${escapeHtml(section.title)}</h2>
+    <div class="metrics">
+      ${section.metrics.map(metric => `
+        <div class="metric">
+          <div class="value">${escapeHtml(metric.value)}</div>
+          <div class="label">${escapeHtml(metric.label)}</div>
+          ${metric.change ? `<div class="change">${escapeHtml(metric.change)}</div>` : ''}
+        </div>`).join('')}
+    </div>
+    <ul>
+      ${section.highlights.map(text => `<li>${escapeHtml(text)}</li>`).join('')}
+    </ul>`;
+}
+
+function renderChart(section) {
+  if (section.items.length === 0) {
+    return `<h3>${escapeHtml(section.title)}</h3><p class="muted">No data</p>`;
+  }
+
+  const max = Math.max(...section.items.map(item => item.value), 1);
+  return `
+    <h3>${escapeHtml(section.title)}</h3>
+    <div class="chart">
+      ${section.items.map(item => `
+        <div class="bar">
+          <span class="name">${escapeHtml(item.label)}</span>
+          <span class="track"><span class="fill" style="display:block;width:${((item.value / max) * 100).toFixed(1)}%;background:${escapeHtml(item.color)}"></span></span>
+          <span class="count">${escapeHtml(item.value)}</span>
+        </div>`).join('')}
+    </div>`;
+}
+
+function renderTable(section) {
+  if (section.rows.length === 0) {
+    return `<h2>${escapeHtml(section.title)}</h2><p class="muted">No data available</p>`;
+  }
+
+  const numeric = ['number', 'integer', 'percent'];
+  return `
+    <h2>${escapeHtml(section.title)}</h2>
+    <table>
+      <thead>
+        <tr>${section.columns.map(column => `<th>${escapeHtml(column.header)}</th>`).join('')}</tr>
+      </thead>
+      <tbody>
+        ${section.rows.map(row => `<tr>${section.columns.map((column, index) => {
+          const value = row[index];
+          const color = column.colors && column.colors[value];
+          const style = color ? ` style="color:${escapeHtml(color)};font-weight:bold"` : '';
+          const className = numeric.includes(column.type) ? ' class="number"' : '';
+          return `<td${className}${style}>${escapeHtml(formatCell(column, value))}</td>`;
+        }).join('')}</tr>`).join('')}
+      </tbody>
+    </table>`;
+}
+
+const renderers = {
+  summary: renderSummary,
+  chart: renderChart,
+  table: renderTable
+};
+
+/**
+ * Render a report document as a standalone HTML page
+ *
+ * @param {Object} document - Report document from buildReportDocument
+ * @returns {string} HTML
+ */
+function renderHtmlReport(document) {
+  const { title, name, description, organizationName, generatedAt } = document;
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <title>${escapeHtml(name || title)}</title>
+  <style>${STYLES}</style>
+</head>
+<body>
+  <header>
+    <div class="organization">${escapeHtml(organizationName || 'CTEM')}</div>
+    <h1>${escapeHtml(title)}</h1>
+    ${name && name !== title ? `<div>${escapeHtml(name)}</div>` : ''}
+    <div class="meta">Generated: ${escapeHtml(formatTimestamp(generatedAt))}</div>
+  </header>
+  <main>
+    ${description ? `<p class="muted">${escapeHtml(description)}</p>` : ''}
+    ${document.sections.map(section => renderers[section.type](section)).join('\n')}
+  </main>
+  <footer>Confidential - ${escapeHtml(organizationName || 'CTEM')}</footer>
+</body>
+</html>
+`;
+}
+
+module.exports = {
+  escapeHtml,
+  renderHtmlReport
+};
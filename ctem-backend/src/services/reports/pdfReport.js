@@ -0,0 +1,361 @@
+const PDFDocument = require('pdfkit');
+const { formatCell, formatTimestamp } = require('./reportDocument');
+
+/**
+ * PDF rendering for report documents
+ *
+ * Lays out a cover page followed by the document sections: summaries as
+ * metric tiles, charts as bar charts and tables paged over as many pages as
+ * needed. Drawn with pdfkit's built-in fonts, so no external service or
+ * font files are involved.
+ */
+
+const BRAND_COLOR = '#1f3a5f';
+const TEXT_COLOR = '#212529';
+const MUTED_COLOR = '#6c757d';
+const BORDER_COLOR = '#dee2e6';
+const STRIPE_COLOR = '#f8f9fa';
+
+const MARGIN = 50;
+const FOOTER_HEIGHT = 30;
+const ROW_HEIGHT = 18;
+const CELL_PADDING = 4;
+// Tables with more columns than this are laid out on landscape pages
+const PORTRAIT_MAX_COLUMNS = 8;
+
+function contentWidth(doc) {
+  return doc.page.width - MARGIN * 2;
+}
+
+function pageBottom(doc) {
+  return doc.page.height - MARGIN - FOOTER_HEIGHT;
+}
+
+/**
+ * Start a page; without a layout the current page's orientation is kept
+ */
+function addPage(doc, layout = doc.page.layout) {
+  doc.addPage({ size: 'A4', margin: MARGIN, layout });
+}
+
+function layoutFor(section) {
+  return section && section.type === 'table' && section.columns.length > PORTRAIT_MAX_COLUMNS
+    ? 'landscape'
+    : 'portrait';
+}
+
+function heading(doc, text) {
+  doc.moveDown(0.5);
+  doc.font('Helvetica-Bold').fontSize(16).fillColor(BRAND_COLOR).text(text, MARGIN);
+  const y = doc.y + 2;
+  doc.moveTo(MARGIN, y).lineTo(MARGIN + contentWidth(doc), y).lineWidth(1).strokeColor(BRAND_COLOR).stroke();
+  doc.y = y + 10;
+}
+
+function ensureSpace(doc, height) {
+  if (doc.y + height > pageBottom(doc)) {
+    addPage(doc);
+  }
+}
+
+function drawCover(doc, { title, name, description, organizationName, generatedAt }) {
+  const width = doc.page.width;
+  const height = doc.page.height;
+
+  doc.rect(0, 0, width, height * 0.45).fill(BRAND_COLOR);
+
+  doc.font('Helvetica').fontSize(14).fillColor('#ffffff')
+    .text(organizationName || 'CTEM', MARGIN, 80, { width: width - MARGIN * 2 });
+
+  doc.font('Helvetica-Bold').fontSize(32)
+    .text(title, MARGIN, height * 0.45 - 130, { width: width - MARGIN * 2 });
+
+  if (name && name !== title) {
+    doc.font('Helvetica').fontSize(16).text(name, { width: width - MARGIN * 2 });
+  }
+
+  doc.fillColor(TEXT_COLOR).font('Helvetica').fontSize(12);
+  doc.text(`Generated: ${formatTimestamp(generatedAt)}`, MARGIN, height * 0.45 + 40);
+  if (description) {
+    doc.moveDown(0.5).fillColor(MUTED_COLOR).text(description, { width: width - MARGIN * 2 });
+  }
+
+  doc.font('Helvetica-Bold').fontSize(10).fillColor(MUTED_COLOR)
+    .text('CONFIDENTIAL', MARGIN, height - MARGIN - 20, { width: width - MARGIN * 2, align: 'center' });
+}
+
+function drawMetrics(doc, metrics) {
+  const gap = 10;
+  const tileWidth = (contentWidth(doc) - gap * (metrics.length - 1)) / metrics.length;
+  const tileHeight = metrics.some(metric => metric.change) ? 74 : 60;
+  const top = doc.y;
+
+  metrics.forEach((metric, index) => {
+    const x = MARGIN + index * (tileWidth + gap);
+    doc.roundedRect(x, top, tileWidth, tileHeight, 4).fillAndStroke(STRIPE_COLOR, BORDER_COLOR);
+    doc.font('Helvetica-Bold').fontSize(20).fillColor(BRAND_COLOR)
+      .text(String(metric.value), x, top + 10, { width: tileWidth, align: 'center' });
+    doc.font('Helvetica').fontSize(9).fillColor(MUTED_COLOR)
+      .text(metric.label, x, top + 38, { width: tileWidth, align: 'center' });
+    if (metric.change) {
+      doc.font('Helvetica-Oblique').fontSize(8)
+        .text(metric.change, x, top + 54, { width: tileWidth, align: 'center' });
+    }
+  });
+
+  doc.y = top + tileHeight + 15;
+}
+
+function drawHighlights(doc, highlights) {
+  doc.font('Helvetica').fontSize(11).fillColor(TEXT_COLOR);
+  highlights.forEach(text => {
+    doc.text(`•  ${text}`, MARGIN, doc.y, { width: contentWidth(doc) });
+    doc.moveDown(0.3);
+  });
+  doc.moveDown(0.5);
+}
+
+/**
+ * Horizontal bar chart with one labelled bar per item
+ */
+function drawBarChart(doc, { title, items }) {
+  const barHeight = 14;
+  const barGap = 6;
+  const labelWidth = 130;
+  const valueWidth = 40;
+
+  ensureSpace(doc, 30 + items.length * (barHeight + barGap));
+
+  doc.font('Helvetica-Bold').fontSize(11).fillColor(TEXT_COLOR).text(title, MARGIN);
+  doc.moveDown(0.4);
+
+  if (items.length === 0) {
+    doc.font('Helvetica').fontSize(10).fillColor(MUTED_COLOR).text('No data', MARGIN);
+    doc.moveDown();
+    return;
+  }
+
+  const max = Math.max(...items.map(item => item.value), 1);
+  const trackWidth = contentWidth(doc) - labelWidth - valueWidth;
+  let y = doc.y;
+
+  items.forEach(item => {
+    doc.font('Helvetica').fontSize(9).fillColor(TEXT_COLOR)
+      .text(item.label, MARGIN, y + 3, { width: labelWidth - 8, height: barHeight, ellipsis: true });
+    doc.rect(MARGIN + labelWidth, y, trackWidth, barHeight).fill(STRIPE_COLOR);
+    const barWidth = (item.value / max) * trackWidth;
+    if (barWidth > 0) {
+      doc.rect(MARGIN + labelWidth, y, barWidth, barHeight).fill(item.color);
+    }
+    doc.fillColor(TEXT_COLOR)
+      .text(String(item.value), MARGIN + labelWidth + trackWidth + 6, y + 3, { width: valueWidth - 6 });
+    y += barHeight + barGap;
+  });
+
+  doc.y = y + 10;
+}
+
+/**
+ * Text cut down to fit on one line of the given width, in the current font
+ */
+function fitText(doc, text, width) {
+  if (doc.widthOfString(text) <= width) return text;
+  let end = text.length;
+  while (end > 0 && doc.widthOfString(`${text.slice(0, end)}…`) > width) end--;
+  return `${text.slice(0, end)}…`;
+}
+
+function cellText(doc, text, x, y, width) {
+  const available = width - CELL_PADDING * 2;
+  doc.text(fitText(doc, text, available), x + CELL_PADDING, y + 5, { width: available, lineBreak: false });
+}
+
+/**
+ * Column positions across the page
+ *
+ * Typed columns (dates, numbers, levels...) get the width of their widest
+ * header or value so they are never cut; text columns share what is left
+ * in proportion to their width weights.
+ */
+function layoutColumns(doc, columns, rows) {
+  const available = contentWidth(doc);
+  const sample = rows.slice(0, 200);
+
+  const natural = columns.map((column, index) => {
+    if (column.type === 'string') return null;
+    doc.font('Helvetica-Bold').fontSize(8);
+    let widest = doc.widthOfString(column.header);
+    sample.forEach(row => {
+      widest = Math.max(widest, doc.widthOfString(formatCell(column, row[index])));
+    });
+    return widest + CELL_PADDING * 2 + 2;
+  });
+
+  const fixedWidth = natural.reduce((sum, width) => sum + (width || 0), 0);
+  const textWeight = columns.reduce((sum, column, index) => sum + (natural[index] === null ? column.width : 0), 0);
+  const totalWeight = columns.reduce((sum, column) => sum + column.width, 0);
+  // Fall back to plain proportional widths when typed columns leave too little room
+  const proportional = fixedWidth > available * 0.7 || textWeight === 0;
+
+  let x = MARGIN;
+  return columns.map((column, index) => {
+    let pixelWidth;
+    if (proportional) {
+      pixelWidth = (column.width / totalWeight) * available;
+    } else if (natural[index] !== null) {
+      pixelWidth = natural[index];
+    } else {
+      pixelWidth = (column.width / textWeight) * (available - fixedWidth);
+    }
+    const result = { ...column, x, pixelWidth };
+    x += pixelWidth;
+    return result;
+  });
+}
+
+function drawTableHeader(doc, columns) {
+  const y = doc.y;
+  doc.rect(MARGIN, y, contentWidth(doc), ROW_HEIGHT).fill(BRAND_COLOR);
+  doc.font('Helvetica-Bold').fontSize(8).fillColor('#ffffff');
+  columns.forEach(column => {
+    cellText(doc, column.header, column.x, y, column.pixelWidth);
+  });
+  doc.y = y + ROW_HEIGHT;
+}
+
+/**
+ * Table section; repeats the header row on every page it spans
+ */
+function drawTable(doc, { columns, rows }) {
+  const laidOut = layoutColumns(doc, columns, rows);
+
+  if (rows.length === 0) {
+    doc.font('Helvetica').fontSize(10).fillColor(MUTED_COLOR).text('No data available', MARGIN);
+    return;
+  }
+
+  ensureSpace(doc, ROW_HEIGHT * 3);
+  drawTableHeader(doc, laidOut);
+
+  rows.forEach((row, index) => {
+    if (doc.y + ROW_HEIGHT > pageBottom(doc)) {
+      addPage(doc);
+      drawTableHeader(doc, laidOut);
+    }
+
+    const y = doc.y;
+    if (index % 2 === 1) {
+      doc.rect(MARGIN, y, contentWidth(doc), ROW_HEIGHT).fill(STRIPE_COLOR);
+    }
+    laidOut.forEach((column, columnIndex) => {
+      const value = row[columnIndex];
+      const color = column.colors && column.colors[value];
+      doc.font(color ? 'Helvetica-Bold' : 'Helvetica').fontSize(8).fillColor(color || TEXT_COLOR);
+      cellText(doc, formatCell(column, value), column.x, y, column.pixelWidth);
+    });
+    doc.moveTo(MARGIN, y + ROW_HEIGHT).lineTo(MARGIN + contentWidth(doc), y + ROW_HEIGHT)
+      .lineWidth(0.5).strokeColor(BORDER_COLOR).stroke();
+    doc.y = y + ROW_HEIGHT;
+  });
+}
+
+/**
+ * Header and "Page x of y" footer on every page after the cover
+ */
+function drawPageDecorations(doc, { title, organizationName }) {
+  const range = doc.bufferedPageRange();
+  for (let i = range.start + 1; i < range.start + range.count; i++) {
+    doc.switchToPage(i);
+
+    // Writing into the margins must not trigger automatic page breaks
+    const { bottom } = doc.page.margins;
+    doc.page.margins.bottom = 0;
+
+    const width = contentWidth(doc);
+    doc.font('Helvetica').fontSize(8).fillColor(MUTED_COLOR);
+    doc.text(organizationName || '', MARGIN, MARGIN - 25, { width: width / 2 });
+    doc.text(title, MARGIN + width / 2, MARGIN - 25, { width: width / 2, align: 'right' });
+
+    const footerY = doc.page.height - MARGIN + 5;
+    doc.moveTo(MARGIN, footerY - 5).lineTo(MARGIN + width, footerY - 5).lineWidth(0.5).strokeColor(BORDER_COLOR).stroke();
+    doc.text('Confidential', MARGIN, footerY, { width: width / 2 });
+    doc.text(`Page ${i + 1} of ${range.count}`, MARGIN + width / 2, footerY, { width: width / 2, align: 'right' });
+
+    doc.page.margins.bottom = bottom;
+  }
+}
+
+/**
+ * Render a report document as PDF
+ *
+ * @param {Object} document - Report document from buildReportDocument
+ * @returns {Promise<Buffer>} PDF file contents
+ */
+function renderPdfReport(document) {
+  const { title, name, organizationName, generatedAt } = document;
+
+  const doc = new PDFDocument({
+    size: 'A4',
+    margin: MARGIN,
+    bufferPages: true,
+    info: {
+      Title: name || title,
+      Author: organizationName || 'CTEM',
+      Creator: 'CTEM Platform',
+      CreationDate: generatedAt
+    }
+  });
+
+  const done = new Promise((resolve, reject) => {
+    const chunks = [];
+    doc.on('data', chunk => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+  });
+
+  drawCover(doc, document);
+  addPage(doc, layoutFor(document.sections[0]));
+  const pageTop = doc.y;
+
+  document.sections.forEach(section => {
+    switch (section.type) {
+      case 'summary':
+        ensureSpace(doc, 200);
+        heading(doc, section.title);
+        drawMetrics(doc, section.metrics);
+        drawHighlights(doc, section.highlights);
+        break;
+      case 'chart':
+        drawBarChart(doc, section);
+        break;
+      case 'table': {
+        // Tables start on a fresh page unless nothing precedes them on a
+        // page of the right orientation; compact documents only break
+        // pages when the orientation changes
+        const layout = layoutFor(section);
+        if (doc.page.layout !== layout) {
+          addPage(doc, layout);
+        } else if (document.compact) {
+          ensureSpace(doc, 40 + ROW_HEIGHT * 3);
+        } else if (doc.y > pageTop) {
+          addPage(doc, layout);
+        }
+        heading(doc, section.title);
+        drawTable(doc, section);
+        doc.moveDown();
+        break;
+      }
+      default:
+        break;
+    }
+  });
+
+  drawPageDecorations(doc, document);
+  doc.end();
+
+  return done;
+}
+
+module.exports = {
+  renderPdfReport
+};
@@ -0,0 +1,168 @@
+const crypto = require('crypto');
+const { PrismaClient } = require('@prisma/client');
+const { getStorage } = require('../storage');
+const logger = require('../../utils/logger');
+
+const prisma = new PrismaClient();
+
+/**
+ * Generated report files
+ *
+ * A report is rendered once, when its job runs, and the file is kept in
+ * object storage together with its size and SHA-256 checksum. Downloads and
+ * email deliveries serve that file, so a report always shows the data of
+ * the moment it was generated. Files older than the reports.retentionDays
+ * setting are purged and their reports marked EXPIRED.
+ */
+
+const DEFAULT_RETENTION_DAYS = 90;
+
+const FORMAT_FILES = {
+  pdf: { extension: 'pdf', contentType: 'application/pdf' },
+  excel: { extension: 'xlsx', contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' },
+  csv: { extension: 'csv', contentType: 'text/csv' },
+  html: { extension: 'html', contentType: 'text/html' }
+};
+
+function formatFile(format) {
+  return FORMAT_FILES[format.toLowerCase()] || { extension: format.toLowerCase(), contentType: 'application/octet-stream' };
+}
+
+function reportContentType(format) {
+  return formatFile(format).contentType;
+}
+
+function reportFilename(report) {
+  return `${report.name.replace(/[^a-zA-Z0-9]/g, '_')}.${formatFile(report.format).extension}`;
+}
+
+function sha256(content) {
+  return crypto.createHash('sha256').update(content).digest('hex');
+}
+
+/**
+ * Storage key of a report's file, grouped by month of generation
+ */
+function artifactKey(report, generatedAt = new Date()) {
+  const month = generatedAt.toISOString().slice(0, 7).replace('-', '/');
+  return `reports/${month}/${report.id}.${formatFile(report.format).extension}`;
+}
+
+/**
+ * Write a generated report file to storage
+ *
+ * @param {Object} report - Report with id and format
+ * @param {Buffer|string} content - Rendered file
+ * @returns {Promise<{storageKey: string, size: number, checksum: string}>}
+ */
+async function storeReportArtifact(report, content) {
+  const body = Buffer.isBuffer(content) ? content : Buffer.from(content, 'utf8');
+  const storageKey = artifactKey(report);
+
+  await getStorage().put(storageKey, body, { contentType: reportContentType(report.format) });
+
+  return {
+    storageKey,
+    size: body.length,
+    checksum: sha256(body)
+  };
+}
+
+/**
+ * Read a report's stored file and check it against its checksum
+ *
+ * Rejects with `code: 'NOT_FOUND'` when the file is gone and
+ * `code: 'CHECKSUM_MISMATCH'` when it was altered or damaged.
+ */
+async function readReportArtifact(report) {
+  if (!report.storageKey) {
+    throw Object.assign(new Error(`Report ${report.id} has no stored file`), { code: 'NOT_FOUND' });
+  }
+
+  const content = await getStorage().get(report.storageKey);
+  if (report.checksum && sha256(content) !== report.checksum) {
+    throw Object.assign(new Error(`Checksum mismatch for report ${report.id}`), { code: 'CHECKSUM_MISMATCH' });
+  }
+  return content;
+}
+
+/**
+ * Delete a report's stored file; a report without one is left alone
+ */
+async function removeReportArtifact(report) {
+  if (report.storageKey) {
+    await getStorage().remove(report.storageKey);
+  }
+}
+
+/**
+ * Days generated files are kept, from the reports.retentionDays setting
+ *
+ * @returns {Promise<number>} 0 keeps files forever
+ */
+async function getRetentionDays() {
+  const setting = await prisma.systemSetting.findUnique({ where: { key: 'reports.retentionDays' } });
+  if (!setting) return DEFAULT_RETENTION_DAYS;
+
+  const days = Number(setting.value);
+  if (!Number.isInteger(days) || days < 0) {
+    logger.warn(`Invalid reports.retentionDays "${setting.value}", keeping report files ${DEFAULT_RETENTION_DAYS} days`);
+    return DEFAULT_RETENTION_DAYS;
+  }
+  return days;
+}
+
+/**
+ * Delete files of reports generated before the retention period
+ *
+ * Reports are kept and marked EXPIRED so their history, size and checksum
+ * stay visible. Changes to the setting also apply to older reports.
+ *
+ * @param {Date} [now]
+ * @returns {Promise<number>} Number of files purged
+ */
+async function purgeExpiredArtifacts(now = new Date()) {
+  const retentionDays = await getRetentionDays();
+  if (retentionDays === 0) return 0;
+
+  const cutoff = new Date(now.getTime() - retentionDays * 24 * 60 * 60 * 1000);
+  const expired = await prisma.report.findMany({
+    where: {
+      status: 'COMPLETED',
+      completedAt: { lt: cutoff },
+      storageKey: { not: null }
+    },
+    select: { id: true, storageKey: true }
+  });
+
+  let purged = 0;
+  for (const report of expired) {
+    try {
+      await removeReportArtifact(report);
+      // Only the replica that still sees the file marks the report expired
+      const { count } = await prisma.report.updateMany({
+        where: { id: report.id, storageKey: report.storageKey },
+        data: { status: 'EXPIRED', storageKey: null, downloadUrl: null }
+      });
+      purged += count;
+    } catch (error) {
+      logger.error(`Failed to purge file of report ${report.id}:`, error);
+    }
+  }
+
+  if (purged > 0) {
+    logger.info(`Purged ${purged} report files older than ${retentionDays} days`);
+  }
+  return purged;
+}
+
+module.exports = {
+  DEFAULT_RETENTION_DAYS,
+  reportContentType,
+  reportFilename,
+  storeReportArtifact,
+  readReportArtifact,
+  removeReportArtifact,
+  getRetentionDays,
+  purgeExpiredArtifacts
+};
@@ -0,0 +1,235 @@
+const { PrismaClient } = require('@prisma/client');
+const { FILTERS, getReportDefinition } = require('./reportDefinitions');
+
+const prisma = new PrismaClient();
+
+const DEFAULT_PERIOD_DAYS = 30;
+
+/**
+ * Normalize raw report filters
+ *
+ * Enum filters accept a single value, an array or a comma-separated string
+ * in any case; unknown and empty filters are dropped. Dates may be given
+ * as days or timestamps.
+ */
+function normalizeFilters(type, filters = {}) {
+  const allowed = getReportDefinition(type).filters;
+  const normalized = {};
+
+  Object.entries(filters || {}).forEach(([key, value]) => {
+    if (!allowed.includes(key) || value === null || value === undefined || value === '') return;
+
+    switch (FILTERS[key].type) {
+      case 'date':
+        normalized[key] = new Date(value);
+        // A bare day as upper bound includes that whole day
+        if (key === 'dateTo' && /^\d{4}-\d{2}-\d{2}$/.test(value)) {
+          normalized[key].setUTCHours(23, 59, 59, 999);
+        }
+        break;
+      case 'boolean':
+        normalized[key] = value === true || value === 'true';
+        break;
+      default: {
+        const values = (Array.isArray(value) ? value : String(value).split(','))
+          .map(item => String(item).trim())
+          .filter(Boolean);
+        if (values.length === 0) return;
+        normalized[key] = FILTERS[key].type === 'enum' ? values.map(item => item.toUpperCase()) : values;
+      }
+    }
+  });
+
+  return normalized;
+}
+
+function dateRange(filters) {
+  if (!filters.dateFrom && !filters.dateTo) return undefined;
+  return {
+    ...(filters.dateFrom && { gte: filters.dateFrom }),
+    ...(filters.dateTo && { lte: filters.dateTo })
+  };
+}
+
+/**
+ * Drop undefined conditions so Prisma does not see them
+ */
+function compact(where) {
+  return Object.fromEntries(Object.entries(where).filter(([, value]) => value !== undefined));
+}
+
+function loadVulnerabilities(filters) {
+  const findingWhere = compact({
+    status: filters.findingStatus && { in: filters.findingStatus },
+    asset: filters.assetTags && { tags: { hasSome: filters.assetTags } }
+  });
+  const filterFindings = Object.keys(findingWhere).length > 0;
+
+  return prisma.vulnerability.findMany({
+    where: compact({
+      severity: filters.severity && { in: filters.severity },
+      publishedDate: dateRange(filters),
+      knownExploited: filters.knownExploited,
+      affectedAssets: filterFindings ? { some: findingWhere } : undefined
+    }),
+    include: {
+      affectedAssets: {
+        where: findingWhere,
+        include: { asset: true }
+      }
+    },
+    orderBy: [{ cvssScore: 'desc' }, { publishedDate: 'desc' }]
+  });
+}
+
+function loadAssets(filters) {
+  const findingWhere = compact({
+    status: filters.findingStatus && { in: filters.findingStatus },
+    vulnerability: filters.severity && { severity: { in: filters.severity } }
+  });
+  const filterFindings = Object.keys(findingWhere).length > 0;
+
+  return prisma.asset.findMany({
+    where: compact({
+      type: filters.assetType && { in: filters.assetType },
+      criticality: filters.criticality && { in: filters.criticality },
+      tags: filters.assetTags && { hasSome: filters.assetTags },
+      lastSeen: dateRange(filters),
+      vulnerabilities: filterFindings ? { some: findingWhere } : undefined
+    }),
+    include: {
+      vulnerabilities: {
+        where: findingWhere,
+        include: { vulnerability: true }
+      }
+    },
+    orderBy: [{ riskScore: 'desc' }, { name: 'asc' }]
+  });
+}
+
+function loadRisks(filters) {
+  return prisma.risk.findMany({
+    where: compact({
+      impact: filters.impact && { in: filters.impact },
+      status: filters.riskStatus && { in: filters.riskStatus },
+      createdAt: dateRange(filters),
+      relatedAssets: filters.assetTags && { some: { tags: { hasSome: filters.assetTags } } }
+    }),
+    include: {
+      relatedAssets: true,
+      relatedVulnerabilities: true
+    },
+    orderBy: [{ riskScore: 'desc' }, { createdAt: 'desc' }]
+  });
+}
+
+function loadCompliance(filters) {
+  return prisma.complianceFramework.findMany({
+    where: compact({
+      id: filters.frameworkIds && { in: filters.frameworkIds }
+    }),
+    include: {
+      controls: {
+        where: compact({
+          status: filters.controlStatus && { in: filters.controlStatus },
+          lastAssessedAt: dateRange(filters)
+        }),
+        orderBy: { controlId: 'asc' }
+      }
+    },
+    orderBy: [{ name: 'asc' }, { version: 'asc' }]
+  });
+}
+
+/**
+ * Reporting period of the executive report and the equally long period
+ * before it; without dates it covers the last DEFAULT_PERIOD_DAYS days
+ */
+function reportingPeriod(filters, now = new Date()) {
+  const to = filters.dateTo || now;
+  const from = filters.dateFrom || new Date(to.getTime() - DEFAULT_PERIOD_DAYS * 24 * 60 * 60 * 1000);
+  const previousTo = new Date(from.getTime() - 1);
+
+  return {
+    period: { from, to },
+    previousPeriod: { from: new Date(previousTo.getTime() - (to - from)), to: previousTo }
+  };
+}
+
+/**
+ * Everything the executive report compares across both periods: findings
+ * open at some point in them, assets, risks open now or created in them,
+ * and the active compliance frameworks
+ */
+async function loadExecutive(filters) {
+  const { period, previousPeriod } = reportingPeriod(filters);
+
+  const [findings, assets, risks, frameworks] = await Promise.all([
+    prisma.assetVulnerability.findMany({
+      where: {
+        detectedAt: { lte: period.to },
+        OR: [{ resolvedAt: null }, { resolvedAt: { gte: previousPeriod.from } }]
+      },
+      select: {
+        status: true,
+        detectedAt: true,
+        resolvedAt: true,
+        dueDate: true,
+        vulnerability: { select: { severity: true, knownExploited: true, kevDueDate: true } }
+      }
+    }),
+    prisma.asset.findMany({
+      where: { createdAt: { gte: previousPeriod.from, lte: period.to } },
+      select: { createdAt: true }
+    }),
+    prisma.risk.findMany({
+      where: {
+        OR: [
+          { status: { notIn: ['MITIGATED', 'ACCEPTED'] } },
+          { createdAt: { gte: previousPeriod.from, lte: period.to } }
+        ]
+      },
+      include: {
+        relatedAssets: { select: { id: true } },
+        relatedVulnerabilities: { select: { id: true } }
+      },
+      orderBy: [{ riskScore: 'desc' }, { createdAt: 'desc' }]
+    }),
+    prisma.complianceFramework.findMany({
+      where: { status: 'ACTIVE' },
+      include: { controls: { select: { status: true } } },
+      orderBy: [{ name: 'asc' }, { version: 'asc' }]
+    })
+  ]);
+
+  return { period, previousPeriod, findings, assets, risks, frameworks };
+}
+
+const loaders = {
+  vulnerabilities: loadVulnerabilities,
+  assets: loadAssets,
+  risks: loadRisks,
+  compliance: loadCompliance,
+  executive: loadExecutive
+};
+
+/**
+ * Load the rows of a report, narrowed by its filters
+ *
+ * @param {string} type - Report type
+ * @param {Object} [filters] - Raw filters from the template and the report parameters
+ * @returns {Promise<Array<Object>|Object>} Rows; one object for executive reports
+ */
+async function loadReportData(type, filters) {
+  const loader = loaders[type.toLowerCase()];
+  if (!loader) {
+    throw new Error(`Unsupported report type: ${type}`);
+  }
+  return loader(normalizeFilters(type, filters));
+}
+
+module.exports = {
+  normalizeFilters,
+  reportingPeriod,
+  loadReportData
+};
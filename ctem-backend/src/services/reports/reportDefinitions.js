@@ -0,0 +1,807 @@
+/**
+ * Report catalog per report type
+ *
+ * Describes what a report template can use for each report type:
+ * - `filters`: parameters that narrow the data (see reportData.js)
+ * - `summarize`: headline metrics and summary sentences
+ * - `charts`: bar charts by key
+ * - `entities`: tables by key, each with typed columns by key
+ * - `defaultTemplate`: sections used when no stored template applies
+ *
+ * - `compact`: sections flow on without page breaks, for short reports
+ *
+ * Column types are string, number, integer, percent, date, boolean and
+ * level. Level columns hold enum values and carry the colors used to
+ * highlight them.
+ */
+
+const SEVERITIES = ['CRITICAL', 'HIGH', 'MEDIUM', 'LOW', 'INFO'];
+const CRITICALITIES = ['CRITICAL', 'HIGH', 'MEDIUM', 'LOW'];
+const RISK_LEVELS = ['VERY_HIGH', 'HIGH', 'MEDIUM', 'LOW', 'VERY_LOW'];
+const ASSET_TYPES = ['SERVER', 'WORKSTATION', 'NETWORK_DEVICE', 'APPLICATION', 'DATABASE', 'CLOUD_RESOURCE'];
+const FINDING_STATUSES = ['OPEN', 'INVESTIGATING', 'MITIGATED', 'FALSE_POSITIVE', 'RISK_ACCEPTED'];
+const RISK_STATUSES = ['IDENTIFIED', 'ASSESSED', 'MITIGATING', 'MITIGATED', 'ACCEPTED'];
+const CONTROL_STATUSES = ['IMPLEMENTED', 'PARTIAL', 'NOT_IMPLEMENTED'];
+
+const SEVERITY_COLORS = {
+  CRITICAL: '#dc3545',
+  HIGH: '#fd7e14',
+  MEDIUM: '#ffc107',
+  LOW: '#0d6efd',
+  INFO: '#6c757d'
+};
+
+const CRITICALITY_COLORS = {
+  CRITICAL: SEVERITY_COLORS.CRITICAL,
+  HIGH: SEVERITY_COLORS.HIGH,
+  MEDIUM: SEVERITY_COLORS.MEDIUM,
+  LOW: SEVERITY_COLORS.LOW
+};
+
+const LEVEL_COLORS = {
+  VERY_HIGH: '#dc3545',
+  HIGH: '#fd7e14',
+  MEDIUM: '#ffc107',
+  LOW: '#0d6efd',
+  VERY_LOW: '#6c757d'
+};
+
+const CONTROL_STATUS_COLORS = {
+  IMPLEMENTED: '#198754',
+  PARTIAL: '#ffc107',
+  NOT_IMPLEMENTED: '#dc3545'
+};
+
+const CHART_COLOR = '#0d6efd';
+
+const CLOSED_RISK_STATUSES = ['MITIGATED', 'ACCEPTED'];
+const OPEN_FINDING_STATUSES = ['OPEN', 'INVESTIGATING'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const TOP_RISK_COUNT = 10;
+const MAX_TREND_POINTS = 12;
+
+/**
+ * Filters shared by the report types; `values` limits enum filters
+ */
+const FILTERS = {
+  dateFrom: { type: 'date' },
+  dateTo: { type: 'date' },
+  severity: { type: 'enum', values: SEVERITIES },
+  criticality: { type: 'enum', values: CRITICALITIES },
+  assetType: { type: 'enum', values: ASSET_TYPES },
+  assetTags: { type: 'list' },
+  findingStatus: { type: 'enum', values: FINDING_STATUSES },
+  knownExploited: { type: 'boolean' },
+  impact: { type: 'enum', values: RISK_LEVELS },
+  riskStatus: { type: 'enum', values: RISK_STATUSES },
+  frameworkIds: { type: 'list' },
+  controlStatus: { type: 'enum', values: CONTROL_STATUSES }
+};
+
+function label(value) {
+  if (value === null || value === undefined) return '';
+  return String(value)
+    .toLowerCase()
+    .split('_')
+    .map(word => word.charAt(0).toUpperCase() + word.slice(1))
+    .join(' ');
+}
+
+function percent(part, total) {
+  return total > 0 ? Math.round((part / total) * 100) : 0;
+}
+
+function average(values) {
+  return values.length > 0 ? values.reduce((sum, value) => sum + value, 0) / values.length : 0;
+}
+
+/**
+ * Count rows per value of `key`, in the order of `colors`
+ */
+function distribution(rows, key, colors) {
+  return Object.keys(colors).map(value => ({
+    label: label(value),
+    value: rows.filter(row => row[key] === value).length,
+    color: colors[value]
+  }));
+}
+
+/**
+ * The `limit` most frequent values of `key`
+ */
+function topValues(rows, key, format = label, limit = 5) {
+  const counts = new Map();
+  rows.forEach(row => {
+    const value = row[key] || 'Unknown';
+    counts.set(value, (counts.get(value) || 0) + 1);
+  });
+
+  return [...counts.entries()]
+    .sort((a, b) => b[1] - a[1])
+    .slice(0, limit)
+    .map(([value, count]) => ({ label: format(value), value: count, color: CHART_COLOR }));
+}
+
+function formatDay(date) {
+  return new Date(date).toISOString().split('T')[0];
+}
+
+function signed(value) {
+  if (value === null || value === undefined) return null;
+  return value > 0 ? `+${value}` : String(value);
+}
+
+/**
+ * Whether a finding was open at a point in time
+ *
+ * Findings closed before their closing date was recorded have no
+ * resolvedAt and count as closed throughout.
+ */
+function isOpenAt(finding, date) {
+  if (new Date(finding.detectedAt) > date) return false;
+  return finding.resolvedAt
+    ? new Date(finding.resolvedAt) > date
+    : OPEN_FINDING_STATUSES.includes(finding.status);
+}
+
+/**
+ * Date by which a finding must be remediated: its SLA due date, or the
+ * CISA KEV due date of its vulnerability when the policy sets no SLA
+ */
+function findingDueDate(finding) {
+  if (finding.dueDate) return new Date(finding.dueDate);
+  return finding.vulnerability.kevDueDate ? new Date(finding.vulnerability.kevDueDate) : null;
+}
+
+/**
+ * Posture figures of the executive report for one period
+ *
+ * Open findings and SLA breaches are counted as of the end of the period,
+ * everything else over the period.
+ */
+function periodStats(data, { from, to }) {
+  const within = date => Boolean(date) && new Date(date) >= from && new Date(date) <= to;
+  const open = data.findings.filter(finding => isOpenAt(finding, to));
+  const remediated = data.findings.filter(finding => finding.status === 'MITIGATED' && within(finding.resolvedAt));
+  const remediationDays = remediated.map(finding => (new Date(finding.resolvedAt) - new Date(finding.detectedAt)) / DAY_MS);
+
+  return {
+    openFindings: open.length,
+    criticalOpen: open.filter(finding => ['CRITICAL', 'HIGH'].includes(finding.vulnerability.severity)).length,
+    newFindings: data.findings.filter(finding => within(finding.detectedAt)).length,
+    remediatedFindings: remediated.length,
+    mttrDays: remediated.length > 0 ? Math.round(average(remediationDays)) : null,
+    slaBreaches: open.filter(finding => findingDueDate(finding) && findingDueDate(finding) < to).length,
+    newAssets: data.assets.filter(asset => within(asset.createdAt)).length,
+    newRisks: data.risks.filter(risk => within(risk.createdAt)).length
+  };
+}
+
+/**
+ * Split a period into week-long buckets ending at its end; longer periods
+ * get multi-week buckets so there are at most MAX_TREND_POINTS of them
+ */
+function periodBuckets({ from, to }) {
+  const weeks = Math.max(1, Math.ceil((to - from) / (MAX_TREND_POINTS * 7 * DAY_MS)));
+  const step = weeks * 7 * DAY_MS;
+  const buckets = [];
+
+  for (let end = to.getTime(); end > from.getTime(); end -= step) {
+    buckets.unshift({ from: new Date(Math.max(from.getTime(), end - step + 1)), to: new Date(end) });
+  }
+  return buckets;
+}
+
+function changeText(current, previous) {
+  if (current === null || previous === null) return undefined;
+  return current === previous ? 'No change' : `${signed(current - previous)} vs previous period`;
+}
+
+function openRisks(data) {
+  return data.risks
+    .filter(risk => !CLOSED_RISK_STATUSES.includes(risk.status))
+    .sort((a, b) => b.riskScore - a.riskScore);
+}
+
+const PERIOD_METRICS = [
+  { key: 'openFindings', label: 'Open findings' },
+  { key: 'criticalOpen', label: 'Open critical / high findings' },
+  { key: 'newFindings', label: 'New findings' },
+  { key: 'remediatedFindings', label: 'Remediated findings' },
+  { key: 'mttrDays', label: 'Mean time to remediate (days)' },
+  { key: 'slaBreaches', label: 'SLA breaches' },
+  { key: 'newAssets', label: 'New assets' },
+  { key: 'newRisks', label: 'New risks' }
+];
+
+function findingRow(asset, vulnerability, finding) {
+  return { asset: asset || {}, vulnerability: vulnerability || {}, finding };
+}
+
+function countControls(row, status) {
+  return (row.controls || []).filter(control => control.status === status).length;
+}
+
+const ASSET_COLUMNS = {
+  name: { header: 'Name', type: 'string', width: 30, value: row => row.name },
+  type: { header: 'Type', type: 'string', width: 16, value: row => label(row.type) },
+  criticality: { header: 'Criticality', type: 'level', width: 12, colors: CRITICALITY_COLORS, value: row => row.criticality },
+  status: { header: 'Status', type: 'string', width: 12, value: row => label(row.status) },
+  ipAddress: { header: 'IP Address', type: 'string', width: 16, value: row => row.ipAddress },
+  hostname: { header: 'Hostname', type: 'string', width: 24, value: row => row.hostname },
+  operatingSystem: { header: 'Operating System', type: 'string', width: 20, value: row => row.operatingSystem },
+  owner: { header: 'Owner', type: 'string', width: 18, value: row => row.owner },
+  riskScore: { header: 'Risk Score', type: 'number', width: 11, value: row => row.riskScore },
+  vulnerabilityCount: { header: 'Vulnerabilities', type: 'integer', width: 14, value: row => row.vulnerabilityCount },
+  lastSeen: { header: 'Last Seen', type: 'date', width: 12, value: row => row.lastSeen },
+  tags: { header: 'Tags', type: 'string', width: 24, value: row => (row.tags || []).join(', ') }
+};
+
+const VULNERABILITY_COLUMNS = {
+  cveId: { header: 'CVE', type: 'string', width: 16, value: row => row.cveId },
+  title: { header: 'Title', type: 'string', width: 40, value: row => row.title },
+  severity: { header: 'Severity', type: 'level', width: 11, colors: SEVERITY_COLORS, value: row => row.severity },
+  cvssScore: { header: 'CVSS', type: 'number', width: 8, value: row => row.cvssScore },
+  cvssVector: { header: 'CVSS Vector', type: 'string', width: 36, value: row => row.cvssVector },
+  epssScore: { header: 'EPSS', type: 'percent', width: 9, value: row => row.epssScore },
+  knownExploited: { header: 'Known Exploited', type: 'boolean', width: 15, value: row => row.knownExploited },
+  kevDueDate: { header: 'KEV Due Date', type: 'date', width: 13, value: row => row.kevDueDate },
+  exploitAvailable: { header: 'Exploit Available', type: 'boolean', width: 16, value: row => row.exploitAvailable },
+  patchAvailable: { header: 'Patch Available', type: 'boolean', width: 15, value: row => row.patchAvailable },
+  category: { header: 'Category', type: 'string', width: 16, value: row => row.category },
+  publishedDate: { header: 'Published', type: 'date', width: 12, value: row => row.publishedDate },
+  affectedAssets: { header: 'Affected Assets', type: 'integer', width: 15, value: row => (row.affectedAssets || []).length },
+  solution: { header: 'Solution', type: 'string', width: 40, value: row => row.solution }
+};
+
+const FINDING_COLUMNS = {
+  asset: { header: 'Asset', type: 'string', width: 30, value: row => row.asset.name },
+  assetCriticality: { header: 'Asset Criticality', type: 'level', width: 16, colors: CRITICALITY_COLORS, value: row => row.asset.criticality },
+  cveId: { header: 'CVE', type: 'string', width: 16, value: row => row.vulnerability.cveId },
+  vulnerability: { header: 'Vulnerability', type: 'string', width: 40, value: row => row.vulnerability.title },
+  severity: { header: 'Severity', type: 'level', width: 11, colors: SEVERITY_COLORS, value: row => row.vulnerability.severity },
+  cvssScore: { header: 'CVSS', type: 'number', width: 8, value: row => row.vulnerability.cvssScore },
+  status: { header: 'Status', type: 'string', width: 16, value: row => label(row.finding.status) },
+  detectedAt: { header: 'Detected', type: 'date', width: 12, value: row => row.finding.detectedAt },
+  resolvedAt: { header: 'Resolved', type: 'date', width: 12, value: row => row.finding.resolvedAt },
+  notes: { header: 'Notes', type: 'string', width: 30, value: row => row.finding.notes }
+};
+
+const RISK_COLUMNS = {
+  title: { header: 'Title', type: 'string', width: 40, value: row => row.title },
+  category: { header: 'Category', type: 'string', width: 16, value: row => label(row.category) },
+  likelihood: { header: 'Likelihood', type: 'level', width: 12, colors: LEVEL_COLORS, value: row => row.likelihood },
+  impact: { header: 'Impact', type: 'level', width: 12, colors: LEVEL_COLORS, value: row => row.impact },
+  riskScore: { header: 'Risk Score', type: 'number', width: 11, value: row => row.riskScore },
+  status: { header: 'Status', type: 'string', width: 12, value: row => label(row.status) },
+  owner: { header: 'Owner', type: 'string', width: 18, value: row => row.ownerName },
+  dueDate: { header: 'Due Date', type: 'date', width: 12, value: row => row.dueDate },
+  relatedAssets: { header: 'Related Assets', type: 'integer', width: 14, value: row => (row.relatedAssets || []).length },
+  relatedVulnerabilities: { header: 'Related Vulnerabilities', type: 'integer', width: 21, value: row => (row.relatedVulnerabilities || []).length },
+  mitigationPlan: { header: 'Mitigation Plan', type: 'string', width: 40, value: row => row.mitigationPlan }
+};
+
+const FRAMEWORK_COLUMNS = {
+  name: { header: 'Framework', type: 'string', width: 30, value: row => row.name },
+  version: { header: 'Version', type: 'string', width: 10, value: row => row.version },
+  status: { header: 'Status', type: 'string', width: 10, value: row => label(row.status) },
+  complianceScore: { header: 'Compliance Score', type: 'percent', width: 17, value: row => (row.complianceScore || 0) / 100 },
+  controls: { header: 'Controls', type: 'integer', width: 10, value: row => (row.controls || []).length },
+  implemented: { header: 'Implemented', type: 'integer', width: 12, value: row => countControls(row, 'IMPLEMENTED') },
+  partial: { header: 'Partial', type: 'integer', width: 10, value: row => countControls(row, 'PARTIAL') },
+  missing: { header: 'Missing', type: 'integer', width: 10, value: row => countControls(row, 'NOT_IMPLEMENTED') },
+  lastAssessedAt: { header: 'Last Assessed', type: 'date', width: 14, value: row => row.lastAssessedAt }
+};
+
+const CONTROL_COLUMNS = {
+  framework: { header: 'Framework', type: 'string', width: 30, value: row => row.framework },
+  controlId: { header: 'Control', type: 'string', width: 12, value: row => row.controlId },
+  title: { header: 'Title', type: 'string', width: 40, value: row => row.title },
+  category: { header: 'Category', type: 'string', width: 20, value: row => row.category },
+  status: { header: 'Status', type: 'level', width: 16, colors: CONTROL_STATUS_COLORS, value: row => row.status },
+  evidence: { header: 'Evidence', type: 'integer', width: 10, value: row => (row.evidence || []).length },
+  lastAssessedAt: { header: 'Last Assessed', type: 'date', width: 14, value: row => row.lastAssessedAt },
+  notes: { header: 'Notes', type: 'string', width: 30, value: row => row.notes }
+};
+
+const COMPARISON_COLUMNS = {
+  metric: { header: 'Metric', type: 'string', width: 36, value: row => row.metric },
+  current: { header: 'This Period', type: 'integer', width: 12, value: row => row.current },
+  previous: { header: 'Previous Period', type: 'integer', width: 15, value: row => row.previous },
+  change: { header: 'Change', type: 'integer', width: 10, value: row => row.change }
+};
+
+const TREND_COLUMNS = {
+  periodEnd: { header: 'Period Ending', type: 'date', width: 14, value: row => row.periodEnd },
+  openFindings: { header: 'Open Findings', type: 'integer', width: 14, value: row => row.openFindings },
+  newFindings: { header: 'New Findings', type: 'integer', width: 13, value: row => row.newFindings },
+  remediatedFindings: { header: 'Remediated', type: 'integer', width: 12, value: row => row.remediatedFindings },
+  mttrDays: { header: 'MTTR (days)', type: 'integer', width: 12, value: row => row.mttrDays },
+  slaBreaches: { header: 'SLA Breaches', type: 'integer', width: 13, value: row => row.slaBreaches },
+  newAssets: { header: 'New Assets', type: 'integer', width: 11, value: row => row.newAssets },
+  newRisks: { header: 'New Risks', type: 'integer', width: 10, value: row => row.newRisks }
+};
+
+const RISK_MATRIX_COLUMNS = {
+  likelihood: { header: 'Likelihood', type: 'level', width: 14, colors: LEVEL_COLORS, value: row => row.likelihood },
+  veryLow: { header: 'Very Low Impact', type: 'integer', width: 14, value: row => row.VERY_LOW },
+  low: { header: 'Low Impact', type: 'integer', width: 14, value: row => row.LOW },
+  medium: { header: 'Medium Impact', type: 'integer', width: 14, value: row => row.MEDIUM },
+  high: { header: 'High Impact', type: 'integer', width: 14, value: row => row.HIGH },
+  veryHigh: { header: 'Very High Impact', type: 'integer', width: 14, value: row => row.VERY_HIGH }
+};
+
+const definitions = {
+  vulnerabilities: {
+    title: 'Vulnerability Report',
+    filters: ['dateFrom', 'dateTo', 'severity', 'findingStatus', 'assetTags', 'knownExploited'],
+    summarize(rows) {
+      const critical = rows.filter(row => row.severity === 'CRITICAL').length;
+      const high = rows.filter(row => row.severity === 'HIGH').length;
+      const knownExploited = rows.filter(row => row.knownExploited).length;
+      const patchable = rows.filter(row => row.patchAvailable).length;
+
+      return {
+        metrics: [
+          { label: 'Vulnerabilities', value: rows.length },
+          { label: 'Critical / High', value: critical + high },
+          { label: 'Known Exploited', value: knownExploited },
+          { label: 'Patch Available', value: `${percent(patchable, rows.length)}%` }
+        ],
+        highlights: [
+          `${rows.length} vulnerabilities are tracked, ${critical} of them critical and ${high} high severity.`,
+          `${knownExploited} are listed in the CISA Known Exploited Vulnerabilities catalog and should be remediated first.`,
+          `A vendor patch is available for ${patchable} vulnerabilities (${percent(patchable, rows.length)}%).`
+        ]
+      };
+    },
+    charts: {
+      severity: { title: 'Vulnerabilities by Severity', items: rows => distribution(rows, 'severity', SEVERITY_COLORS) },
+      categories: { title: 'Top Categories', items: rows => topValues(rows, 'category', String) }
+    },
+    entities: {
+      vulnerabilities: { title: 'Vulnerabilities', rows: data => data, columns: VULNERABILITY_COLUMNS },
+      findings: {
+        title: 'Findings',
+        rows: data => data.flatMap(vulnerability => (vulnerability.affectedAssets || [])
+          .map(finding => findingRow(finding.asset, vulnerability, finding))),
+        columns: FINDING_COLUMNS
+      }
+    },
+    defaultTemplate: {
+      sections: [
+        { type: 'summary' },
+        { type: 'chart', chart: 'severity' },
+        { type: 'chart', chart: 'categories' },
+        { type: 'table', entity: 'vulnerabilities' },
+        { type: 'table', entity: 'findings' }
+      ]
+    }
+  },
+
+  assets: {
+    title: 'Asset Inventory Report',
+    filters: ['dateFrom', 'dateTo', 'assetType', 'criticality', 'assetTags', 'severity', 'findingStatus'],
+    summarize(rows) {
+      const critical = rows.filter(row => row.criticality === 'CRITICAL').length;
+      const vulnerable = rows.filter(row => row.vulnerabilityCount > 0).length;
+      const averageRisk = average(rows.map(row => row.riskScore || 0));
+
+      return {
+        metrics: [
+          { label: 'Assets', value: rows.length },
+          { label: 'Critical Assets', value: critical },
+          { label: 'With Vulnerabilities', value: vulnerable },
+          { label: 'Average Risk Score', value: averageRisk.toFixed(1) }
+        ],
+        highlights: [
+          `${rows.length} assets are in the inventory, ${critical} of them business critical.`,
+          `${vulnerable} assets (${percent(vulnerable, rows.length)}%) have at least one known vulnerability.`,
+          `The average asset risk score is ${averageRisk.toFixed(1)}.`
+        ]
+      };
+    },
+    charts: {
+      criticality: { title: 'Assets by Criticality', items: rows => distribution(rows, 'criticality', CRITICALITY_COLORS) },
+      types: { title: 'Assets by Type', items: rows => topValues(rows, 'type') }
+    },
+    entities: {
+      assets: { title: 'Assets', rows: data => data, columns: ASSET_COLUMNS },
+      findings: {
+        title: 'Findings',
+        rows: data => data.flatMap(asset => (asset.vulnerabilities || [])
+          .map(finding => findingRow(asset, finding.vulnerability, finding))),
+        columns: FINDING_COLUMNS
+      }
+    },
+    defaultTemplate: {
+      sections: [
+        { type: 'summary' },
+        { type: 'chart', chart: 'criticality' },
+        { type: 'chart', chart: 'types' },
+        { type: 'table', entity: 'assets' },
+        { type: 'table', entity: 'findings' }
+      ]
+    }
+  },
+
+  risks: {
+    title: 'Risk Assessment Report',
+    filters: ['dateFrom', 'dateTo', 'impact', 'riskStatus', 'assetTags'],
+    summarize(rows, now = new Date()) {
+      const open = rows.filter(row => !CLOSED_RISK_STATUSES.includes(row.status));
+      const severe = open.filter(row => ['HIGH', 'VERY_HIGH'].includes(row.impact)).length;
+      const overdue = open.filter(row => row.dueDate && new Date(row.dueDate) < now).length;
+
+      return {
+        metrics: [
+          { label: 'Risks', value: rows.length },
+          { label: 'Open', value: open.length },
+          { label: 'High Impact (Open)', value: severe },
+          { label: 'Overdue', value: overdue }
+        ],
+        highlights: [
+          `${open.length} of ${rows.length} risks are still open.`,
+          `${severe} open risks have a high or very high impact.`,
+          overdue > 0
+            ? `${overdue} open risks are past their mitigation due date.`
+            : 'No open risk is past its mitigation due date.'
+        ]
+      };
+    },
+    charts: {
+      impact: { title: 'Risks by Impact', items: rows => distribution(rows, 'impact', LEVEL_COLORS) },
+      status: { title: 'Risks by Status', items: rows => topValues(rows, 'status') }
+    },
+    entities: {
+      risks: { title: 'Risks', rows: data => data, columns: RISK_COLUMNS }
+    },
+    defaultTemplate: {
+      sections: [
+        { type: 'summary' },
+        { type: 'chart', chart: 'impact' },
+        { type: 'chart', chart: 'status' },
+        { type: 'table', entity: 'risks' }
+      ]
+    }
+  },
+
+  compliance: {
+    title: 'Compliance Report',
+    filters: ['dateFrom', 'dateTo', 'frameworkIds', 'controlStatus'],
+    summarize(rows) {
+      const controls = rows.flatMap(row => row.controls || []);
+      const implemented = controls.filter(control => control.status === 'IMPLEMENTED').length;
+      const missing = controls.filter(control => control.status === 'NOT_IMPLEMENTED').length;
+      const averageScore = average(rows.map(row => row.complianceScore || 0));
+
+      return {
+        metrics: [
+          { label: 'Frameworks', value: rows.length },
+          { label: 'Average Score', value: `${averageScore.toFixed(0)}%` },
+          { label: 'Controls Implemented', value: `${implemented} / ${controls.length}` },
+          { label: 'Controls Missing', value: missing }
+        ],
+        highlights: [
+          `${rows.length} compliance frameworks are assessed with an average score of ${averageScore.toFixed(0)}%.`,
+          `${implemented} of ${controls.length} controls (${percent(implemented, controls.length)}%) are fully implemented.`,
+          `${missing} controls are not implemented yet.`
+        ]
+      };
+    },
+    charts: {
+      controlStatus: {
+        title: 'Controls by Status',
+        items: rows => distribution(rows.flatMap(row => row.controls || []), 'status', CONTROL_STATUS_COLORS)
+      },
+      frameworkScores: {
+        title: 'Score by Framework (%)',
+        items: rows => rows.map(row => ({
+          label: row.name,
+          value: Math.round(row.complianceScore || 0),
+          color: CHART_COLOR
+        }))
+      }
+    },
+    entities: {
+      frameworks: { title: 'Frameworks', rows: data => data, columns: FRAMEWORK_COLUMNS },
+      controls: {
+        title: 'Controls',
+        rows: data => data.flatMap(framework => (framework.controls || [])
+          .map(control => ({ ...control, framework: framework.name }))),
+        columns: CONTROL_COLUMNS
+      }
+    },
+    defaultTemplate: {
+      sections: [
+        { type: 'summary' },
+        { type: 'chart', chart: 'controlStatus' },
+        { type: 'chart', chart: 'frameworkScores' },
+        { type: 'table', entity: 'frameworks' },
+        { type: 'table', entity: 'controls' }
+      ]
+    }
+  },
+
+  // Unlike the other types, the data is one object (see loadExecutive in
+  // reportData.js) covering the reporting period and the one before it
+  executive: {
+    title: 'Executive CTEM Posture Report',
+    filters: ['dateFrom', 'dateTo'],
+    compact: true,
+    summarize(data) {
+      const current = periodStats(data, data.period);
+      const previous = periodStats(data, data.previousPeriod);
+      const risks = openRisks(data);
+      const severeRisks = risks.filter(risk => ['HIGH', 'VERY_HIGH'].includes(risk.impact)).length;
+      const complianceScore = average(data.frameworks.map(framework => framework.complianceScore || 0));
+
+      return {
+        metrics: [
+          {
+            label: 'Open Findings',
+            value: current.openFindings,
+            change: changeText(current.openFindings, previous.openFindings)
+          },
+          {
+            label: 'MTTR (days)',
+            value: current.mttrDays === null ? 'n/a' : current.mttrDays,
+            change: changeText(current.mttrDays, previous.mttrDays)
+          },
+          {
+            label: 'SLA Breaches',
+            value: current.slaBreaches,
+            change: changeText(current.slaBreaches, previous.slaBreaches)
+          },
+          { label: 'Compliance Score', value: `${complianceScore.toFixed(0)}%` }
+        ],
+        highlights: [
+          `From ${formatDay(data.period.from)} to ${formatDay(data.period.to)}, ${current.newFindings} findings were detected `
+            + `and ${current.remediatedFindings} remediated; ${current.openFindings} remain open, `
+            + `${current.criticalOpen} of them critical or high severity.`,
+          current.mttrDays === null
+            ? 'No finding was remediated during the period.'
+            : `Findings were remediated in ${current.mttrDays} days on average`
+              + (previous.mttrDays === null ? '.' : `, against ${previous.mttrDays} days in the previous period.`),
+          current.slaBreaches > 0
+            ? `${current.slaBreaches} open findings are past their remediation due date.`
+            : 'No open finding is past its remediation due date.',
+          `${risks.length} risks are open, ${severeRisks} of them with a high or very high impact.`,
+          `The ${data.frameworks.length} active compliance frameworks score ${complianceScore.toFixed(0)}% on average.`
+        ]
+      };
+    },
+    charts: {
+      openFindings: {
+        title: 'Open Findings Over Time',
+        items: data => periodBuckets(data.period).map(bucket => ({
+          label: formatDay(bucket.to),
+          value: data.findings.filter(finding => isOpenAt(finding, bucket.to)).length,
+          color: CHART_COLOR
+        }))
+      },
+      severity: {
+        title: 'Open Findings by Severity',
+        items: data => distribution(
+          data.findings.filter(finding => isOpenAt(finding, data.period.to)).map(finding => finding.vulnerability),
+          'severity',
+          SEVERITY_COLORS
+        )
+      },
+      frameworkScores: {
+        title: 'Score by Framework (%)',
+        items: data => data.frameworks.map(framework => ({
+          label: framework.name,
+          value: Math.round(framework.complianceScore || 0),
+          color: CHART_COLOR
+        }))
+      }
+    },
+    entities: {
+      comparison: {
+        title: 'Period over Period',
+        rows: data => {
+          const current = periodStats(data, data.period);
+          const previous = periodStats(data, data.previousPeriod);
+          return PERIOD_METRICS.map(({ key, label: metric }) => ({
+            metric,
+            current: current[key],
+            previous: previous[key],
+            change: current[key] === null || previous[key] === null ? null : current[key] - previous[key]
+          }));
+        },
+        columns: COMPARISON_COLUMNS
+      },
+      trend: {
+        title: 'Trend',
+        rows: data => periodBuckets(data.period).map(bucket => ({ periodEnd: bucket.to, ...periodStats(data, bucket) })),
+        columns: TREND_COLUMNS
+      },
+      topRisks: {
+        title: `Top ${TOP_RISK_COUNT} Risks`,
+        rows: data => openRisks(data).slice(0, TOP_RISK_COUNT),
+        columns: RISK_COLUMNS
+      },
+      riskMatrix: {
+        title: 'Risk Matrix (Open Risks)',
+        rows: data => {
+          const risks = openRisks(data);
+          return RISK_LEVELS.map(likelihood => ({
+            likelihood,
+            ...Object.fromEntries(RISK_LEVELS.map(impact => [
+              impact,
+              risks.filter(risk => risk.likelihood === likelihood && risk.impact === impact).length
+            ]))
+          }));
+        },
+        columns: RISK_MATRIX_COLUMNS
+      },
+      frameworks: { title: 'Compliance Frameworks', rows: data => data.frameworks, columns: FRAMEWORK_COLUMNS }
+    },
+    defaultTemplate: {
+      sections: [
+        { type: 'summary' },
+        { type: 'chart', chart: 'openFindings' },
+        { type: 'chart', chart: 'severity' },
+        { type: 'table', entity: 'comparison' },
+        { type: 'table', entity: 'topRisks', columns: ['title', 'category', 'likelihood', 'impact', 'riskScore', 'owner', 'dueDate'] },
+        { type: 'table', entity: 'riskMatrix' },
+        { type: 'table', entity: 'frameworks', columns: ['name', 'version', 'complianceScore', 'implemented', 'partial', 'missing'] }
+      ]
+    }
+  }
+};
+
+const REPORT_TYPES = Object.keys(definitions);
+
+/**
+ * Definition for a report type (case-insensitive)
+ *
+ * @throws {Error} For unknown report types
+ */
+function getReportDefinition(type) {
+  const definition = definitions[type.toLowerCase()];
+  if (!definition) {
+    throw new Error(`Unsupported report type: ${type}`);
+  }
+  return definition;
+}
+
+/**
+ * Check report filters against the filters of a report type
+ *
+ * @returns {string[]} Problems found, empty when the filters are valid
+ */
+function validateFilters(type, filters) {
+  if (filters === null || filters === undefined) return [];
+  if (typeof filters !== 'object' || Array.isArray(filters)) {
+    return ['Filters must be an object'];
+  }
+
+  const allowed = getReportDefinition(type).filters;
+  const errors = [];
+
+  Object.entries(filters).forEach(([key, value]) => {
+    if (!allowed.includes(key)) {
+      errors.push(`Unknown filter "${key}" for ${type.toLowerCase()} reports`);
+      return;
+    }
+    if (value === null || value === '') return;
+
+    const filter = FILTERS[key];
+    const values = Array.isArray(value) ? value : [value];
+    switch (filter.type) {
+      case 'date':
+        if (Number.isNaN(new Date(value).getTime())) errors.push(`Filter "${key}" must be a date`);
+        break;
+      case 'boolean':
+        if (![true, false, 'true', 'false'].includes(value)) errors.push(`Filter "${key}" must be true or false`);
+        break;
+      case 'enum':
+        if (values.some(item => !filter.values.includes(String(item).toUpperCase()))) {
+          errors.push(`Filter "${key}" must be one of ${filter.values.join(', ')}`);
+        }
+        break;
+      default:
+        if (values.some(item => typeof item !== 'string')) errors.push(`Filter "${key}" must be a list of strings`);
+    }
+  });
+
+  if (filters.dateFrom && filters.dateTo && new Date(filters.dateFrom) > new Date(filters.dateTo)) {
+    errors.push('Filter "dateFrom" must not be after "dateTo"');
+  }
+
+  return errors;
+}
+
+/**
+ * Check template sections against the catalog of a report type
+ *
+ * @returns {string[]} Problems found, empty when the sections are valid
+ */
+function validateSections(type, sections) {
+  if (!Array.isArray(sections) || sections.length === 0) {
+    return ['Sections must be a non-empty array'];
+  }
+
+  const definition = getReportDefinition(type);
+  const errors = [];
+
+  sections.forEach((section, index) => {
+    const where = `Section ${index + 1}`;
+    if (!section || typeof section !== 'object') {
+      errors.push(`${where} must be an object`);
+      return;
+    }
+    if (section.title !== undefined && typeof section.title !== 'string') {
+      errors.push(`${where}: title must be a string`);
+    }
+
+    switch (section.type) {
+      case 'summary':
+        break;
+      case 'chart':
+        if (!definition.charts[section.chart]) {
+          errors.push(`${where}: chart must be one of ${Object.keys(definition.charts).join(', ')}`);
+        }
+        break;
+      case 'table': {
+        const entity = definition.entities[section.entity];
+        if (!entity) {
+          errors.push(`${where}: entity must be one of ${Object.keys(definition.entities).join(', ')}`);
+          break;
+        }
+        if (section.columns !== undefined) {
+          if (!Array.isArray(section.columns) || section.columns.length === 0) {
+            errors.push(`${where}: columns must be a non-empty array`);
+          } else {
+            const unknown = section.columns.filter(column => !entity.columns[column]);
+            if (unknown.length > 0) {
+              errors.push(`${where}: unknown columns ${unknown.join(', ')}`);
+            }
+          }
+        }
+        break;
+      }
+      default:
+        errors.push(`${where}: type must be one of summary, chart, table`);
+    }
+  });
+
+  return errors;
+}
+
+/**
+ * What templates can use per report type, for template editors
+ */
+function describeCatalog() {
+  return Object.fromEntries(REPORT_TYPES.map(type => {
+    const definition = definitions[type];
+    return [type, {
+      title: definition.title,
+      filters: definition.filters.map(key => ({ key, ...FILTERS[key] })),
+      charts: Object.entries(definition.charts).map(([key, chart]) => ({ key, title: chart.title })),
+      entities: Object.entries(definition.entities).map(([key, entity]) => ({
+        key,
+        title: entity.title,
+        columns: Object.entries(entity.columns).map(([columnKey, column]) => ({
+          key: columnKey,
+          header: column.header,
+          type: column.type
+        }))
+      })),
+      defaultTemplate: definition.defaultTemplate
+    }];
+  }));
+}
+
+module.exports = {
+  FILTERS,
+  REPORT_TYPES,
+  label,
+  getReportDefinition,
+  validateFilters,
+  validateSections,
+  describeCatalog
+};
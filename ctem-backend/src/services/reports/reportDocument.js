@@ -0,0 +1,146 @@
+const { getReportDefinition, label } = require('./reportDefinitions');
+
+/**
+ * Report document built from a template
+ *
+ * The document is the format-independent result of applying a template's
+ * sections to the loaded rows. Every renderer (HTML, PDF, CSV, XLSX) lays
+ * out the same document:
+ *
+ *   { title, name, description, organizationName, generatedAt, compact, sections }
+ *
+ * where sections are
+ *   { type: 'summary', title, metrics: [{ label, value, change }], highlights }
+ *   { type: 'chart', title, items: [{ label, value, color }] }
+ *   { type: 'table', title, columns: [{ key, header, type, width, colors }], rows }
+ *
+ * Table rows are arrays of typed cell values: numbers, Dates, booleans,
+ * strings or null. Level cells hold their label and `colors` is keyed by
+ * label. A metric's optional `change` describes its change since the
+ * previous period; `compact` documents are laid out without page breaks
+ * between sections.
+ */
+
+function cellValue(column, row) {
+  const value = column.value(row);
+  if (value === null || value === undefined || value === '') return null;
+
+  switch (column.type) {
+    case 'number':
+    case 'integer':
+    case 'percent': {
+      const number = Number(value);
+      return Number.isNaN(number) ? null : number;
+    }
+    case 'date':
+      return new Date(value);
+    case 'boolean':
+      return Boolean(value);
+    case 'level':
+      return label(value);
+    default:
+      return String(value);
+  }
+}
+
+function buildTable(definition, section, data) {
+  const entity = definition.entities[section.entity];
+  const keys = section.columns || Object.keys(entity.columns);
+  const columns = keys.map(key => {
+    const column = entity.columns[key];
+    return {
+      key,
+      header: column.header,
+      type: column.type,
+      width: column.width,
+      ...(column.colors && {
+        colors: Object.fromEntries(Object.entries(column.colors).map(([value, color]) => [label(value), color]))
+      }),
+      value: column.value
+    };
+  });
+
+  return {
+    type: 'table',
+    title: section.title || entity.title,
+    columns: columns.map(({ value, ...column }) => column),
+    rows: entity.rows(data).map(row => columns.map(column => cellValue(column, row)))
+  };
+}
+
+/**
+ * Apply a template to the rows of a report
+ *
+ * @param {Object} options
+ * @param {string} options.type - Report type
+ * @param {Object} options.template - Template with `sections` (validated)
+ * @param {Array<Object>} options.data - Rows from loadReportData
+ * @param {string} [options.name] - Report name
+ * @param {string} [options.description]
+ * @param {string} [options.organizationName] - Branding from general.organizationName
+ * @param {Date} [options.generatedAt]
+ * @returns {Object} Report document
+ */
+function buildReportDocument({ type, template, data, name, description, organizationName, generatedAt = new Date() }) {
+  const definition = getReportDefinition(type);
+
+  const sections = template.sections.map(section => {
+    switch (section.type) {
+      case 'summary':
+        return {
+          type: 'summary',
+          title: section.title || 'Executive Summary',
+          ...definition.summarize(data, generatedAt)
+        };
+      case 'chart': {
+        const chart = definition.charts[section.chart];
+        return { type: 'chart', title: section.title || chart.title, items: chart.items(data) };
+      }
+      case 'table':
+        return buildTable(definition, section, data);
+      default:
+        throw new Error(`Unsupported section type: ${section.type}`);
+    }
+  });
+
+  return {
+    type: type.toLowerCase(),
+    title: definition.title,
+    name,
+    description,
+    organizationName,
+    generatedAt,
+    compact: Boolean(definition.compact),
+    sections
+  };
+}
+
+/**
+ * Cell value as text, for renderers without typed cells
+ */
+function formatCell(column, value) {
+  if (value === null || value === undefined) return '';
+
+  switch (column.type) {
+    case 'number':
+      return value.toFixed(1);
+    case 'percent':
+      return `${(value * 100).toFixed(1)}%`;
+    case 'date':
+      return value.toISOString().split('T')[0];
+    case 'boolean':
+      return value ? 'Yes' : 'No';
+    default:
+      return String(value);
+  }
+}
+
+function formatTimestamp(date) {
+  return `${date.toISOString().replace('T', ' ').slice(0, 16)} UTC`;
+}
+
+module.exports = {
+  buildReportDocument,
+  formatCell,
+  formatTimestamp
+};
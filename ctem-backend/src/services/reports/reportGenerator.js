@@ -0,0 +1,67 @@
+const { PrismaClient } = require('@prisma/client');
+const { resolveTemplate } = require('./reportTemplates');
+const { loadReportData } = require('./reportData');
+const { buildReportDocument } = require('./reportDocument');
+const { renderPdfReport } = require('./pdfReport');
+const { renderXlsxReport } = require('./xlsxReport');
+const { renderHtmlReport } = require('./htmlReport');
+const { renderCsvReport } = require('./csvReport');
+
+const prisma = new PrismaClient();
+
+const renderers = {
+  pdf: renderPdfReport,
+  excel: renderXlsxReport,
+  csv: renderCsvReport,
+  html: renderHtmlReport
+};
+
+async function getOrganizationName() {
+  const setting = await prisma.systemSetting.findUnique({ where: { key: 'general.organizationName' } });
+  if (!setting) return '';
+  try {
+    return JSON.parse(setting.value);
+  } catch (error) {
+    return setting.value;
+  }
+}
+
+/**
+ * Render a report in its format
+ *
+ * The report's template decides the sections; its filters are the defaults
+ * that the report's own parameters override.
+ *
+ * @param {Object} report - Report with type, format, parameters, templateId, name and description
+ * @returns {Promise<Buffer|string>} File contents
+ */
+async function generateReportContent(report) {
+  const format = report.format.toLowerCase();
+  const render = renderers[format];
+  if (!render) {
+    throw new Error(`Unsupported format: ${report.format}`);
+  }
+
+  const template = await resolveTemplate(report.type, report.templateId);
+  const filters = { ...(template.filters || {}), ...(report.parameters || {}) };
+
+  const [data, organizationName] = await Promise.all([
+    loadReportData(report.type, filters),
+    getOrganizationName()
+  ]);
+
+  const document = buildReportDocument({
+    type: report.type,
+    template,
+    data,
+    name: report.name,
+    description: report.description,
+    organizationName
+  });
+
+  return render(document);
+}
+
+module.exports = {
+  generateReportContent
+};
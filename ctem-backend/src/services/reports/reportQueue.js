@@ -0,0 +1,35 @@
+const { PrismaClient } = require('@prisma/client');
+const jobQueue = require('../queue/jobQueue');
+
+const prisma = new PrismaClient();
+
+const REPORT_QUEUE = 'report';
+
+/**
+ * Create a pending Report and queue it for the report workers
+ *
+ * @param {Object} data - Report fields; type and format in lower case as accepted by the API
+ * @returns {Promise<Object>} Created report
+ */
+async function queueReport({ type, format, parameters = {}, ...data }) {
+  const report = await prisma.report.create({
+    data: {
+      ...data,
+      type: type.toUpperCase(),
+      format: format.toUpperCase(),
+      status: 'PENDING',
+      parameters
+    }
+  });
+
+  await jobQueue.enqueue(REPORT_QUEUE, { reportId: report.id, type, format, parameters }, {
+    resourceId: report.id
+  });
+
+  return report;
+}
+
+module.exports = {
+  REPORT_QUEUE,
+  queueReport
+};
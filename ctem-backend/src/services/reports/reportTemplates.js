@@ -0,0 +1,74 @@
+const { PrismaClient } = require('@prisma/client');
+const { REPORT_TYPES, getReportDefinition } = require('./reportDefinitions');
+
+const prisma = new PrismaClient();
+
+/**
+ * Template shipped with the code for a report type
+ *
+ * Used when neither the report nor its type has a stored template, and to
+ * seed the default templates.
+ */
+function builtInTemplate(type) {
+  const definition = getReportDefinition(type);
+  return {
+    id: null,
+    name: definition.title,
+    description: `Default ${definition.title.toLowerCase()}`,
+    type: type.toUpperCase(),
+    sections: definition.defaultTemplate.sections,
+    filters: {},
+    isDefault: true
+  };
+}
+
+/**
+ * Template a report is rendered with
+ *
+ * The report's own template if it still exists, otherwise the stored
+ * default for its type, otherwise the built-in template.
+ *
+ * @param {string} type - Report type
+ * @param {string|null} [templateId]
+ */
+async function resolveTemplate(type, templateId) {
+  if (templateId) {
+    const template = await prisma.reportTemplate.findUnique({ where: { id: templateId } });
+    if (template) return template;
+  }
+
+  const fallback = await prisma.reportTemplate.findFirst({
+    where: { type: type.toUpperCase(), isDefault: true },
+    orderBy: { updatedAt: 'desc' }
+  });
+  return fallback || builtInTemplate(type);
+}
+
+/**
+ * Store the built-in template for every type that has no default yet
+ *
+ * @param {string} createdById - Owner of the created templates
+ * @returns {Promise<number>} Number of templates created
+ */
+async function ensureDefaultTemplates(createdById) {
+  let created = 0;
+
+  for (const type of REPORT_TYPES) {
+    const existing = await prisma.reportTemplate.findFirst({
+      where: { type: type.toUpperCase(), isDefault: true }
+    });
+    if (existing) continue;
+
+    const { id, ...template } = builtInTemplate(type);
+    await prisma.reportTemplate.create({ data: { ...template, createdById } });
+    created++;
+  }
+
+  return created;
+}
+
+module.exports = {
+  builtInTemplate,
+  resolveTemplate,
+  ensureDefaultTemplates
+};
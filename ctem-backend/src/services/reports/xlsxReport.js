@@ -0,0 +1,177 @@
+const ExcelJS = require('exceljs');
+
+/**
+ * XLSX rendering for report documents
+ *
+ * Builds a workbook with a summary sheet (summary and chart sections)
+ * followed by one sheet per table section. Cells keep their types (numbers,
+ * dates, booleans) so auditors can sort, filter and calculate in Excel;
+ * headers are frozen and filterable and level columns such as severity are
+ * highlighted with conditional formatting.
+ */
+
+const BRAND_COLOR = 'FF1F3A5F';
+const MUTED_COLOR = 'FF6C757D';
+
+// Excel rejects cells longer than this
+const MAX_CELL_LENGTH = 32767;
+
+const NUMBER_FORMATS = {
+  number: '0.0',
+  integer: '0',
+  percent: '0.0%',
+  date: 'yyyy-mm-dd'
+};
+
+function argb(hex) {
+  return `FF${hex.replace('#', '').toUpperCase()}`;
+}
+
+/**
+ * Lighten a hex color towards white so cell text stays readable
+ */
+function tint(hex, amount = 0.6) {
+  const channels = hex.replace('#', '').match(/.{2}/g).map(channel => parseInt(channel, 16));
+  return `FF${channels
+    .map(channel => Math.round(channel + (255 - channel) * amount).toString(16).padStart(2, '0'))
+    .join('')
+    .toUpperCase()}`;
+}
+
+function columnLetter(index) {
+  let letter = '';
+  let n = index;
+  while (n > 0) {
+    const remainder = (n - 1) % 26;
+    letter = String.fromCharCode(65 + remainder) + letter;
+    n = Math.floor((n - 1) / 26);
+  }
+  return letter;
+}
+
+function sheetValue(value) {
+  if (typeof value === 'string' && value.length > MAX_CELL_LENGTH) {
+    return value.slice(0, MAX_CELL_LENGTH);
+  }
+  return value;
+}
+
+/**
+ * Sheet names are limited to 31 characters without []:*?/\ and must be unique
+ */
+function sheetName(workbook, title) {
+  const base = (title.replace(/[[\]:*?/\\]/g, ' ').trim() || 'Sheet').slice(0, 31);
+  let name = base;
+  for (let suffix = 2; workbook.getWorksheet(name); suffix++) {
+    name = `${base.slice(0, 31 - String(suffix).length - 1)} ${suffix}`;
+  }
+  return name;
+}
+
+function addSummarySheet(workbook, document) {
+  const { title, name, description, organizationName, generatedAt } = document;
+  const sheet = workbook.addWorksheet('Summary');
+  sheet.columns = [{ width: 28 }, { width: 60 }, { width: 28 }];
+
+  sheet.addRow([name || title]).font = { bold: true, size: 16, color: { argb: BRAND_COLOR } };
+  if (description) sheet.addRow([description]);
+  sheet.addRow(['Organization', organizationName || '']);
+  sheet.addRow(['Report Type', title]);
+  const generated = sheet.addRow(['Generated (UTC)', generatedAt]);
+  generated.getCell(2).numFmt = 'yyyy-mm-dd hh:mm';
+  generated.getCell(2).alignment = { horizontal: 'left' };
+
+  document.sections.forEach(section => {
+    if (section.type === 'summary') {
+      sheet.addRow([]);
+      sheet.addRow([section.title]).font = { bold: true, size: 12 };
+      section.metrics.forEach(metric => {
+        const row = sheet.addRow([metric.label, metric.value, metric.change]);
+        row.getCell(1).font = { bold: true };
+        row.getCell(2).alignment = { horizontal: 'left' };
+        row.getCell(3).font = { italic: true, color: { argb: MUTED_COLOR } };
+      });
+      section.highlights.forEach(text => {
+        const row = sheet.addRow([text]);
+        sheet.mergeCells(row.number, 1, row.number, 2);
+        row.getCell(1).alignment = { wrapText: true, vertical: 'top' };
+      });
+    } else if (section.type === 'chart') {
+      sheet.addRow([]);
+      sheet.addRow([section.title]).font = { bold: true, size: 12 };
+      section.items.forEach(item => {
+        const row = sheet.addRow([item.label, item.value]);
+        row.getCell(2).alignment = { horizontal: 'left' };
+      });
+    }
+  });
+}
+
+function addTableSheet(workbook, { title, columns, rows }) {
+  const sheet = workbook.addWorksheet(sheetName(workbook, title), {
+    views: [{ state: 'frozen', ySplit: 1 }]
+  });
+
+  sheet.columns = columns.map(column => ({
+    header: column.header,
+    width: column.width,
+    style: NUMBER_FORMATS[column.type] ? { numFmt: NUMBER_FORMATS[column.type] } : {}
+  }));
+
+  const header = sheet.getRow(1);
+  header.font = { bold: true, color: { argb: 'FFFFFFFF' } };
+  header.fill = { type: 'pattern', pattern: 'solid', fgColor: { argb: BRAND_COLOR } };
+  header.alignment = { vertical: 'middle' };
+
+  rows.forEach(row => {
+    sheet.addRow(row.map(sheetValue));
+  });
+
+  const lastColumn = columnLetter(columns.length);
+  sheet.autoFilter = `A1:${lastColumn}1`;
+
+  // Highlight level columns (severity, criticality, status) by value
+  const lastRow = Math.max(rows.length + 1, 2);
+  let priority = 0;
+  columns.forEach((column, index) => {
+    if (column.type !== 'level') return;
+    const letter = columnLetter(index + 1);
+    sheet.addConditionalFormatting({
+      ref: `${letter}2:${letter}${lastRow}`,
+      rules: Object.entries(column.colors).map(([value, color]) => ({
+        type: 'cellIs',
+        operator: 'equal',
+        priority: ++priority,
+        formulae: [`"${value}"`],
+        style: {
+          fill: { type: 'pattern', pattern: 'solid', bgColor: { argb: tint(color) } },
+          font: { color: { argb: argb(color) }, bold: true }
+        }
+      }))
+    });
+  });
+}
+
+/**
+ * Render a report document as an XLSX workbook
+ *
+ * @param {Object} document - Report document from buildReportDocument
+ * @returns {Promise<Buffer>} Workbook contents
+ */
+async function renderXlsxReport(document) {
+  const workbook = new ExcelJS.Workbook();
+  workbook.creator = document.organizationName || 'CTEM';
+  workbook.created = document.generatedAt;
+  workbook.title = document.name || document.title;
+
+  addSummarySheet(workbook, document);
+  document.sections
+    .filter(section => section.type === 'table')
+    .forEach(section => addTableSheet(workbook, section));
+
+  return Buffer.from(await workbook.xlsx.writeBuffer());
+}
+
+module.exports = {
+  renderXlsxReport
+};
@@ -0,0 +1,52 @@
+jest.mock('@prisma/client', () => ({ PrismaClient: jest.fn(() => ({})) }));
+
+const { calculateAssetRisk, isPublicAddress, DEFAULT_WEIGHTS } = require('../assetRisk');
+
+describe('asset risk scoring', () => {
+  const internalAsset = { criticality: 'MEDIUM', tags: [], ipAddress: '10.0.0.5' };
+  const finding = (cvssScore, flags = {}) => ({
+    cvssScore,
+    exploitAvailable: false,
+    knownExploited: false,
+    ...flags
+  });
+
+  it('scores assets without open findings as 0', () => {
+    expect(calculateAssetRisk(internalAsset, [])).toEqual({ riskScore: 0, vulnerabilityCount: 0 });
+  });
+
+  it('uses the worst finding as the baseline and adds breadth from the rest', () => {
+    expect(calculateAssetRisk(internalAsset, [finding(5)])).toEqual({ riskScore: 5, vulnerabilityCount: 1 });
+    expect(calculateAssetRisk(internalAsset, [finding(5), finding(4), finding(6)]).riskScore).toBe(6.5);
+  });
+
+  it('raises findings with public or known exploitation', () => {
+    expect(calculateAssetRisk(internalAsset, [finding(5, { exploitAvailable: true })]).riskScore).toBe(6);
+    expect(calculateAssetRisk(internalAsset, [finding(5, { exploitAvailable: true, knownExploited: true })]).riskScore).toBe(7.5);
+  });
+
+  it('scales by criticality and exposure and caps at 10', () => {
+    const findings = [finding(6)];
+    expect(calculateAssetRisk({ ...internalAsset, criticality: 'LOW' }, findings).riskScore).toBe(4.2);
+    expect(calculateAssetRisk({ ...internalAsset, criticality: 'HIGH' }, findings).riskScore).toBe(7.2);
+    expect(calculateAssetRisk({ ...internalAsset, tags: ['DMZ'] }, findings).riskScore).toBe(7.8);
+    expect(calculateAssetRisk({ ...internalAsset, ipAddress: '203.0.113.10' }, findings).riskScore).toBe(7.8);
+    expect(calculateAssetRisk({ criticality: 'CRITICAL', tags: ['external'] }, [finding(9.8)]).riskScore).toBe(10);
+  });
+
+  it('applies custom weights', () => {
+    const weights = {
+      ...DEFAULT_WEIGHTS,
+      criticality: { ...DEFAULT_WEIGHTS.criticality, MEDIUM: 0.5 }
+    };
+    expect(calculateAssetRisk(internalAsset, [finding(8)], weights).riskScore).toBe(4);
+  });
+
+  it('recognizes private and public addresses', () => {
+    ['10.1.2.3', '172.16.0.1', '192.168.1.1', '127.0.0.1', '169.254.0.1', '100.64.0.1', 'fd00::1', 'fe80::1', '::1']
+      .forEach(address => expect(isPublicAddress(address)).toBe(false));
+    ['8.8.8.8', '172.32.0.1', '2001:db8::1']
+      .forEach(address => expect(isPublicAddress(address)).toBe(true));
+    expect(isPublicAddress(null)).toBe(false);
+  });
+});
@@ -0,0 +1,244 @@
+const net = require('net');
+const { PrismaClient } = require('@prisma/client');
+const logger = require('../../utils/logger');
+
+const prisma = new PrismaClient();
+
+const SETTINGS_PREFIX = 'riskScoring.';
+
+// Link statuses that still leave the asset exposed
+const OPEN_STATUSES = ['OPEN', 'INVESTIGATING'];
+
+const BATCH_SIZE = 200;
+
+/**
+ * Weights used when no riskScoring.* setting overrides them
+ */
+const DEFAULT_WEIGHTS = {
+  // Multipliers on a finding's CVSS score
+  exploitAvailable: 1.2,
+  knownExploited: 1.5,
+  // Share of the remaining findings' scores added on top of the worst one
+  breadth: 0.5,
+  criticality: {
+    CRITICAL: 1.5,
+    HIGH: 1.2,
+    MEDIUM: 1.0,
+    LOW: 0.7
+  },
+  exposure: {
+    internetFacing: 1.3,
+    internal: 1.0,
+    // Asset tags that mark an asset as internet facing
+    tags: ['internet-facing', 'external', 'dmz']
+  }
+};
+
+/**
+ * Read riskScoring.* settings over the default weights
+ *
+ * @returns {Promise<Object>} Weights in the DEFAULT_WEIGHTS shape
+ */
+async function getRiskWeights() {
+  const weights = JSON.parse(JSON.stringify(DEFAULT_WEIGHTS));
+
+  const settings = await prisma.systemSetting.findMany({
+    where: { key: { startsWith: SETTINGS_PREFIX } }
+  });
+
+  settings.forEach(setting => {
+    const keys = setting.key.slice(SETTINGS_PREFIX.length).split('.');
+    let current = weights;
+    for (let i = 0; i < keys.length - 1; i++) {
+      if (!current[keys[i]] || typeof current[keys[i]] !== 'object') {
+        current[keys[i]] = {};
+      }
+      current = current[keys[i]];
+    }
+
+    try {
+      current[keys[keys.length - 1]] = JSON.parse(setting.value);
+    } catch (error) {
+      logger.warn(`Ignoring invalid risk scoring setting ${setting.key}`);
+    }
+  });
+
+  return weights;
+}
+
+/**
+ * Whether an IP address is routable on the internet
+ */
+function isPublicAddress(ipAddress) {
+  const version = net.isIP(ipAddress || '');
+  if (version === 4) {
+    const [a, b] = ipAddress.split('.').map(Number);
+    return !(
+      a === 10 ||
+      a === 127 ||
+      a === 0 ||
+      (a === 172 && b >= 16 && b <= 31) ||
+      (a === 192 && b === 168) ||
+      (a === 169 && b === 254) ||
+      (a === 100 && b >= 64 && b <= 127)
+    );
+  }
+  if (version === 6) {
+    const address = ipAddress.toLowerCase();
+    return !(address === '::1' || /^f[cd]/.test(address) || /^fe[89ab]/.test(address));
+  }
+  return false;
+}
+
+/**
+ * An asset is internet facing when tagged as such or it has a public address
+ */
+function isInternetFacing(asset, weights) {
+  const exposureTags = (weights.exposure.tags || []).map(tag => String(tag).toLowerCase());
+  const tagged = (asset.tags || []).some(tag => exposureTags.includes(String(tag).toLowerCase()));
+  return tagged || isPublicAddress(asset.ipAddress);
+}
+
+/**
+ * Score of one open finding: its CVSS score raised by exploitability
+ */
+function scoreFinding(vulnerability, weights) {
+  let multiplier = 1;
+  if (vulnerability.knownExploited) {
+    multiplier = weights.knownExploited;
+  } else if (vulnerability.exploitAvailable) {
+    multiplier = weights.exploitAvailable;
+  }
+  return Math.min((vulnerability.cvssScore || 0) * multiplier, 10);
+}
+
+/**
+ * Contextual risk of an asset on a 0-10 scale
+ *
+ * The worst open finding sets the baseline, the other findings add a
+ * breadth-weighted share of their scores, and the result is scaled by the
+ * asset's criticality and exposure.
+ *
+ * @param {Object} asset - Asset with criticality, tags and ipAddress
+ * @param {Object[]} vulnerabilities - Vulnerabilities of the open links
+ * @param {Object} weights - Result of getRiskWeights
+ * @returns {Object} { riskScore, vulnerabilityCount }
+ */
+function calculateAssetRisk(asset, vulnerabilities, weights = DEFAULT_WEIGHTS) {
+  if (vulnerabilities.length === 0) {
+    return { riskScore: 0, vulnerabilityCount: 0 };
+  }
+
+  const scores = vulnerabilities
+    .map(vulnerability => scoreFinding(vulnerability, weights))
+    .sort((a, b) => b - a);
+
+  const [worst, ...rest] = scores;
+  const breadth = rest.reduce((sum, score) => sum + score, 0) / 10;
+  const findingsScore = Math.min(worst + weights.breadth * breadth, 10);
+
+  const criticality = weights.criticality[asset.criticality] || 1;
+  const exposure = isInternetFacing(asset, weights)
+    ? weights.exposure.internetFacing
+    : weights.exposure.internal;
+
+  const riskScore = Math.min(findingsScore * criticality * exposure, 10);
+
+  return {
+    riskScore: Math.round(riskScore * 10) / 10,
+    vulnerabilityCount: vulnerabilities.length
+  };
+}
+
+/**
+ * Recompute and store riskScore and vulnerabilityCount of assets
+ *
+ * @param {string[]} assetIds - Assets to rescore
+ * @param {Object} [weights] - Weights to use, read from settings when omitted
+ * @returns {Promise<Map<string, Object>>} Stored scores by asset ID
+ */
+async function recalculateAssetsRisk(assetIds, weights) {
+  const ids = [...new Set(assetIds.filter(Boolean))];
+  const scores = new Map();
+  if (ids.length === 0) return scores;
+
+  const effectiveWeights = weights || await getRiskWeights();
+
+  for (let i = 0; i < ids.length; i += BATCH_SIZE) {
+    const assets = await prisma.asset.findMany({
+      where: { id: { in: ids.slice(i, i + BATCH_SIZE) } },
+      select: {
+        id: true,
+        criticality: true,
+        tags: true,
+        ipAddress: true,
+        vulnerabilities: {
+          where: { status: { in: OPEN_STATUSES } },
+          select: {
+            vulnerability: {
+              select: { cvssScore: true, exploitAvailable: true, knownExploited: true }
+            }
+          }
+        }
+      }
+    });
+
+    for (const asset of assets) {
+      const result = calculateAssetRisk(
+        asset,
+        asset.vulnerabilities.map(link => link.vulnerability),
+        effectiveWeights
+      );
+      await prisma.asset.update({ where: { id: asset.id }, data: result });
+      scores.set(asset.id, result);
+    }
+  }
+
+  return scores;
+}
+
+/**
+ * Recompute a single asset
+ *
+ * @returns {Promise<Object|null>} { riskScore, vulnerabilityCount } or null if not found
+ */
+async function recalculateAssetRisk(assetId) {
+  const scores = await recalculateAssetsRisk([assetId]);
+  return scores.get(assetId) || null;
+}
+
+/**
+ * Recompute every asset linked to the given vulnerabilities
+ */
+async function recalculateRiskForVulnerabilities(vulnerabilityIds) {
+  const links = await prisma.assetVulnerability.findMany({
+    where: { vulnerabilityId: { in: vulnerabilityIds } },
+    select: { assetId: true },
+    distinct: ['assetId']
+  });
+  return recalculateAssetsRisk(links.map(link => link.assetId));
+}
+
+/**
+ * Recompute every asset, e.g. after the weights or enrichment data changed
+ *
+ * @returns {Promise<number>} Number of assets rescored
+ */
+async function recalculateAllAssetRisk() {
+  const assets = await prisma.asset.findMany({ select: { id: true } });
+  const scores = await recalculateAssetsRisk(assets.map(asset => asset.id));
+  logger.info(`Recalculated risk scores for ${scores.size} assets`);
+  return scores.size;
+}
+
+module.exports = {
+  DEFAULT_WEIGHTS,
+  OPEN_STATUSES,
+  getRiskWeights,
+  isPublicAddress,
+  calculateAssetRisk,
+  recalculateAssetsRisk,
+  recalculateAssetRisk,
+  recalculateRiskForVulnerabilities,
+  recalculateAllAssetRisk
+};
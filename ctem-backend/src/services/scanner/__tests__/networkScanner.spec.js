@@ -0,0 +1,107 @@
+const net = require('net');
+const { resolvePorts, scanHost, toFindings, DEFAULT_PORTS } = require('../networkScanner');
+
+function listen(onConnection) {
+  return new Promise(resolve => {
+    const server = net.createServer(onConnection);
+    server.listen(0, '127.0.0.1', () => resolve(server));
+  });
+}
+
+function close(server) {
+  return new Promise(resolve => server.close(resolve));
+}
+
+// Bind and release a port so nothing is listening on it
+async function freePort() {
+  const server = await listen(() => {});
+  const { port } = server.address();
+  await close(server);
+  return port;
+}
+
+describe('networkScanner', () => {
+  describe('resolvePorts', () => {
+    it('falls back to the default port list', () => {
+      expect(resolvePorts({})).toEqual([...DEFAULT_PORTS].sort((a, b) => a - b));
+    });
+
+    it('honors includePorts and skipPorts', () => {
+      expect(resolvePorts({ includePorts: [443, 22, 80, 22, 70000], skipPorts: [80] })).toEqual([22, 443]);
+    });
+  });
+
+  describe('scanHost', () => {
+    let bannerServer;
+    let silentServer;
+
+    beforeAll(async () => {
+      bannerServer = await listen(socket => {
+        socket.end('SSH-2.0-OpenSSH_9.6 Test\r\n');
+      });
+      silentServer = await listen(() => {});
+    });
+
+    afterAll(async () => {
+      await close(bannerServer);
+      await close(silentServer);
+    });
+
+    it('reports open and closed ports and grabs banners', async () => {
+      const bannerPort = bannerServer.address().port;
+      const silentPort = silentServer.address().port;
+      const closedPort = await freePort();
+
+      const result = await scanHost('127.0.0.1', {
+        includePorts: [bannerPort, silentPort, closedPort],
+        maxConcurrent: 2
+      }, { connectTimeout: 1000, bannerTimeout: 200 });
+
+      expect(result.completed).toBe(true);
+
+      const byPort = Object.fromEntries(result.ports.map(p => [p.port, p]));
+      expect(byPort[bannerPort]).toMatchObject({ state: 'open', banner: 'SSH-2.0-OpenSSH_9.6 Test' });
+      expect(byPort[silentPort]).toMatchObject({ state: 'open', banner: null });
+      expect(byPort[closedPort]).toMatchObject({ state: 'closed', reason: 'conn-refused' });
+    });
+
+    it('skips ports listed in skipPorts', async () => {
+      const bannerPort = bannerServer.address().port;
+      const silentPort = silentServer.address().port;
+
+      const result = await scanHost('127.0.0.1', {
+        includePorts: [bannerPort, silentPort],
+        skipPorts: [silentPort]
+      }, { bannerTimeout: 100 });
+
+      expect(result.ports.map(p => p.port)).toEqual([bannerPort]);
+    });
+
+    it('stops probing when cancelled', async () => {
+      const result = await scanHost('127.0.0.1', {
+        includePorts: [bannerServer.address().port]
+      }, { isCancelled: () => true });
+
+      expect(result.ports).toEqual([]);
+      expect(result.completed).toBe(false);
+    });
+  });
+
+  describe('toFindings', () => {
+    it('maps every probed port to a finding with its state', () => {
+      const findings = toFindings({
+        target: 'host.local',
+        address: '10.0.0.5',
+        error: null,
+        ports: [
+          { port: 23, state: 'open', reason: 'syn-ack', protocol: 'tcp', service: 'telnet', banner: null, responseTime: 3 },
+          { port: 443, state: 'filtered', reason: 'no-response', protocol: 'tcp', service: 'https', banner: null, responseTime: 1500 }
+        ]
+      });
+
+      expect(findings).toHaveLength(2);
+      expect(findings[0]).toMatchObject({ port: 23, state: 'open', severity: 'high', type: 'network' });
+      expect(findings[1]).toMatchObject({ port: 443, state: 'filtered', severity: 'info' });
+    });
+  });
+});
@@ -0,0 +1,53 @@
+const Joi = require('joi');
+
+jest.mock('../../../utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn() }));
+
+const registry = require('../registry');
+
+const adapter = (name, overrides = {}) => ({
+  name,
+  scanTypes: ['vulnerability'],
+  scan: jest.fn().mockResolvedValue([]),
+  ...overrides
+});
+
+describe('scanner adapter registry', () => {
+  it('registers an adapter with defaults applied and lists it', () => {
+    const registered = registry.registerAdapter(adapter('tls-check', {
+      description: 'Checks TLS configuration',
+      configSchema: Joi.object({ port: Joi.number().default(443) })
+    }));
+
+    expect(registered).toMatchObject({ name: 'tls-check', version: '1.0.0', scanTypes: ['vulnerability'] });
+    expect(registry.listAdapters()).toContainEqual(expect.objectContaining({
+      name: 'tls-check',
+      description: 'Checks TLS configuration',
+      configSchema: expect.objectContaining({ type: 'object' })
+    }));
+    expect(registry.validateAdapterConfig(registered, {})).toEqual({ port: 443 });
+  });
+
+  it('rejects invalid and duplicate adapter definitions', () => {
+    expect(() => registry.registerAdapter({ name: 'no-scan', scanTypes: ['network'] })).toThrow(/Invalid scanner adapter "no-scan"/);
+    expect(() => registry.registerAdapter(adapter('bad-type', { scanTypes: ['web'] }))).toThrow(/Invalid scanner adapter/);
+
+    registry.registerAdapter(adapter('dup-check'));
+    expect(() => registry.registerAdapter(adapter('dup-check'))).toThrow(/already registered/);
+  });
+
+  it('looks adapters up by name', () => {
+    const registered = registry.registerAdapter(adapter('header-check'));
+
+    expect(registry.getAdapter('header-check')).toBe(registered);
+    expect(registry.resolveAdapters('vulnerability', 'header-check')).toEqual([registered]);
+  });
+
+  it('refuses unknown adapters and unsupported scan types', () => {
+    registry.registerAdapter(adapter('cookie-check'));
+
+    expect(registry.getAdapter('missing')).toBeNull();
+    expect(() => registry.resolveAdapters('vulnerability', 'missing')).toThrow('Unknown scanner adapter: missing');
+    expect(() => registry.resolveAdapters('network', 'cookie-check')).toThrow(/does not support network scans/);
+    expect(() => registry.resolveAdapters('compliance')).toThrow(/Default scanner adapter "compliance" is not registered/);
+  });
+});
@@ -0,0 +1,35 @@
+const Joi = require('joi');
+
+// Sample checks reported by the simulated compliance scan
+const SIMULATED_CHECKS = [
+  { severity: 'high', title: 'Password Policy Violation', framework: 'ISO 27001' },
+  { severity: 'medium', title: 'Encryption Not Enabled', framework: 'NIST' },
+  { severity: 'low', title: 'Audit Logging Disabled', framework: 'SOC 2' }
+];
+
+/**
+ * Simulated compliance check
+ * Stands in until a real configuration audit adapter is plugged in
+ */
+module.exports = {
+  name: 'compliance',
+  description: 'Simulated compliance check (placeholder)',
+  scanTypes: ['compliance', 'full'],
+  configSchema: Joi.object({
+    frameworks: Joi.array().items(Joi.string()).default([])
+  }),
+
+  async scan(target, config) {
+    // Randomly select some compliance issues
+    return SIMULATED_CHECKS
+      .filter(check => config.frameworks.length === 0 || config.frameworks.includes(check.framework))
+      .filter(() => Math.random() > 0.6)
+      .map(check => ({
+        type: 'compliance',
+        severity: check.severity,
+        title: check.title,
+        description: `${check.title} detected on ${target.value}`,
+        framework: check.framework
+      }));
+  }
+};
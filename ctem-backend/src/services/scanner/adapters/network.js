@@ -0,0 +1,32 @@
+const Joi = require('joi');
+const logger = require('../../../utils/logger');
+const networkScanner = require('../networkScanner');
+
+const port = Joi.number().integer().min(1).max(65535);
+
+/**
+ * TCP connect scanner with banner grabbing
+ */
+module.exports = {
+  name: 'network',
+  description: 'TCP connect port scan with service banner grabbing',
+  scanTypes: ['network', 'full'],
+  configSchema: Joi.object({
+    includePorts: Joi.array().items(port).default([]),
+    skipPorts: Joi.array().items(port).default([]),
+    timeout: Joi.number().integer().min(30).max(3600).default(300),
+    maxConcurrent: Joi.number().integer().min(1).max(10).default(3)
+  }),
+
+  async scan(target, config, context) {
+    const hostResult = await networkScanner.scanHost(target.value, config, {
+      isCancelled: context.isCancelled
+    });
+
+    if (!hostResult.completed && !hostResult.error) {
+      logger.warn(`Network scan of ${target.value} stopped after ${hostResult.ports.length} ports`);
+    }
+
+    return networkScanner.toFindings(hostResult);
+  }
+};
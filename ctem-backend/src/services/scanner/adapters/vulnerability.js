@@ -0,0 +1,41 @@
+const Joi = require('joi');
+
+// Sample signatures reported by the simulated vulnerability check
+const SIMULATED_VULNERABILITIES = [
+  { severity: 'critical', title: 'Remote Code Execution', cve: 'CVE-2024-1234' },
+  { severity: 'high', title: 'SQL Injection', cve: 'CVE-2024-5678' },
+  { severity: 'medium', title: 'Cross-Site Scripting', cve: 'CVE-2024-9012' }
+];
+
+const CVSS_BY_SEVERITY = {
+  critical: 9.0,
+  high: 7.5,
+  medium: 5.0
+};
+
+/**
+ * Simulated vulnerability check
+ * Stands in until a real vulnerability scanner adapter is plugged in
+ */
+module.exports = {
+  name: 'vulnerability',
+  description: 'Simulated vulnerability check (placeholder)',
+  scanTypes: ['vulnerability', 'full'],
+  configSchema: Joi.object({
+    deepScan: Joi.boolean().default(false)
+  }),
+
+  async scan(target) {
+    // Randomly select some vulnerabilities
+    return SIMULATED_VULNERABILITIES
+      .filter(() => Math.random() > 0.7)
+      .map(vuln => ({
+        type: 'vulnerability',
+        severity: vuln.severity,
+        title: vuln.title,
+        description: `${vuln.title} vulnerability found on ${target.value}`,
+        cve: vuln.cve,
+        cvssScore: CVSS_BY_SEVERITY[vuln.severity]
+      }));
+  }
+};
@@ -0,0 +1,13 @@
+const registry = require('./registry');
+
+// Built-in adapters
+registry.registerAdapter(require('./adapters/network'));
+registry.registerAdapter(require('./adapters/vulnerability'));
+registry.registerAdapter(require('./adapters/compliance'));
+
+// In-house adapters live outside the repository
+if (process.env.SCANNER_PLUGIN_DIR) {
+  registry.loadAdaptersFromDirectory(process.env.SCANNER_PLUGIN_DIR);
+}
+
+module.exports = registry;
@@ -0,0 +1,284 @@
+const net = require('net');
+const dns = require('dns').promises;
+const logger = require('../../utils/logger');
+
+// Ports probed when the scan configuration does not list any
+const DEFAULT_PORTS = [
+  21, 22, 23, 25, 53, 80, 110, 111, 135, 139, 143, 389, 443, 445, 465, 587,
+  636, 993, 995, 1433, 1521, 2049, 3306, 3389, 5432, 5900, 6379, 8080, 8443, 9200, 27017
+];
+
+const SERVICE_NAMES = {
+  21: 'ftp',
+  22: 'ssh',
+  23: 'telnet',
+  25: 'smtp',
+  53: 'domain',
+  80: 'http',
+  110: 'pop3',
+  111: 'rpcbind',
+  135: 'msrpc',
+  139: 'netbios-ssn',
+  143: 'imap',
+  389: 'ldap',
+  443: 'https',
+  445: 'microsoft-ds',
+  465: 'smtps',
+  587: 'submission',
+  636: 'ldaps',
+  993: 'imaps',
+  995: 'pop3s',
+  1433: 'ms-sql-s',
+  1521: 'oracle',
+  2049: 'nfs',
+  3306: 'mysql',
+  3389: 'ms-wbt-server',
+  5432: 'postgresql',
+  5900: 'vnc',
+  6379: 'redis',
+  8080: 'http-proxy',
+  8443: 'https-alt',
+  9200: 'elasticsearch',
+  27017: 'mongodb'
+};
+
+// Services that stay silent until the client speaks first
+const HTTP_PORTS = new Set([80, 8000, 8008, 8080, 8888]);
+
+// Plain-text services that should not be exposed on a network
+const INSECURE_SERVICES = {
+  ftp: 'medium',
+  telnet: 'high'
+};
+
+const DEFAULT_CONNECT_TIMEOUT = 1500;
+const DEFAULT_BANNER_TIMEOUT = 1000;
+const MAX_BANNER_LENGTH = 256;
+
+/**
+ * Build the list of ports to probe from the scan configuration
+ *
+ * @param {Object} config - Scan configuration
+ * @param {number[]} [config.includePorts] - Ports to probe instead of the defaults
+ * @param {number[]} [config.skipPorts] - Ports to leave out
+ * @returns {number[]} Sorted, de-duplicated list of valid TCP ports
+ */
+function resolvePorts(config = {}) {
+  const include = Array.isArray(config.includePorts) && config.includePorts.length > 0
+    ? config.includePorts
+    : DEFAULT_PORTS;
+  const skip = new Set((config.skipPorts || []).map(Number));
+
+  return [...new Set(include.map(Number))]
+    .filter(port => Number.isInteger(port) && port > 0 && port <= 65535 && !skip.has(port))
+    .sort((a, b) => a - b);
+}
+
+/**
+ * Probe a single TCP port with a full connect and try to grab a banner
+ *
+ * @param {string} host - IP address to connect to
+ * @param {number} port - TCP port
+ * @param {Object} options - Probe options
+ * @param {number} options.connectTimeout - Milliseconds to wait for the handshake
+ * @param {number} options.bannerTimeout - Milliseconds to wait for a banner once connected
+ * @returns {Promise<Object>} Port result with state (open, closed, filtered) and banner
+ */
+function probePort(host, port, { connectTimeout, bannerTimeout }) {
+  return new Promise(resolve => {
+    const socket = new net.Socket();
+    const startTime = Date.now();
+    let connected = false;
+    let banner = '';
+    let settled = false;
+    let bannerTimer = null;
+
+    const finish = (state, reason) => {
+      if (settled) return;
+      settled = true;
+      clearTimeout(bannerTimer);
+      socket.destroy();
+      resolve({
+        port,
+        state,
+        reason,
+        banner: banner ? sanitizeBanner(banner) : null,
+        responseTime: Date.now() - startTime
+      });
+    };
+
+    socket.setTimeout(connectTimeout);
+
+    socket.once('connect', () => {
+      connected = true;
+      socket.setTimeout(0);
+
+      if (HTTP_PORTS.has(port)) {
+        socket.write(`HEAD / HTTP/1.0\r\nHost: ${host}\r\n\r\n`);
+      }
+
+      bannerTimer = setTimeout(() => finish('open', 'syn-ack'), bannerTimeout);
+    });
+
+    socket.on('data', chunk => {
+      banner += chunk.toString('latin1');
+      if (banner.length >= MAX_BANNER_LENGTH || banner.includes('\n')) {
+        finish('open', 'syn-ack');
+      }
+    });
+
+    socket.once('timeout', () => finish('filtered', 'no-response'));
+
+    socket.once('error', error => {
+      if (connected) {
+        finish('open', 'syn-ack');
+      } else if (error.code === 'ECONNREFUSED') {
+        finish('closed', 'conn-refused');
+      } else {
+        finish('filtered', error.code || 'error');
+      }
+    });
+
+    socket.once('close', () => {
+      if (connected) finish('open', 'syn-ack');
+    });
+
+    socket.connect(port, host);
+  });
+}
+
+/**
+ * Collapse a raw banner to a single printable line
+ */
+function sanitizeBanner(raw) {
+  return raw
+    .slice(0, MAX_BANNER_LENGTH)
+    .split(/\r?\n/)[0]
+    .replace(/[^\x20-\x7e]/g, '')
+    .trim() || null;
+}
+
+/**
+ * Run probes with a bounded number of sockets in flight
+ */
+async function runWithConcurrency(items, limit, worker, shouldStop) {
+  const results = new Array(items.length);
+  let nextIndex = 0;
+
+  const lanes = Array.from({ length: Math.min(limit, items.length) }, async () => {
+    while (nextIndex < items.length && !shouldStop()) {
+      const index = nextIndex++;
+      results[index] = await worker(items[index]);
+    }
+  });
+
+  await Promise.all(lanes);
+  return results;
+}
+
+/**
+ * Connect-scan a host and report the state of every requested port
+ *
+ * @param {string} target - IP address or hostname
+ * @param {Object} [config] - Scan configuration (includePorts, skipPorts, timeout, maxConcurrent)
+ * @param {Object} [options] - Engine options
+ * @param {number} [options.connectTimeout] - Per-port connect timeout in milliseconds
+ * @param {number} [options.bannerTimeout] - Banner wait in milliseconds
+ * @param {Function} [options.isCancelled] - Returns true when the scan should stop early
+ * @returns {Promise<Object>} Host result with address, per-port results and completion flag
+ */
+async function scanHost(target, config = {}, options = {}) {
+  const {
+    connectTimeout = DEFAULT_CONNECT_TIMEOUT,
+    bannerTimeout = DEFAULT_BANNER_TIMEOUT,
+    isCancelled = () => false
+  } = options;
+
+  const ports = resolvePorts(config);
+  const concurrency = Math.max(1, Number(config.maxConcurrent) || 3);
+  // `timeout` is the overall budget for this host, in seconds
+  const deadline = Date.now() + (Number(config.timeout) || 300) * 1000;
+
+  let address = target;
+  if (!net.isIP(target)) {
+    try {
+      ({ address } = await dns.lookup(target));
+    } catch (error) {
+      logger.warn(`Could not resolve scan target ${target}: ${error.message}`);
+      return { target, address: null, ports: [], completed: false, error: `Could not resolve ${target}` };
+    }
+  }
+
+  const shouldStop = () => isCancelled() || Date.now() >= deadline;
+
+  const results = await runWithConcurrency(
+    ports,
+    concurrency,
+    port => probePort(address, port, { connectTimeout, bannerTimeout }),
+    shouldStop
+  );
+
+  const scannedPorts = results.filter(Boolean).map(result => ({
+    ...result,
+    protocol: 'tcp',
+    service: SERVICE_NAMES[result.port] || null
+  }));
+
+  return {
+    target,
+    address,
+    ports: scannedPorts,
+    completed: scannedPorts.length === ports.length,
+    error: null
+  };
+}
+
+/**
+ * Turn a host result into ScanResult findings, one per probed port
+ *
+ * @param {Object} hostResult - Result of scanHost
+ * @returns {Object[]} Findings in the ScanResult.findings format
+ */
+function toFindings(hostResult) {
+  if (hostResult.error) {
+    return [{
+      type: 'network',
+      severity: 'info',
+      title: 'Target unreachable',
+      description: hostResult.error,
+      target: hostResult.target,
+      state: 'unknown'
+    }];
+  }
+
+  return hostResult.ports.map(port => {
+    const insecureSeverity = port.state === 'open' && INSECURE_SERVICES[port.service];
+    const label = port.service ? ` (${port.service})` : '';
+
+    return {
+      type: 'network',
+      severity: insecureSeverity || 'info',
+      title: `${port.state === 'open' ? 'Open' : port.state === 'closed' ? 'Closed' : 'Filtered'} Port ${port.port}${label}`,
+      description: insecureSeverity
+        ? `Port ${port.port} on ${hostResult.target} exposes the plain-text ${port.service} service`
+        : `Port ${port.port} is ${port.state} on ${hostResult.target}`,
+      target: hostResult.target,
+      address: hostResult.address,
+      port: port.port,
+      protocol: port.protocol,
+      state: port.state,
+      reason: port.reason,
+      service: port.service,
+      banner: port.banner,
+      responseTime: port.responseTime
+    };
+  });
+}
+
+module.exports = {
+  DEFAULT_PORTS,
+  resolvePorts,
+  probePort,
+  scanHost,
+  toFindings
+};
@@ -0,0 +1,223 @@
+const fs = require('fs');
+const path = require('path');
+const Joi = require('joi');
+const logger = require('../../utils/logger');
+
+const SCAN_TYPES = ['network', 'vulnerability', 'compliance', 'full'];
+const SEVERITIES = ['critical', 'high', 'medium', 'low', 'info'];
+
+// Adapters that run when /api/scan/start does not name one
+const DEFAULT_ADAPTERS = {
+  network: ['network'],
+  vulnerability: ['vulnerability'],
+  compliance: ['compliance'],
+  full: ['network', 'vulnerability', 'compliance']
+};
+
+const adapterDefinitionSchema = Joi.object({
+  name: Joi.string().pattern(/^[a-z0-9][a-z0-9-_]*$/).max(50).required(),
+  description: Joi.string().allow('').default(''),
+  version: Joi.string().default('1.0.0'),
+  scanTypes: Joi.array().items(Joi.string().valid(...SCAN_TYPES)).min(1).required(),
+  configSchema: Joi.object().schema().default(() => Joi.object()),
+  scan: Joi.function().required()
+}).unknown(true);
+
+// Shape every adapter finding is normalized to before it is stored
+const findingSchema = Joi.object({
+  type: Joi.string().required(),
+  severity: Joi.string().lowercase().valid(...SEVERITIES).default('info'),
+  title: Joi.string().required(),
+  description: Joi.string().allow('').default(''),
+  target: Joi.string().required(),
+  assetId: Joi.string().allow(null),
+  cve: Joi.string().allow(null),
+  cvssScore: Joi.number().min(0).max(10).allow(null),
+  port: Joi.number().integer().min(0).max(65535).allow(null),
+  protocol: Joi.string().allow(null),
+  evidence: Joi.any()
+}).unknown(true);
+
+const adapters = new Map();
+
+/**
+ * Register a scanner adapter
+ *
+ * An adapter is a plain object with a unique `name`, the `scanTypes` it
+ * supports, an optional Joi `configSchema` for its options and an async
+ * `scan(target, config, context)` that resolves to an array of findings.
+ *
+ * @param {Object} definition - Adapter definition
+ * @returns {Object} The validated adapter
+ */
+function registerAdapter(definition) {
+  const { error, value } = adapterDefinitionSchema.validate(definition);
+  if (error) {
+    throw new Error(`Invalid scanner adapter${definition && definition.name ? ` "${definition.name}"` : ''}: ${error.message}`);
+  }
+
+  if (adapters.has(value.name)) {
+    throw new Error(`Scanner adapter "${value.name}" is already registered`);
+  }
+
+  adapters.set(value.name, value);
+  logger.info(`Scanner adapter registered: ${value.name} (${value.scanTypes.join(', ')})`);
+  return value;
+}
+
+function getAdapter(name) {
+  return adapters.get(name) || null;
+}
+
+function listAdapters() {
+  return [...adapters.values()].map(adapter => ({
+    name: adapter.name,
+    description: adapter.description,
+    version: adapter.version,
+    scanTypes: adapter.scanTypes,
+    configSchema: adapter.configSchema.describe()
+  }));
+}
+
+/**
+ * Resolve the adapters to run for a scan request
+ *
+ * @param {string} scanType - One of network, vulnerability, compliance, full
+ * @param {string} [adapterName] - Explicit adapter chosen by the client
+ * @returns {Object[]} Adapters to run, in order
+ */
+function resolveAdapters(scanType, adapterName) {
+  if (adapterName) {
+    const adapter = getAdapter(adapterName);
+    if (!adapter) {
+      throw new Error(`Unknown scanner adapter: ${adapterName}`);
+    }
+    if (!adapter.scanTypes.includes(scanType)) {
+      throw new Error(`Scanner adapter "${adapterName}" does not support ${scanType} scans`);
+    }
+    return [adapter];
+  }
+
+  return (DEFAULT_ADAPTERS[scanType] || []).map(name => {
+    const adapter = getAdapter(name);
+    if (!adapter) {
+      throw new Error(`Default scanner adapter "${name}" is not registered`);
+    }
+    return adapter;
+  });
+}
+
+/**
+ * Validate scan configuration against an adapter's config schema
+ *
+ * @returns {Object} Configuration with the adapter's defaults applied
+ */
+function validateAdapterConfig(adapter, config) {
+  const { error, value } = adapter.configSchema.validate(config, { allowUnknown: true });
+  if (error) {
+    throw new Error(`Invalid configuration for scanner adapter "${adapter.name}": ${error.message}`);
+  }
+  return value;
+}
+
+/**
+ * Bring adapter output into the stored finding shape
+ */
+function normalizeFindings(adapter, target, rawFindings) {
+  if (!Array.isArray(rawFindings)) {
+    throw new Error(`Scanner adapter "${adapter.name}" must return an array of findings`);
+  }
+
+  return rawFindings.reduce((findings, raw) => {
+    const { error, value } = findingSchema.validate({
+      target: target.value,
+      assetId: target.assetId || null,
+      ...raw
+    });
+
+    if (error) {
+      logger.warn(`Dropping invalid finding from scanner adapter ${adapter.name}: ${error.message}`);
+      return findings;
+    }
+
+    findings.push({ ...value, adapter: adapter.name });
+    return findings;
+  }, []);
+}
+
+/**
+ * Run the selected adapters against one target
+ *
+ * @param {Object} target - Scan target ({ type, value, assetId })
+ * @param {string} scanType - Requested scan type
+ * @param {Object} config - Stored scan configuration
+ * @param {Object} context - Execution context ({ scanId, isCancelled, signal })
+ * @returns {Promise<Object[]>} Normalized findings
+ */
+async function runAdapters(target, scanType, config, context) {
+  const findings = [];
+
+  for (const adapter of resolveAdapters(scanType, config.adapter)) {
+    if (context.isCancelled()) break;
+
+    const adapterConfig = validateAdapterConfig(adapter, { ...config, ...(config.adapterConfig || {}) });
+    const rawFindings = await adapter.scan(target, adapterConfig, context);
+    findings.push(...normalizeFindings(adapter, target, rawFindings));
+  }
+
+  return findings;
+}
+
+/**
+ * Count findings per severity in the ScanResult columns
+ */
+function summarizeFindings(findings) {
+  const count = severity => findings.filter(f => f.severity === severity).length;
+
+  return {
+    vulnerabilitiesFound: findings.filter(f => f.severity !== 'info').length,
+    criticalFindings: count('critical'),
+    highFindings: count('high'),
+    mediumFindings: count('medium'),
+    lowFindings: count('low')
+  };
+}
+
+/**
+ * Register every adapter module found in a directory
+ *
+ * Each .js file must export an adapter definition or an array of them.
+ * Used for in-house checks configured through SCANNER_PLUGIN_DIR.
+ */
+function loadAdaptersFromDirectory(directory) {
+  const resolved = path.resolve(directory);
+  if (!fs.existsSync(resolved)) {
+    logger.warn(`Scanner plugin directory not found: ${resolved}`);
+    return [];
+  }
+
+  const loaded = [];
+  for (const file of fs.readdirSync(resolved).filter(f => f.endsWith('.js')).sort()) {
+    try {
+      const exported = require(path.join(resolved, file));
+      const definitions = Array.isArray(exported) ? exported : [exported];
+      definitions.forEach(definition => loaded.push(registerAdapter(definition)));
+    } catch (error) {
+      logger.error(`Failed to load scanner plugin ${file}:`, error);
+    }
+  }
+  return loaded;
+}
+
+module.exports = {
+  SCAN_TYPES,
+  registerAdapter,
+  getAdapter,
+  listAdapters,
+  resolveAdapters,
+  validateAdapterConfig,
+  normalizeFindings,
+  runAdapters,
+  summarizeFindings,
+  loadAdaptersFromDirectory
+};
@@ -0,0 +1,53 @@
+const { PrismaClient } = require('@prisma/client');
+const jobQueue = require('../queue/jobQueue');
+const logger = require('../../utils/logger');
+
+const prisma = new PrismaClient();
+
+const SCAN_QUEUE = 'scan';
+
+// Minutes, as configured in scanning.timeout
+const DEFAULT_TIMEOUT_MINUTES = 60;
+
+async function getTimeoutMinutes() {
+  try {
+    const setting = await prisma.systemSetting.findUnique({ where: { key: 'scanning.timeout' } });
+    return setting ? JSON.parse(setting.value) : DEFAULT_TIMEOUT_MINUTES;
+  } catch (error) {
+    logger.warn('Failed to get system setting scanning.timeout:', error);
+    return DEFAULT_TIMEOUT_MINUTES;
+  }
+}
+
+/**
+ * Create a pending ScanResult and queue it for the scan workers
+ *
+ * @param {string} scanType - network, vulnerability, compliance or full
+ * @param {Object} config - Scan configuration (targets, assetIds, adapter options)
+ * @param {string} createdById - User the scan is attributed to
+ * @returns {Promise<Object>} Created ScanResult
+ */
+async function queueScan(scanType, config, createdById) {
+  const scanResult = await prisma.scanResult.create({
+    data: {
+      scanType: scanType.toUpperCase(),
+      status: 'PENDING',
+      configuration: config,
+      createdById
+    }
+  });
+
+  const timeoutMinutes = await getTimeoutMinutes();
+  await jobQueue.enqueue(SCAN_QUEUE, { scanId: scanResult.id, scanType, config }, {
+    resourceId: scanResult.id,
+    maxAttempts: 2,
+    timeoutSeconds: timeoutMinutes * 60
+  });
+
+  return scanResult;
+}
+
+module.exports = {
+  SCAN_QUEUE,
+  queueScan
+};
@@ -0,0 +1,32 @@
+jest.mock('@prisma/client', () => ({ PrismaClient: jest.fn(() => ({})) }));
+
+const { cronPattern, nextRunAt } = require('../cron');
+
+describe('schedule cron helpers', () => {
+  it.each([
+    [{ frequency: 'hourly', time: '02:15' }, '15 * * * *'],
+    [{ frequency: 'daily', time: '02:30' }, '30 2 * * *'],
+    [{ frequency: 'weekly', time: '23:05', dayOfWeek: 0 }, '5 23 * * 0'],
+    [{ frequency: 'weekly', time: '06:00' }, '0 6 * * 1'],
+    [{ frequency: 'monthly', time: '00:00', dayOfMonth: 15 }, '0 0 15 * *'],
+    [{ frequency: 'daily' }, '0 2 * * *']
+  ])('builds the cron pattern for %o', (schedule, pattern) => {
+    expect(cronPattern(schedule)).toBe(pattern);
+  });
+
+  it('computes the next run in the configured timezone', () => {
+    const from = new Date('2026-10-19T12:00:00Z');
+    const schedule = { frequency: 'daily', time: '02:00' };
+
+    expect(nextRunAt(schedule, 'UTC', from).toISOString()).toBe('2026-10-20T02:00:00.000Z');
+    expect(nextRunAt(schedule, 'Europe/Berlin', from).toISOString()).toBe('2026-10-20T00:00:00.000Z');
+    expect(nextRunAt(schedule, 'America/New_York', from).toISOString()).toBe('2026-10-20T06:00:00.000Z');
+  });
+
+  it('moves to the following week for weekly schedules', () => {
+    const from = new Date('2026-10-19T12:00:00Z'); // Monday
+    const schedule = { frequency: 'weekly', time: '09:00', dayOfWeek: 1 };
+
+    expect(nextRunAt(schedule, 'UTC', from).toISOString()).toBe('2026-10-26T09:00:00.000Z');
+  });
+});
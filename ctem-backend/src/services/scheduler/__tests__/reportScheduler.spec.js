@@ -0,0 +1,78 @@
+const mockPrisma = {
+  systemSetting: {
+    findUnique: jest.fn()
+  },
+  report: {
+    findUnique: jest.fn(),
+    findMany: jest.fn(),
+    updateMany: jest.fn()
+  }
+};
+
+jest.mock('@prisma/client', () => ({ PrismaClient: jest.fn(() => mockPrisma) }));
+jest.mock('../../../utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn() }));
+jest.mock('../../reports/reportQueue', () => ({ queueReport: jest.fn() }));
+
+const { queueReport } = require('../../reports/reportQueue');
+const reportScheduler = require('../reportScheduler');
+
+const scheduledReport = nextRun => ({
+  id: 'rep-1',
+  name: 'Weekly vulnerability summary',
+  description: 'Open findings by severity',
+  type: 'VULNERABILITY',
+  format: 'PDF',
+  status: 'SCHEDULED',
+  templateId: null,
+  parameters: { severity: ['CRITICAL'] },
+  recipients: ['secops@example.com'],
+  createdById: 'u1',
+  schedule: { frequency: 'weekly', time: '08:00', dayOfWeek: 1, nextRun }
+});
+
+describe('report scheduler', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockPrisma.systemSetting.findUnique.mockResolvedValue(null);
+    queueReport.mockResolvedValue({ id: 'rep-2' });
+  });
+
+  it('queues a child report when it wins the claim on the schedule', async () => {
+    const nextRun = new Date().toISOString();
+    mockPrisma.report.findUnique.mockResolvedValueOnce(scheduledReport(nextRun));
+    mockPrisma.report.updateMany.mockResolvedValueOnce({ count: 1 });
+
+    await reportScheduler.runSchedule('rep-1');
+
+    const { where, data } = mockPrisma.report.updateMany.mock.calls[0][0];
+    expect(where).toEqual({ id: 'rep-1', status: 'SCHEDULED', schedule: { path: ['nextRun'], equals: nextRun } });
+    expect(new Date(data.schedule.nextRun).getTime()).toBeGreaterThan(new Date(data.schedule.lastRun).getTime());
+    expect(queueReport).toHaveBeenCalledWith(expect.objectContaining({
+      type: 'vulnerability',
+      format: 'pdf',
+      parameters: { severity: ['CRITICAL'] },
+      recipients: ['secops@example.com'],
+      parentId: 'rep-1'
+    }));
+  });
+
+  it('leaves the run to the replica that won the claim', async () => {
+    mockPrisma.report.findUnique.mockResolvedValueOnce(scheduledReport(new Date().toISOString()));
+    mockPrisma.report.updateMany.mockResolvedValueOnce({ count: 0 });
+
+    await reportScheduler.runSchedule('rep-1');
+
+    expect(mockPrisma.report.updateMany).toHaveBeenCalledTimes(1);
+    expect(queueReport).not.toHaveBeenCalled();
+  });
+
+  it('does not claim a run that is not due yet', async () => {
+    const later = new Date(Date.now() + 10 * 60 * 1000).toISOString();
+    mockPrisma.report.findUnique.mockResolvedValueOnce(scheduledReport(later));
+
+    await reportScheduler.runSchedule('rep-1');
+
+    expect(mockPrisma.report.updateMany).not.toHaveBeenCalled();
+    expect(queueReport).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,60 @@
+const mockPrisma = {
+  systemSetting: {
+    findUnique: jest.fn()
+  },
+  scheduledScan: {
+    findUnique: jest.fn(),
+    findMany: jest.fn(),
+    update: jest.fn(),
+    updateMany: jest.fn()
+  }
+};
+
+jest.mock('@prisma/client', () => ({ PrismaClient: jest.fn(() => mockPrisma) }));
+jest.mock('../../../utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn() }));
+jest.mock('../../scanner/scanQueue', () => ({ queueScan: jest.fn() }));
+
+const { queueScan } = require('../../scanner/scanQueue');
+const scanScheduler = require('../scanScheduler');
+
+const SCHEDULE = {
+  id: 'sched-1',
+  name: 'Nightly network scan',
+  enabled: true,
+  frequency: 'daily',
+  time: '02:00',
+  scanType: 'NETWORK',
+  configuration: { targets: ['10.0.0.0/24'] },
+  createdById: 'u1',
+  nextRun: new Date()
+};
+
+describe('scan scheduler', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockPrisma.systemSetting.findUnique.mockResolvedValue(null);
+    mockPrisma.scheduledScan.findUnique.mockResolvedValue(SCHEDULE);
+    queueScan.mockResolvedValue({ id: 'scan-1' });
+  });
+
+  it('queues the scan when it wins the claim on the schedule', async () => {
+    mockPrisma.scheduledScan.updateMany.mockResolvedValueOnce({ count: 1 });
+
+    await scanScheduler.runSchedule('sched-1');
+
+    const { where, data } = mockPrisma.scheduledScan.updateMany.mock.calls[0][0];
+    expect(where).toMatchObject({ id: 'sched-1', enabled: true });
+    expect(where.OR[1].nextRun.lte.getTime()).toBeGreaterThan(Date.now());
+    expect(data.nextRun.getTime()).toBeGreaterThan(data.lastRun.getTime());
+    expect(queueScan).toHaveBeenCalledWith('network', { targets: ['10.0.0.0/24'] }, 'u1');
+  });
+
+  it('leaves the run to the replica that won the claim', async () => {
+    mockPrisma.scheduledScan.updateMany.mockResolvedValueOnce({ count: 0 });
+
+    await scanScheduler.runSchedule('sched-1');
+
+    expect(mockPrisma.scheduledScan.updateMany).toHaveBeenCalledTimes(1);
+    expect(queueScan).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,75 @@
+const { CronTime } = require('cron');
+const { PrismaClient } = require('@prisma/client');
+const logger = require('../../utils/logger');
+
+const prisma = new PrismaClient();
+
+const DEFAULT_TIMEZONE = 'UTC';
+
+function isValidTimezone(timezone) {
+  try {
+    new CronTime('* * * * *', timezone);
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Timezone from general.timezone that schedules run in
+ *
+ * @returns {Promise<string>} IANA timezone, UTC when unset or unknown
+ */
+async function getTimezone() {
+  const setting = await prisma.systemSetting.findUnique({ where: { key: 'general.timezone' } });
+  let timezone = DEFAULT_TIMEZONE;
+  try {
+    timezone = setting ? JSON.parse(setting.value) : DEFAULT_TIMEZONE;
+  } catch (error) {
+    timezone = setting.value;
+  }
+
+  if (!isValidTimezone(timezone)) {
+    logger.warn(`Unknown timezone "${timezone}" in general.timezone, scheduling in UTC`);
+    return DEFAULT_TIMEZONE;
+  }
+  return timezone;
+}
+
+/**
+ * Cron pattern of a schedule ({ frequency, time, dayOfWeek, dayOfMonth })
+ *
+ * Hourly schedules run at the minute of `time`; weekly ones default to
+ * Monday and monthly ones to the 1st.
+ */
+function cronPattern(schedule) {
+  const [hours, minutes] = (schedule.time || '02:00').split(':').map(Number);
+
+  switch (schedule.frequency) {
+    case 'hourly':
+      return `${minutes} * * * *`;
+    case 'weekly':
+      return `${minutes} ${hours} * * ${schedule.dayOfWeek ?? 1}`;
+    case 'monthly':
+      return `${minutes} ${hours} ${schedule.dayOfMonth ?? 1} * *`;
+    default:
+      return `${minutes} ${hours} * * *`;
+  }
+}
+
+/**
+ * Next time a schedule runs after `from`
+ *
+ * @returns {Date}
+ */
+function nextRunAt(schedule, timezone, from = new Date()) {
+  return new CronTime(cronPattern(schedule), timezone).getNextDateFrom(from, timezone).toJSDate();
+}
+
+module.exports = {
+  DEFAULT_TIMEZONE,
+  isValidTimezone,
+  getTimezone,
+  cronPattern,
+  nextRunAt
+};
@@ -0,0 +1,54 @@
+const ldap = require('../auth/ldap');
+const logger = require('../../utils/logger');
+
+/**
+ * Periodic LDAP group sync while sso.ldap.syncEnabled is on: role,
+ * permissions, department and active state of directory users follow the
+ * directory
+ *
+ * Every replica has the timer; ldap.sync() lets one replica run at a time
+ * and a later run finds nothing left to change.
+ */
+
+const SYNC_INTERVAL_MS = 60 * 60 * 1000;
+
+let syncTimer = null;
+let syncing = null;
+
+function sync() {
+  if (!syncing) {
+    syncing = ldap.getLdapSettings()
+      .then(settings => (settings.syncEnabled && ldap.isConfigured(settings) ? ldap.sync(settings) : null))
+      .catch(error => {
+        if (error.code === 'SYNC_RUNNING') {
+          logger.info('LDAP sync skipped: another replica is running it');
+        } else {
+          logger.error('LDAP sync failed:', error);
+        }
+      })
+      .finally(() => {
+        syncing = null;
+      });
+  }
+  return syncing;
+}
+
+function start() {
+  if (syncTimer) return;
+  syncTimer = setInterval(sync, SYNC_INTERVAL_MS);
+  syncTimer.unref();
+  sync();
+}
+
+function stop() {
+  if (syncTimer) {
+    clearInterval(syncTimer);
+    syncTimer = null;
+  }
+}
+
+module.exports = {
+  sync,
+  start,
+  stop
+};
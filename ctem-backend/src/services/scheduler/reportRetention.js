@@ -0,0 +1,45 @@
+const { purgeExpiredArtifacts } = require('../reports/reportArtifacts');
+const logger = require('../../utils/logger');
+
+/**
+ * Periodic purge of report files past the retention period
+ *
+ * Every replica runs it; a file is only counted by the replica whose
+ * update still finds it, so running it concurrently is harmless.
+ */
+
+const PURGE_INTERVAL_MS = 60 * 60 * 1000;
+
+let purgeTimer = null;
+let purging = null;
+
+function purge() {
+  if (!purging) {
+    purging = purgeExpiredArtifacts()
+      .catch(error => logger.error('Report retention purge failed:', error))
+      .finally(() => {
+        purging = null;
+      });
+  }
+  return purging;
+}
+
+function start() {
+  if (purgeTimer) return;
+  purgeTimer = setInterval(purge, PURGE_INTERVAL_MS);
+  purgeTimer.unref();
+  purge();
+}
+
+function stop() {
+  if (purgeTimer) {
+    clearInterval(purgeTimer);
+    purgeTimer = null;
+  }
+}
+
+module.exports = {
+  purge,
+  start,
+  stop
+};
@@ -0,0 +1,194 @@
+const { CronJob } = require('cron');
+const { PrismaClient } = require('@prisma/client');
+const { queueReport } = require('../reports/reportQueue');
+const { getTimezone, cronPattern, nextRunAt } = require('./cron');
+const logger = require('../../utils/logger');
+
+const prisma = new PrismaClient();
+
+/**
+ * Cron scheduler for SCHEDULED reports
+ *
+ * A scheduled report is a template: every run creates a child Report
+ * (parentId) that goes through the report queue and is emailed to the
+ * recipients once generated. The schedule, including nextRun/lastRun and
+ * the paused flag, lives in the report's `schedule` JSON. Like the scan
+ * scheduler, replicas claim a run by moving nextRun forward in a
+ * conditional update so each run happens once.
+ */
+
+const SYNC_INTERVAL_MS = 60 * 1000;
+
+// How far a replica's clock may be ahead of the one that set nextRun
+const CLAIM_TOLERANCE_MS = 60 * 1000;
+
+const FREQUENCIES = ['daily', 'weekly', 'monthly'];
+
+const cronJobs = new Map();
+let syncTimer = null;
+let syncChain = Promise.resolve();
+
+/**
+ * Claim a due scheduled report and queue a run
+ */
+async function runSchedule(reportId) {
+  const [parent, timezone] = await Promise.all([
+    prisma.report.findUnique({ where: { id: reportId } }),
+    getTimezone()
+  ]);
+
+  const schedule = parent && parent.schedule;
+  if (!parent || parent.status !== 'SCHEDULED' || !schedule || schedule.paused) {
+    return refresh();
+  }
+
+  const now = new Date();
+  if (!schedule.nextRun || new Date(schedule.nextRun).getTime() > now.getTime() + CLAIM_TOLERANCE_MS) {
+    return;
+  }
+
+  // Only one replica moves nextRun on from the value it read
+  const claimed = await prisma.report.updateMany({
+    where: {
+      id: reportId,
+      status: 'SCHEDULED',
+      schedule: { path: ['nextRun'], equals: schedule.nextRun }
+    },
+    data: {
+      schedule: {
+        ...schedule,
+        lastRun: now.toISOString(),
+        nextRun: nextRunAt(schedule, timezone, now).toISOString()
+      }
+    }
+  });
+
+  if (claimed.count === 0) return;
+
+  const run = await queueReport({
+    name: `${parent.name} - ${now.toISOString().split('T')[0]}`,
+    description: parent.description,
+    type: parent.type.toLowerCase(),
+    format: parent.format.toLowerCase(),
+    templateId: parent.templateId,
+    parameters: parent.parameters || {},
+    recipients: parent.recipients,
+    createdById: parent.createdById,
+    parentId: parent.id
+  });
+  logger.info(`Scheduled report ${parent.name} (${parent.id}) queued as report ${run.id}`);
+}
+
+function stopCronJob(reportId) {
+  const entry = cronJobs.get(reportId);
+  if (entry) {
+    entry.job.stop();
+    cronJobs.delete(reportId);
+  }
+}
+
+/**
+ * Store a schedule's nextRun unless the schedule changed in the meantime
+ */
+async function storeNextRun(report, nextRun) {
+  await prisma.report.updateMany({
+    where: { id: report.id, schedule: { equals: report.schedule } },
+    data: { schedule: { ...report.schedule, nextRun } }
+  });
+}
+
+/**
+ * Bring the cron jobs and nextRun values in line with the database
+ */
+async function sync() {
+  const timezone = await getTimezone();
+  const reports = await prisma.report.findMany({
+    where: { status: 'SCHEDULED' },
+    select: { id: true, schedule: true }
+  });
+
+  const active = reports.filter(report => report.schedule && !report.schedule.paused);
+  const activeIds = new Set(active.map(report => report.id));
+
+  // Deleted and paused schedules
+  [...cronJobs.keys()]
+    .filter(id => !activeIds.has(id))
+    .forEach(stopCronJob);
+
+  for (const report of reports) {
+    if (report.schedule && report.schedule.paused && report.schedule.nextRun) {
+      await storeNextRun(report, null);
+    }
+  }
+
+  const now = Date.now();
+
+  for (const report of active) {
+    const pattern = cronPattern(report.schedule);
+    const signature = `${pattern}|${timezone}`;
+
+    const existing = cronJobs.get(report.id);
+    if (!existing || existing.signature !== signature) {
+      stopCronJob(report.id);
+      const job = CronJob.from({
+        cronTime: pattern,
+        timeZone: timezone,
+        start: true,
+        onTick: () => {
+          runSchedule(report.id).catch(error => {
+            logger.error(`Scheduled report ${report.id} error:`, error);
+          });
+        }
+      });
+      cronJobs.set(report.id, { job, signature });
+    }
+
+    // Leave a run that is due right now for the replica about to claim it
+    const nextRun = nextRunAt(report.schedule, timezone);
+    const stored = report.schedule.nextRun ? new Date(report.schedule.nextRun).getTime() : null;
+    const due = stored !== null && stored <= now && stored >= now - CLAIM_TOLERANCE_MS;
+    if (!due && (stored === null || Math.abs(stored - nextRun.getTime()) > 1000)) {
+      await storeNextRun(report, nextRun.toISOString());
+    }
+  }
+}
+
+/**
+ * Re-read scheduled reports, e.g. after one was edited, paused or deleted
+ *
+ * Calls are serialized so overlapping refreshes cannot create duplicate jobs.
+ */
+function refresh() {
+  syncChain = syncChain
+    .then(sync)
+    .catch(error => logger.error('Report scheduler sync error:', error));
+  return syncChain;
+}
+
+/**
+ * Load scheduled reports and keep them in sync
+ */
+function start() {
+  if (syncTimer) return;
+  syncTimer = setInterval(refresh, SYNC_INTERVAL_MS);
+  syncTimer.unref();
+  refresh().then(() => {
+    logger.info(`Report scheduler started with ${cronJobs.size} active schedules`);
+  });
+}
+
+function stop() {
+  if (syncTimer) {
+    clearInterval(syncTimer);
+    syncTimer = null;
+  }
+  [...cronJobs.keys()].forEach(stopCronJob);
+}
+
+module.exports = {
+  FREQUENCIES,
+  runSchedule,
+  refresh,
+  start,
+  stop
+};
@@ -0,0 +1,210 @@
+const { CronJob } = require('cron');
+const { PrismaClient } = require('@prisma/client');
+const { queueScan } = require('../scanner/scanQueue');
+const { getTimezone, cronPattern, nextRunAt } = require('./cron');
+const logger = require('../../utils/logger');
+
+const prisma = new PrismaClient();
+
+/**
+ * Cron scheduler for ScheduledScan records
+ *
+ * Every replica keeps a cron job per enabled schedule. When one fires, the
+ * replica claims the run by moving nextRun forward in a conditional update;
+ * only the replica that wins the claim queues the scan, so a schedule runs
+ * once no matter how many replicas are up. Schedules are re-read on every
+ * change made through this replica and periodically to pick up changes made
+ * through others.
+ */
+
+const SYNC_INTERVAL_MS = 60 * 1000;
+
+// How far a replica's clock may be ahead of the one that set nextRun
+const CLAIM_TOLERANCE_MS = 60 * 1000;
+
+const FREQUENCIES = ['hourly', 'daily', 'weekly', 'monthly'];
+
+const DEFAULT_SETTINGS = {
+  enabled: true,
+  frequency: 'daily',
+  time: '02:00'
+};
+
+const cronJobs = new Map();
+let syncTimer = null;
+let syncChain = Promise.resolve();
+
+async function getSetting(key, defaultValue) {
+  const setting = await prisma.systemSetting.findUnique({ where: { key } });
+  if (!setting) return defaultValue;
+  try {
+    return JSON.parse(setting.value);
+  } catch (error) {
+    logger.warn(`Ignoring invalid setting ${key}`);
+    return defaultValue;
+  }
+}
+
+/**
+ * Scheduler settings: the scanning.automated.* switch and defaults, and the
+ * general.timezone schedules run in
+ *
+ * @returns {Promise<Object>} { enabled, frequency, time, timezone }
+ */
+async function getSchedulerSettings() {
+  const [enabled, frequency, time, timezone] = await Promise.all([
+    getSetting('scanning.automated.enabled', DEFAULT_SETTINGS.enabled),
+    getSetting('scanning.automated.frequency', DEFAULT_SETTINGS.frequency),
+    getSetting('scanning.automated.time', DEFAULT_SETTINGS.time),
+    getTimezone()
+  ]);
+
+  return {
+    enabled: enabled !== false,
+    frequency: FREQUENCIES.includes(frequency) ? frequency : DEFAULT_SETTINGS.frequency,
+    time: time || DEFAULT_SETTINGS.time,
+    timezone
+  };
+}
+
+/**
+ * Claim a due schedule and queue its scan
+ */
+async function runSchedule(scheduleId) {
+  const [schedule, settings] = await Promise.all([
+    prisma.scheduledScan.findUnique({ where: { id: scheduleId } }),
+    getSchedulerSettings()
+  ]);
+
+  if (!schedule || !schedule.enabled || !settings.enabled) {
+    return refresh();
+  }
+
+  const now = new Date();
+  const claimed = await prisma.scheduledScan.updateMany({
+    where: {
+      id: scheduleId,
+      enabled: true,
+      OR: [
+        { nextRun: null },
+        { nextRun: { lte: new Date(now.getTime() + CLAIM_TOLERANCE_MS) } }
+      ]
+    },
+    data: {
+      lastRun: now,
+      nextRun: nextRunAt(schedule, settings.timezone, now)
+    }
+  });
+
+  // Another replica already ran it
+  if (claimed.count === 0) return;
+
+  const scan = await queueScan(schedule.scanType.toLowerCase(), schedule.configuration || {}, schedule.createdById);
+  logger.info(`Scheduled scan ${schedule.name} (${schedule.id}) queued as scan ${scan.id}`);
+}
+
+function stopCronJob(scheduleId) {
+  const entry = cronJobs.get(scheduleId);
+  if (entry) {
+    entry.job.stop();
+    cronJobs.delete(scheduleId);
+  }
+}
+
+/**
+ * Bring the cron jobs and nextRun values in line with the database
+ */
+async function sync() {
+  const settings = await getSchedulerSettings();
+  const schedules = settings.enabled
+    ? await prisma.scheduledScan.findMany({ where: { enabled: true } })
+    : [];
+  const activeIds = new Set(schedules.map(schedule => schedule.id));
+
+  // Deleted and disabled schedules, or every schedule when automated scanning is off
+  [...cronJobs.keys()]
+    .filter(id => !activeIds.has(id))
+    .forEach(stopCronJob);
+
+  await prisma.scheduledScan.updateMany({
+    where: settings.enabled
+      ? { enabled: false, nextRun: { not: null } }
+      : { nextRun: { not: null } },
+    data: { nextRun: null }
+  });
+
+  const now = Date.now();
+
+  for (const schedule of schedules) {
+    const pattern = cronPattern(schedule);
+    const signature = `${pattern}|${settings.timezone}`;
+
+    const existing = cronJobs.get(schedule.id);
+    if (!existing || existing.signature !== signature) {
+      stopCronJob(schedule.id);
+      const job = CronJob.from({
+        cronTime: pattern,
+        timeZone: settings.timezone,
+        start: true,
+        onTick: () => {
+          runSchedule(schedule.id).catch(error => {
+            logger.error(`Scheduled scan ${schedule.id} error:`, error);
+          });
+        }
+      });
+      cronJobs.set(schedule.id, { job, signature });
+    }
+
+    // Leave a run that is due right now for the replica about to claim it
+    const nextRun = nextRunAt(schedule, settings.timezone);
+    const stored = schedule.nextRun ? schedule.nextRun.getTime() : null;
+    const due = stored !== null && stored <= now && stored >= now - CLAIM_TOLERANCE_MS;
+    if (!due && (stored === null || Math.abs(stored - nextRun.getTime()) > 1000)) {
+      await prisma.scheduledScan.update({
+        where: { id: schedule.id },
+        data: { nextRun }
+      });
+    }
+  }
+}
+
+/**
+ * Re-read schedules and settings, e.g. after a schedule was edited
+ *
+ * Calls are serialized so overlapping refreshes cannot create duplicate jobs.
+ */
+function refresh() {
+  syncChain = syncChain
+    .then(sync)
+    .catch(error => logger.error('Scan scheduler sync error:', error));
+  return syncChain;
+}
+
+/**
+ * Load enabled schedules and keep them in sync
+ */
+function start() {
+  if (syncTimer) return;
+  syncTimer = setInterval(refresh, SYNC_INTERVAL_MS);
+  syncTimer.unref();
+  refresh().then(() => {
+    logger.info(`Scan scheduler started with ${cronJobs.size} active schedules`);
+  });
+}
+
+function stop() {
+  if (syncTimer) {
+    clearInterval(syncTimer);
+    syncTimer = null;
+  }
+  [...cronJobs.keys()].forEach(stopCronJob);
+}
+
+module.exports = {
+  FREQUENCIES,
+  getSchedulerSettings,
+  runSchedule,
+  refresh,
+  start,
+  stop
+};
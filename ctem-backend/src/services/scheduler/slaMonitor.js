@@ -0,0 +1,48 @@
+const { refreshDueDates } = require('../sla/slaPolicy');
+const { notifySlaBreaches } = require('../sla/slaBreaches');
+const logger = require('../../utils/logger');
+
+/**
+ * Periodic SLA check: gives open findings without a due date one and
+ * notifies the findings that passed theirs
+ *
+ * Every replica runs it; breaches are claimed per finding, so each is
+ * notified once.
+ */
+
+const CHECK_INTERVAL_MS = 60 * 60 * 1000;
+
+let checkTimer = null;
+let checking = null;
+
+function check() {
+  if (!checking) {
+    checking = refreshDueDates({ dueDate: null })
+      .then(() => notifySlaBreaches())
+      .catch(error => logger.error('SLA check failed:', error))
+      .finally(() => {
+        checking = null;
+      });
+  }
+  return checking;
+}
+
+function start() {
+  if (checkTimer) return;
+  checkTimer = setInterval(check, CHECK_INTERVAL_MS);
+  checkTimer.unref();
+  check();
+}
+
+function stop() {
+  if (checkTimer) {
+    clearInterval(checkTimer);
+    checkTimer = null;
+  }
+}
+
+module.exports = {
+  check,
+  start,
+  stop
+};
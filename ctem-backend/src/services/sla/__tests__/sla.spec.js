@@ -0,0 +1,196 @@
+const mockPrisma = {
+  $queryRaw: jest.fn(),
+  systemSetting: {
+    findMany: jest.fn()
+  },
+  assetVulnerability: {
+    findMany: jest.fn(),
+    update: jest.fn(),
+    updateMany: jest.fn()
+  },
+  user: {
+    findMany: jest.fn()
+  },
+  notification: {
+    createMany: jest.fn()
+  }
+};
+
+jest.mock('@prisma/client', () => ({ PrismaClient: jest.fn(() => mockPrisma) }));
+jest.mock('../../../utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn() }));
+
+const {
+  DEFAULT_SLA_POLICY,
+  getSlaPolicy,
+  slaDays,
+  findingDueDate,
+  refreshDueDates,
+  slaStats
+} = require('../slaPolicy');
+const { notifySlaBreaches } = require('../slaBreaches');
+
+const day = date => new Date(`${date}T00:00:00Z`);
+
+function finding(id, severity, criticality, detectedAt, extra = {}) {
+  return {
+    id,
+    detectedAt: day(detectedAt),
+    dueDate: null,
+    slaBreachedAt: null,
+    vulnerability: { severity },
+    asset: { criticality },
+    ...extra
+  };
+}
+
+describe('SLA policy', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it('takes days by severity unless the asset criticality overrides them', () => {
+    expect(slaDays(DEFAULT_SLA_POLICY, 'CRITICAL', 'MEDIUM')).toBe(7);
+    expect(slaDays(DEFAULT_SLA_POLICY, 'HIGH', 'LOW')).toBe(30);
+    expect(slaDays(DEFAULT_SLA_POLICY, 'CRITICAL', 'CRITICAL')).toBe(3);
+    expect(slaDays(DEFAULT_SLA_POLICY, 'HIGH', 'CRITICAL')).toBe(14);
+    expect(slaDays(DEFAULT_SLA_POLICY, 'MEDIUM', 'CRITICAL')).toBe(90);
+    expect(slaDays(DEFAULT_SLA_POLICY, 'INFO', 'CRITICAL')).toBeNull();
+
+    expect(findingDueDate(finding('f1', 'HIGH', 'MEDIUM', '2026-10-01'), DEFAULT_SLA_POLICY)).toEqual(day('2026-10-31'));
+    expect(findingDueDate(finding('f2', 'INFO', 'MEDIUM', '2026-10-01'), DEFAULT_SLA_POLICY)).toBeNull();
+  });
+
+  it('reads sla.* settings over the defaults', async () => {
+    mockPrisma.systemSetting.findMany.mockResolvedValue([
+      { key: 'sla.severity.CRITICAL', value: '5' },
+      { key: 'sla.severity.INFO', value: '365' },
+      { key: 'sla.criticality.CRITICAL.CRITICAL', value: 'null' },
+      { key: 'sla.criticality.LOW.LOW', value: '365' }
+    ]);
+
+    const policy = await getSlaPolicy();
+
+    expect(slaDays(policy, 'CRITICAL', 'MEDIUM')).toBe(5);
+    expect(slaDays(policy, 'INFO', 'MEDIUM')).toBe(365);
+    // An explicit null override removes the SLA for that combination
+    expect(slaDays(policy, 'CRITICAL', 'CRITICAL')).toBeNull();
+    expect(slaDays(policy, 'LOW', 'LOW')).toBe(365);
+    expect(slaDays(policy, 'LOW', 'HIGH')).toBe(180);
+  });
+
+  it('recomputes due dates of open findings and re-arms breaches no longer past due', async () => {
+    const future = new Date(Date.now() + 400 * 24 * 60 * 60 * 1000).toISOString().split('T')[0];
+    mockPrisma.assetVulnerability.findMany
+      .mockResolvedValueOnce([
+        // Unchanged
+        finding('f1', 'HIGH', 'MEDIUM', '2026-01-01', { dueDate: day('2026-01-31') }),
+        // Policy tightened after the finding was notified: still breached
+        finding('f2', 'CRITICAL', 'CRITICAL', '2026-01-01', { dueDate: day('2026-01-08'), slaBreachedAt: day('2026-01-09') }),
+        // Detected recently, notified under an older policy
+        finding('f3', 'LOW', 'LOW', future, { dueDate: day('2026-01-01'), slaBreachedAt: day('2026-01-02') })
+      ])
+      .mockResolvedValueOnce([]);
+
+    await expect(refreshDueDates({ assetId: 'a1' }, DEFAULT_SLA_POLICY)).resolves.toBe(2);
+
+    expect(mockPrisma.assetVulnerability.findMany.mock.calls[0][0].where).toEqual({
+      assetId: 'a1',
+      status: { in: ['OPEN', 'INVESTIGATING'] }
+    });
+    expect(mockPrisma.assetVulnerability.findMany.mock.calls[1][0]).toMatchObject({ cursor: { id: 'f3' }, skip: 1 });
+    expect(mockPrisma.assetVulnerability.update.mock.calls).toEqual([
+      [{ where: { id: 'f2' }, data: { dueDate: day('2026-01-04'), slaBreachedAt: day('2026-01-09') } }],
+      [{ where: { id: 'f3' }, data: { dueDate: new Date(day(future).getTime() + 180 * 24 * 60 * 60 * 1000), slaBreachedAt: null } }]
+    ]);
+  });
+
+  it('reports on-time and breached shares and MTTR', async () => {
+    mockPrisma.$queryRaw.mockResolvedValue([
+      { metOnTime: 6n, metLate: 2n, openBreached: 2n, dueSoon: 3n, mttrDays: '12.345' }
+    ]);
+
+    await expect(slaStats()).resolves.toEqual({
+      slaOnTimePercent: 60,
+      slaBreachedPercent: 40,
+      slaOpenBreached: 2,
+      slaDueSoon: 3,
+      mttrDays: 12.3
+    });
+
+    mockPrisma.$queryRaw.mockResolvedValue([
+      { metOnTime: 0n, metLate: 0n, openBreached: 0n, dueSoon: 0n, mttrDays: null }
+    ]);
+    await expect(slaStats()).resolves.toMatchObject({ slaOnTimePercent: 0, slaBreachedPercent: 0, mttrDays: null });
+  });
+});
+
+describe('SLA breaches', () => {
+  const now = new Date('2026-10-19T12:00:00Z');
+
+  function breach(id, severity) {
+    return {
+      id,
+      dueDate: day('2026-10-18'),
+      asset: { id: 'a1', name: 'web-01' },
+      vulnerability: { title: `Vulnerability ${id}`, cveId: `CVE-2026-000${id.slice(1)}`, severity }
+    };
+  }
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockPrisma.user.findMany.mockResolvedValue([{ id: 'u1' }, { id: 'u2' }]);
+  });
+
+  it('notifies each newly breached finding once', async () => {
+    mockPrisma.assetVulnerability.findMany.mockResolvedValue([breach('f1', 'HIGH'), breach('f2', 'CRITICAL')]);
+    // f2 was claimed by a concurrent run
+    mockPrisma.assetVulnerability.updateMany
+      .mockResolvedValueOnce({ count: 1 })
+      .mockResolvedValueOnce({ count: 0 });
+
+    await expect(notifySlaBreaches(now)).resolves.toBe(1);
+
+    expect(mockPrisma.assetVulnerability.findMany.mock.calls[0][0].where).toEqual({
+      status: { in: ['OPEN', 'INVESTIGATING'] },
+      dueDate: { lt: now },
+      slaBreachedAt: null
+    });
+    expect(mockPrisma.assetVulnerability.updateMany).toHaveBeenCalledWith({
+      where: { id: 'f1', slaBreachedAt: null },
+      data: { slaBreachedAt: now }
+    });
+
+    const { data } = mockPrisma.notification.createMany.mock.calls[0][0];
+    expect(data.map(notification => notification.userId)).toEqual(['u1', 'u2']);
+    expect(data[0]).toMatchObject({
+      type: 'ALERT',
+      priority: 'HIGH',
+      category: 'sla',
+      title: 'Finding breached its remediation SLA',
+      message: 'CVE-2026-0001 on web-01 (due 2026-10-18)',
+      data: { findingIds: ['f1'] }
+    });
+  });
+
+  it('summarizes many breaches in one urgent notification per user', async () => {
+    const breaches = ['f1', 'f2', 'f3', 'f4', 'f5', 'f6', 'f7'].map((id, i) => breach(id, i === 6 ? 'CRITICAL' : 'MEDIUM'));
+    mockPrisma.assetVulnerability.findMany.mockResolvedValue(breaches);
+    mockPrisma.assetVulnerability.updateMany.mockResolvedValue({ count: 1 });
+
+    await expect(notifySlaBreaches(now)).resolves.toBe(7);
+
+    const { data } = mockPrisma.notification.createMany.mock.calls[0][0];
+    expect(data).toHaveLength(2);
+    expect(data[0].title).toBe('7 findings breached their remediation SLA');
+    expect(data[0].priority).toBe('URGENT');
+    expect(data[0].message.split('\n')).toHaveLength(6);
+    expect(data[0].message).toMatch(/and 2 more$/);
+  });
+
+  it('does nothing without breaches', async () => {
+    mockPrisma.assetVulnerability.findMany.mockResolvedValue([]);
+
+    await expect(notifySlaBreaches(now)).resolves.toBe(0);
+    expect(mockPrisma.notification.createMany).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,102 @@
+const { PrismaClient } = require('@prisma/client');
+const logger = require('../../utils/logger');
+const { OPEN_STATUSES } = require('../risk/assetRisk');
+
+const prisma = new PrismaClient();
+
+// Findings notified per run; the rest follow on the next run
+const MAX_BREACHES_PER_RUN = 500;
+
+// Findings listed in the notification message
+const LISTED_BREACHES = 5;
+
+/**
+ * Users told about SLA breaches: active admins and everyone who can
+ * update findings
+ */
+async function breachRecipients() {
+  const users = await prisma.user.findMany({
+    where: {
+      isActive: true,
+      OR: [
+        { role: 'ADMIN' },
+        { permissions: { has: 'vulnerabilities:update' } }
+      ]
+    },
+    select: { id: true }
+  });
+  return users.map(user => user.id);
+}
+
+function describeBreach(finding) {
+  const name = finding.vulnerability.cveId || finding.vulnerability.title;
+  const due = finding.dueDate.toISOString().split('T')[0];
+  return `${name} on ${finding.asset.name} (due ${due})`;
+}
+
+/**
+ * Notify open findings that have passed their SLA due date
+ *
+ * Each breach is notified once: a finding is claimed by setting its
+ * slaBreachedAt, which only the first of several concurrent runs
+ * succeeds in. Every recipient gets one notification per run.
+ *
+ * @param {Date} [now]
+ * @returns {Promise<number>} Number of newly breached findings
+ */
+async function notifySlaBreaches(now = new Date()) {
+  const candidates = await prisma.assetVulnerability.findMany({
+    where: {
+      status: { in: OPEN_STATUSES },
+      dueDate: { lt: now },
+      slaBreachedAt: null
+    },
+    select: {
+      id: true,
+      dueDate: true,
+      asset: { select: { id: true, name: true } },
+      vulnerability: { select: { title: true, cveId: true, severity: true } }
+    },
+    orderBy: { dueDate: 'asc' },
+    take: MAX_BREACHES_PER_RUN
+  });
+
+  const breaches = [];
+  for (const finding of candidates) {
+    const { count } = await prisma.assetVulnerability.updateMany({
+      where: { id: finding.id, slaBreachedAt: null },
+      data: { slaBreachedAt: now }
+    });
+    if (count > 0) breaches.push(finding);
+  }
+  if (breaches.length === 0) return 0;
+
+  const userIds = await breachRecipients();
+  const listed = breaches.slice(0, LISTED_BREACHES).map(describeBreach);
+  if (breaches.length > LISTED_BREACHES) {
+    listed.push(`and ${breaches.length - LISTED_BREACHES} more`);
+  }
+
+  await prisma.notification.createMany({
+    data: userIds.map(userId => ({
+      userId,
+      type: 'ALERT',
+      priority: breaches.some(finding => finding.vulnerability.severity === 'CRITICAL') ? 'URGENT' : 'HIGH',
+      category: 'sla',
+      title: breaches.length === 1
+        ? 'Finding breached its remediation SLA'
+        : `${breaches.length} findings breached their remediation SLA`,
+      message: listed.join('\n'),
+      actionUrl: '/vulnerabilities',
+      actionText: 'View vulnerabilities',
+      data: { findingIds: breaches.map(finding => finding.id) }
+    }))
+  });
+
+  logger.info(`Notified ${breaches.length} SLA breaches to ${userIds.length} users`);
+  return breaches.length;
+}
+
+module.exports = {
+  notifySlaBreaches
+};
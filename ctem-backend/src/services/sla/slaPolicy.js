@@ -0,0 +1,219 @@
+const { PrismaClient } = require('@prisma/client');
+const logger = require('../../utils/logger');
+const { OPEN_STATUSES } = require('../risk/assetRisk');
+
+const prisma = new PrismaClient();
+
+/**
+ * Remediation SLA policies
+ *
+ * A finding (AssetVulnerability) must be remediated within a number of
+ * days of its detection that depends on the vulnerability's severity and,
+ * optionally, the asset's criticality. The resulting due date is stored on
+ * the finding so that breaches can be queried and reported.
+ */
+
+const SETTINGS_PREFIX = 'sla.';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Open findings due within this many days count as due soon
+const DUE_SOON_DAYS = 7;
+
+const BATCH_SIZE = 200;
+
+/**
+ * Policy used when no sla.* setting overrides it
+ */
+const DEFAULT_SLA_POLICY = {
+  // Days to remediate by vulnerability severity; null sets no SLA
+  severity: {
+    CRITICAL: 7,
+    HIGH: 30,
+    MEDIUM: 90,
+    LOW: 180,
+    INFO: null
+  },
+  // Days by asset criticality and severity, taking precedence over the above
+  criticality: {
+    CRITICAL: { CRITICAL: 3, HIGH: 14 },
+    HIGH: {},
+    MEDIUM: {},
+    LOW: {}
+  }
+};
+
+/**
+ * Read sla.* settings over the default policy
+ *
+ * @returns {Promise<Object>} Policy in the DEFAULT_SLA_POLICY shape
+ */
+async function getSlaPolicy() {
+  const policy = JSON.parse(JSON.stringify(DEFAULT_SLA_POLICY));
+
+  const settings = await prisma.systemSetting.findMany({
+    where: { key: { startsWith: SETTINGS_PREFIX } }
+  });
+
+  settings.forEach(setting => {
+    const keys = setting.key.slice(SETTINGS_PREFIX.length).split('.');
+    let current = policy;
+    for (let i = 0; i < keys.length - 1; i++) {
+      if (!current[keys[i]] || typeof current[keys[i]] !== 'object') {
+        current[keys[i]] = {};
+      }
+      current = current[keys[i]];
+    }
+
+    try {
+      current[keys[keys.length - 1]] = JSON.parse(setting.value);
+    } catch (error) {
+      logger.warn(`Ignoring invalid SLA setting ${setting.key}`);
+    }
+  });
+
+  return policy;
+}
+
+/**
+ * Days allowed to remediate a finding
+ *
+ * @returns {number|null} Days, null when the policy sets no SLA
+ */
+function slaDays(policy, severity, criticality) {
+  const overrides = (policy.criticality || {})[criticality] || {};
+  const days = overrides[severity] !== undefined ? overrides[severity] : (policy.severity || {})[severity];
+  return Number.isFinite(days) && days > 0 ? days : null;
+}
+
+/**
+ * Due date of a finding detected at `detectedAt`
+ *
+ * @param {Object} finding - detectedAt, vulnerability.severity, asset.criticality
+ * @param {Object} policy
+ * @returns {Date|null}
+ */
+function findingDueDate(finding, policy) {
+  const days = slaDays(policy, finding.vulnerability.severity, finding.asset.criticality);
+  if (!days) return null;
+  return new Date(new Date(finding.detectedAt).getTime() + days * DAY_MS);
+}
+
+function sameTime(a, b) {
+  return (a ? a.getTime() : null) === (b ? new Date(b).getTime() : null);
+}
+
+/**
+ * Recompute the due dates of open findings, e.g. after the policy, an
+ * asset's criticality or a vulnerability's severity changed
+ *
+ * Closed findings keep the due date they were measured against. A finding
+ * that is no longer past due can breach, and be notified, again.
+ *
+ * @param {Object} [where] - Additional AssetVulnerability filter
+ * @param {Object} [policy] - Policy to apply, read from settings when omitted
+ * @returns {Promise<number>} Number of findings updated
+ */
+async function refreshDueDates(where = {}, policy) {
+  const effectivePolicy = policy || await getSlaPolicy();
+  const now = new Date();
+  let updated = 0;
+  let cursor = null;
+
+  for (;;) {
+    const findings = await prisma.assetVulnerability.findMany({
+      where: { ...where, status: { in: OPEN_STATUSES } },
+      select: {
+        id: true,
+        detectedAt: true,
+        dueDate: true,
+        slaBreachedAt: true,
+        vulnerability: { select: { severity: true } },
+        asset: { select: { criticality: true } }
+      },
+      orderBy: { id: 'asc' },
+      take: BATCH_SIZE,
+      ...(cursor ? { cursor: { id: cursor }, skip: 1 } : {})
+    });
+    if (findings.length === 0) break;
+
+    for (const finding of findings) {
+      const dueDate = findingDueDate(finding, effectivePolicy);
+      const slaBreachedAt = dueDate && dueDate <= now ? finding.slaBreachedAt : null;
+      if (sameTime(dueDate, finding.dueDate) && slaBreachedAt === finding.slaBreachedAt) continue;
+
+      await prisma.assetVulnerability.update({
+        where: { id: finding.id },
+        data: { dueDate, slaBreachedAt }
+      });
+      updated++;
+    }
+
+    cursor = findings[findings.length - 1].id;
+  }
+
+  if (updated > 0) {
+    logger.info(`Updated SLA due dates of ${updated} findings`);
+  }
+  return updated;
+}
+
+/**
+ * SLA percentages from finding counts
+ *
+ * Findings remediated by their due date are on time; findings remediated
+ * late and open findings past their due date are breached. Open findings
+ * not yet due are not counted either way.
+ */
+function summarizeSla({ metOnTime, metLate, openBreached, dueSoon, mttrDays }) {
+  const measured = metOnTime + metLate + openBreached;
+  const percent = count => measured > 0 ? Number(((count / measured) * 100).toFixed(1)) : 0;
+
+  return {
+    slaOnTimePercent: percent(metOnTime),
+    slaBreachedPercent: percent(metLate + openBreached),
+    slaOpenBreached: openBreached,
+    slaDueSoon: dueSoon,
+    mttrDays: mttrDays === null ? null : Number(mttrDays.toFixed(1))
+  };
+}
+
+/**
+ * SLA performance and mean time to remediate over all findings
+ *
+ * @param {Date} [now]
+ * @returns {Promise<Object>} See summarizeSla
+ */
+async function slaStats(now = new Date()) {
+  const soon = new Date(now.getTime() + DUE_SOON_DAYS * DAY_MS);
+
+  const [row] = await prisma.$queryRaw`
+    SELECT
+      COUNT(*) FILTER (WHERE "status" = 'MITIGATED' AND "resolvedAt" <= "dueDate") AS "metOnTime",
+      COUNT(*) FILTER (WHERE "status" = 'MITIGATED' AND "resolvedAt" > "dueDate") AS "metLate",
+      COUNT(*) FILTER (WHERE "status" IN ('OPEN', 'INVESTIGATING') AND "dueDate" < ${now}) AS "openBreached",
+      COUNT(*) FILTER (WHERE "status" IN ('OPEN', 'INVESTIGATING') AND "dueDate" >= ${now} AND "dueDate" < ${soon}) AS "dueSoon",
+      AVG(EXTRACT(EPOCH FROM ("resolvedAt" - "detectedAt")) / 86400)
+        FILTER (WHERE "status" = 'MITIGATED' AND "resolvedAt" IS NOT NULL) AS "mttrDays"
+    FROM asset_vulnerabilities
+  `;
+
+  return summarizeSla({
+    metOnTime: Number(row.metOnTime),
+    metLate: Number(row.metLate),
+    openBreached: Number(row.openBreached),
+    dueSoon: Number(row.dueSoon),
+    mttrDays: row.mttrDays === null ? null : Number(row.mttrDays)
+  });
+}
+
+module.exports = {
+  DEFAULT_SLA_POLICY,
+  DUE_SOON_DAYS,
+  getSlaPolicy,
+  slaDays,
+  findingDueDate,
+  refreshDueDates,
+  summarizeSla,
+  slaStats
+};
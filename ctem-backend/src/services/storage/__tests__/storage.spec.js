@@ -0,0 +1,118 @@
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const { createLocalStorage } = require('../localStorage');
+const { createS3Storage } = require('../s3Storage');
+const { createStorage } = require('..');
+
+/**
+ * Minimal S3-compatible server: path-style PUT, GET and DELETE of objects
+ */
+function startS3StandIn() {
+  const objects = new Map();
+
+  const server = http.createServer((req, res) => {
+    const chunks = [];
+    req.on('data', chunk => chunks.push(chunk));
+    req.on('end', () => {
+      const key = decodeURIComponent(req.url.split('?')[0]);
+      if (req.method === 'PUT') {
+        objects.set(key, { body: Buffer.concat(chunks), contentType: req.headers['content-type'] });
+        res.writeHead(200, { ETag: '"etag"' });
+        return res.end();
+      }
+      if (req.method === 'GET') {
+        const object = objects.get(key);
+        if (!object) {
+          res.writeHead(404, { 'Content-Type': 'application/xml' });
+          return res.end('<?xml version="1.0" encoding="UTF-8"?><Error><Code>NoSuchKey</Code><Message>Not found</Message></Error>');
+        }
+        res.writeHead(200, { 'Content-Type': object.contentType, 'Content-Length': object.body.length });
+        return res.end(object.body);
+      }
+      if (req.method === 'DELETE') {
+        objects.delete(key);
+        res.writeHead(204);
+        return res.end();
+      }
+      res.writeHead(405);
+      res.end();
+    });
+  });
+
+  return new Promise(resolve => {
+    server.listen(0, '127.0.0.1', () => resolve({ server, objects, port: server.address().port }));
+  });
+}
+
+describe('local storage', () => {
+  let root;
+  let storage;
+
+  beforeEach(() => {
+    root = fs.mkdtempSync(path.join(os.tmpdir(), 'ctem-storage-'));
+    storage = createLocalStorage({ root });
+  });
+
+  afterEach(() => {
+    fs.rmSync(root, { recursive: true, force: true });
+  });
+
+  it('stores, reads and removes objects', async () => {
+    await storage.put('reports/2026/10/a.pdf', Buffer.from('%PDF-1.3'));
+
+    expect(fs.readFileSync(path.join(root, 'reports', '2026', '10', 'a.pdf'), 'utf8')).toBe('%PDF-1.3');
+    expect((await storage.get('reports/2026/10/a.pdf')).toString()).toBe('%PDF-1.3');
+
+    await storage.remove('reports/2026/10/a.pdf');
+    await storage.remove('reports/2026/10/a.pdf');
+    await expect(storage.get('reports/2026/10/a.pdf')).rejects.toMatchObject({ code: 'NOT_FOUND' });
+  });
+
+  it('keeps keys inside the root directory', async () => {
+    await expect(storage.put('../outside.txt', Buffer.from('x'))).rejects.toThrow('Invalid storage key');
+    await expect(storage.get('reports/../../outside.txt')).rejects.toThrow('Invalid storage key');
+  });
+});
+
+describe('S3 storage', () => {
+  let standIn;
+  let storage;
+
+  beforeAll(async () => {
+    standIn = await startS3StandIn();
+    storage = createS3Storage({
+      bucket: 'ctem-reports',
+      endpoint: `http://127.0.0.1:${standIn.port}`,
+      accessKeyId: 'test',
+      secretAccessKey: 'test',
+      prefix: 'ctem/'
+    });
+  });
+
+  afterAll(done => {
+    standIn.server.close(done);
+  });
+
+  it('stores objects path-style in the bucket', async () => {
+    await storage.put('reports/2026/10/a.csv', Buffer.from('Title\r\nRCE'), { contentType: 'text/csv' });
+
+    const stored = standIn.objects.get('/ctem-reports/ctem/reports/2026/10/a.csv');
+    expect(stored.body.toString()).toBe('Title\r\nRCE');
+    expect(stored.contentType).toBe('text/csv');
+    expect((await storage.get('reports/2026/10/a.csv')).toString()).toBe('Title\r\nRCE');
+  });
+
+  it('reports missing objects as NOT_FOUND', async () => {
+    await storage.put('reports/2026/10/b.csv', Buffer.from('x'));
+    await storage.remove('reports/2026/10/b.csv');
+
+    await expect(storage.get('reports/2026/10/b.csv')).rejects.toMatchObject({ code: 'NOT_FOUND' });
+  });
+
+  it('needs a bucket', () => {
+    expect(() => createStorage({ STORAGE_DRIVER: 's3' })).toThrow('S3 storage needs a bucket');
+    expect(() => createStorage({ STORAGE_DRIVER: 'ftp' })).toThrow('Unknown storage driver: ftp');
+  });
+});
@@ -0,0 +1,57 @@
+const path = require('path');
+const { createLocalStorage } = require('./localStorage');
+const { createS3Storage } = require('./s3Storage');
+
+/**
+ * Object storage for generated files
+ *
+ * Every driver stores Buffers under slash-separated keys and offers
+ * `put(key, body, { contentType })`, `get(key)` and `remove(key)`. `get`
+ * rejects with `code: 'NOT_FOUND'` for missing objects; `remove` ignores
+ * them.
+ *
+ * The driver is picked from the environment:
+ *   STORAGE_DRIVER       local (default) or s3
+ *   STORAGE_LOCAL_DIR    root of the local driver, default ./storage
+ *   S3_BUCKET, S3_REGION, S3_ENDPOINT, S3_ACCESS_KEY_ID,
+ *   S3_SECRET_ACCESS_KEY, S3_PREFIX
+ *                        s3 driver; S3_ENDPOINT points it at an
+ *                        S3-compatible server such as MinIO
+ */
+
+let storage = null;
+
+function createStorage(env = process.env) {
+  const driver = (env.STORAGE_DRIVER || 'local').toLowerCase();
+
+  switch (driver) {
+    case 'local':
+      return createLocalStorage({ root: env.STORAGE_LOCAL_DIR || path.join(process.cwd(), 'storage') });
+    case 's3':
+      return createS3Storage({
+        bucket: env.S3_BUCKET,
+        region: env.S3_REGION,
+        endpoint: env.S3_ENDPOINT,
+        accessKeyId: env.S3_ACCESS_KEY_ID,
+        secretAccessKey: env.S3_SECRET_ACCESS_KEY,
+        prefix: env.S3_PREFIX
+      });
+    default:
+      throw new Error(`Unknown storage driver: ${driver}`);
+  }
+}
+
+/**
+ * Storage configured for this process
+ */
+function getStorage() {
+  if (!storage) {
+    storage = createStorage();
+  }
+  return storage;
+}
+
+module.exports = {
+  createStorage,
+  getStorage
+};
@@ -0,0 +1,58 @@
+const fs = require('fs/promises');
+const path = require('path');
+
+/**
+ * Storage driver that keeps objects as files below a root directory
+ *
+ * Keys are slash-separated relative paths; they may not leave the root.
+ *
+ * @param {Object} options
+ * @param {string} options.root - Directory the objects are stored in
+ */
+function createLocalStorage({ root }) {
+  const rootDir = path.resolve(root);
+
+  function resolveKey(key) {
+    const file = path.resolve(rootDir, ...key.split('/'));
+    if (!file.startsWith(rootDir + path.sep)) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+    return file;
+  }
+
+  async function put(key, body) {
+    const file = resolveKey(key);
+    await fs.mkdir(path.dirname(file), { recursive: true });
+
+    // Write to a temporary file first so readers never see a partial object
+    const temporary = `${file}.${process.pid}.${Date.now()}.tmp`;
+    await fs.writeFile(temporary, body);
+    await fs.rename(temporary, file);
+  }
+
+  async function get(key) {
+    try {
+      return await fs.readFile(resolveKey(key));
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        throw Object.assign(new Error(`Stored object not found: ${key}`), { code: 'NOT_FOUND' });
+      }
+      throw error;
+    }
+  }
+
+  async function remove(key) {
+    await fs.rm(resolveKey(key), { force: true });
+  }
+
+  return {
+    name: 'local',
+    put,
+    get,
+    remove
+  };
+}
+
+module.exports = {
+  createLocalStorage
+};
@@ -0,0 +1,71 @@
+const {
+  S3Client,
+  PutObjectCommand,
+  GetObjectCommand,
+  DeleteObjectCommand
+} = require('@aws-sdk/client-s3');
+
+/**
+ * Storage driver for S3 and S3-compatible object stores
+ *
+ * With an endpoint it talks to any S3-compatible server (MinIO, Ceph,
+ * LocalStack...) using path-style URLs, so no bucket DNS is needed.
+ *
+ * @param {Object} options
+ * @param {string} options.bucket
+ * @param {string} [options.region]
+ * @param {string} [options.endpoint] - URL of an S3-compatible server
+ * @param {string} [options.accessKeyId] - Defaults to the AWS credential chain
+ * @param {string} [options.secretAccessKey]
+ * @param {string} [options.prefix] - Prepended to every key
+ * @param {Object} [options.client] - Preconfigured S3Client
+ */
+function createS3Storage({ bucket, region = 'us-east-1', endpoint, accessKeyId, secretAccessKey, prefix = '', client }) {
+  if (!bucket) {
+    throw new Error('S3 storage needs a bucket (set S3_BUCKET)');
+  }
+
+  const s3 = client || new S3Client({
+    region,
+    ...(endpoint && { endpoint, forcePathStyle: true }),
+    ...(accessKeyId && { credentials: { accessKeyId, secretAccessKey } })
+  });
+
+  const objectKey = key => `${prefix}${key}`;
+
+  async function put(key, body, { contentType } = {}) {
+    await s3.send(new PutObjectCommand({
+      Bucket: bucket,
+      Key: objectKey(key),
+      Body: body,
+      ContentType: contentType
+    }));
+  }
+
+  async function get(key) {
+    try {
+      const response = await s3.send(new GetObjectCommand({ Bucket: bucket, Key: objectKey(key) }));
+      return Buffer.from(await response.Body.transformToByteArray());
+    } catch (error) {
+      if (error.name === 'NoSuchKey' || (error.$metadata && error.$metadata.httpStatusCode === 404)) {
+        throw Object.assign(new Error(`Stored object not found: ${key}`), { code: 'NOT_FOUND' });
+      }
+      throw error;
+    }
+  }
+
+  async function remove(key) {
+    await s3.send(new DeleteObjectCommand({ Bucket: bucket, Key: objectKey(key) }));
+  }
+
+  return {
+    name: 's3',
+    put,
+    get,
+    remove
+  };
+}
+
+module.exports = {
+  createS3Storage
+};
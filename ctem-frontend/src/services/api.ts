@@ -14,6 +14,28 @@ export interface ApiError {
   status?: number
 }
 
+// Login-Typen: ohne Token folgt ein zweiter Schritt (MFA-Code oder Einrichtung)
+export interface LoginResult {
+  token?: string
+  refreshToken?: string
+  user?: any
+  mfaRequired?: boolean
+  mfaEnrollmentRequired?: boolean
+  mfaToken?: string
+  recoveryCodes?: string[]
+  recoveryCodesRemaining?: number
+}
+
+export interface MfaEnrollment {
+  secret: string
+  otpauthUrl: string
+}
+
+export interface SsoConfig {
+  enabled: boolean
+  buttonLabel: string
+}
+
 // Asset-Typen
 export interface Asset {
   id: string
@@ -49,6 +71,12 @@ export interface Vulnerability {
   references: string[]
   exploitAvailable: boolean
   patchAvailable: boolean
+  knownExploited?: boolean
+  kevDueDate?: string
+  kevRansomware?: boolean
+  epssScore?: number | null
+  epssPercentile?: number | null
+  slaDueDate?: string | null
 }
 
 // Risk-Typen
@@ -68,6 +96,77 @@ export interface Risk {
   mitigationPlan?: string
 }
 
+// Remediation-Typen
+export interface RemediationUser {
+  id: string
+  name: string
+}
+
+export interface RemediationFinding {
+  id: string
+  status: Vulnerability['status']
+  detectedAt: string
+  resolvedAt?: string | null
+  asset: { id: string; name: string }
+  vulnerability: { id: string; title: string; cveId?: string | null; severity: Vulnerability['severity'] }
+}
+
+export interface RemediationPlan {
+  id: string
+  title: string
+  description?: string | null
+  status: 'open' | 'in_progress' | 'completed' | 'cancelled'
+  owner: RemediationUser | null
+  dueDate: string | null
+  progress: number
+  risk: { id: string; title: string; riskScore: number } | null
+  taskCount: number
+  isOverdue: boolean
+  completedAt?: string | null
+  createdAt: string
+  updatedAt: string
+  tasks?: RemediationTask[]
+}
+
+export interface RemediationTask {
+  id: string
+  planId: string
+  plan?: { id: string; title: string }
+  title: string
+  description?: string | null
+  status: 'todo' | 'in_progress' | 'blocked' | 'done' | 'verified'
+  owner: RemediationUser | null
+  dueDate: string | null
+  progress: number
+  position: number
+  findings: RemediationFinding[]
+  isOverdue: boolean
+  completedAt?: string | null
+  verifiedAt?: string | null
+  verifiedBy: RemediationUser | null
+  createdAt: string
+  updatedAt: string
+}
+
+export interface RemediationPlanInput {
+  title: string
+  description?: string | null
+  ownerId?: string | null
+  dueDate?: string | null
+  riskId?: string | null
+}
+
+export interface RemediationTaskInput {
+  title?: string
+  description?: string | null
+  status?: Exclude<RemediationTask['status'], 'verified'>
+  progress?: number
+  position?: number
+  ownerId?: string | null
+  dueDate?: string | null
+  findingIds?: string[]
+}
+
 // Dashboard-Statistiken
 export interface DashboardStats {
   totalAssets: number
@@ -78,6 +177,13 @@ export interface DashboardStats {
   complianceScore: number
   recentAlerts: number
   patchingEfficiency: number
+  kevOpenOnCriticalAssets: number
+  kevOverdueOnCriticalAssets: number
+  slaOnTimePercent: number
+  slaBreachedPercent: number
+  slaOpenBreached: number
+  slaDueSoon: number
+  mttrDays: number | null
 }
 
 // Report-Typen
@@ -85,23 +191,64 @@ export interface Report {
   id: string
   name: string
   description: string
-  type: 'assets' | 'vulnerabilities' | 'risks' | 'compliance'
-  status: 'pending' | 'generating' | 'completed' | 'failed' | 'scheduled'
+  type: 'assets' | 'vulnerabilities' | 'risks' | 'compliance' | 'executive'
+  status: 'pending' | 'generating' | 'completed' | 'failed' | 'scheduled' | 'expired'
   format: 'pdf' | 'excel' | 'csv' | 'html'
   createdAt: string
   completedAt?: string
   createdBy: string
   size?: number
+  checksum?: string | null
   downloadUrl?: string
   progress?: number
   parameters?: Record<string, any>
-  schedule?: {
-    frequency: 'once' | 'daily' | 'weekly' | 'monthly'
-    nextRun?: string
-    lastRun?: string
-  }
+  schedule?: ReportSchedule
   recipients?: string[]
   error?: string
+  parentId?: string | null
+  deliveredAt?: string | null
+  deliveryError?: string | null
+  templateId?: string | null
+}
+
+export type ReportTemplateSection =
+  | { type: 'summary'; title?: string }
+  | { type: 'chart'; chart: string; title?: string }
+  | { type: 'table'; entity: string; columns?: string[]; title?: string }
+
+export interface ReportTemplate {
+  id: string
+  name: string
+  description?: string | null
+  type: Report['type']
+  sections: ReportTemplateSection[]
+  filters: Record<string, any>
+  isDefault: boolean
+  createdAt: string
+  updatedAt: string
+  createdBy?: { id: string; name: string; email: string }
+}
+
+export interface ReportCatalogEntry {
+  title: string
+  filters: { key: string; type: 'date' | 'enum' | 'list' | 'boolean'; values?: string[] }[]
+  charts: { key: string; title: string }[]
+  entities: {
+    key: string
+    title: string
+    columns: { key: string; header: string; type: string }[]
+  }[]
+  defaultTemplate: { sections: ReportTemplateSection[] }
+}
+
+export interface ReportSchedule {
+  frequency: 'daily' | 'weekly' | 'monthly'
+  time?: string
+  dayOfWeek?: number
+  dayOfMonth?: number
+  paused?: boolean
+  nextRun?: string | null
+  lastRun?: string | null
 }
 
 // Compliance-Typen
@@ -151,6 +298,22 @@ export interface ComplianceGap {
   recommendation: string
 }
 
+// LDAP-Abgleich: Änderungen an Verzeichnis-Benutzern, als Vorschau oder ausgeführt
+export interface LdapSyncChange {
+  userId: string
+  email: string
+  name: string
+  reason: 'directory_attributes' | 'disabled_in_directory' | 'not_authorized' | 'not_in_directory'
+  before: Record<string, any>
+  after: Record<string, any>
+}
+
+export interface LdapSyncResult {
+  directoryEntries: number
+  checkedUsers: number
+  changes: LdapSyncChange[]
+}
+
 class ApiService {
   private api: AxiosInstance
 
@@ -200,8 +363,8 @@ class ApiService {
           apiError.message = 'Network error - please check your connection'
         }
 
-        // Handle 401 Unauthorized
-        if (error.response?.status === 401) {
+        // Handle 401 Unauthorized - Login-Schritte ohne Token (falsches Passwort oder Code) bleiben auf der Seite
+        if (error.response?.status === 401 && error.config?.headers?.Authorization) {
           localStorage.removeItem('auth_token')
           window.location.href = '/login'
         }
@@ -212,8 +375,48 @@ class ApiService {
   }
 
   // Authentication
-  async login(email: string, password: string): Promise<ApiResponse<{ token: string; user: any }>> {
-    const response = await this.api.post('/auth/login', { email, password })
+  async login(email: string, password: string, rememberMe = false): Promise<ApiResponse<LoginResult>> {
+    const response = await this.api.post('/auth/login', { email, password, rememberMe })
+    return response.data
+  }
+
+  async verifyMfaLogin(mfaToken: string, code: string): Promise<ApiResponse<LoginResult>> {
+    const response = await this.api.post('/auth/login/mfa', { mfaToken, code })
+    return response.data
+  }
+
+  async setupMfa(mfaToken?: string): Promise<ApiResponse<MfaEnrollment>> {
+    const response = await this.api.post('/auth/mfa/setup', { mfaToken })
+    return response.data
+  }
+
+  async enableMfa(code: string, mfaToken?: string): Promise<ApiResponse<LoginResult>> {
+    const response = await this.api.post('/auth/mfa/enable', { code, mfaToken })
+    return response.data
+  }
+
+  async disableMfa(password: string, code: string): Promise<ApiResponse> {
+    const response = await this.api.post('/auth/mfa/disable', { password, code })
+    return response.data
+  }
+
+  async regenerateRecoveryCodes(code: string): Promise<ApiResponse<{ recoveryCodes: string[] }>> {
+    const response = await this.api.post('/auth/mfa/recovery-codes', { code })
+    return response.data
+  }
+
+  async getSsoConfig(): Promise<ApiResponse<SsoConfig>> {
+    const response = await this.api.get('/auth/sso/config')
+    return response.data
+  }
+
+  // Start der SSO-Anmeldung per Browser-Weiterleitung, kein API-Aufruf
+  getSsoLoginUrl(redirect = '/'): string {
+    return `${this.api.defaults.baseURL}/auth/sso/login?redirect=${encodeURIComponent(redirect)}`
+  }
+
+  async exchangeSsoTicket(ticket: string): Promise<ApiResponse<LoginResult>> {
+    const response = await this.api.post('/auth/sso/exchange', { ticket })
     return response.data
   }
 
@@ -268,6 +471,9 @@ class ApiService {
     status?: string
     assetId?: string
     search?: string
+    minEpss?: number
+    sortBy?: string
+    sortOrder?: 'asc' | 'desc'
   }): Promise<ApiResponse<{ vulnerabilities: Vulnerability[]; total: number; page: number; totalPages: number }>> {
     const response = await this.api.get('/vulnerabilities', { params })
     return response.data
@@ -331,6 +537,83 @@ class ApiService {
     return response.data
   }
 
+  // Remediation API
+  async getRemediationPlans(params?: {
+    page?: number
+    limit?: number
+    search?: string
+    status?: string
+    ownerId?: string
+    riskId?: string
+  }): Promise<ApiResponse<{ plans: RemediationPlan[]; total: number; page: number; totalPages: number }>> {
+    const response = await this.api.get('/remediation/plans', { params })
+    return response.data
+  }
+
+  async getRemediationPlan(id: string): Promise<ApiResponse<RemediationPlan>> {
+    const response = await this.api.get(`/remediation/plans/${id}`)
+    return response.data
+  }
+
+  async createRemediationPlan(plan: RemediationPlanInput): Promise<ApiResponse<RemediationPlan>> {
+    const response = await this.api.post('/remediation/plans', plan)
+    return response.data
+  }
+
+  async updateRemediationPlan(id: string, plan: Partial<RemediationPlanInput> & {
+    status?: 'open' | 'cancelled'
+  }): Promise<ApiResponse<RemediationPlan>> {
+    const response = await this.api.put(`/remediation/plans/${id}`, plan)
+    return response.data
+  }
+
+  async deleteRemediationPlan(id: string): Promise<ApiResponse> {
+    const response = await this.api.delete(`/remediation/plans/${id}`)
+    return response.data
+  }
+
+  async getRemediationTasks(params?: {
+    planId?: string
+    status?: string
+    ownerId?: string
+  }): Promise<ApiResponse<RemediationTask[]>> {
+    const response = await this.api.get('/remediation/tasks', { params })
+    return response.data
+  }
+
+  async createRemediationTask(planId: string, task: RemediationTaskInput & { title: string }): Promise<ApiResponse<RemediationTask>> {
+    const response = await this.api.post(`/remediation/plans/${planId}/tasks`, task)
+    return response.data
+  }
+
+  async updateRemediationTask(id: string, task: RemediationTaskInput): Promise<ApiResponse<RemediationTask>> {
+    const response = await this.api.put(`/remediation/tasks/${id}`, task)
+    return response.data
+  }
+
+  async verifyRemediationTask(id: string): Promise<ApiResponse<{ task: RemediationTask; closedFindings: number }>> {
+    const response = await this.api.post(`/remediation/tasks/${id}/verify`)
+    return response.data
+  }
+
+  async deleteRemediationTask(id: string): Promise<ApiResponse> {
+    const response = await this.api.delete(`/remediation/tasks/${id}`)
+    return response.data
+  }
+
+  async getRemediationOwners(): Promise<ApiResponse<RemediationUser[]>> {
+    const response = await this.api.get('/remediation/owners')
+    return response.data
+  }
+
+  async searchRemediationFindings(params?: {
+    search?: string
+    limit?: number
+  }): Promise<ApiResponse<RemediationFinding[]>> {
+    const response = await this.api.get('/remediation/findings', { params })
+    return response.data
+  }
+
   // Dashboard API
   async getDashboardStats(): Promise<ApiResponse<DashboardStats>> {
     const response = await this.api.get('/dashboard/stats')
@@ -353,8 +636,15 @@ class ApiService {
   }
 
   // Reports API
-  async generateReport(type: 'assets' | 'vulnerabilities' | 'risks' | 'compliance', params?: any): Promise<ApiResponse<{ reportId: string }>> {
-    const response = await this.api.post('/reports/generate', { type, params })
+  async generateReport(type: Report['type'], params?: {
+    name?: string
+    description?: string
+    format?: Report['format']
+    templateId?: string | null
+    parameters?: any
+    recipients?: string[]
+  }): Promise<ApiResponse<{ reportId: string }>> {
+    const response = await this.api.post('/reports/generate', { type, ...params })
     return response.data
   }
 
@@ -383,18 +673,92 @@ class ApiService {
   async scheduleReport(reportData: {
     type: string
     name: string
-    schedule: any
+    description?: string
+    format?: Report['format']
+    templateId?: string | null
+    schedule: ReportSchedule
     parameters?: any
+    recipients?: string[]
   }): Promise<ApiResponse<Report>> {
     const response = await this.api.post('/reports/schedule', reportData)
     return response.data
   }
 
+  async getScheduledReports(): Promise<ApiResponse<{ reports: Report[]; total: number; page: number; totalPages: number }>> {
+    const response = await this.api.get('/reports', { params: { status: 'scheduled', limit: 100 } })
+    return response.data
+  }
+
+  async updateScheduledReport(reportId: string, reportData: {
+    name?: string
+    description?: string
+    format?: Report['format']
+    templateId?: string | null
+    schedule?: Partial<ReportSchedule>
+    parameters?: any
+    recipients?: string[]
+  }): Promise<ApiResponse<Report>> {
+    const response = await this.api.put(`/reports/schedule/${reportId}`, reportData)
+    return response.data
+  }
+
+  async getScheduledReportRuns(reportId: string, params?: {
+    page?: number
+    limit?: number
+  }): Promise<ApiResponse<{ runs: Report[]; total: number; page: number; totalPages: number }>> {
+    const response = await this.api.get(`/reports/schedule/${reportId}/runs`, { params })
+    return response.data
+  }
+
   async cancelReport(reportId: string): Promise<ApiResponse> {
     const response = await this.api.post(`/reports/${reportId}/cancel`)
     return response.data
   }
 
+  // Report Templates API
+  async getReportTemplates(type?: Report['type']): Promise<ApiResponse<ReportTemplate[]>> {
+    const response = await this.api.get('/report-templates', { params: { type } })
+    return response.data
+  }
+
+  async getReportTemplate(templateId: string): Promise<ApiResponse<ReportTemplate>> {
+    const response = await this.api.get(`/report-templates/${templateId}`)
+    return response.data
+  }
+
+  async getReportTemplateCatalog(): Promise<ApiResponse<Record<Report['type'], ReportCatalogEntry>>> {
+    const response = await this.api.get('/report-templates/catalog')
+    return response.data
+  }
+
+  async createReportTemplate(templateData: {
+    name: string
+    description?: string
+    type: Report['type']
+    sections?: ReportTemplateSection[]
+    filters?: Record<string, any>
+    isDefault?: boolean
+  }): Promise<ApiResponse<ReportTemplate>> {
+    const response = await this.api.post('/report-templates', templateData)
+    return response.data
+  }
+
+  async updateReportTemplate(templateId: string, templateData: {
+    name?: string
+    description?: string
+    sections?: ReportTemplateSection[]
+    filters?: Record<string, any>
+    isDefault?: boolean
+  }): Promise<ApiResponse<ReportTemplate>> {
+    const response = await this.api.put(`/report-templates/${templateId}`, templateData)
+    return response.data
+  }
+
+  async deleteReportTemplate(templateId: string): Promise<ApiResponse> {
+    const response = await this.api.delete(`/report-templates/${templateId}`)
+    return response.data
+  }
+
   // Compliance API
   async getComplianceFrameworks(): Promise<ApiResponse<ComplianceFramework[]>> {
     const response = await this.api.get('/compliance/frameworks')
@@ -476,6 +840,16 @@ class ApiService {
     return response.data
   }
 
+  async previewLdapSync(): Promise<ApiResponse<LdapSyncResult>> {
+    const response = await this.api.get('/users/ldap-sync/preview')
+    return response.data
+  }
+
+  async runLdapSync(): Promise<ApiResponse<LdapSyncResult>> {
+    const response = await this.api.post('/users/ldap-sync')
+    return response.data
+  }
+
   // Settings API
   async getSettings(): Promise<ApiResponse<any>> {
     const response = await this.api.get('/settings')
@@ -1,5 +1,6 @@
 import { defineStore } from 'pinia'
 import { ref, computed } from 'vue'
+import type { LoginResult } from '@/services/api'
 
 export const useAuthStore = defineStore('auth', () => {
   const isInitialized = ref(true)
@@ -22,6 +23,14 @@ export const useAuthStore = defineStore('auth', () => {
     return Promise.resolve()
   }
 
+  // Session from a login finished through the API: password, MFA step or single sign-on
+  const setSession = (result: LoginResult) => {
+    if (!result.token || !result.user) return
+    localStorage.setItem('auth_token', result.token)
+    user.value = result.user
+    isAuthenticated.value = true
+  }
+
   const logout = async () => {
     isAuthenticated.value = true // Keep authenticated for demo
     return Promise.resolve()
@@ -38,6 +47,7 @@ export const useAuthStore = defineStore('auth', () => {
     user,
     initializeAuth,
     login,
+    setSession,
     logout,
     setupInterceptors
   }
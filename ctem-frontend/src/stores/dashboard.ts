@@ -30,7 +30,14 @@ export const useDashboardStore = defineStore('dashboard', () => {
     averageRiskScore: 0,
     complianceScore: 0,
     recentAlerts: 0,
-    patchingEfficiency: 0
+    patchingEfficiency: 0,
+    kevOpenOnCriticalAssets: 0,
+    kevOverdueOnCriticalAssets: 0,
+    slaOnTimePercent: 0,
+    slaBreachedPercent: 0,
+    slaOpenBreached: 0,
+    slaDueSoon: 0,
+    mttrDays: null
   })
 
   const assetTrends = ref<TrendData[]>([])
@@ -248,7 +255,14 @@ export const useDashboardStore = defineStore('dashboard', () => {
       averageRiskScore: 6.2,
       complianceScore: 78.5,
       recentAlerts: 12,
-      patchingEfficiency: 82.3
+      patchingEfficiency: 82.3,
+      kevOpenOnCriticalAssets: 4,
+      kevOverdueOnCriticalAssets: 1,
+      slaOnTimePercent: 71.4,
+      slaBreachedPercent: 28.6,
+      slaOpenBreached: 9,
+      slaDueSoon: 14,
+      mttrDays: 21.7
     }
     lastUpdated.value = new Date()
     console.log('Mock dashboard data loaded')
@@ -362,6 +376,34 @@ export const useDashboardStore = defineStore('dashboard', () => {
       getValue: () => stats.value.patchingEfficiency,
       getColor: () => stats.value.patchingEfficiency >= 80 ? 'success' : 'warning',
       format: formatPercentage
+    },
+    {
+      id: 'kevOpenOnCriticalAssets',
+      title: 'KEV Open on Critical Assets',
+      icon: 'bi-bug',
+      getValue: () => stats.value.kevOpenOnCriticalAssets,
+      getColor: () => stats.value.kevOverdueOnCriticalAssets > 0
+        ? 'danger'
+        : stats.value.kevOpenOnCriticalAssets > 0 ? 'warning' : 'success',
+      format: formatNumber
+    },
+    {
+      id: 'slaOnTimePercent',
+      title: 'Remediated Within SLA',
+      icon: 'bi-stopwatch',
+      getValue: () => stats.value.slaOnTimePercent,
+      getColor: () => stats.value.slaOpenBreached > 0
+        ? 'danger'
+        : stats.value.slaDueSoon > 0 ? 'warning' : 'success',
+      format: formatPercentage
+    },
+    {
+      id: 'mttrDays',
+      title: 'Mean Time to Remediate',
+      icon: 'bi-hourglass-split',
+      getValue: () => stats.value.mttrDays ?? 0,
+      getColor: () => 'info',
+      format: (days: number) => stats.value.mttrDays === null ? 'N/A' : `${days.toFixed(1)} d`
     }
   ]
 
@@ -0,0 +1,415 @@
+import { defineStore } from 'pinia'
+import { ref, computed } from 'vue'
+import {
+  apiService,
+  type RemediationPlan,
+  type RemediationPlanInput,
+  type RemediationTask,
+  type RemediationTaskInput,
+  type RemediationUser,
+  type ApiError
+} from '@/services/api'
+
+interface PlanFilters {
+  search: string
+  status: string
+  ownerId: string
+  page: number
+  limit: number
+}
+
+type TaskStatus = RemediationTask['status']
+
+export const useRemediationStore = defineStore('remediation', () => {
+  // State
+  const plans = ref<RemediationPlan[]>([])
+  const selectedPlan = ref<RemediationPlan | null>(null)
+  const tasks = ref<RemediationTask[]>([])
+  const owners = ref<RemediationUser[]>([])
+  const isLoading = ref(false)
+  const error = ref<string | null>(null)
+  const pagination = ref({
+    page: 1,
+    totalPages: 1,
+    total: 0,
+    limit: parseInt(import.meta.env.VITE_DEFAULT_PAGE_SIZE) || 20
+  })
+
+  const filters = ref<PlanFilters>({
+    search: '',
+    status: '',
+    ownerId: '',
+    page: 1,
+    limit: parseInt(import.meta.env.VITE_DEFAULT_PAGE_SIZE) || 20
+  })
+
+  // Board filter: tasks of one plan, or of all active plans
+  const boardPlanId = ref('')
+
+  // Getters
+  const tasksByStatus = computed(() => {
+    const columns: Record<TaskStatus, RemediationTask[]> = {
+      todo: [],
+      in_progress: [],
+      blocked: [],
+      done: [],
+      verified: []
+    }
+    tasks.value.forEach(task => {
+      columns[task.status].push(task)
+    })
+    Object.values(columns).forEach(column => column.sort((a, b) => a.position - b.position))
+    return columns
+  })
+
+  const remediationStats = computed(() => ({
+    plans: pagination.value.total,
+    openTasks: tasks.value.filter(t => !['done', 'verified'].includes(t.status)).length,
+    blockedTasks: tasks.value.filter(t => t.status === 'blocked').length,
+    overdueTasks: tasks.value.filter(t => t.isOverdue).length,
+    awaitingVerification: tasks.value.filter(t => t.status === 'done').length
+  }))
+
+  // Actions
+  async function fetchPlans() {
+    isLoading.value = true
+    error.value = null
+
+    try {
+      const response = await apiService.getRemediationPlans({
+        page: filters.value.page,
+        limit: filters.value.limit,
+        search: filters.value.search || undefined,
+        status: filters.value.status || undefined,
+        ownerId: filters.value.ownerId || undefined
+      })
+
+      plans.value = response.data.plans
+      pagination.value = {
+        page: response.data.page,
+        totalPages: response.data.totalPages,
+        total: response.data.total,
+        limit: filters.value.limit
+      }
+
+    } catch (err) {
+      const apiError = err as ApiError
+      error.value = apiError.message
+      console.error('Failed to fetch remediation plans:', apiError)
+    } finally {
+      isLoading.value = false
+    }
+  }
+
+  async function fetchPlan(id: string) {
+    error.value = null
+
+    try {
+      const response = await apiService.getRemediationPlan(id)
+      selectedPlan.value = response.data
+      replacePlan(response.data)
+      return response.data
+    } catch (err) {
+      const apiError = err as ApiError
+      error.value = apiError.message
+      console.error('Failed to fetch remediation plan:', apiError)
+      throw err
+    }
+  }
+
+  async function fetchTasks() {
+    error.value = null
+
+    try {
+      const response = await apiService.getRemediationTasks({
+        planId: boardPlanId.value || undefined
+      })
+      tasks.value = response.data
+    } catch (err) {
+      const apiError = err as ApiError
+      error.value = apiError.message
+      console.error('Failed to fetch remediation tasks:', apiError)
+    }
+  }
+
+  async function fetchOwners() {
+    try {
+      const response = await apiService.getRemediationOwners()
+      owners.value = response.data
+    } catch (err) {
+      console.error('Failed to fetch remediation owners:', err)
+    }
+  }
+
+  async function createPlan(planData: RemediationPlanInput) {
+    error.value = null
+
+    try {
+      const response = await apiService.createRemediationPlan(planData)
+      plans.value.unshift(response.data)
+      pagination.value.total++
+      return response.data
+    } catch (err) {
+      const apiError = err as ApiError
+      error.value = apiError.message
+      console.error('Failed to create remediation plan:', apiError)
+      throw err
+    }
+  }
+
+  async function updatePlan(id: string, planData: Partial<RemediationPlanInput> & { status?: 'open' | 'cancelled' }) {
+    error.value = null
+
+    try {
+      const response = await apiService.updateRemediationPlan(id, planData)
+      replacePlan(response.data)
+      if (selectedPlan.value?.id === id) {
+        selectedPlan.value = { ...response.data, tasks: selectedPlan.value.tasks }
+      }
+      // Cancelled plans drop off the board
+      if (planData.status) await fetchTasks()
+      return response.data
+    } catch (err) {
+      const apiError = err as ApiError
+      error.value = apiError.message
+      console.error('Failed to update remediation plan:', apiError)
+      throw err
+    }
+  }
+
+  async function deletePlan(id: string) {
+    error.value = null
+
+    try {
+      await apiService.deleteRemediationPlan(id)
+
+      const index = plans.value.findIndex(p => p.id === id)
+      if (index !== -1) {
+        plans.value.splice(index, 1)
+        pagination.value.total--
+      }
+      tasks.value = tasks.value.filter(t => t.planId !== id)
+
+      if (selectedPlan.value?.id === id) {
+        selectedPlan.value = null
+      }
+      if (boardPlanId.value === id) {
+        boardPlanId.value = ''
+      }
+
+    } catch (err) {
+      const apiError = err as ApiError
+      error.value = apiError.message
+      console.error('Failed to delete remediation plan:', apiError)
+      throw err
+    }
+  }
+
+  async function createTask(planId: string, taskData: RemediationTaskInput & { title: string }) {
+    error.value = null
+
+    try {
+      const response = await apiService.createRemediationTask(planId, taskData)
+      tasks.value.push(response.data)
+      await refreshPlan(planId)
+      return response.data
+    } catch (err) {
+      const apiError = err as ApiError
+      error.value = apiError.message
+      console.error('Failed to create remediation task:', apiError)
+      throw err
+    }
+  }
+
+  async function updateTask(id: string, taskData: RemediationTaskInput) {
+    error.value = null
+
+    try {
+      const response = await apiService.updateRemediationTask(id, taskData)
+      replaceTask(response.data)
+      await refreshPlan(response.data.planId)
+      return response.data
+    } catch (err) {
+      const apiError = err as ApiError
+      error.value = apiError.message
+      console.error('Failed to update remediation task:', apiError)
+      throw err
+    }
+  }
+
+  // Drop a task into a board column before the task at `index`
+  async function moveTask(task: RemediationTask, status: TaskStatus, index: number) {
+    if (status === 'verified') {
+      return verifyTask(task.id)
+    }
+
+    // Renumber the target column and store the positions that changed
+    const current = tasksByStatus.value[status]
+    const from = current.indexOf(task)
+    const column = current.filter(t => t.id !== task.id)
+    column.splice(from !== -1 && from < index ? index - 1 : index, 0, task)
+    const moved = column
+      .map((other, position) => ({ other, position }))
+      .filter(({ other, position }) => other.position !== position && other.id !== task.id)
+
+    const position = column.indexOf(task)
+    task.status = status
+    task.position = position
+    moved.forEach(({ other, position }) => { other.position = position })
+
+    try {
+      await updateTask(task.id, { status, position })
+      await Promise.all(moved.map(({ other, position }) => apiService.updateRemediationTask(other.id, { position })))
+    } catch (err) {
+      await fetchTasks()
+      throw err
+    }
+  }
+
+  async function verifyTask(id: string) {
+    error.value = null
+
+    try {
+      const response = await apiService.verifyRemediationTask(id)
+      replaceTask(response.data.task)
+      await refreshPlan(response.data.task.planId)
+      return response.data
+    } catch (err) {
+      const apiError = err as ApiError
+      error.value = apiError.message
+      console.error('Failed to verify remediation task:', apiError)
+      throw err
+    }
+  }
+
+  async function deleteTask(task: RemediationTask) {
+    error.value = null
+
+    try {
+      await apiService.deleteRemediationTask(task.id)
+      tasks.value = tasks.value.filter(t => t.id !== task.id)
+      await refreshPlan(task.planId)
+    } catch (err) {
+      const apiError = err as ApiError
+      error.value = apiError.message
+      console.error('Failed to delete remediation task:', apiError)
+      throw err
+    }
+  }
+
+  // Plan progress and status follow the tasks, so reload the plan after task changes
+  async function refreshPlan(planId: string) {
+    if (selectedPlan.value?.id === planId) {
+      await fetchPlan(planId)
+      return
+    }
+    if (plans.value.some(p => p.id === planId)) {
+      const response = await apiService.getRemediationPlan(planId)
+      replacePlan(response.data)
+    }
+  }
+
+  function replacePlan(plan: RemediationPlan) {
+    const index = plans.value.findIndex(p => p.id === plan.id)
+    if (index !== -1) {
+      plans.value[index] = { ...plan, tasks: undefined, taskCount: plan.tasks ? plan.tasks.length : plan.taskCount }
+    }
+  }
+
+  function replaceTask(task: RemediationTask) {
+    const index = tasks.value.findIndex(t => t.id === task.id)
+    if (index !== -1) {
+      tasks.value[index] = task
+    } else if (!boardPlanId.value || boardPlanId.value === task.planId) {
+      tasks.value.push(task)
+    }
+  }
+
+  function setFilters(newFilters: Partial<PlanFilters>) {
+    filters.value = { ...filters.value, ...newFilters }
+
+    // Reset page if filters changed (except page itself)
+    if ('page' in newFilters === false) {
+      filters.value.page = 1
+    }
+  }
+
+  function setSelectedPlan(plan: RemediationPlan | null) {
+    selectedPlan.value = plan
+  }
+
+  function clearError() {
+    error.value = null
+  }
+
+  // Status labels for UI
+  const planStatusLabels = {
+    'open': 'Open',
+    'in_progress': 'In Progress',
+    'completed': 'Completed',
+    'cancelled': 'Cancelled'
+  }
+
+  const planStatusColors = {
+    'open': 'secondary',
+    'in_progress': 'primary',
+    'completed': 'success',
+    'cancelled': 'dark'
+  }
+
+  const taskStatusLabels = {
+    'todo': 'To Do',
+    'in_progress': 'In Progress',
+    'blocked': 'Blocked',
+    'done': 'Done',
+    'verified': 'Verified'
+  }
+
+  const taskStatusColors = {
+    'todo': 'secondary',
+    'in_progress': 'primary',
+    'blocked': 'danger',
+    'done': 'info',
+    'verified': 'success'
+  }
+
+  return {
+    // State
+    plans,
+    selectedPlan,
+    tasks,
+    owners,
+    isLoading,
+    error,
+    pagination,
+    filters,
+    boardPlanId,
+
+    // Getters
+    tasksByStatus,
+    remediationStats,
+
+    // Actions
+    fetchPlans,
+    fetchPlan,
+    fetchTasks,
+    fetchOwners,
+    createPlan,
+    updatePlan,
+    deletePlan,
+    createTask,
+    updateTask,
+    moveTask,
+    verifyTask,
+    deleteTask,
+    setFilters,
+    setSelectedPlan,
+    clearError,
+
+    // Constants
+    planStatusLabels,
+    planStatusColors,
+    taskStatusLabels,
+    taskStatusColors
+  }
+})
@@ -1,28 +1,34 @@
 import { defineStore } from 'pinia'
 import { ref, computed } from 'vue'
-import { apiService, type ApiError } from '@/services/api'
+import {
+  apiService,
+  type ApiError,
+  type ReportSchedule,
+  type ReportTemplate as SavedReportTemplate
+} from '@/services/api'
 
 interface Report {
   id: string
   name: string
   description: string
-  type: 'assets' | 'vulnerabilities' | 'risks' | 'compliance'
-  status: 'pending' | 'generating' | 'completed' | 'failed' | 'scheduled'
+  type: 'assets' | 'vulnerabilities' | 'risks' | 'compliance' | 'executive'
+  status: 'pending' | 'generating' | 'completed' | 'failed' | 'scheduled' | 'expired'
   format: 'pdf' | 'excel' | 'csv' | 'html'
   createdAt: string
   completedAt?: string
   createdBy: string
   size?: number
+  checksum?: string | null
   downloadUrl?: string
   progress?: number
   parameters?: Record<string, any>
-  schedule?: {
-    frequency: 'once' | 'daily' | 'weekly' | 'monthly'
-    nextRun?: string
-    lastRun?: string
-  }
+  schedule?: ReportSchedule
   recipients?: string[]
   error?: string
+  parentId?: string | null
+  deliveredAt?: string | null
+  deliveryError?: string | null
+  templateId?: string | null
 }
 
 interface ReportFilters {
@@ -57,6 +63,9 @@ interface ReportTemplate {
 export const useReportsStore = defineStore('reports', () => {
   // State
   const reports = ref<Report[]>([])
+  const schedules = ref<Report[]>([])
+  const scheduleRuns = ref<Record<string, Report[]>>({})
+  const templates = ref<SavedReportTemplate[]>([])
   const selectedReport = ref<Report | null>(null)
   const isLoading = ref(false)
   const isGenerating = ref(false)
@@ -145,6 +154,15 @@ export const useReportsStore = defineStore('reports', () => {
         includeTimeline: true,
         groupByFramework: true
       }
+    },
+    {
+      id: 'executive-posture',
+      name: 'Executive Posture',
+      description: 'Monthly CTEM posture one-pager for leadership',
+      type: 'executive',
+      icon: 'bi-briefcase',
+      color: 'dark',
+      defaultParameters: {}
     }
   ])
 
@@ -281,7 +299,14 @@ export const useReportsStore = defineStore('reports', () => {
     }
   }
 
-  async function generateReport(type: Report['type'], parameters?: Record<string, any>, name?: string, description?: string) {
+  async function generateReport(
+    type: Report['type'],
+    parameters?: Record<string, any>,
+    name?: string,
+    description?: string,
+    format: Report['format'] = 'pdf',
+    templateId?: string | null
+  ) {
     isGenerating.value = true
     error.value = null
 
@@ -289,6 +314,8 @@ export const useReportsStore = defineStore('reports', () => {
       const response = await apiService.generateReport(type, {
         name,
         description,
+        format,
+        templateId,
         parameters
       })
 
@@ -299,10 +326,11 @@ export const useReportsStore = defineStore('reports', () => {
         description: description || `Auto-generated ${type} report`,
         type,
         status: 'generating',
-        format: 'pdf',
+        format,
         createdAt: new Date().toISOString(),
         createdBy: 'Current User', // This should come from auth store
         parameters,
+        templateId,
         progress: 0
       }
 
@@ -325,34 +353,31 @@ export const useReportsStore = defineStore('reports', () => {
 
   async function scheduleReport(
     type: Report['type'], 
-    schedule: Report['schedule'], 
+    schedule: ReportSchedule, 
     parameters?: Record<string, any>,
     name?: string,
     description?: string,
-    recipients?: string[]
+    recipients?: string[],
+    format: Report['format'] = 'pdf',
+    templateId?: string | null
   ) {
     isLoading.value = true
     error.value = null
 
     try {
-      // For now, create a scheduled report entry
-      // In a real implementation, this would call an API endpoint
-      const scheduledReport: Report = {
-        id: Date.now().toString(),
-        name: name || `Scheduled ${formatType(type)} Report`,
-        description: description || `Scheduled ${type} report`,
+      const response = await apiService.scheduleReport({
         type,
-        status: 'scheduled',
-        format: 'pdf',
-        createdAt: new Date().toISOString(),
-        createdBy: 'Current User',
-        parameters,
+        name: name || `Scheduled ${formatType(type)} Report`,
+        description,
+        format,
+        templateId,
         schedule,
+        parameters,
         recipients
-      }
+      })
 
-      reports.value.unshift(scheduledReport)
-      return scheduledReport
+      schedules.value.unshift(response.data)
+      return response.data
 
     } catch (err) {
       const apiError = err as ApiError
@@ -364,6 +389,115 @@ export const useReportsStore = defineStore('reports', () => {
     }
   }
 
+  async function fetchTemplates(type?: Report['type']) {
+    error.value = null
+
+    try {
+      const response = await apiService.getReportTemplates(type)
+      templates.value = response.data
+    } catch (err) {
+      const apiError = err as ApiError
+      error.value = apiError.message
+      console.error('Failed to fetch report templates:', apiError)
+    }
+  }
+
+  async function saveTemplate(
+    template: Parameters<typeof apiService.createReportTemplate>[0],
+    templateId?: string
+  ) {
+    error.value = null
+
+    try {
+      const response = templateId
+        ? await apiService.updateReportTemplate(templateId, template)
+        : await apiService.createReportTemplate(template)
+
+      // Only one default per type; the server clears the others
+      if (response.data.isDefault) {
+        templates.value.forEach(existing => {
+          if (existing.type === response.data.type) existing.isDefault = false
+        })
+      }
+      const index = templates.value.findIndex(existing => existing.id === response.data.id)
+      if (index === -1) {
+        templates.value.push(response.data)
+      } else {
+        templates.value[index] = response.data
+      }
+      return response.data
+
+    } catch (err) {
+      const apiError = err as ApiError
+      error.value = apiError.message
+      console.error('Failed to save report template:', apiError)
+      throw err
+    }
+  }
+
+  async function deleteTemplate(templateId: string) {
+    error.value = null
+
+    try {
+      await apiService.deleteReportTemplate(templateId)
+      templates.value = templates.value.filter(template => template.id !== templateId)
+    } catch (err) {
+      const apiError = err as ApiError
+      error.value = apiError.message
+      console.error('Failed to delete report template:', apiError)
+      throw err
+    }
+  }
+
+  function getTemplatesForType(type: Report['type']) {
+    return templates.value.filter(template => template.type === type)
+  }
+
+  async function fetchSchedules() {
+    error.value = null
+
+    try {
+      const response = await apiService.getScheduledReports()
+      schedules.value = response.data.reports
+    } catch (err) {
+      const apiError = err as ApiError
+      error.value = apiError.message
+      console.error('Failed to fetch scheduled reports:', apiError)
+    }
+  }
+
+  async function fetchScheduleRuns(reportId: string) {
+    try {
+      const response = await apiService.getScheduledReportRuns(reportId)
+      scheduleRuns.value[reportId] = response.data.runs
+    } catch (err) {
+      const apiError = err as ApiError
+      error.value = apiError.message
+      console.error('Failed to fetch report runs:', apiError)
+    }
+  }
+
+  async function updateSchedule(reportId: string, data: Parameters<typeof apiService.updateScheduledReport>[1]) {
+    try {
+      const response = await apiService.updateScheduledReport(reportId, data)
+      const index = schedules.value.findIndex(r => r.id === reportId)
+      if (index !== -1) {
+        schedules.value[index] = response.data
+      }
+      return response.data
+
+    } catch (err) {
+      const apiError = err as ApiError
+      error.value = apiError.message
+      console.error('Failed to update scheduled report:', apiError)
+      throw err
+    }
+  }
+
+  async function setSchedulePaused(reportId: string, paused: boolean) {
+    return updateSchedule(reportId, { schedule: { paused } })
+  }
+
   async function cancelReport(reportId: string) {
     try {
       const report = reports.value.find(r => r.id === reportId)
@@ -413,7 +547,7 @@ export const useReportsStore = defineStore('reports', () => {
       // Create download link
       const link = document.createElement('a')
       link.href = report.downloadUrl
-      link.download = `${report.name}.${report.format}`
+      link.download = `${report.name}.${report.format === 'excel' ? 'xlsx' : report.format}`
       document.body.appendChild(link)
       link.click()
       document.body.removeChild(link)
@@ -485,7 +619,8 @@ export const useReportsStore = defineStore('reports', () => {
       vulnerabilities: 'Vulnerability',
       assets: 'Asset',
       risks: 'Risk',
-      compliance: 'Compliance'
+      compliance: 'Compliance',
+      executive: 'Executive'
     }
     return typeLabels[type as keyof typeof typeLabels] || type
   }
@@ -496,7 +631,8 @@ export const useReportsStore = defineStore('reports', () => {
       generating: 'Generating',
       completed: 'Completed',
       failed: 'Failed',
-      scheduled: 'Scheduled'
+      scheduled: 'Scheduled',
+      expired: 'Expired'
     }
     return statusLabels[status as keyof typeof statusLabels] || status
   }
@@ -507,7 +643,8 @@ export const useReportsStore = defineStore('reports', () => {
       generating: 'info',
       completed: 'success',
       failed: 'danger',
-      scheduled: 'secondary'
+      scheduled: 'secondary',
+      expired: 'light'
     }
     return colors[status as keyof typeof colors] || 'secondary'
   }
@@ -517,7 +654,8 @@ export const useReportsStore = defineStore('reports', () => {
       vulnerabilities: 'danger',
       assets: 'primary',
       risks: 'warning',
-      compliance: 'success'
+      compliance: 'success',
+      executive: 'dark'
     }
     return colors[type as keyof typeof colors] || 'secondary'
   }
@@ -551,7 +689,8 @@ export const useReportsStore = defineStore('reports', () => {
     'vulnerabilities': 'Vulnerability Report',
     'assets': 'Asset Report',
     'risks': 'Risk Report',
-    'compliance': 'Compliance Report'
+    'compliance': 'Compliance Report',
+    'executive': 'Executive Posture Report'
   }
 
   // Report status labels for UI
@@ -560,7 +699,8 @@ export const useReportsStore = defineStore('reports', () => {
     'generating': 'Generating',
     'completed': 'Completed',
     'failed': 'Failed',
-    'scheduled': 'Scheduled'
+    'scheduled': 'Scheduled',
+    'expired': 'Expired'
   }
 
   // Report format options
@@ -573,7 +713,6 @@ export const useReportsStore = defineStore('reports', () => {
 
   // Schedule frequency options
   const scheduleFrequencies = [
-    { value: 'once', label: 'Generate Once' },
     { value: 'daily', label: 'Daily' },
     { value: 'weekly', label: 'Weekly' },
     { value: 'monthly', label: 'Monthly' }
@@ -582,6 +721,9 @@ export const useReportsStore = defineStore('reports', () => {
   return {
     // State
     reports,
+    schedules,
+    scheduleRuns,
+    templates,
     selectedReport,
     isLoading,
     isGenerating,
@@ -602,6 +744,13 @@ export const useReportsStore = defineStore('reports', () => {
     fetchReport,
     generateReport,
     scheduleReport,
+    fetchSchedules,
+    fetchScheduleRuns,
+    fetchTemplates,
+    saveTemplate,
+    deleteTemplate,
+    updateSchedule,
+    setSchedulePaused,
     cancelReport,
     deleteReport,
     downloadReport,
@@ -612,6 +761,7 @@ export const useReportsStore = defineStore('reports', () => {
     
     // Utility functions
     getReportTemplate,
+    getTemplatesForType,
     formatType,
     formatStatus,
     getStatusColor,
@@ -7,6 +7,9 @@ interface VulnerabilityFilters {
   severity: string
   status: string
   assetId: string
+  minEpss: string
+  sortBy: string
+  sortOrder: 'asc' | 'desc'
   page: number
   limit: number
 }
@@ -43,6 +46,9 @@ export const useVulnerabilitiesStore = defineStore('vulnerabilities', () => {
     severity: '',
     status: '',
     assetId: '',
+    minEpss: '',
+    sortBy: 'cvssScore',
+    sortOrder: 'desc',
     page: 1,
     limit: parseInt(import.meta.env.VITE_DEFAULT_PAGE_SIZE) || 20
   })
@@ -145,7 +151,10 @@ export const useVulnerabilitiesStore = defineStore('vulnerabilities', () => {
         search: filters.value.search || undefined,
         severity: filters.value.severity || undefined,
         status: filters.value.status || undefined,
-        assetId: filters.value.assetId || undefined
+        assetId: filters.value.assetId || undefined,
+        minEpss: filters.value.minEpss ? Number(filters.value.minEpss) : undefined,
+        sortBy: filters.value.sortBy,
+        sortOrder: filters.value.sortOrder
       })
 
       vulnerabilities.value = response.data.vulnerabilities
@@ -232,6 +241,9 @@ export const useVulnerabilitiesStore = defineStore('vulnerabilities', () => {
       severity: '',
       status: '',
       assetId: '',
+      minEpss: '',
+      sortBy: 'cvssScore',
+      sortOrder: 'desc',
       page: 1,
       limit: parseInt(import.meta.env.VITE_DEFAULT_PAGE_SIZE) || 20
     }
@@ -277,6 +289,15 @@ export const useVulnerabilitiesStore = defineStore('vulnerabilities', () => {
     return 'text-success'
   }
 
+  // Get EPSS probability color class
+  function getEpssColor(score: number | null | undefined): string {
+    if (score === null || score === undefined) return 'text-muted'
+    if (score >= 0.5) return 'text-danger'
+    if (score >= 0.1) return 'text-warning'
+    if (score >= 0.01) return 'text-info'
+    return 'text-success'
+  }
+
   // Severity labels for UI
   const severityLabels = {
     'critical': 'Critical',
@@ -325,6 +346,7 @@ export const useVulnerabilitiesStore = defineStore('vulnerabilities', () => {
     getSeverityColor,
     getStatusColor,
     getCvssColor,
+    getEpssColor,
     
     // Constants
     severityLabels,